@@ -1,3 +1,24 @@
 #!/bin/bash
+#
+# Copies the runtime from the compiler's checkout into war/js/mzscheme-vm,
+# then reapplies our own changes to it, which haven't landed upstream yet.
+#
+# patches/mzscheme-vm.patch is the difference between the last plain copy
+# (commit 92f03d2) and our runtime.  If you change support.js, evaluator.js
+# or main.js here, regenerate it:
+#
+#   git diff 92f03d2 -- war/js/mzscheme-vm > patches/mzscheme-vm.patch
+#
+# Browsers keep compiled programs across deploys.  Whenever the patch or
+# the copy changes, bump the runtime revision in COMPILATION_CACHE_VERSION
+# (war-src/js/openEditor/round_robin.js), so that they stop using
+# bytecode cached for the old runtime.
+#
+# If the patch no longer applies after a copy, the runtime has changed
+# upstream.  Commit the plain copy, redo the rejected hunks by hand, and
+# regenerate the patch against that commit instead, naming it above.
+
+set -e
 
 cp -r ../wescheme-compiler2012/servlet-htdocs/* war/js/mzscheme-vm
+patch -p1 --forward --no-backup-if-mismatch < patches/mzscheme-vm.patch
@@ -0,0 +1,101 @@
+package org.wescheme.project;
+
+import java.io.Serializable;
+
+import javax.jdo.annotations.IdGeneratorStrategy;
+import javax.jdo.annotations.IdentityType;
+import javax.jdo.annotations.PersistenceCapable;
+import javax.jdo.annotations.Persistent;
+import javax.jdo.annotations.PrimaryKey;
+
+import org.json.simple.JSONObject;
+
+import com.google.appengine.api.datastore.Text;
+
+
+/**
+ * An Assignment is a starter program a teacher has published, along with
+ * tests the students don't get to see.  The students' copies of the
+ * starter are clones of it, so a program belongs to the assignment whose
+ * starter it backlinks to.
+ */
+@PersistenceCapable(identityType = IdentityType.APPLICATION)
+public class Assignment implements Serializable {
+
+	private static final long serialVersionUID = -4170260939517735862L;
+
+	@PrimaryKey
+	@Persistent(valueStrategy = IdGeneratorStrategy.IDENTITY)
+	private Long id;
+
+	@Persistent
+	private String teacher_;
+
+	@Persistent
+	private String title_;
+
+	@Persistent
+	private Long starterId_;
+
+	@Persistent
+	private Text tests_;
+
+	@Persistent
+	private long time_;
+
+
+	public Assignment(String teacher, String title, Long starterId, String tests) {
+		this.teacher_ = teacher;
+		this.title_ = title;
+		this.starterId_ = starterId;
+		this.tests_ = new Text(tests);
+		this.time_ = System.currentTimeMillis();
+	}
+
+	public Long getId() {
+		return id;
+	}
+
+	public String getTeacher() {
+		return teacher_;
+	}
+
+	public String getTitle() {
+		return title_;
+	}
+
+	public void setTitle(String title) {
+		this.title_ = title;
+		this.time_ = System.currentTimeMillis();
+	}
+
+	public Long getStarterId() {
+		return starterId_;
+	}
+
+	public String getTests() {
+		return tests_.getValue();
+	}
+
+	public void setTests(String tests) {
+		this.tests_ = new Text(tests);
+		this.time_ = System.currentTimeMillis();
+	}
+
+
+	/**
+	 * The tests are left out unless asked for, so that they only go to the
+	 * teacher's browser, when a hand-in is about to be graded.
+	 */
+	@SuppressWarnings("unchecked")
+	public JSONObject toJSON(boolean includeTests) {
+		JSONObject json = new JSONObject();
+		json.put("id", id);
+		json.put("title", title_);
+		json.put("teacher", teacher_);
+		json.put("starterId", starterId_);
+		json.put("modified", time_);
+		if (includeTests) { json.put("tests", this.getTests()); }
+		return json;
+	}
+}
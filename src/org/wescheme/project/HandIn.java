@@ -0,0 +1,135 @@
+package org.wescheme.project;
+
+import java.io.Serializable;
+
+import javax.jdo.annotations.IdGeneratorStrategy;
+import javax.jdo.annotations.IdentityType;
+import javax.jdo.annotations.PersistenceCapable;
+import javax.jdo.annotations.Persistent;
+import javax.jdo.annotations.PrimaryKey;
+
+import org.json.simple.JSONObject;
+import org.json.simple.JSONValue;
+
+import com.google.appengine.api.datastore.Text;
+
+
+/**
+ * A HandIn records one time a student handed in their program for an
+ * assignment: a copy of the source as it was, and, once the teacher has
+ * run the assignment's tests on it, how it did.  The results are kept as
+ * the JSON array the teacher's editor sent, one { name, passed, message }
+ * per test.
+ */
+@PersistenceCapable(identityType = IdentityType.APPLICATION)
+public class HandIn implements Serializable {
+
+	private static final long serialVersionUID = 6628391840255117093L;
+
+	@PrimaryKey
+	@Persistent(valueStrategy = IdGeneratorStrategy.IDENTITY)
+	private Long id;
+
+	@Persistent
+	private Long assignmentId_;
+
+	@Persistent
+	private Long programId_;
+
+	@Persistent
+	private String student_;
+
+	@Persistent
+	private long time_;
+
+	@Persistent
+	private Integer passed_;
+
+	@Persistent
+	private Integer total_;
+
+	@Persistent
+	private Text results_;
+
+	@Persistent
+	private Text error_;
+
+	@Persistent
+	private Text src_;
+
+
+	public HandIn(Long assignmentId, Long programId, String student, String src) {
+		this.assignmentId_ = assignmentId;
+		this.programId_ = programId;
+		this.student_ = student;
+		this.src_ = new Text(src);
+		this.time_ = System.currentTimeMillis();
+	}
+
+	public Long getId() {
+		return id;
+	}
+
+	public Long getAssignmentId() {
+		return assignmentId_;
+	}
+
+	public Long getProgramId() {
+		return programId_;
+	}
+
+	public String getStudent() {
+		return student_;
+	}
+
+	public long getTime() {
+		return time_;
+	}
+
+	public boolean isGraded() {
+		return passed_ != null;
+	}
+
+	public int getPassed() {
+		return passed_;
+	}
+
+	public int getTotal() {
+		return total_;
+	}
+
+	public String getSource() {
+		return src_.getValue();
+	}
+
+	public void setGrade(int passed, int total, String results, String error) {
+		this.passed_ = passed;
+		this.total_ = total;
+		this.results_ = new Text(results);
+		this.error_ = (error == null ? null : new Text(error));
+	}
+
+
+	/**
+	 * The source is left out unless asked for, since only the teacher
+	 * grading the hand-in needs it.
+	 */
+	@SuppressWarnings("unchecked")
+	public JSONObject toJSON(boolean includeSource) {
+		JSONObject json = new JSONObject();
+		json.put("id", id);
+		json.put("assignmentId", assignmentId_);
+		json.put("programId", programId_);
+		json.put("student", student_);
+		json.put("time", time_);
+		json.put("graded", this.isGraded());
+		if (this.isGraded()) {
+			json.put("passed", passed_);
+			json.put("total", total_);
+			json.put("results", JSONValue.parse(results_.getValue()));
+			if (error_ != null) { json.put("error", error_.getValue()); }
+		}
+		if (includeSource) { json.put("src", this.getSource()); }
+		return json;
+	}
+}
@@ -7,9 +7,17 @@ import org.wescheme.util.XML;
 
 public class ProgramDigest {
 	private Program program;
+	private HandIn handIn;
 
 	public ProgramDigest(Program p) {
+		this(p, null);
+	}
+
+	// handIn is the program's last hand-in, if it has one; the caller looks
+	// them up for all of its digests at once (see Queries.getLatestHandIns).
+	public ProgramDigest(Program p, HandIn handIn) {
 		this.program = p;
+		this.handIn = handIn;
 	}
 	
 	public Element toXML(PersistenceManager pm){
@@ -23,6 +31,17 @@ public class ProgramDigest {
 		root.addContent(XML.makeElement("author", program.getAuthor()));
 		root.addContent(XML.makeElement("modified", program.getTime()));
 		root.addContent(XML.makeElement("published", program.isPublished()));
+		root.addContent(XML.makeElement("built", program.hasBeenBuilt()));
+
+		if (handIn != null) {
+			Element handInElt = new Element("handIn");
+			if (handIn.isGraded()) {
+				handInElt.addContent(XML.makeElement("passed", handIn.getPassed()));
+				handInElt.addContent(XML.makeElement("total", handIn.getTotal()));
+			}
+			handInElt.addContent(XML.makeElement("time", handIn.getTime()));
+			root.addContent(handInElt);
+		}
 
 		Element sharedAsElt = new Element("sharedAs");
 		for(Program p : this.program.getBacklinkedPrograms(pm)) {
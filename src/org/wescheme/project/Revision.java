@@ -0,0 +1,90 @@
+package org.wescheme.project;
+
+import java.io.Serializable;
+
+import javax.jdo.annotations.IdGeneratorStrategy;
+import javax.jdo.annotations.IdentityType;
+import javax.jdo.annotations.PersistenceCapable;
+import javax.jdo.annotations.Persistent;
+import javax.jdo.annotations.PrimaryKey;
+
+import org.json.simple.JSONObject;
+
+import com.google.appengine.api.datastore.Text;
+
+
+/**
+ * A Revision is a copy of a program's source as it was at one save.
+ * Saves overwrite the Program's own source, so these are what let a
+ * student get back an earlier version.
+ */
+@PersistenceCapable(identityType = IdentityType.APPLICATION)
+public class Revision implements Serializable {
+
+	private static final long serialVersionUID = 2871549036152894133L;
+
+	/** The most revisions we keep of any one program; older ones are deleted. */
+	public static final long MAX_KEPT = 50;
+
+	/**
+	 * Autosaves only keep a revision if the newest one is at least this
+	 * old, so that a long editing session doesn't fill the history with
+	 * copies a few seconds apart.
+	 */
+	public static final long AUTOSAVE_INTERVAL_MILLIS = 5 * 60 * 1000;
+
+	@PrimaryKey
+	@Persistent(valueStrategy = IdGeneratorStrategy.IDENTITY)
+	private Long id;
+
+	@Persistent
+	private Long programId_;
+
+	@Persistent
+	private long time_;
+
+	@Persistent
+	private String title_;
+
+	@Persistent
+	private Text src_;
+
+
+	public Revision(Long programId, String title, String src) {
+		this.programId_ = programId;
+		this.title_ = title;
+		this.src_ = new Text(src);
+		this.time_ = System.currentTimeMillis();
+	}
+
+	public Long getId() {
+		return id;
+	}
+
+	public Long getProgramId() {
+		return programId_;
+	}
+
+	public long getTime() {
+		return time_;
+	}
+
+	public String getTitle() {
+		if (title_ == null) { return "null"; }
+		return title_;
+	}
+
+	public String getSource() {
+		return src_.getValue();
+	}
+
+
+	public JSONObject toJSON() {
+		JSONObject json = new JSONObject();
+		json.put("id", id);
+		json.put("title", this.getTitle());
+		json.put("modified", this.time_);
+		json.put("code", this.getSource());
+		return json;
+	}
+}
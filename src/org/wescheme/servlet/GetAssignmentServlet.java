@@ -0,0 +1,77 @@
+package org.wescheme.servlet;
+
+import java.io.IOException;
+import java.util.logging.Logger;
+
+import javax.jdo.PersistenceManager;
+import javax.servlet.http.HttpServlet;
+import javax.servlet.http.HttpServletRequest;
+import javax.servlet.http.HttpServletResponse;
+
+import org.json.simple.JSONObject;
+import org.wescheme.project.Assignment;
+import org.wescheme.project.HandIn;
+import org.wescheme.project.Program;
+import org.wescheme.user.Session;
+import org.wescheme.user.SessionManager;
+import org.wescheme.util.PMF;
+import org.wescheme.util.Queries;
+
+
+public class GetAssignmentServlet extends HttpServlet {
+
+    /**
+     * Returns, as JSON, the assignment that the program with the given pid is
+     * a copy of, along with the program's last hand-in (or null), or null if
+     * the program isn't part of an assignment.  The owner and the owner's
+     * teacher may look.  The assignment's teacher may pass withTests=true to
+     * get the hidden tests and the handed-in source too, for grading the
+     * hand-in; nobody else ever gets the tests.
+     */
+    private static final long serialVersionUID = -7062815549723154118L;
+    private static final Logger log = Logger.getLogger(GetAssignmentServlet.class.getName());
+
+    @SuppressWarnings("unchecked")
+    public void doGet(HttpServletRequest req, HttpServletResponse resp) throws IOException {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        try {
+            SessionManager sm = new SessionManager();
+            Session userSession = sm.authenticate(req, resp);
+            if (req.getParameter("pid") == null) {
+                resp.sendError(400, "pid parameter missing");
+                return;
+            }
+            if (null == userSession) {
+                resp.sendError(403);
+                return;
+            }
+            Long id = (Long) Long.parseLong(req.getParameter("pid"));
+            Program prog = pm.getObjectById(Program.class, id);
+            boolean isOwner = prog.getOwner().equals(userSession.getName());
+            if (!isOwner &&
+                !userSession.isAdmin() &&
+                !Queries.isTeacherOf(pm, userSession.getName(), prog.getOwner())) {
+                log.warning(userSession.getName() + " does not own " + req.getParameter("pid"));
+                resp.sendError(401, "Not owner");
+                return;
+            }
+
+            Assignment assignment = (prog.getBacklink() == null ?
+                                     null :
+                                     Queries.getAssignmentForStarter(pm, prog.getBacklink()));
+            resp.setContentType("text/json");
+            if (assignment == null) {
+                resp.getWriter().print("null");
+                return;
+            }
+            boolean forGrading = (assignment.getTeacher().equals(userSession.getName()) &&
+                                  "true".equals(req.getParameter("withTests")));
+            JSONObject json = assignment.toJSON(forGrading);
+            HandIn handIn = Queries.getLatestHandIn(pm, id);
+            json.put("handIn", handIn == null ? null : handIn.toJSON(forGrading));
+            resp.getWriter().print(json.toString());
+        } finally {
+            pm.close();
+        }
+    }
+}
@@ -0,0 +1,115 @@
+package org.wescheme.servlet;
+
+import java.io.IOException;
+import java.util.logging.Logger;
+
+import javax.jdo.PersistenceManager;
+import javax.servlet.http.HttpServlet;
+import javax.servlet.http.HttpServletRequest;
+import javax.servlet.http.HttpServletResponse;
+
+import org.json.simple.JSONArray;
+import org.json.simple.JSONObject;
+import org.json.simple.JSONValue;
+import org.wescheme.project.Assignment;
+import org.wescheme.project.HandIn;
+import org.wescheme.user.Session;
+import org.wescheme.user.SessionManager;
+import org.wescheme.util.CacheHelpers;
+import org.wescheme.util.PMF;
+
+
+public class GradeHandInServlet extends HttpServlet {
+
+    /**
+     * Records the grade of the hand-in with the given id, which only the
+     * teacher of its assignment may do: passed and total count the tests,
+     * results is the JSON array of per-test results, and error says why the
+     * tests didn't all run, if they didn't.  Responds with the hand-in as JSON.
+     *
+     * The tests run in the teacher's browser, the only one they're sent to.
+     * We still insist that the grade agrees with itself: 0 <= passed <= total,
+     * one result per test, and passed counting the results that passed.
+     */
+    private static final long serialVersionUID = -3317604729184126093L;
+    private static final Logger log = Logger.getLogger(GradeHandInServlet.class.getName());
+
+    public void doPost(HttpServletRequest req, HttpServletResponse resp) throws IOException {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        SessionManager sm = new SessionManager();
+
+        if( !sm.isIntentional(req, resp) ){
+            resp.sendError(401);
+            return;
+        }
+        try {
+            Session userSession = sm.authenticate(req, resp);
+            if (null == userSession) {
+                resp.sendError(403);
+                return;
+            }
+            if (req.getParameter("id") == null) {
+                resp.sendError(400, "id parameter missing");
+                return;
+            }
+            HandIn handIn = pm.getObjectById(HandIn.class, Long.parseLong(req.getParameter("id")));
+            Assignment assignment = pm.getObjectById(Assignment.class, handIn.getAssignmentId());
+            if (!assignment.getTeacher().equals(userSession.getName())) {
+                log.warning(userSession.getName() + " did not publish assignment " + assignment.getId());
+                resp.sendError(401, "Not teacher");
+                return;
+            }
+            String results = req.getParameter("results");
+            if (results == null || !(JSONValue.parse(results) instanceof JSONArray)) {
+                resp.sendError(400, "results should be a JSON array");
+                return;
+            }
+            int passed = parseCount(req.getParameter("passed"));
+            int total = parseCount(req.getParameter("total"));
+            if (passed < 0 || total < 0 || passed > total) {
+                resp.sendError(400, "passed and total should be counts, with passed <= total");
+                return;
+            }
+            if (!agreesWithResults((JSONArray) JSONValue.parse(results), passed, total)) {
+                resp.sendError(400, "passed and total don't agree with the results");
+                return;
+            }
+
+            handIn.setGrade(passed, total, results, req.getParameter("error"));
+            // The student's digest now carries the grade.
+            CacheHelpers.notifyUserProgramsDirtied(handIn.getStudent());
+            resp.setContentType("text/json");
+            resp.getWriter().print(handIn.toJSON(false).toString());
+        } catch (NumberFormatException e) {
+            resp.sendError(400, "id should be a number");
+        } finally {
+            pm.close();
+        }
+    }
+
+
+    // A count given as a parameter, or -1 if it's missing or not a number.
+    private int parseCount(String param) {
+        if (param == null) { return -1; }
+        try {
+            return Integer.parseInt(param);
+        } catch (NumberFormatException e) {
+            return -1;
+        }
+    }
+
+
+    // True if there's one result per test, each an object saying whether it
+    // passed, and passed of them did.
+    private boolean agreesWithResults(JSONArray results, int passed, int total) {
+        if (results.size() != total) { return false; }
+        int count = 0;
+        for (Object result : results) {
+            if (!(result instanceof JSONObject)) { return false; }
+            Object didPass = ((JSONObject) result).get("passed");
+            if (!(didPass instanceof Boolean)) { return false; }
+            if ((Boolean) didPass) { count++; }
+        }
+        return count == passed;
+    }
+}
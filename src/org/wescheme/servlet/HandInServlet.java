@@ -0,0 +1,77 @@
+package org.wescheme.servlet;
+
+import java.io.IOException;
+import java.util.logging.Logger;
+
+import javax.jdo.PersistenceManager;
+import javax.servlet.http.HttpServlet;
+import javax.servlet.http.HttpServletRequest;
+import javax.servlet.http.HttpServletResponse;
+
+import org.wescheme.project.Assignment;
+import org.wescheme.project.HandIn;
+import org.wescheme.project.Program;
+import org.wescheme.user.Session;
+import org.wescheme.user.SessionManager;
+import org.wescheme.util.CacheHelpers;
+import org.wescheme.util.PMF;
+import org.wescheme.util.Queries;
+
+
+public class HandInServlet extends HttpServlet {
+
+    /**
+     * Hands in the program with the given pid for the assignment it's a copy
+     * of, keeping a copy of its saved source for the teacher to grade (see
+     * GradeHandInServlet).  Responds with the hand-in as JSON.
+     */
+    private static final long serialVersionUID = 4402787210953667185L;
+    private static final Logger log = Logger.getLogger(HandInServlet.class.getName());
+
+    public void doPost(HttpServletRequest req, HttpServletResponse resp) throws IOException {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        SessionManager sm = new SessionManager();
+
+        if( !sm.isIntentional(req, resp) ){
+            resp.sendError(401);
+            return;
+        }
+        try {
+            Session userSession = sm.authenticate(req, resp);
+            if (null == userSession) {
+                resp.sendError(403);
+                return;
+            }
+            if (req.getParameter("pid") == null || req.getParameter("assignment") == null) {
+                resp.sendError(400, "pid or assignment parameter missing");
+                return;
+            }
+            Long id = Long.parseLong(req.getParameter("pid"));
+            Program prog = pm.getObjectById(Program.class, id);
+            if (!prog.getOwner().equals(userSession.getName())) {
+                log.warning(userSession.getName() + " does not own " + req.getParameter("pid"));
+                resp.sendError(401, "Not owner");
+                return;
+            }
+            Assignment assignment = pm.getObjectById(Assignment.class,
+                                                     Long.parseLong(req.getParameter("assignment")));
+            if (!assignment.getStarterId().equals(prog.getBacklink())) {
+                resp.sendError(400, "That program isn't a copy of the assignment's starter");
+                return;
+            }
+            HandIn handIn = new HandIn(assignment.getId(),
+                                       id,
+                                       userSession.getName(),
+                                       prog.getSource().toString());
+            pm.makePersistent(handIn);
+            // The program's digest now shows the hand-in.
+            CacheHelpers.notifyUserProgramsDirtied(userSession.getName());
+            resp.setContentType("text/json");
+            resp.getWriter().print(handIn.toJSON(false).toString());
+        } catch (NumberFormatException e) {
+            resp.sendError(400, "pid and assignment should be numbers");
+        } finally {
+            pm.close();
+        }
+    }
+}
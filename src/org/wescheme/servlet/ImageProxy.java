@@ -27,8 +27,9 @@ import java.net.URLConnection;
  * url: the URL of the image.
  * 
  * TODO: since the potential for abuse exists, we'll try to limit the
- * proxying specifically to images alone.  We may need to revisit
- * this with more restrictions to prevent really bad things.
+ * proxying specifically to images (and the sounds that worlds play)
+ * alone.  We may need to revisit this with more restrictions to
+ * prevent really bad things.
  */
 
 public class ImageProxy extends HttpServlet {
@@ -84,9 +85,11 @@ public class ImageProxy extends HttpServlet {
 			throw new ImageProxyException("url could not be read: " + e.getMessage());
 		}
 
-		// The content type must be of type 'image', or we also error out here.
-		if (contentType == null || (!(contentType.startsWith("image/")))) {
-			throw new ImageProxyException("non-image content type " + contentType);
+		// The content type must be of type 'image' or 'audio' (for the
+		// sounds that world programs play), or we also error out here.
+		if (contentType == null ||
+		    (!(contentType.startsWith("image/") || contentType.startsWith("audio/")))) {
+			throw new ImageProxyException("non-image, non-audio content type " + contentType);
 		}
 		BufferedInputStream is = new BufferedInputStream(conn.getInputStream());
 		ByteArrayOutputStream os = new ByteArrayOutputStream();
@@ -0,0 +1,61 @@
+package org.wescheme.servlet;
+
+import java.io.IOException;
+import java.util.logging.Logger;
+
+import javax.jdo.PersistenceManager;
+import javax.servlet.http.HttpServlet;
+import javax.servlet.http.HttpServletRequest;
+import javax.servlet.http.HttpServletResponse;
+
+import org.wescheme.user.Classroom;
+import org.wescheme.user.Session;
+import org.wescheme.user.SessionManager;
+import org.wescheme.util.PMF;
+
+
+public class JoinClassroomServlet extends HttpServlet {
+
+    /**
+     * Lets the logged-in user join the classroom with the given id, which they
+     * must have been invited to, so that its teacher can see their programs.
+     * With leave=true, takes that back instead.
+     */
+    private static final long serialVersionUID = 4419306592018457327L;
+    private static final Logger log = Logger.getLogger(JoinClassroomServlet.class.getName());
+
+    public void doPost(HttpServletRequest req, HttpServletResponse resp) throws IOException {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        SessionManager sm = new SessionManager();
+
+        if( !sm.isIntentional(req, resp) ){
+            resp.sendError(401);
+            return;
+        }
+        try {
+            Session userSession = sm.authenticate(req, resp);
+            if (null == userSession) {
+                resp.sendError(401);
+                return;
+            }
+            if (req.getParameter("id") == null) {
+                resp.sendError(400, "id parameter missing");
+                return;
+            }
+            Classroom classroom = pm.getObjectById(Classroom.class, Long.parseLong(req.getParameter("id")));
+            if ("true".equals(req.getParameter("leave"))) {
+                classroom.leave(userSession.getName());
+            } else if (classroom.isInvited(userSession.getName())) {
+                classroom.join(userSession.getName());
+            } else {
+                log.warning(userSession.getName() + " was not invited to classroom " + req.getParameter("id"));
+                resp.sendError(401, "Not invited");
+                return;
+            }
+            resp.setContentType("text/plain");
+            resp.getWriter().println(classroom.getId());
+        } finally {
+            pm.close();
+        }
+    }
+}
@@ -0,0 +1,56 @@
+package org.wescheme.servlet;
+
+import java.io.IOException;
+import java.util.List;
+
+import javax.jdo.PersistenceManager;
+import javax.servlet.http.HttpServlet;
+import javax.servlet.http.HttpServletRequest;
+import javax.servlet.http.HttpServletResponse;
+
+import org.json.simple.JSONArray;
+import org.wescheme.user.Classroom;
+import org.wescheme.user.Session;
+import org.wescheme.user.SessionManager;
+import org.wescheme.util.PMF;
+import org.wescheme.util.Queries;
+
+
+public class ListClassroomsServlet extends HttpServlet {
+
+    /**
+     * Returns the classrooms taught by the logged-in user as a JSON array.
+     * With invitations=true, returns the classrooms the user has been invited
+     * to as a student instead, without their rosters.
+     */
+    private static final long serialVersionUID = 7753912460258814930L;
+
+    @SuppressWarnings("unchecked")
+    public void doGet(HttpServletRequest req, HttpServletResponse resp) throws IOException {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        try {
+            SessionManager sm = new SessionManager();
+            Session userSession = sm.authenticate(req, resp);
+            if (null == userSession) {
+                resp.sendError(403);
+                return;
+            }
+            JSONArray json = new JSONArray();
+            if ("true".equals(req.getParameter("invitations"))) {
+                List<Classroom> classrooms = Queries.getInvitations(pm, userSession.getName());
+                for (Classroom c : classrooms) {
+                    json.add(c.toStudentJSON(userSession.getName(), pm));
+                }
+            } else {
+                List<Classroom> classrooms = Queries.getClassrooms(pm, userSession.getName());
+                for (Classroom c : classrooms) {
+                    json.add(c.toJSON());
+                }
+            }
+            resp.setContentType("text/json");
+            resp.getWriter().print(json.toString());
+        } finally {
+            pm.close();
+        }
+    }
+}
@@ -3,6 +3,7 @@ package org.wescheme.servlet;
 import java.io.IOException;
 import java.io.PrintWriter;
 import java.util.List;
+import java.util.Map;
 import java.util.logging.Logger;
 
 import javax.cache.Cache;
@@ -13,6 +14,7 @@ import javax.servlet.http.HttpServletResponse;
 
 import org.jdom.Element;
 import org.jdom.output.XMLOutputter;
+import org.wescheme.project.HandIn;
 import org.wescheme.project.Program;
 import org.wescheme.project.ProgramDigest;
 import org.wescheme.user.Session;
@@ -24,6 +26,8 @@ import org.wescheme.util.Queries;
 
 /**
  * Produces a list of projects of the logged-in user, in descending order of modification time.
+ * If a student parameter is given, lists that student's projects instead, as long as the
+ * logged-in user teaches the student (see Classroom).
  * 
  * This list is presented as a sequence of ProgramDigest XML elements.
  * 
@@ -55,7 +59,17 @@ public class ListProjectsServlet extends HttpServlet {
 	
         try {
             Session userSession = authenticate(req, resp);		
-            String outputString = getOutputString(userSession);			
+            String student = req.getParameter("student");
+            String outputString;
+            if (student == null || student.equals(userSession.getName())) {
+                outputString = getOutputString(userSession);
+            } else if (isTeacherOf(userSession, student)) {
+                outputString = getFromDatabase(student);
+            } else {
+                log.warning(userSession.getName() + " does not teach " + student);
+                resp.sendError(401, "Not teacher");
+                return;
+            }
             resp.setContentType("text/xml");
             PrintWriter w = resp.getWriter();
             w.write(outputString);
@@ -84,6 +98,16 @@ public class ListProjectsServlet extends HttpServlet {
     }
 
 
+    private boolean isTeacherOf(Session userSession, String student) {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        try {
+            return userSession.isAdmin() || Queries.isTeacherOf(pm, userSession.getName(), student);
+        } finally {
+            pm.close();
+        }
+    }
+
+
     // @SuppressWarnings("unchecked")
 	private String getOutputString(Session userSession) throws IOException {
         // Cache c = CacheHelpers.getCache();
@@ -103,26 +127,27 @@ public class ListProjectsServlet extends HttpServlet {
         
         // Turning off the cache for the moment.  Something is wrong, as I'm seeing stale data.
 
-        return getFromDatabase(userSession);
+        return getFromDatabase(userSession.getName());
     }
 	
     /**
-     * Gets the set of ProgramDigests for the user with the given session.
-     * @param userSession
+     * Gets the set of ProgramDigests for the user with the given name.
+     * @param userName
      * @return
      * @throws IOException
      */
-    private String getFromDatabase(Session userSession) throws IOException {
+    private String getFromDatabase(String userName) throws IOException {
         PersistenceManager pm = PMF.get().getPersistenceManager();
 
         try {
 
             List<Program> pl = (List<Program>) 
-                Queries.getUserPrograms(pm, userSession.getName());
+                Queries.getUserPrograms(pm, userName);
+            Map<Long, HandIn> handIns = Queries.getLatestHandIns(pm, userName);
             Element elt = new Element("ProgramDigests");
             for( Program p : pl ){
                 if (! p.getIsDeleted())
-                    elt.addContent(new ProgramDigest(p).toXML(pm));
+                    elt.addContent(new ProgramDigest(p, handIns.get(p.getId())).toXML(pm));
             }
             XMLOutputter outputter = new XMLOutputter();
             String outputString = outputter.outputString(elt); 			
@@ -0,0 +1,62 @@
+package org.wescheme.servlet;
+
+import java.io.IOException;
+import java.util.List;
+import java.util.logging.Logger;
+
+import javax.jdo.PersistenceManager;
+import javax.servlet.http.HttpServlet;
+import javax.servlet.http.HttpServletRequest;
+import javax.servlet.http.HttpServletResponse;
+
+import org.json.simple.JSONArray;
+import org.wescheme.project.Program;
+import org.wescheme.project.Revision;
+import org.wescheme.user.Session;
+import org.wescheme.user.SessionManager;
+import org.wescheme.util.PMF;
+import org.wescheme.util.Queries;
+
+
+public class ListRevisionsServlet extends HttpServlet {
+
+    /**
+     * Returns the saved revisions of the program with the given pid,
+     * newest first, as a JSON array.  Only the owner may see them.
+     */
+    private static final long serialVersionUID = -3197427610586412350L;
+    private static final Logger log = Logger.getLogger(ListRevisionsServlet.class.getName());
+
+    @SuppressWarnings("unchecked")
+    public void doGet(HttpServletRequest req, HttpServletResponse resp) throws IOException {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        try {
+            SessionManager sm = new SessionManager();
+            Session userSession = sm.authenticate(req, resp);
+            if (req.getParameter("pid") == null) {
+                resp.sendError(400, "pid parameter missing");
+                return;
+            }
+            if (null == userSession) {
+                resp.sendError(403);
+                return;
+            }
+            Long id = (Long) Long.parseLong(req.getParameter("pid"));
+            Program prog = pm.getObjectById(Program.class, id);
+            if (prog.getOwner().equals(userSession.getName()) || userSession.isAdmin()) {
+                JSONArray json = new JSONArray();
+                List<Revision> revisions = Queries.getRevisions(pm, id, Revision.MAX_KEPT);
+                for (Revision r : revisions) {
+                    json.add(r.toJSON());
+                }
+                resp.setContentType("text/json");
+                resp.getWriter().print(json.toString());
+            } else {
+                log.warning(userSession.getName() + " does not own " + req.getParameter("pid"));
+                resp.sendError(401, "Not owner");
+            }
+        } finally {
+            pm.close();
+        }
+    }
+}
@@ -41,7 +41,8 @@ public class LoadProjectServlet extends HttpServlet {
             if (req.getParameter("pid") != null) {
                 Program prog = getProgramByPid(pm, req.getParameter("pid"));
                 if( null != userSession ){
-                    if (isOwner(userSession, prog) || userSession.isAdmin()) {
+                    if (isOwner(userSession, prog) || userSession.isAdmin() ||
+                        Queries.isTeacherOf(pm, userSession.getName(), prog.getOwner())) {
                         resp.setContentType("text/json");
                         resp.getWriter().print(prog.toJSON(pm).toString());
                     } else {
@@ -0,0 +1,85 @@
+package org.wescheme.servlet;
+
+import java.io.IOException;
+import java.util.logging.Logger;
+
+import javax.jdo.PersistenceManager;
+import javax.servlet.http.HttpServlet;
+import javax.servlet.http.HttpServletRequest;
+import javax.servlet.http.HttpServletResponse;
+
+import org.wescheme.project.Assignment;
+import org.wescheme.project.Program;
+import org.wescheme.user.Session;
+import org.wescheme.user.SessionManager;
+import org.wescheme.util.PMF;
+import org.wescheme.util.Queries;
+
+
+public class SaveAssignmentServlet extends HttpServlet {
+
+    /**
+     * Publishes an assignment: the starter parameter is the pid of one of the
+     * logged-in user's programs, which the students get copies of, and tests
+     * holds the hidden tests their hand-ins are graded by.  With an id, updates
+     * the title and tests of one of the user's assignments instead.  Responds
+     * with the assignment's id.
+     */
+    private static final long serialVersionUID = 1937264011358226274L;
+    private static final Logger log = Logger.getLogger(SaveAssignmentServlet.class.getName());
+
+    public void doPost(HttpServletRequest req, HttpServletResponse resp) throws IOException {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        SessionManager sm = new SessionManager();
+
+        if( !sm.isIntentional(req, resp) ){
+            resp.sendError(401);
+            return;
+        }
+        try {
+            Session userSession = sm.authenticate(req, resp);
+            if (null == userSession) {
+                resp.sendError(401);
+                return;
+            }
+            String title = req.getParameter("title");
+            String tests = req.getParameter("tests");
+            Assignment assignment;
+            if (req.getParameter("id") == null) {
+                if (req.getParameter("starter") == null) {
+                    resp.sendError(400, "starter parameter missing");
+                    return;
+                }
+                Long starterId = Long.parseLong(req.getParameter("starter"));
+                Program starter = pm.getObjectById(Program.class, starterId);
+                if (!starter.getOwner().equals(userSession.getName())) {
+                    log.warning(userSession.getName() + " does not own " + req.getParameter("starter"));
+                    resp.sendError(401, "Not owner");
+                    return;
+                }
+                if (Queries.getAssignmentForStarter(pm, starterId) != null) {
+                    resp.sendError(400, "That program is already the starter of an assignment");
+                    return;
+                }
+                assignment = new Assignment(userSession.getName(),
+                                            title == null ? starter.getTitle() : title,
+                                            starterId,
+                                            tests == null ? "" : tests);
+                pm.makePersistent(assignment);
+            } else {
+                assignment = pm.getObjectById(Assignment.class, Long.parseLong(req.getParameter("id")));
+                if (!assignment.getTeacher().equals(userSession.getName())) {
+                    log.warning(userSession.getName() + " did not publish assignment " + req.getParameter("id"));
+                    resp.sendError(401, "Not teacher");
+                    return;
+                }
+                if (title != null) { assignment.setTitle(title); }
+                if (tests != null) { assignment.setTests(tests); }
+            }
+            resp.setContentType("text/plain");
+            resp.getWriter().println(assignment.getId());
+        } finally {
+            pm.close();
+        }
+    }
+}
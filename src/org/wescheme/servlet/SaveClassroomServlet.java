@@ -0,0 +1,91 @@
+package org.wescheme.servlet;
+
+import java.io.IOException;
+import java.util.ArrayList;
+import java.util.List;
+import java.util.logging.Logger;
+
+import javax.jdo.PersistenceManager;
+import javax.servlet.http.HttpServlet;
+import javax.servlet.http.HttpServletRequest;
+import javax.servlet.http.HttpServletResponse;
+
+import org.wescheme.project.Program;
+import org.wescheme.user.Classroom;
+import org.wescheme.user.Session;
+import org.wescheme.user.SessionManager;
+import org.wescheme.util.PMF;
+
+
+public class SaveClassroomServlet extends HttpServlet {
+
+    /**
+     * Creates or updates one of the logged-in user's classrooms.  The students
+     * parameter holds the students' user names, one per line; they become
+     * members only when they join.  The handout parameter is the pid of one of
+     * the user's shared programs, which is added to the classroom's handouts
+     * for the students to copy.  Responds with the classroom's id.
+     */
+    private static final long serialVersionUID = -2840167736090126435L;
+    private static final Logger log = Logger.getLogger(SaveClassroomServlet.class.getName());
+
+    public void doPost(HttpServletRequest req, HttpServletResponse resp) throws IOException {
+        PersistenceManager pm = PMF.get().getPersistenceManager();
+        SessionManager sm = new SessionManager();
+
+        if( !sm.isIntentional(req, resp) ){
+            resp.sendError(401);
+            return;
+        }
+        try {
+            Session userSession = sm.authenticate(req, resp);
+            if (null == userSession) {
+                resp.sendError(401);
+                return;
+            }
+            String name = req.getParameter("name");
+            List<String> students = parseStudents(req.getParameter("students"));
+            Classroom classroom;
+            if (req.getParameter("id") == null) {
+                classroom = new Classroom(userSession.getName(), name == null ? "" : name, students);
+                pm.makePersistent(classroom);
+            } else {
+                classroom = pm.getObjectById(Classroom.class, Long.parseLong(req.getParameter("id")));
+                if (!classroom.getTeacher().equals(userSession.getName())) {
+                    log.warning(userSession.getName() + " does not teach classroom " + req.getParameter("id"));
+                    resp.sendError(401, "Not teacher");
+                    return;
+                }
+                if (name != null) { classroom.setName(name); }
+                if (req.getParameter("students") != null) { classroom.setStudents(students); }
+            }
+            if (req.getParameter("handout") != null) {
+                Program handout = pm.getObjectById(Program.class, Long.parseLong(req.getParameter("handout")));
+                if (!handout.getOwner().equals(userSession.getName()) || !handout.isPublished()) {
+                    log.warning(userSession.getName() + " cannot hand out " + req.getParameter("handout"));
+                    resp.sendError(401, "Not a shared program of yours");
+                    return;
+                }
+                classroom.addHandout(handout.getId());
+            }
+            resp.setContentType("text/plain");
+            resp.getWriter().println(classroom.getId());
+        } finally {
+            pm.close();
+        }
+    }
+
+
+    // Splits the roster into user names, skipping blank lines and duplicates.
+    private List<String> parseStudents(String roster) {
+        List<String> students = new ArrayList<String>();
+        if (roster == null) { return students; }
+        for (String line : roster.split("\n")) {
+            String student = line.trim();
+            if (student.length() > 0 && !students.contains(student)) {
+                students.add(student);
+            }
+        }
+        return students;
+    }
+}
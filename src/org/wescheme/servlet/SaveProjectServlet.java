@@ -1,6 +1,7 @@
 package org.wescheme.servlet;
 
 import java.io.IOException;
+import java.util.List;
 import java.util.logging.Logger;
 
 import javax.jdo.PersistenceManager;
@@ -10,10 +11,12 @@ import javax.servlet.http.HttpServletResponse;
 
 import org.wescheme.project.NameGenerator;
 import org.wescheme.project.Program;
+import org.wescheme.project.Revision;
 import org.wescheme.user.Session;
 import org.wescheme.user.SessionManager;
 import org.wescheme.util.CacheHelpers;
 import org.wescheme.util.PMF;
+import org.wescheme.util.Queries;
 
 
 public class SaveProjectServlet extends HttpServlet{
@@ -33,6 +36,7 @@ public class SaveProjectServlet extends HttpServlet{
         String code = req.getParameter("code");
         String pid = req.getParameter("pid");
         String notes = req.getParameter("notes");
+        boolean isAutosave = "true".equals(req.getParameter("autosave"));
         try {
             Session userSession = sm.authenticate(req, resp);
             if( null != userSession ){			
@@ -40,7 +44,7 @@ public class SaveProjectServlet extends HttpServlet{
                 if (pid == null) {
                     saveNewProgram(pm, userSession, resp, title, code, notes);
                 } else {
-                    saveExistingProgram(pm, userSession, resp, pid, title, code, notes);
+                    saveExistingProgram(pm, userSession, resp, pid, title, code, notes, isAutosave);
                 }
             } else {
                 log.warning("User session can't be retrieved; user appears to be logged out.");
@@ -64,6 +68,7 @@ public class SaveProjectServlet extends HttpServlet{
         if (notes != null) { prog.updateNotes(notes); }
         prog.setPublicId(NameGenerator.getInstance(getServletContext()).generateUniqueBase62Id(pm));
         pm.makePersistent(prog);
+        saveRevision(pm, prog, false);
 
         resp.setContentType("text/plain"); 
         resp.getWriter().println(prog.getId());					
@@ -73,7 +78,8 @@ public class SaveProjectServlet extends HttpServlet{
     // Save a program that has an existing pid.
     private void saveExistingProgram(PersistenceManager pm, Session userSession,
                                      HttpServletResponse resp,
-                                     String pid, String title, String code, String notes) 
+                                     String pid, String title, String code, String notes,
+                                     boolean isAutosave)
         throws IOException {
         // Preconditions: the program is owned by the user, and has not been published yet.
         Long id = (Long) Long.parseLong(pid);
@@ -82,6 +88,7 @@ public class SaveProjectServlet extends HttpServlet{
             if (title != null) { prog.updateTitle(title); }
             if (code != null) { prog.updateSource(code); }
             if (notes != null) { prog.updateNotes(notes); }
+            if (code != null) { saveRevision(pm, prog, isAutosave); }
 
             if (prog.getPublicId() == null) {
                 prog.setPublicId(NameGenerator.getInstance(getServletContext()).generateUniqueBase62Id(pm));
@@ -94,4 +101,27 @@ public class SaveProjectServlet extends HttpServlet{
             throw new RuntimeException("Cannot save program: either not owner, or program published");
         }
     }
+
+
+    // Keeps a copy of the program's current source, so that saving
+    // doesn't lose what was there before.  Nothing is kept if the
+    // source is the same as the newest revision's, or if this is an
+    // autosave and the newest revision is recent.  Only the newest
+    // Revision.MAX_KEPT revisions survive.
+    private void saveRevision(PersistenceManager pm, Program prog, boolean isAutosave) {
+        String src = prog.getSource().toString();
+        List<Revision> newest = Queries.getRevisions(pm, prog.getId(), 1);
+        if (!newest.isEmpty()) {
+            Revision last = newest.get(0);
+            if (last.getSource().equals(src)) {
+                return;
+            }
+            if (isAutosave &&
+                System.currentTimeMillis() - last.getTime() < Revision.AUTOSAVE_INTERVAL_MILLIS) {
+                return;
+            }
+        }
+        pm.makePersistent(new Revision(prog.getId(), prog.getTitle(), src));
+        Queries.deleteOldRevisions(pm, prog.getId(), Revision.MAX_KEPT);
+    }
 }
@@ -0,0 +1,171 @@
+package org.wescheme.user;
+
+import java.io.Serializable;
+import java.util.ArrayList;
+import java.util.List;
+
+import javax.jdo.JDOObjectNotFoundException;
+import javax.jdo.PersistenceManager;
+import javax.jdo.annotations.IdGeneratorStrategy;
+import javax.jdo.annotations.IdentityType;
+import javax.jdo.annotations.PersistenceCapable;
+import javax.jdo.annotations.Persistent;
+import javax.jdo.annotations.PrimaryKey;
+
+import org.json.simple.JSONArray;
+import org.json.simple.JSONObject;
+import org.wescheme.project.Program;
+
+
+/**
+ * A Classroom is a teacher's roster: the user names of the students
+ * invited to it, and the programs handed out to them.  Only the students
+ * who have joined (see JoinClassroomServlet) let the teacher look at their
+ * programs; the handouts are shared programs the students copy themselves.
+ */
+@PersistenceCapable(identityType = IdentityType.APPLICATION)
+public class Classroom implements Serializable {
+
+	private static final long serialVersionUID = -6412385079436617721L;
+
+	@PrimaryKey
+	@Persistent(valueStrategy = IdGeneratorStrategy.IDENTITY)
+	private Long id;
+
+	@Persistent
+	private String teacher_;
+
+	@Persistent
+	private String name_;
+
+	@Persistent
+	private List<String> students_;
+
+	@Persistent
+	private List<String> joined_;
+
+	@Persistent
+	private List<Long> handouts_;
+
+
+	public Classroom(String teacher, String name, List<String> students) {
+		this.teacher_ = teacher;
+		this.name_ = name;
+		this.students_ = new ArrayList<String>(students);
+	}
+
+	public Long getId() {
+		return id;
+	}
+
+	public String getTeacher() {
+		return teacher_;
+	}
+
+	public String getName() {
+		return name_;
+	}
+
+	public void setName(String name) {
+		this.name_ = name;
+	}
+
+	public List<String> getStudents() {
+		if (this.students_ == null) {
+			this.students_ = new ArrayList<String>();
+		}
+		return this.students_;
+	}
+
+	// Students taken off the roster also stop being members.
+	public void setStudents(List<String> students) {
+		this.students_ = new ArrayList<String>(students);
+		this.getJoined().retainAll(this.students_);
+	}
+
+	public List<String> getJoined() {
+		if (this.joined_ == null) {
+			this.joined_ = new ArrayList<String>();
+		}
+		return this.joined_;
+	}
+
+	public boolean isInvited(String student) {
+		return this.getStudents().contains(student);
+	}
+
+	public boolean hasJoined(String student) {
+		return this.getJoined().contains(student);
+	}
+
+	public void join(String student) {
+		if (this.isInvited(student) && !this.hasJoined(student)) {
+			this.getJoined().add(student);
+		}
+	}
+
+	public void leave(String student) {
+		this.getJoined().remove(student);
+	}
+
+	public List<Long> getHandouts() {
+		if (this.handouts_ == null) {
+			this.handouts_ = new ArrayList<Long>();
+		}
+		return this.handouts_;
+	}
+
+	public void addHandout(Long pid) {
+		if (!this.getHandouts().contains(pid)) {
+			this.getHandouts().add(pid);
+		}
+	}
+
+
+	@SuppressWarnings("unchecked")
+	public JSONObject toJSON() {
+		JSONObject json = new JSONObject();
+		JSONArray students = new JSONArray();
+		JSONArray joined = new JSONArray();
+		JSONArray handouts = new JSONArray();
+		students.addAll(this.getStudents());
+		joined.addAll(this.getJoined());
+		handouts.addAll(this.getHandouts());
+		json.put("id", id);
+		json.put("name", name_);
+		json.put("teacher", teacher_);
+		json.put("students", students);
+		json.put("joined", joined);
+		json.put("handouts", handouts);
+		return json;
+	}
+
+
+	/**
+	 * What one of the invited students sees: not the rest of the roster,
+	 * just whether they have joined, and the titles of the handouts.
+	 */
+	@SuppressWarnings("unchecked")
+	public JSONObject toStudentJSON(String student, PersistenceManager pm) {
+		JSONObject json = new JSONObject();
+		JSONArray handouts = new JSONArray();
+		for (Long pid : this.getHandouts()) {
+			try {
+				Program prog = pm.getObjectById(Program.class, pid);
+				if (prog.getIsDeleted()) { continue; }
+				JSONObject handout = new JSONObject();
+				handout.put("pid", pid);
+				handout.put("title", prog.getTitle());
+				handouts.add(handout);
+			} catch (JDOObjectNotFoundException e) {
+				continue;
+			}
+		}
+		json.put("id", id);
+		json.put("name", name_);
+		json.put("teacher", teacher_);
+		json.put("joined", this.hasJoined(student));
+		json.put("handouts", handouts);
+		return json;
+	}
+}
@@ -1,11 +1,17 @@
 package org.wescheme.util;
 
+import java.util.HashMap;
 import java.util.List;
+import java.util.Map;
 
 import javax.jdo.PersistenceManager;
 import javax.jdo.Query;
 	
+import org.wescheme.project.Assignment;
+import org.wescheme.project.HandIn;
 import org.wescheme.project.Program;
+import org.wescheme.project.Revision;
+import org.wescheme.user.Classroom;
 	
 /**
  * Centralizes all of the queries we're doing on the database.
@@ -51,6 +57,197 @@ public class Queries {
 
 	
 	
+	/**
+	 * Returns the most recent saved revisions of a program, newest first.
+	 * @param pm
+	 * @param programId
+	 * @param limit the most revisions to return
+	 * @return
+	 */
+	@SuppressWarnings("unchecked")
+	public static List<Revision> getRevisions(PersistenceManager pm, Long programId, long limit) {
+		Query query = pm.newQuery(Revision.class);
+		query.setFilter("programId_ == id");
+		query.setOrdering("time_ desc");
+		query.declareParameters("Long id");
+		query.setRange(0, limit);
+		try {
+			List<Revision> revisions = (List<Revision>) query.execute(programId);
+			return revisions;
+		} finally {
+			query.closeAll();
+		}
+	}
+
+
+	/**
+	 * Returns the assignment whose starter is the given program, or null if
+	 * there isn't one.
+	 * @param pm
+	 * @param starterId
+	 * @return
+	 */
+	@SuppressWarnings("unchecked")
+	public static Assignment getAssignmentForStarter(PersistenceManager pm, Long starterId) {
+		Query query = pm.newQuery(Assignment.class);
+		query.setFilter("starterId_ == id");
+		query.declareParameters("Long id");
+		query.setRange(0, 1);
+		try {
+			List<Assignment> assignments = (List<Assignment>) query.execute(starterId);
+			return assignments.isEmpty() ? null : assignments.get(0);
+		} finally {
+			query.closeAll();
+		}
+	}
+
+
+	/**
+	 * Returns the most recent hand-ins of a program, newest first.
+	 * @param pm
+	 * @param programId
+	 * @param limit the most hand-ins to return
+	 * @return
+	 */
+	@SuppressWarnings("unchecked")
+	public static List<HandIn> getHandIns(PersistenceManager pm, Long programId, long limit) {
+		Query query = pm.newQuery(HandIn.class);
+		query.setFilter("programId_ == id");
+		query.setOrdering("time_ desc");
+		query.declareParameters("Long id");
+		query.setRange(0, limit);
+		try {
+			List<HandIn> handIns = (List<HandIn>) query.execute(programId);
+			return handIns;
+		} finally {
+			query.closeAll();
+		}
+	}
+
+
+	/**
+	 * Returns the last hand-in of a program, or null if it was never handed in.
+	 * @param pm
+	 * @param programId
+	 * @return
+	 */
+	public static HandIn getLatestHandIn(PersistenceManager pm, Long programId) {
+		List<HandIn> handIns = getHandIns(pm, programId, 1);
+		return handIns.isEmpty() ? null : handIns.get(0);
+	}
+
+
+	/**
+	 * Returns the last hand-in of each of a student's programs that has been
+	 * handed in, by program id, all in one query.
+	 * @param pm
+	 * @param student
+	 * @return
+	 */
+	@SuppressWarnings("unchecked")
+	public static Map<Long, HandIn> getLatestHandIns(PersistenceManager pm, String student) {
+		Query query = pm.newQuery(HandIn.class);
+		query.setFilter("student_ == studentParam");
+		query.setOrdering("time_ desc");
+		query.declareParameters("String studentParam");
+		try {
+			Map<Long, HandIn> latest = new HashMap<Long, HandIn>();
+			for (HandIn handIn : (List<HandIn>) query.execute(student)) {
+				if (!latest.containsKey(handIn.getProgramId())) {
+					latest.put(handIn.getProgramId(), handIn);
+				}
+			}
+			return latest;
+		} finally {
+			query.closeAll();
+		}
+	}
+
+
+	/**
+	 * Returns the classrooms that the given user teaches.
+	 * @param pm
+	 * @param teacher
+	 * @return
+	 */
+	@SuppressWarnings("unchecked")
+	public static List<Classroom> getClassrooms(PersistenceManager pm, String teacher) {
+		Query query = pm.newQuery(Classroom.class);
+		query.setFilter("teacher_ == teacherParam");
+		query.declareParameters("String teacherParam");
+		try {
+			List<Classroom> classrooms = (List<Classroom>) query.execute(teacher);
+			return classrooms;
+		} finally {
+			query.closeAll();
+		}
+	}
+
+
+	/**
+	 * Returns the classrooms the student has been invited to, joined or not.
+	 * @param pm
+	 * @param student
+	 * @return
+	 */
+	@SuppressWarnings("unchecked")
+	public static List<Classroom> getInvitations(PersistenceManager pm, String student) {
+		Query query = pm.newQuery(Classroom.class);
+		query.setFilter("students_ == studentParam");
+		query.declareParameters("String studentParam");
+		try {
+			List<Classroom> classrooms = (List<Classroom>) query.execute(student);
+			return classrooms;
+		} finally {
+			query.closeAll();
+		}
+	}
+
+
+	/**
+	 * Returns true if the student has joined one of the teacher's classrooms.
+	 * Being on the roster isn't enough: anyone can put anyone on a roster.
+	 * @param pm
+	 * @param teacher
+	 * @param student
+	 * @return
+	 */
+	@SuppressWarnings("unchecked")
+	public static boolean isTeacherOf(PersistenceManager pm, String teacher, String student) {
+		Query query = pm.newQuery(Classroom.class);
+		query.setFilter("teacher_ == teacherParam && joined_ == studentParam");
+		query.declareParameters("String teacherParam, String studentParam");
+		query.setRange(0, 1);
+		try {
+			List<Classroom> classrooms = (List<Classroom>) query.execute(teacher, student);
+			return ! classrooms.isEmpty();
+		} finally {
+			query.closeAll();
+		}
+	}
+
+
+	/**
+	 * Deletes all but the newest revisions of a program.
+	 * @param pm
+	 * @param programId
+	 * @param keep how many of the newest revisions to leave alone
+	 */
+	@SuppressWarnings("unchecked")
+	public static void deleteOldRevisions(PersistenceManager pm, Long programId, long keep) {
+		Query query = pm.newQuery(Revision.class);
+		query.setFilter("programId_ == id");
+		query.setOrdering("time_ desc");
+		query.declareParameters("Long id");
+		query.setRange(keep, Long.MAX_VALUE);
+		try {
+			pm.deletePersistentAll((List<Revision>) query.execute(programId));
+		} finally {
+			query.closeAll();
+		}
+	}
+
+
 	@SuppressWarnings("unchecked")
 	/**
 	 * Returns the unique program with the given public id.  If no such unique program exists, returns null.
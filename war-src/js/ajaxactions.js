@@ -42,13 +42,41 @@ goog.require('plt.wescheme.Program');
     };
 
 
-    // listProjects: (jquery -> void) -> void
-    plt.wescheme.AjaxActions.prototype.listProjects = function(onSuccess, onFailure) {
+    // listRevisions: number ((arrayof revision) -> void) (string -> void) -> void
+    // Fetches the saved revisions of a program, newest first.  A
+    // revision is { id: number, title: string, modified: number, code: string }.
+    plt.wescheme.AjaxActions.prototype.listRevisions = function(pid, onSuccess, onFailure) {
+        var data = { pid: pid };
+        // to prevent caching:
+        data.gensym = Math.random();
+	jQuery.ajax({cache : false,
+		     data : data,
+		     dataType: "json",
+		     type: "GET",
+		     url: "/listRevisions",
+		     success: function(json) {
+			 onSuccess(json);
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+    // listProjects: (jquery -> void) (string -> void) [string] -> void
+    // Lists the user's programs, or if a student is given, the programs
+    // of that student (which only their teacher may do).
+    plt.wescheme.AjaxActions.prototype.listProjects = function(onSuccess, onFailure, student) {
 	var callback = function(data) {
 	    var dom = jQuery(data);
 	    onSuccess(dom);
 	};
         var data = {};
+        if (student) {
+            data.student = student;
+        }
         // to prevent caching:
         data.gensym = Math.random();
 	jQuery.ajax({cache: false,
@@ -66,6 +94,27 @@ goog.require('plt.wescheme.Program');
 
 
 
+    // compileSource: string string (-> void) (string -> void) -> void
+    // Has the server compile source code without saving anything, to
+    // check whether it compiles.  onFailure gets the compiler's message.
+    plt.wescheme.AjaxActions.prototype.compileSource = function(name, source, onSuccess, onFailure) {
+	jQuery.ajax({cache : false,
+		     data : { name: name, program: source },
+		     dataType: "text",
+		     type: "POST",
+		     url: "/compile",
+		     success: function(data) {
+			 onSuccess();
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.responseText || xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+
     // runTheCompiler: number (-> void) (-> void) -> void
     // Drives the compiler.
     plt.wescheme.AjaxActions.prototype.runTheCompiler = function(pid, onSuccess, onFailure) {
@@ -109,6 +158,209 @@ goog.require('plt.wescheme.Program');
 
 
 
+    // listClassrooms: ((arrayof classroom) -> void) (string -> void) [boolean] -> void
+    // Fetches the classrooms we teach.  A classroom is
+    // { id: number, name: string, teacher: string, students: (arrayof string),
+    //   joined: (arrayof string), handouts: (arrayof number) }, where joined
+    // are the students who have joined.  If invitations is true, fetches
+    // the classrooms we've been invited to instead, each as
+    // { id: number, name: string, teacher: string, joined: boolean,
+    //   handouts: (arrayof { pid: number, title: string }) }.
+    plt.wescheme.AjaxActions.prototype.listClassrooms = function(onSuccess, onFailure, invitations) {
+        var data = {};
+        if (invitations) {
+            data.invitations = true;
+        }
+        // to prevent caching:
+        data.gensym = Math.random();
+	jQuery.ajax({cache : false,
+		     data : data,
+		     dataType: "json",
+		     type: "GET",
+		     url: "/listClassrooms",
+		     success: function(json) {
+			 onSuccess(json);
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+    // saveClassroom: { id: (U number undefined), name: (U string undefined),
+    //                  students: (U (arrayof string) undefined),
+    //                  handout: (U number undefined) }
+    //                (number -> void) (string -> void) -> void
+    // Creates a classroom, or updates the one with the given id.  A
+    // handout is the pid of a shared program of ours to add to the
+    // classroom's handouts.
+    plt.wescheme.AjaxActions.prototype.saveClassroom = function(attrs, onSuccess, onFailure) {
+        var data = {};
+        if (attrs.name !== undefined) {
+            data.name = attrs.name;
+        }
+        if (attrs.students !== undefined) {
+            data.students = attrs.students.join("\n");
+        }
+        if (attrs.handout !== undefined) {
+            data.handout = attrs.handout;
+        }
+        if (attrs.id) {
+            data.id = attrs.id;
+        }
+	jQuery.ajax({cache : false,
+		     data : data,
+		     dataType: "text",
+		     type: "POST",
+		     url: "/saveClassroom",
+		     success: function(data) {
+			 onSuccess(parseInt(data));
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+    // joinClassroom: number boolean (-> void) (string -> void) -> void
+    // Joins a classroom we've been invited to, letting its teacher see our
+    // programs, or leaves it if isJoining is false.
+    plt.wescheme.AjaxActions.prototype.joinClassroom = function(id, isJoining, onSuccess, onFailure) {
+        var data = { id: id };
+        if (! isJoining) {
+            data.leave = true;
+        }
+	jQuery.ajax({cache : false,
+		     data : data,
+		     dataType: "text",
+		     type: "POST",
+		     url: "/joinClassroom",
+		     success: function(data) {
+			 onSuccess();
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+    // saveAssignment: { id: (U number undefined), starter: (U number undefined),
+    //                   title: string, tests: string }
+    //                 (number -> void) (string -> void) -> void
+    // Publishes one of our programs as the starter of an assignment with
+    // the given hidden tests, or updates the assignment with the given id.
+    plt.wescheme.AjaxActions.prototype.saveAssignment = function(attrs, onSuccess, onFailure) {
+        var data = { title: attrs.title,
+                     tests: attrs.tests };
+        if (attrs.id) {
+            data.id = attrs.id;
+        } else {
+            data.starter = attrs.starter;
+        }
+	jQuery.ajax({cache : false,
+		     data : data,
+		     dataType: "text",
+		     type: "POST",
+		     url: "/saveAssignment",
+		     success: function(data) {
+			 onSuccess(parseInt(data));
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+    // getAssignment: number boolean ((U assignment null) -> void) (string -> void) -> void
+    // Fetches the assignment the program is a copy of, if any.  An
+    // assignment is { id: number, title: string, teacher: string,
+    // starterId: number, modified: number, handIn: (U handIn null) }.
+    // If withTests is true and the assignment is ours, it also has the
+    // hidden tests, and the handIn its handed-in source as src.  A
+    // handIn is as for handIn below.
+    plt.wescheme.AjaxActions.prototype.getAssignment = function(pid, withTests, onSuccess, onFailure) {
+        var data = { pid: pid };
+        if (withTests) {
+            data.withTests = true;
+        }
+        // to prevent caching:
+        data.gensym = Math.random();
+	jQuery.ajax({cache : false,
+		     data : data,
+		     dataType: "json",
+		     type: "GET",
+		     url: "/getAssignment",
+		     success: function(json) {
+			 onSuccess(json);
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+    // handIn: number number (handIn -> void) (string -> void) -> void
+    // Hands in the saved copy of a program for the assignment, for the
+    // teacher to grade.  A handIn is
+    // { id: number, assignmentId: number, programId: number,
+    //   student: string, time: number, graded: boolean }, plus the
+    // grade plt.wescheme.Grader gave it once graded is true.
+    plt.wescheme.AjaxActions.prototype.handIn = function(pid, assignmentId, onSuccess, onFailure) {
+	jQuery.ajax({cache : false,
+		     data : { pid: pid,
+			      assignment: assignmentId },
+		     dataType: "json",
+		     type: "POST",
+		     url: "/handIn",
+		     success: function(json) {
+			 onSuccess(json);
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+    // gradeHandIn: number grade (handIn -> void) (string -> void) -> void
+    // Records the grade plt.wescheme.Grader gave a hand-in for one of
+    // our assignments.
+    plt.wescheme.AjaxActions.prototype.gradeHandIn = function(handInId, grade, onSuccess, onFailure) {
+        var data = { id: handInId,
+                     passed: grade.passed,
+                     total: grade.total,
+                     results: JSON.stringify(grade.results) };
+        if (grade.error !== undefined) {
+            data.error = grade.error;
+        }
+	jQuery.ajax({cache : false,
+		     data : data,
+		     dataType: "json",
+		     type: "POST",
+		     url: "/gradeHandIn",
+		     success: function(json) {
+			 onSuccess(json);
+		     },
+		     error: function(xhr) {
+			 onFailure(xhr.statusText);
+		     },
+		     xhr: function(settings) { return new XMLHttpRequest(settings); }
+		    });
+    };
+
+
+
     // share: number boolean (-> void) (-> void) -> void
     // Shares a program.
     // Sets the published flag on a program.
@@ -154,13 +406,14 @@ goog.require('plt.wescheme.Program');
     // save: { pid : (U undefined number),
     //         title: string,
     //         code: string,
-    //         notes: string },
+    //         notes: string,
+    //         autosave: (U undefined boolean) },
     //       (number -> void) (-> void) -> void
-    // Does a save.
+    // Does a save.  The server keeps fewer revisions of autosaves.
     plt.wescheme.AjaxActions.prototype.save = function(attrs, onSuccess, onFailure) {
         var i;
 	var data = {};
-        var attrNames = ['title', 'code', 'notes'];
+        var attrNames = ['title', 'code', 'notes', 'autosave'];
 	if (attrs.pid) {
 	    data.pid = attrs.pid;
         }
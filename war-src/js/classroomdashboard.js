@@ -0,0 +1,654 @@
+goog.provide("plt.wescheme.ClassroomDashboard");
+
+goog.require("plt.wescheme.AjaxActions");
+goog.require("plt.wescheme.Grader");
+goog.require("plt.wescheme.ProgramDigest");
+goog.require("plt.wescheme.RoundRobin");
+goog.require("plt.wescheme.WeSchemeProperties");
+goog.require("plt.wescheme.helpers");
+
+
+
+(function() {
+    "use strict";
+    // constructor: jquery [actions] [(-> void)] -> ClassroomDashboard
+    // The classes view of the console.  For a teacher: for each student
+    // who has joined one of our classrooms, their programs, when each
+    // was last modified, whether it compiles, and how it did when last
+    // handed in for an assignment.  Programs open read-only in the
+    // editor, and the hand-ins nobody has graded yet can be graded all
+    // at once.  For a student: the classes we've been invited to, which
+    // we can join or leave, and copy the handouts of.  onCopied is
+    // called when we've copied a handout into our programs.
+    plt.wescheme.ClassroomDashboard = function(div, actions, onCopied) {
+        this.div = div;
+        this.actions = actions || new plt.wescheme.AjaxActions();
+        this.onCopied = onCopied || function() {};
+        // classrooms: (arrayof classroom)
+        this.classrooms = [];
+        // invitations: (arrayof invitation), as listClassrooms gives them
+        this.invitations = [];
+        this.selected = undefined;
+        // unbuilt: (arrayof { pid: string, title: string, cell: jquery }),
+        // the programs in the table the server hasn't compiled yet.
+        this.unbuilt = [];
+        // ungraded: (arrayof { pid: string, cell: jquery }), the programs
+        // in the table with a hand-in we haven't graded yet.
+        this.ungraded = [];
+    };
+
+
+    // load: [number] -> void
+    // Fetches our classrooms and our invitations, and shows the classroom
+    // with the given id, or the first.
+    plt.wescheme.ClassroomDashboard.prototype.load = function(selectedId) {
+        var that = this;
+        this.actions.listClassrooms(
+            function(classrooms) {
+                var i;
+                that.classrooms = classrooms;
+                that.selected = classrooms[0];
+                for (i = 0; i < classrooms.length; i++) {
+                    if (String(classrooms[i].id) === String(selectedId)) {
+                        that.selected = classrooms[i];
+                    }
+                }
+                that.actions.listClassrooms(
+                    function(invitations) {
+                        that.invitations = invitations;
+                        that.render();
+                    },
+                    function() {
+                        alert("Could not load list of classes");
+                    },
+                    true);
+            },
+            function() {
+                alert("Could not load list of classes");
+            });
+    };
+
+
+    plt.wescheme.ClassroomDashboard.prototype.render = function() {
+        var that = this;
+        var toolbar = jQuery("<div class='classroom-toolbar'/>");
+        var select, i;
+        this.div.empty();
+
+        if (this.classrooms.length > 0) {
+            select = jQuery("<select class='classroom-select'/>");
+            for (i = 0; i < this.classrooms.length; i++) {
+                select.append(jQuery("<option/>")
+                              .attr("value", String(this.classrooms[i].id))
+                              .text(this.classrooms[i].name || "(No name)"));
+            }
+            select.val(String(this.selected.id));
+            select.change(function() { that.load(select.val()); });
+            toolbar.append(select);
+        }
+        toolbar.append(makeButton("New class", function() { that.showRosterDialog(undefined); }));
+        if (this.selected) {
+            toolbar.append(makeButton("Edit roster", function() { that.showRosterDialog(that.selected); }));
+            toolbar.append(makeButton("Hand out a program", function() { that.showHandOutDialog(); }));
+            toolbar.append(makeButton("Publish an assignment", function() { that.showPublishDialog(); }));
+            toolbar.append(makeButton("Check compiles", function() { that.checkCompiles(); }));
+            toolbar.append(makeButton("Grade hand-ins", function() { that.gradeHandIns(); }));
+        }
+        if (this.invitations.length > 0) {
+            this.div.append(this.makeInvitationList(this.invitations));
+        }
+        this.div.append(toolbar);
+
+        if (this.selected) {
+            this.div.append(this.makeRosterTable(this.selected.students, this.selected.joined));
+        } else {
+            this.div.append(jQuery("<p/>").text(
+                "You don't teach any classes yet.  Make one to see your students' programs."));
+        }
+    };
+
+
+    // makeInvitationList: (arrayof invitation) -> jquery
+    // The classes we've been invited to as a student.  Joining one lets
+    // its teacher see our programs.
+    plt.wescheme.ClassroomDashboard.prototype.makeInvitationList = function(invitations) {
+        var that = this;
+        var list = jQuery("<ul/>");
+        var i;
+        for (i = 0; i < invitations.length; i++) {
+            (function(invitation) {
+                var item = jQuery("<li/>").text(
+                    (invitation.name || "(No name)") + ", taught by " + invitation.teacher + " ");
+                var j;
+                item.append(makeButton(
+                    invitation.joined ? "Leave" : "Join",
+                    function() {
+                        that.actions.joinClassroom(
+                            invitation.id, ! invitation.joined,
+                            function() { that.load(that.selected && that.selected.id); },
+                            function() { alert("Could not change your membership of the class"); });
+                    }));
+                for (j = 0; j < invitation.handouts.length; j++) {
+                    item.append(that.makeHandoutButton(invitation.handouts[j]));
+                }
+                list.append(item);
+            }(invitations[i]));
+        }
+        return jQuery("<div class='classroom-invitations'/>")
+            .append(jQuery("<p/>").text(
+                "You've been invited to these classes.  Their teachers can only see " +
+                    "your programs once you join."))
+            .append(list);
+    };
+
+
+    // makeHandoutButton: { pid: number, title: string } -> jquery
+    plt.wescheme.ClassroomDashboard.prototype.makeHandoutButton = function(handout) {
+        var that = this;
+        var title = handout.title || "(No name)";
+        return makeButton(
+            "Get a copy of " + title,
+            function() {
+                that.actions.makeAClone(
+                    handout.pid, null,
+                    function() {
+                        alert("A copy of " + title + " is now in your programs.");
+                        that.onCopied();
+                    },
+                    function() {
+                        alert("Could not copy " + title);
+                    });
+            });
+    };
+
+
+    // makeRosterTable: (arrayof string) (arrayof string) -> jquery
+    // Only the students who have joined show their programs.
+    plt.wescheme.ClassroomDashboard.prototype.makeRosterTable = function(students, joined) {
+        var that = this;
+        var table = jQuery("<table class='classroom-roster'/>");
+        var i;
+        this.unbuilt = [];
+        this.ungraded = [];
+        table.append(jQuery("<tr/>")
+                     .append(jQuery("<th/>").text("Student"))
+                     .append(jQuery("<th/>").text("Program Title"))
+                     .append(jQuery("<th/>").text("Last Modified (D/M/YYYY)"))
+                     .append(jQuery("<th/>").text("Compiles"))
+                     .append(jQuery("<th/>").text("Handed In")));
+        if (students.length === 0) {
+            table.append(jQuery("<tr/>").append(
+                jQuery("<td colspan='5'/>").text("Nobody is on the roster yet.")));
+        }
+        for (i = 0; i < students.length; i++) {
+            (function(student) {
+                var placeholder;
+                if (jQuery.inArray(student, joined) === -1) {
+                    table.append(jQuery("<tr/>")
+                                 .append(jQuery("<td/>").text(student))
+                                 .append(jQuery("<td colspan='4'/>").text(
+                                     "Hasn't joined the class yet.")));
+                    return;
+                }
+                placeholder = jQuery("<tr/>")
+                    .append(jQuery("<td/>").text(student))
+                    .append(jQuery("<td colspan='4'/>").text("Loading..."));
+                table.append(placeholder);
+                that.actions.listProjects(
+                    function(dom) {
+                        placeholder.replaceWith(that.makeStudentRows(student, dom));
+                    },
+                    function(err) {
+                        placeholder.children().last().text(
+                            "Could not load this student's programs: " + err);
+                    },
+                    student);
+            }(students[i]));
+        }
+        return table;
+    };
+
+
+    // makeStudentRows: string jquery -> jquery
+    plt.wescheme.ClassroomDashboard.prototype.makeStudentRows = function(student, dom) {
+        var that = this;
+        var rows = jQuery("<tbody/>");
+        dom.find("ProgramDigest").each(function() {
+            var digest = new plt.wescheme.ProgramDigest(jQuery(this));
+            var id = digest.getId();
+            var compilesCell, handInCell;
+            var handIn = digest.getHandIn();
+            if (digest.isPublished()) {
+                // Shared copies; the console skips them too.
+                return;
+            }
+            compilesCell = jQuery("<td class='classroom-compiles'/>");
+            if (digest.isBuilt()) {
+                compilesCell.text("Yes");
+            } else {
+                compilesCell.text("Not checked");
+                that.unbuilt.push({ pid: id, title: digest.getTitle(), cell: compilesCell });
+            }
+            handInCell = jQuery("<td class='classroom-hand-in'/>");
+            if (handIn) {
+                handInCell.text(handIn.graded ? handIn.passed + "/" + handIn.total : "Not graded")
+                    .attr("title", plt.wescheme.helpers.prettyPrintDate(handIn.time));
+                if (! handIn.graded) {
+                    that.ungraded.push({ pid: id, cell: handInCell });
+                }
+            }
+            rows.append(jQuery("<tr/>")
+                        .append(jQuery("<td/>").text(rows.children().length === 0 ? student : ""))
+                        .append(jQuery("<td/>").append(
+                            jQuery("<a/>")
+                                .attr("href", "/openEditor?pid=" + encodeURIComponent(id))
+                                .attr("target", "_editor" + id)
+                                .text(digest.getTitle() || "(No name)")))
+                        .append(jQuery("<td/>").text(
+                            plt.wescheme.helpers.prettyPrintDate(digest.getModified())))
+                        .append(compilesCell)
+                        .append(handInCell));
+        });
+        if (rows.children().length === 0) {
+            rows.append(jQuery("<tr/>")
+                        .append(jQuery("<td/>").text(student))
+                        .append(jQuery("<td colspan='4'/>").text("(No programs)")));
+        }
+        return rows.children();
+    };
+
+
+    // checkCompiles: -> void
+    // Checks, one at a time, whether each program in the table that the
+    // server hasn't compiled since it last changed compiles.
+    plt.wescheme.ClassroomDashboard.prototype.checkCompiles = function() {
+        var that = this;
+        var toCheck = this.unbuilt;
+        var i = 0;
+        var loop = function() {
+            var next;
+            if (i >= toCheck.length) { return; }
+            next = toCheck[i++];
+            next.cell.text("Checking...");
+            plt.wescheme.ClassroomDashboard.checkCompiles(
+                that.actions, next.pid, next.title,
+                function(err) {
+                    if (err === undefined) {
+                        next.cell.text("Yes");
+                    } else {
+                        next.cell.text("No").attr("title", err);
+                    }
+                    loop();
+                });
+        };
+        this.unbuilt = [];
+        loop();
+    };
+
+
+    // checkCompiles: actions string string ((U string undefined) -> void) -> void
+    // Compiles the saved source of a student's program without building
+    // the program itself, which isn't ours to change.  onDone gets why it
+    // doesn't compile, or undefined if it does.
+    plt.wescheme.ClassroomDashboard.checkCompiles = function(actions, pid, title, onDone) {
+        actions.loadProject(
+            pid, undefined,
+            function(program) {
+                actions.compileSource(
+                    title || "program", program.getSourceCode(),
+                    function() { onDone(undefined); },
+                    function(err) { onDone(err || ""); });
+            },
+            function(err) { onDone(err || ""); });
+    };
+
+
+    // gradeHandIns: -> void
+    // Grades, one at a time, each hand-in in the table that hasn't been
+    // graded yet.  The ones that fail to be graded can be tried again.
+    plt.wescheme.ClassroomDashboard.prototype.gradeHandIns = function() {
+        var that = this;
+        var toGrade = this.ungraded;
+        var grader;
+        var i = 0;
+        var loop = function() {
+            var next;
+            if (i >= toGrade.length) { return; }
+            next = toGrade[i++];
+            next.cell.text("Grading...");
+            plt.wescheme.ClassroomDashboard.gradeHandIn(
+                that.actions, grader, next.pid,
+                function(err, handIn) {
+                    if (err === undefined) {
+                        next.cell.text(handIn.passed + "/" + handIn.total);
+                    } else {
+                        next.cell.text("Not graded").attr("title", err);
+                        that.ungraded.push(next);
+                    }
+                    loop();
+                });
+        };
+        if (toGrade.length === 0) { return; }
+        this.ungraded = [];
+        loadGrader(
+            function(aGrader) {
+                grader = aGrader;
+                loop();
+            },
+            function() {
+                that.ungraded = toGrade.concat(that.ungraded);
+                alert("Could not start grading.  Please try again later.");
+            });
+    };
+
+
+    // gradeHandIn: actions Grader string ((U string undefined) (U handIn undefined) -> void) -> void
+    // Grades the last hand-in of a student's program against the hidden
+    // tests of its assignment, and records the grade.  onDone gets why
+    // that failed, or else the graded hand-in.
+    plt.wescheme.ClassroomDashboard.gradeHandIn = function(actions, grader, pid, onDone) {
+        var onFailure = function(err) {
+            onDone(err || "", undefined);
+        };
+        actions.getAssignment(
+            pid, true,
+            function(assignment) {
+                if (! assignment || ! assignment.handIn || assignment.tests === undefined) {
+                    onFailure("There's no hand-in of one of our assignments to grade.");
+                    return;
+                }
+                grader.grade(
+                    assignment.handIn.src, assignment.tests,
+                    function(grade) {
+                        actions.gradeHandIn(
+                            assignment.handIn.id, grade,
+                            function(handIn) { onDone(undefined, handIn); },
+                            onFailure);
+                    });
+            },
+            onFailure);
+    };
+
+
+    // loadGrader: (Grader -> void) (-> void) -> void
+    // The console doesn't come with the runtime, which only grading
+    // needs, so we load it the first time we grade, and find the
+    // compilation servers.
+    var loadGrader = function(onLoaded, onFailure) {
+        var makeGrader = function() {
+            plt.wescheme.RoundRobin.initialize(
+                plt.wescheme.WeSchemeProperties.compilation_servers.split(/\s+/),
+                function() {
+                    onLoaded(new plt.wescheme.Grader(plt.wescheme.Grader.makeSiteSandbox()));
+                },
+                onFailure);
+        };
+        if (typeof(Evaluator) !== 'undefined') {
+            makeGrader();
+            return;
+        }
+        loadScript("/js/mzscheme-vm/support-min.js",
+                   function() {
+                       loadScript("/js/mzscheme-vm/evaluator-min.js", makeGrader, onFailure);
+                   },
+                   onFailure);
+    };
+
+
+    // showRosterDialog: (U classroom undefined) -> void
+    // Lets us name a classroom and list its students' user names, one
+    // per line.
+    plt.wescheme.ClassroomDashboard.prototype.showRosterDialog = function(classroom) {
+        var that = this;
+        var dialogWindow = jQuery("<div/>");
+        var nameInput = jQuery("<input type='text' class='classroom-name'/>")
+            .val(classroom ? classroom.name : "");
+        var rosterArea = jQuery("<textarea class='classroom-students'/>")
+            .val(classroom ? classroom.students.join("\n") : "");
+
+        var save = function() {
+            that.actions.saveClassroom(
+                { id: classroom ? classroom.id : undefined,
+                  name: plt.wescheme.helpers.trimWhitespace(nameInput.val()),
+                  students: plt.wescheme.ClassroomDashboard.parseRoster(rosterArea.val()) },
+                function(id) {
+                    dialogWindow.dialog("close");
+                    that.load(id);
+                },
+                function() {
+                    alert("Could not save the class");
+                });
+        };
+
+        dialogWindow.append(jQuery("<p/>").text("Class name:").append(nameInput));
+        dialogWindow.append(jQuery("<p/>").text(
+            "The user names of the students, one per line.  You'll see their " +
+                "programs once they join the class from their own console:"));
+        dialogWindow.append(rosterArea);
+        dialogWindow.dialog({title: classroom ? 'Edit roster' : 'New class',
+                             bgiframe : true,
+                             modal : true,
+                             overlay : { opacity: 0.5,
+                                         background: 'black'},
+                             buttons : { "Save" : save,
+                                         "Cancel" : function() { dialogWindow.dialog("close"); } },
+                             width : 400,
+                             height : 450
+                            });
+        dialogWindow.dialog("open");
+    };
+
+
+    // showHandOutDialog: -> void
+    // Lets us choose one of our own programs, and hands out a shared
+    // copy of it to the classroom for the students to copy.
+    plt.wescheme.ClassroomDashboard.prototype.showHandOutDialog = function() {
+        var that = this;
+        var classroom = this.selected;
+        var dialogWindow = jQuery("<div/>");
+        var select = jQuery("<select/>");
+        var progress = jQuery("<p class='classroom-progress'/>");
+
+        var handOut = function() {
+            var pid = select.val();
+            if (! pid) { return; }
+            dialogWindow.dialog("option", "buttons", {});
+            progress.text("Handing out...");
+            plt.wescheme.ClassroomDashboard.handOut(
+                that.actions, pid, classroom.id,
+                function(err) {
+                    dialogWindow.dialog("close");
+                    if (err !== undefined) {
+                        alert("Could not hand out the program: " + err);
+                    }
+                    that.load(classroom.id);
+                });
+        };
+
+        this.actions.listProjects(
+            function(dom) {
+                addProgramOptions(select, dom);
+                dialogWindow.append(jQuery("<p/>").text(
+                    "Let every student in " + (classroom.name || "this class") +
+                        " get their own copy of:"));
+                dialogWindow.append(select).append(progress);
+                dialogWindow.dialog({title: 'Hand out a program',
+                                     bgiframe : true,
+                                     modal : true,
+                                     overlay : { opacity: 0.5,
+                                                 background: 'black'},
+                                     buttons : { "Hand out" : handOut,
+                                                 "Cancel" : function() { dialogWindow.dialog("close"); } },
+                                     width : 400,
+                                     height : 250
+                                    });
+                dialogWindow.dialog("open");
+            },
+            function() {
+                alert("Could not load list of projects");
+            });
+    };
+
+
+    // showPublishDialog: -> void
+    // Lets us choose one of our own programs as the starter of an
+    // assignment, and write the tests the students' hand-ins are
+    // graded by.  The starter is handed out to the classroom.
+    plt.wescheme.ClassroomDashboard.prototype.showPublishDialog = function() {
+        var that = this;
+        var classroom = this.selected;
+        var dialogWindow = jQuery("<div/>");
+        var select = jQuery("<select/>");
+        var titleInput = jQuery("<input type='text' class='assignment-title'/>");
+        var testsArea = jQuery("<textarea class='assignment-tests'/>");
+        var progress = jQuery("<p class='classroom-progress'/>");
+
+        var publish = function() {
+            var pid = select.val();
+            if (! pid) { return; }
+            dialogWindow.dialog("option", "buttons", {});
+            progress.text("Publishing...");
+            plt.wescheme.ClassroomDashboard.publishAssignment(
+                that.actions,
+                { pid: pid,
+                  title: plt.wescheme.helpers.trimWhitespace(titleInput.val()) ||
+                      select.children(":selected").text(),
+                  tests: testsArea.val() },
+                classroom.id,
+                function(err) {
+                    dialogWindow.dialog("close");
+                    if (err !== undefined) {
+                        alert("Could not publish the assignment: " + err);
+                    }
+                    that.load(classroom.id);
+                });
+        };
+
+        this.actions.listProjects(
+            function(dom) {
+                addProgramOptions(select, dom);
+                dialogWindow.append(jQuery("<p/>").text("Starter program:").append(select));
+                dialogWindow.append(jQuery("<p/>").text("Title:").append(titleInput));
+                dialogWindow.append(jQuery("<p/>").text(
+                    "Hidden tests, such as check-expects, run against each student's " +
+                        "definitions when you grade their hand-ins:"));
+                dialogWindow.append(testsArea).append(progress);
+                dialogWindow.dialog({title: 'Publish an assignment',
+                                     bgiframe : true,
+                                     modal : true,
+                                     overlay : { opacity: 0.5,
+                                                 background: 'black'},
+                                     buttons : { "Publish" : publish,
+                                                 "Cancel" : function() { dialogWindow.dialog("close"); } },
+                                     width : 500,
+                                     height : 500
+                                    });
+                dialogWindow.dialog("open");
+            },
+            function() {
+                alert("Could not load list of projects");
+            });
+    };
+
+
+    // publishAssignment: actions { pid: string, title: string, tests: string }
+    //                    number ((U string undefined) -> void) -> void
+    // Shares a copy of the program, so the starter stays as it is when
+    // we go on editing ours, makes that copy the starter of an
+    // assignment with the given tests, and hands it out to the
+    // classroom.  onDone gets an error if any of that failed.
+    plt.wescheme.ClassroomDashboard.publishAssignment = function(actions, attrs, classroomId, onDone) {
+        var onFailure = function(err) {
+            onDone(err || "");
+        };
+        shareACopy(
+            actions, attrs.pid,
+            function(starterPid) {
+                actions.saveAssignment(
+                    { starter: starterPid,
+                      title: attrs.title,
+                      tests: attrs.tests },
+                    function() {
+                        actions.saveClassroom(
+                            { id: classroomId, handout: starterPid },
+                            function() { onDone(undefined); },
+                            onFailure);
+                    },
+                    onFailure);
+            },
+            onFailure);
+    };
+
+
+    // handOut: actions string number ((U string undefined) -> void) -> void
+    // Shares a copy of the program and adds it to the classroom's
+    // handouts, which the students copy into their own accounts.
+    // onDone gets an error if any of that failed.
+    plt.wescheme.ClassroomDashboard.handOut = function(actions, pid, classroomId, onDone) {
+        var onFailure = function(err) {
+            onDone(err || "");
+        };
+        shareACopy(
+            actions, pid,
+            function(sharedPid) {
+                actions.saveClassroom(
+                    { id: classroomId, handout: sharedPid },
+                    function() { onDone(undefined); },
+                    onFailure);
+            },
+            onFailure);
+    };
+
+
+    // shareACopy: actions string (number -> void) (string -> void) -> void
+    var shareACopy = function(actions, pid, onSuccess, onFailure) {
+        actions.makeAClone(
+            pid, null,
+            function(newPid) {
+                actions.share(
+                    newPid, false,
+                    function() { onSuccess(newPid); },
+                    onFailure);
+            },
+            onFailure);
+    };
+
+
+    // parseRoster: string -> (arrayof string)
+    // The user names in a roster typed one per line, without blanks or
+    // repeats.
+    plt.wescheme.ClassroomDashboard.parseRoster = function(text) {
+        var lines = text.split(/\r?\n/);
+        var students = [];
+        var seen = {};
+        var i, student;
+        for (i = 0; i < lines.length; i++) {
+            student = lines[i].replace(/^\s+|\s+$/g, "");
+            if (student !== "" && ! Object.prototype.hasOwnProperty.call(seen, student)) {
+                seen[student] = true;
+                students.push(student);
+            }
+        }
+        return students;
+    };
+
+
+    // addProgramOptions: jquery jquery -> void
+    // Adds an option to the select for each of the programs listed,
+    // leaving out the shared copies.
+    var addProgramOptions = function(select, dom) {
+        dom.find("ProgramDigest").each(function() {
+            var digest = new plt.wescheme.ProgramDigest(jQuery(this));
+            if (! digest.isPublished()) {
+                select.append(jQuery("<option/>")
+                              .attr("value", digest.getId())
+                              .text(digest.getTitle() || "(No name)"));
+            }
+        });
+    };
+
+
+    var makeButton = function(label, onClick) {
+        return jQuery("<input type='button'/>").val(label).click(onClick);
+    };
+})();
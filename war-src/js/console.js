@@ -6,6 +6,8 @@ goog.require('plt.wescheme.AjaxActions');
 goog.require('plt.wescheme.SharingDialog');
 goog.require('plt.wescheme.DeleteDialog');
 goog.require("plt.wescheme.ProgramDigest");
+goog.require("plt.wescheme.ClassroomDashboard");
+goog.require("plt.wescheme.RoundRobin");
 goog.require("plt.wescheme.helpers");
 goog.require("plt.wescheme.browserCheck");
 
@@ -133,12 +135,34 @@ jQuery(document).ready(function() {
     plt.wescheme.browserCheck();
     loadProgramList(function() {});
 
+    // The classroom dashboard is only loaded once a teacher asks for it.
+    var dashboard;
+    $('#toggleClasses').click(function() {
+        if ($('#classroomDashboard').is(':visible')) {
+            $('#classroomDashboard').hide();
+            $('#programList').show();
+            $('#toggleClasses').text("My classes");
+        } else {
+            if (! dashboard) {
+                dashboard = new plt.wescheme.ClassroomDashboard(
+                    $('#classroomDashboard'), undefined,
+                    function() { loadProgramList(function() {}); });
+                dashboard.load();
+            }
+            $('#programList').hide();
+            $('#classroomDashboard').show();
+            $('#toggleClasses').text("My programs");
+        }
+    });
+
     $('#logoutForm').bind(
         "submit",
         function(e) {
             if(!(confirm("You will be logged out of WeScheme and other Google services."))) {
                 e.stopPropagation();
                 e.preventDefault();
+            } else {
+                plt.wescheme.RoundRobin.forgetStoredCompilations();
             }
         });
 });
\ No newline at end of file
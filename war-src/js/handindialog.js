@@ -0,0 +1,88 @@
+goog.provide("plt.wescheme.HandInDialog");
+
+
+
+(function() {
+    "use strict";
+    // constructor: assignment boolean boolean -> HandInDialog
+    // Shows how a program did the last time it was handed in for its
+    // assignment (see AjaxActions.getAssignment), test by test, and
+    // lets its owner hand it in again, or its teacher grade it.
+    plt.wescheme.HandInDialog = function(assignment, canHandIn, canGrade) {
+        this.assignment = assignment;
+        this.canHandIn = canHandIn;
+        this.canGrade = canGrade;
+    };
+
+
+    // show: (-> void) (-> void) -> void
+    // Calls onHandIn if the user chooses to hand the program in, or
+    // onGrade if they choose to grade the hand-in.
+    plt.wescheme.HandInDialog.prototype.show = function(onHandIn, onGrade) {
+        var dialogWindow = jQuery("<div class='hand-in-dialog'/>");
+        var handIn = this.assignment.handIn;
+        var buttons = {};
+        var list, i, result;
+
+        dialogWindow.append(jQuery("<p/>").text(
+            "Assignment: " + (this.assignment.title || "(No name)")));
+
+        if (handIn) {
+            dialogWindow.append(jQuery("<p class='hand-in-summary'/>").text(
+                "Handed in " + new Date(handIn.time).toLocaleString() + ": " +
+                    plt.wescheme.HandInDialog.summarize(handIn)));
+            if (handIn.error !== undefined) {
+                dialogWindow.append(jQuery("<p class='hand-in-error'/>").text(handIn.error));
+            }
+            list = jQuery("<ol class='hand-in-results'/>");
+            for (i = 0; handIn.graded && i < handIn.results.length; i++) {
+                result = handIn.results[i];
+                list.append(jQuery("<li/>")
+                            .addClass(result.passed ? "hand-in-passed" : "hand-in-failed")
+                            .text(result.passed ? result.name + ": passed." : result.message));
+            }
+            dialogWindow.append(list);
+        } else {
+            dialogWindow.append(jQuery("<p/>").text("This program hasn't been handed in yet."));
+        }
+
+        if (this.canHandIn) {
+            dialogWindow.append(jQuery("<p/>").text(
+                "Handing in saves the program for your teacher to run their tests on."));
+            buttons["Hand in"] = function() {
+                dialogWindow.dialog("close");
+                onHandIn();
+            };
+        }
+        if (this.canGrade) {
+            dialogWindow.append(jQuery("<p/>").text(
+                "Grading runs the assignment's tests on the handed-in program."));
+            buttons["Grade"] = function() {
+                dialogWindow.dialog("close");
+                onGrade();
+            };
+        }
+        buttons["Close"] = function() { dialogWindow.dialog("close"); };
+
+        dialogWindow.dialog({title: 'Hand in',
+                             bgiframe : true,
+                             modal : true,
+                             overlay : { opacity: 0.5,
+                                         background: 'black'},
+                             buttons : buttons,
+                             width : 500,
+                             height : 400
+                            });
+        dialogWindow.dialog("open");
+    };
+
+
+    // summarize: handIn -> string
+    plt.wescheme.HandInDialog.summarize = function(handIn) {
+        if (! handIn.graded) {
+            return "not graded yet.";
+        }
+        return (handIn.passed + " of " + handIn.total +
+                (handIn.total === 1 ? " test passed." : " tests passed."));
+    };
+})();
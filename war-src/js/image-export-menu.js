@@ -0,0 +1,110 @@
+/*global goog,jQuery,world*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.imageExportMenu");
+
+// Right-clicking on an image drawn by a program (anything whose canvas
+// came from the image's toDomNode) brings up a menu to save that image
+// as a PNG, at its own size or twice it, or as an SVG.
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    var isInstalled = false;
+    var menu;
+
+
+    // imageExportMenu: -> void
+    // Installs the menu across the whole page.  Calling it more than
+    // once does nothing more.
+    var imageExportMenu = function() {
+        if (isInstalled) { return; }
+        isInstalled = true;
+
+        jQuery(document).bind("contextmenu", function(e) {
+            var target = e.target;
+            if (target && target.schemeImage) {
+                showMenu(target.schemeImage, e.pageX, e.pageY);
+                return false;
+            }
+            hideMenu();
+        });
+        jQuery(document).bind("click", function() { hideMenu(); });
+    };
+
+
+    var showMenu = function(img, x, y) {
+        var addItem = function(label, onChoose) {
+            menu.append(jQuery("<li/>")
+                        .text(label)
+                        .click(function() {
+                            hideMenu();
+                            onChoose();
+                            return false;
+                        }));
+        };
+
+        hideMenu();
+        menu = jQuery("<ul class='image-export-menu'/>");
+        addItem("Save image as PNG", function() {
+            saveAs("image.png", function() {
+                return world.Kernel.imageToDataUrl(img, 1);
+            });
+        });
+        addItem("Save image as PNG (2x)", function() {
+            saveAs("image@2x.png", function() {
+                return world.Kernel.imageToDataUrl(img, 2);
+            });
+        });
+        addItem("Save image as SVG", function() {
+            saveAs("image.svg", function() {
+                return ("data:image/svg+xml;charset=utf-8," +
+                        encodeURIComponent(world.Kernel.imageToSvg(img)));
+            });
+        });
+        menu.css({ left: x + "px", top: y + "px" });
+        jQuery(document.body).append(menu);
+    };
+
+
+    var hideMenu = function() {
+        if (menu) {
+            menu.remove();
+            menu = undefined;
+        }
+    };
+
+
+    // saveAs: string (-> string) -> void
+    // Downloads the url that makeUrl produces under the given file name.
+    var saveAs = function(fileName, makeUrl) {
+        var url, link;
+        try {
+            url = makeUrl();
+        } catch (e) {
+            // The canvas refuses to give up its pixels if it has drawn
+            // an image from another site.
+            alert("Unable to save this image: " + (e.message || e));
+            return;
+        }
+        link = document.createElement("a");
+        if (link.download === undefined) {
+            window.open(url);
+            return;
+        }
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.imageExportMenu = imageExportMenu;
+}());
@@ -0,0 +1,249 @@
+goog.provide("plt.wescheme.LineDiff");
+
+
+
+(function() {
+    "use strict";
+
+    // Past this many cells in the comparison table, we stop looking
+    // for the smallest diff, and say that every line in the middle
+    // changed.
+    var MAX_TABLE_SIZE = 4000000;
+
+    // Unchanged lines more than this far from a change are elided
+    // when a diff is shown.
+    var CONTEXT_LINES = 3;
+
+
+    plt.wescheme.LineDiff = {};
+
+
+    // A diff is an (arrayof { type: (U 'same' 'added' 'removed'), text: string }),
+    // one entry per line, in order.
+
+
+    // diff: string string -> diff
+    // The lines to remove from oldText and add to it to get newText.
+    plt.wescheme.LineDiff.diff = function(oldText, newText) {
+        var oldLines = splitLines(oldText);
+        var newLines = splitLines(newText);
+        var start = 0;
+        var oldEnd = oldLines.length;
+        var newEnd = newLines.length;
+        var result = [];
+        var i;
+
+        // Most edits touch a few lines in the middle of a program, so
+        // the common beginning and end are taken off before comparing.
+        while (start < oldEnd && start < newEnd && oldLines[start] === newLines[start]) {
+            start++;
+        }
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        for (i = 0; i < start; i++) {
+            result.push({ type: 'same', text: oldLines[i] });
+        }
+        result = result.concat(diffMiddle(oldLines.slice(start, oldEnd),
+                                          newLines.slice(start, newEnd)));
+        for (i = oldEnd; i < oldLines.length; i++) {
+            result.push({ type: 'same', text: oldLines[i] });
+        }
+        return result;
+    };
+
+
+    // hasChanges: diff -> boolean
+    plt.wescheme.LineDiff.hasChanges = function(aDiff) {
+        var i;
+        for (i = 0; i < aDiff.length; i++) {
+            if (aDiff[i].type !== 'same') { return true; }
+        }
+        return false;
+    };
+
+
+    // toDom: diff [number] -> dom
+    // Shows the diff a line at a time, marking added and removed
+    // lines, and eliding unchanged lines that are more than context
+    // lines away from a change.
+    plt.wescheme.LineDiff.toDom = function(aDiff, context) {
+        var pre = jQuery("<pre class='line-diff'/>");
+        var isNearChange = [];
+        var i, j, elided;
+        if (context === undefined) { context = CONTEXT_LINES; }
+
+        for (i = 0; i < aDiff.length; i++) {
+            if (aDiff[i].type !== 'same') {
+                for (j = Math.max(0, i - context); j <= Math.min(aDiff.length - 1, i + context); j++) {
+                    isNearChange[j] = true;
+                }
+            }
+        }
+
+        i = 0;
+        while (i < aDiff.length) {
+            if (isNearChange[i]) {
+                pre.append(jQuery("<div/>")
+                           .addClass("line-diff-" + aDiff[i].type)
+                           .text(MARKERS[aDiff[i].type] + aDiff[i].text));
+                i++;
+            } else {
+                elided = 0;
+                while (i < aDiff.length && ! isNearChange[i]) {
+                    elided++;
+                    i++;
+                }
+                pre.append(jQuery("<div class='line-diff-elided'/>")
+                           .text("... " + elided + " unchanged line" + (elided === 1 ? "" : "s")));
+            }
+        }
+        return pre.get(0);
+    };
+
+
+    // sideBySide: diff -> (arrayof { left: (U line null), right: (U line null) })
+    // Lines up a diff in two columns, the old text on the left and the
+    // new on the right.  Unchanged lines sit on both sides; a run of
+    // removed lines is paired off with the run of added lines after it,
+    // and whichever run is shorter is padded out with nulls.
+    plt.wescheme.LineDiff.sideBySide = function(aDiff) {
+        var rows = [];
+        var i = 0;
+        var removed, added, j;
+        while (i < aDiff.length) {
+            if (aDiff[i].type === 'same') {
+                rows.push({ left: aDiff[i], right: aDiff[i] });
+                i++;
+            } else {
+                removed = [];
+                added = [];
+                while (i < aDiff.length && aDiff[i].type === 'removed') {
+                    removed.push(aDiff[i]);
+                    i++;
+                }
+                while (i < aDiff.length && aDiff[i].type === 'added') {
+                    added.push(aDiff[i]);
+                    i++;
+                }
+                for (j = 0; j < Math.max(removed.length, added.length); j++) {
+                    rows.push({ left: j < removed.length ? removed[j] : null,
+                                right: j < added.length ? added[j] : null });
+                }
+            }
+        }
+        return rows;
+    };
+
+
+    // toSideBySideDom: diff string string [number] -> dom
+    // Shows the diff as a two-column table headed by the given labels,
+    // eliding unchanged lines as toDom does.
+    plt.wescheme.LineDiff.toSideBySideDom = function(aDiff, oldLabel, newLabel, context) {
+        var rows = plt.wescheme.LineDiff.sideBySide(aDiff);
+        var table = jQuery("<table class='line-diff-side-by-side'/>");
+        var isNearChange = [];
+        var i, j, elided;
+        if (context === undefined) { context = CONTEXT_LINES; }
+
+        var makeCell = function(line) {
+            if (line === null) {
+                return jQuery("<td class='line-diff-empty'/>");
+            }
+            return jQuery("<td/>").addClass("line-diff-" + line.type).text(line.text);
+        };
+
+        table.append(jQuery("<tr/>")
+                     .append(jQuery("<th/>").text(oldLabel))
+                     .append(jQuery("<th/>").text(newLabel)));
+
+        for (i = 0; i < rows.length; i++) {
+            if (rows[i].left !== rows[i].right) {
+                for (j = Math.max(0, i - context); j <= Math.min(rows.length - 1, i + context); j++) {
+                    isNearChange[j] = true;
+                }
+            }
+        }
+
+        i = 0;
+        while (i < rows.length) {
+            if (isNearChange[i]) {
+                table.append(jQuery("<tr/>")
+                             .append(makeCell(rows[i].left))
+                             .append(makeCell(rows[i].right)));
+                i++;
+            } else {
+                elided = 0;
+                while (i < rows.length && ! isNearChange[i]) {
+                    elided++;
+                    i++;
+                }
+                table.append(jQuery("<tr/>").append(
+                    jQuery("<td colspan='2' class='line-diff-elided'/>")
+                        .text("... " + elided + " unchanged line" + (elided === 1 ? "" : "s"))));
+            }
+        }
+        return table.get(0);
+    };
+
+
+    var MARKERS = { same: "  ", added: "+ ", removed: "- " };
+
+
+    var splitLines = function(text) {
+        if (text === "") { return []; }
+        return text.split(/\r?\n/);
+    };
+
+
+    // diffMiddle: (arrayof string) (arrayof string) -> diff
+    // A smallest diff between the lines, found through their longest
+    // common subsequence.
+    var diffMiddle = function(oldLines, newLines) {
+        var n = oldLines.length;
+        var m = newLines.length;
+        var result = [];
+        var lengths, i, j;
+
+        if (n * m > MAX_TABLE_SIZE) {
+            for (i = 0; i < n; i++) { result.push({ type: 'removed', text: oldLines[i] }); }
+            for (j = 0; j < m; j++) { result.push({ type: 'added', text: newLines[j] }); }
+            return result;
+        }
+
+        // lengths[i][j]: the length of the longest common subsequence
+        // of oldLines[i..] and newLines[j..].
+        lengths = [];
+        for (i = n; i >= 0; i--) {
+            lengths[i] = [];
+            for (j = m; j >= 0; j--) {
+                if (i === n || j === m) {
+                    lengths[i][j] = 0;
+                } else if (oldLines[i] === newLines[j]) {
+                    lengths[i][j] = lengths[i + 1][j + 1] + 1;
+                } else {
+                    lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+        }
+
+        i = 0;
+        j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && oldLines[i] === newLines[j]) {
+                result.push({ type: 'same', text: oldLines[i] });
+                i++;
+                j++;
+            } else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                result.push({ type: 'removed', text: oldLines[i] });
+                i++;
+            } else {
+                result.push({ type: 'added', text: newLines[j] });
+                j++;
+            }
+        }
+        return result;
+    };
+})();
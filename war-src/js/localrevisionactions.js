@@ -0,0 +1,98 @@
+goog.provide("plt.wescheme.LocalRevisionActions");
+
+
+
+(function() {
+    "use strict";
+    // constructor: { maxKept: (U number undefined),
+    //                autosaveInterval: (U number undefined) } -> LocalRevisionActions
+    // Stands in for plt.wescheme.AjaxActions wherever only save and
+    // listRevisions are needed, keeping programs and their revisions in
+    // memory instead of on the server.  Callbacks are called right away
+    // rather than later, which keeps tests simple.
+    //
+    // Revisions are kept the way SaveProjectServlet keeps them: at
+    // most maxKept of them, and an autosave only makes one if the
+    // newest revision is at least autosaveInterval milliseconds old.
+    plt.wescheme.LocalRevisionActions = function(options) {
+        options = options || {};
+        this.maxKept = options.maxKept || 50;
+        this.autosaveInterval = (options.autosaveInterval !== undefined ?
+                                 options.autosaveInterval :
+                                 5 * 60 * 1000);
+        // programs: (hashof number { title: string, code: string, notes: string })
+        this.programs = {};
+        // revisions: (hashof number (arrayof revision)), oldest first
+        this.revisions = {};
+        this.nextPid = 1;
+        this.nextRevisionId = 1;
+        this.clock = 0;
+    };
+
+
+    // save: { pid: (U number undefined), title: string, code: string, notes: string }
+    //       (number -> void) (string -> void) -> void
+    // Like AjaxActions.save, a save that carries new code keeps a
+    // revision of it.
+    plt.wescheme.LocalRevisionActions.prototype.save = function(attrs, onSuccess, onFailure) {
+        var pid = attrs.pid;
+        var program;
+        if (pid) {
+            if (! Object.prototype.hasOwnProperty.call(this.programs, pid)) {
+                onFailure("Not Found");
+                return;
+            }
+        } else {
+            pid = this.nextPid++;
+            this.programs[pid] = { title: "", code: "", notes: "" };
+            this.revisions[pid] = [];
+        }
+        program = this.programs[pid];
+        if (attrs.title !== undefined) { program.title = attrs.title; }
+        if (attrs.notes !== undefined) { program.notes = attrs.notes; }
+        if (attrs.code !== undefined) {
+            program.code = attrs.code;
+            this._keepRevision(pid, !! attrs.autosave);
+        }
+        onSuccess(pid);
+    };
+
+
+    plt.wescheme.LocalRevisionActions.prototype._keepRevision = function(pid, isAutosave) {
+        var revisions = this.revisions[pid];
+        var program = this.programs[pid];
+        var last = revisions[revisions.length - 1];
+        var now = this._now();
+        if (last && last.code === program.code) {
+            return;
+        }
+        if (last && isAutosave && now - last.modified < this.autosaveInterval) {
+            return;
+        }
+        revisions.push({ id: this.nextRevisionId++,
+                         title: program.title,
+                         modified: now,
+                         code: program.code });
+        if (revisions.length > this.maxKept) {
+            revisions.splice(0, revisions.length - this.maxKept);
+        }
+    };
+
+
+    // listRevisions: number ((arrayof revision) -> void) (string -> void) -> void
+    plt.wescheme.LocalRevisionActions.prototype.listRevisions = function(pid, onSuccess, onFailure) {
+        if (! Object.prototype.hasOwnProperty.call(this.revisions, pid)) {
+            onFailure("Not Found");
+            return;
+        }
+        onSuccess(this.revisions[pid].slice(0).reverse());
+    };
+
+
+    // Saves made in the same millisecond still get distinct, ordered
+    // times.
+    plt.wescheme.LocalRevisionActions.prototype._now = function() {
+        this.clock = Math.max(this.clock + 1, new Date().getTime());
+        return this.clock;
+    };
+})();
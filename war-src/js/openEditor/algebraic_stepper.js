@@ -0,0 +1,882 @@
+/*global goog,types,jsnums,state,world,primitive*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.AlgebraicStepper");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // The most reduction steps we'll show for one expression, and
+    // the most we'll take silently to evaluate a constant definition.
+    var MAX_STEPS = 500;
+    var MAX_DEFINITION_STEPS = 5000;
+
+
+    // Primitives with effects, or that need to call back into the
+    // machine, which the stepper won't try to run.
+    var UNSTEPPABLE_PRIMITIVES = /^(big-bang|js-big-bang|check-|EXAMPLE$|display$|write$|newline$|printf$|error$|void$|current-)/;
+
+
+    // StepperError: string -> StepperError
+    // Raised when a program can't be stepped any further, either
+    // because it went wrong or because it left the beginner subset.
+    var StepperError = function(message) {
+        this.message = message;
+    };
+
+    StepperError.prototype.toString = function() {
+        return this.message;
+    };
+
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Terms
+    //
+    // A term is one of:
+    //
+    //     { type: 'value', value: any }     a literal or a computed value
+    //     { type: 'id', name: string }
+    //     { type: 'list', items: (arrayof term), bracket: (U "(" "[") }
+    //
+    // Terms are never mutated; reducing one builds a new term that
+    // shares the untouched parts.
+
+    var makeValue = function(v) {
+        return { type: 'value', value: v };
+    };
+
+    var makeId = function(name) {
+        return { type: 'id', name: name };
+    };
+
+    var makeList = function(items, bracket) {
+        return { type: 'list', items: items, bracket: bracket || "(" };
+    };
+
+    var isValueTerm = function(term) {
+        return term.type === 'value';
+    };
+
+    var headName = function(term) {
+        if (term.type === 'list' && term.items.length > 0 &&
+            term.items[0].type === 'id') {
+            return term.items[0].name;
+        }
+        return undefined;
+    };
+
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Reading
+
+    var CLOSE_BRACKET = { "(" : ")", "[" : "]" };
+
+    var NAMED_CHARS = { "space" : " ", "newline" : "\n", "tab" : "\t",
+                        "nul" : "\u0000", "null" : "\u0000",
+                        "backspace" : "\b", "return" : "\r" };
+
+
+    // read: string -> (arrayof term)
+    var read = function(text) {
+        var pos = 0;
+        var terms = [];
+        var readTerm;
+
+        var skipWhitespace = function() {
+            var c, end;
+            while (pos < text.length) {
+                c = text.charAt(pos);
+                if (/\s/.test(c)) {
+                    pos++;
+                } else if (c === ';') {
+                    while (pos < text.length && text.charAt(pos) !== '\n') { pos++; }
+                } else if (text.substr(pos, 2) === '#|') {
+                    end = text.indexOf('|#', pos + 2);
+                    if (end < 0) {
+                        throw new StepperError("read: expected a '|#' to close '#|'");
+                    }
+                    pos = end + 2;
+                } else if (text.substr(pos, 2) === '#;') {
+                    pos += 2;
+                    readTerm();
+                } else {
+                    return;
+                }
+            }
+        };
+
+        var readString = function() {
+            var chunks = [];
+            var c;
+            pos++;
+            while (pos < text.length) {
+                c = text.charAt(pos);
+                if (c === '"') {
+                    pos++;
+                    return chunks.join("");
+                }
+                if (c === '\\') {
+                    pos++;
+                    c = text.charAt(pos);
+                    chunks.push(c === 'n' ? '\n' : c === 't' ? '\t' : c);
+                } else {
+                    chunks.push(c);
+                }
+                pos++;
+            }
+            throw new StepperError("read: expected a closing '\"'");
+        };
+
+        var readAtom = function() {
+            var start = pos;
+            while (pos < text.length && ! /[\s()\[\]";']/.test(text.charAt(pos))) {
+                pos++;
+            }
+            return text.substring(start, pos);
+        };
+
+        var quote = function(term) {
+            var i, elts;
+            if (term.type === 'id') {
+                return types.symbol(term.name);
+            } else if (term.type === 'value') {
+                return term.value;
+            } else {
+                elts = [];
+                for (i = 0; i < term.items.length; i++) {
+                    elts.push(quote(term.items[i]));
+                }
+                return types.list(elts);
+            }
+        };
+
+        readTerm = function() {
+            var c, close, items, atom, num;
+            skipWhitespace();
+            if (pos >= text.length) {
+                throw new StepperError("read: expected an expression, but the program ended");
+            }
+            c = text.charAt(pos);
+            if (c === '(' || c === '[') {
+                close = CLOSE_BRACKET[c];
+                items = [];
+                pos++;
+                while (true) {
+                    skipWhitespace();
+                    if (pos >= text.length) {
+                        throw new StepperError("read: expected a '" + close + "' to close '" + c + "'");
+                    }
+                    if (text.charAt(pos) === close) {
+                        pos++;
+                        return makeList(items, c);
+                    }
+                    if (text.charAt(pos) === ')' || text.charAt(pos) === ']') {
+                        throw new StepperError("read: expected a '" + close + "' to close '" + c +
+                                               "', but found a '" + text.charAt(pos) + "'");
+                    }
+                    items.push(readTerm());
+                }
+            }
+            if (c === ')' || c === ']') {
+                throw new StepperError("read: unexpected '" + c + "'");
+            }
+            if (c === "'") {
+                pos++;
+                return makeValue(quote(readTerm()));
+            }
+            if (c === '"') {
+                return makeValue(readString());
+            }
+            if (text.substr(pos, 2) === '#\\') {
+                pos += 2;
+                atom = text.charAt(pos) + readAtom().substring(1);
+                if (atom.length === 0) { pos++; atom = text.charAt(pos - 1); }
+                if (atom.length > 1 && NAMED_CHARS.hasOwnProperty(atom)) {
+                    return makeValue(types['char'](NAMED_CHARS[atom]));
+                }
+                return makeValue(types['char'](atom.charAt(0)));
+            }
+
+            atom = readAtom();
+            if (atom === '#t' || atom === '#true' || atom === 'true') {
+                return makeValue(true);
+            }
+            if (atom === '#f' || atom === '#false' || atom === 'false') {
+                return makeValue(false);
+            }
+            if (atom === 'empty') {
+                return makeValue(types.EMPTY);
+            }
+            num = jsnums.fromString(atom);
+            if (num !== false) {
+                return makeValue(num);
+            }
+            return makeId(atom);
+        };
+
+        while (true) {
+            skipWhitespace();
+            if (pos >= text.length) {
+                return terms;
+            }
+            terms.push(readTerm());
+        }
+    };
+
+
+
+    //////////////////////////////////////////////////////////////////////
+
+
+    // AlgebraicStepper: string -> AlgebraicStepper
+    //
+    // Shows how an expression evaluates, one reduction at a time, in
+    // the style of DrRacket's Stepper for Beginning Student.  The
+    // definitions given to the constructor are in scope; constants
+    // among them are evaluated up front, without showing the steps.
+    //
+    // Only the beginner subset is supported: define, define-struct,
+    // if, cond, and, or, and the primitives (including the image
+    // primitives, which are run by the real machine).  Anything else
+    // stops the stepper with an explanation.
+    var AlgebraicStepper = function(definitionsText) {
+        // bindings: hashof string -> binding, where a binding is one of
+        //     { kind: 'constant', value: term }
+        //     { kind: 'broken', message: string }
+        //     { kind: 'function', params: (arrayof string), body: term }
+        //     { kind: 'constructor', struct: struct }
+        //     { kind: 'predicate', struct: struct }
+        //     { kind: 'accessor', struct: struct, index: number }
+        // and a struct is { name: string, fields: (arrayof string), type: StructType }
+        this.bindings = {};
+        this.structs = [];
+        this.aState = new state.State();
+
+        var forms = read(definitionsText || "");
+        var i;
+        for (i = 0; i < forms.length; i++) {
+            if (isDefinition(forms[i])) {
+                this._define(forms[i]);
+            }
+        }
+    };
+
+
+    // A step is a rendered term:
+    //
+    // { text: string,
+    //   redex: (U false { offset: number, span: number }),   what reduces next
+    //   embeds: (arrayof { offset: number, span: number, value: any }),
+    //                          stretches of text standing for images
+    //   error: (U string undefined) }                         why stepping stopped
+
+
+    // getSteps: string -> (arrayof step)
+    // Steps through each expression in the text, in order.
+    // Definitions in the text are added to the stepper's scope.
+    // Raises a StepperError if the text can't be read.
+    AlgebraicStepper.prototype.getSteps = function(expressionText) {
+        var terms = read(expressionText);
+        var steps = [];
+        var i, current, path, step;
+
+        for (i = 0; i < terms.length; i++) {
+            if (isDefinition(terms[i])) {
+                this._define(terms[i]);
+                continue;
+            }
+            current = terms[i];
+            while (true) {
+                try {
+                    path = this._findRedex(current);
+                } catch (e) {
+                    if (! (e instanceof StepperError)) { throw e; }
+                    steps.push(this._render(current, false, e.message));
+                    break;
+                }
+                if (path === false) {
+                    steps.push(this._render(current, false));
+                    break;
+                }
+                step = this._render(current, path);
+                // Building a structure reduces to something that
+                // prints the same; there's no point showing it twice.
+                if (steps.length > 0 && steps[steps.length - 1].text === step.text) {
+                    steps.pop();
+                }
+                steps.push(step);
+                if (steps.length >= MAX_STEPS) {
+                    step.error = "The stepper stopped after " + MAX_STEPS + " steps.";
+                    break;
+                }
+                try {
+                    current = this._reduceAt(current, path);
+                } catch (e2) {
+                    if (! (e2 instanceof StepperError)) { throw e2; }
+                    step.error = e2.message;
+                    break;
+                }
+            }
+        }
+        return steps;
+    };
+
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Definitions
+
+    var isDefinition = function(term) {
+        var name = headName(term);
+        return name === 'define' || name === 'define-struct';
+    };
+
+
+    AlgebraicStepper.prototype._define = function(term) {
+        var items = term.items;
+        var i, header, params, name, value;
+
+        if (items[0].name === 'define-struct') {
+            this._defineStruct(term);
+            return;
+        }
+        if (items.length !== 3) {
+            throw new StepperError("define: expected a name and an expression after define");
+        }
+        header = items[1];
+        if (header.type === 'list') {
+            params = [];
+            for (i = 1; i < header.items.length; i++) {
+                params.push(header.items[i].name);
+            }
+            this.bindings[header.items[0].name] =
+                { kind: 'function', params: params, body: items[2] };
+        } else if (header.type === 'id') {
+            name = header.name;
+            if (headName(items[2]) === 'lambda' && items[2].items.length === 3) {
+                params = [];
+                for (i = 0; i < items[2].items[1].items.length; i++) {
+                    params.push(items[2].items[1].items[i].name);
+                }
+                this.bindings[name] = { kind: 'function', params: params, body: items[2].items[2] };
+                return;
+            }
+            try {
+                value = this._evaluate(items[2]);
+                this.bindings[name] = { kind: 'constant', value: value };
+            } catch (e) {
+                if (! (e instanceof StepperError)) { throw e; }
+                this.bindings[name] = { kind: 'broken', message: e.message };
+            }
+        } else {
+            throw new StepperError("define: expected a name after define");
+        }
+    };
+
+
+    AlgebraicStepper.prototype._defineStruct = function(term) {
+        var items = term.items;
+        var name, fields, struct, i;
+        if (items.length !== 3 || items[1].type !== 'id' || items[2].type !== 'list') {
+            throw new StepperError("define-struct: expected a structure name and a list of fields");
+        }
+        name = items[1].name;
+        fields = [];
+        for (i = 0; i < items[2].items.length; i++) {
+            fields.push(items[2].items[i].name);
+        }
+        struct = { name: name,
+                   fields: fields,
+                   type: types.makeStructureType(name, false, fields.length, 0, false, false) };
+        this.structs.push(struct);
+        this.bindings["make-" + name] = { kind: 'constructor', struct: struct };
+        this.bindings[name + "?"] = { kind: 'predicate', struct: struct };
+        for (i = 0; i < fields.length; i++) {
+            this.bindings[name + "-" + fields[i]] = { kind: 'accessor', struct: struct, index: i };
+        }
+    };
+
+
+    // _evaluate: term -> term
+    // Reduces the term all the way to a value.
+    AlgebraicStepper.prototype._evaluate = function(term) {
+        var path, n;
+        for (n = 0; n < MAX_DEFINITION_STEPS; n++) {
+            path = this._findRedex(term);
+            if (path === false) {
+                return term;
+            }
+            term = this._reduceAt(term, path);
+        }
+        throw new StepperError("The stepper gave up after " + MAX_DEFINITION_STEPS + " steps.");
+    };
+
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Reduction
+
+
+    // isFunctionName: string -> boolean
+    AlgebraicStepper.prototype._isFunctionName = function(name) {
+        if (this.bindings.hasOwnProperty(name)) {
+            return this.bindings[name].kind !== 'constant' && this.bindings[name].kind !== 'broken';
+        }
+        return types.isFunction(getPrimitive(name));
+    };
+
+
+    AlgebraicStepper.prototype._isValue = function(term) {
+        return (isValueTerm(term) ||
+                (term.type === 'id' && this._isFunctionName(term.name)));
+    };
+
+
+    // _findRedex: term -> (U (arrayof number) false)
+    // Finds the path to the next subterm to reduce, leftmost innermost,
+    // or false if the term is already a value.
+    AlgebraicStepper.prototype._findRedex = function(term) {
+        var i, sub;
+        if (this._isValue(term)) {
+            return false;
+        }
+        if (term.type === 'id') {
+            return [];
+        }
+        if (term.items.length === 0) {
+            throw new StepperError("function call: expected a function after the open parenthesis, " +
+                                   "but nothing's there");
+        }
+
+        switch (this._specialFormName(term)) {
+        case 'if':
+            if (term.items.length !== 4) {
+                throw new StepperError("if: expected a question and two answers");
+            }
+            return this._findRedexIn(term, 1);
+        case 'cond':
+            for (i = 1; i < term.items.length; i++) {
+                if (term.items[i].type !== 'list' || term.items[i].items.length !== 2) {
+                    throw new StepperError("cond: expected a clause with a question and an answer");
+                }
+            }
+            if (term.items.length === 1) {
+                return [];
+            }
+            if (term.items[1].items[0].type === 'id' &&
+                term.items[1].items[0].name === 'else') {
+                return [];
+            }
+            sub = this._findRedex(term.items[1].items[0]);
+            return (sub === false ? [] : [1, 0].concat(sub));
+        case 'and':
+        case 'or':
+            return this._findRedexIn(term, 1);
+        case 'define':
+        case 'define-struct':
+            throw new StepperError(term.items[0].name + ": found a definition that is not at the top level");
+        case 'lambda':
+        case 'local':
+        case 'let':
+        case 'let*':
+        case 'letrec':
+        case 'set!':
+        case 'begin':
+        case 'when':
+        case 'unless':
+        case 'case':
+            throw new StepperError("The stepper doesn't know how to step " + term.items[0].name +
+                                   " expressions; it only handles the Beginning Student language.");
+        default:
+            for (i = 0; i < term.items.length; i++) {
+                sub = this._findRedex(term.items[i]);
+                if (sub !== false) {
+                    return [i].concat(sub);
+                }
+            }
+            return [];
+        }
+    };
+
+
+    // Looks for a redex in the one subterm; if it's a value, the term
+    // itself is next.
+    AlgebraicStepper.prototype._findRedexIn = function(term, i) {
+        var sub;
+        if (i >= term.items.length) {
+            return [];
+        }
+        sub = this._findRedex(term.items[i]);
+        return (sub === false ? [] : [i].concat(sub));
+    };
+
+
+    AlgebraicStepper.prototype._specialFormName = function(term) {
+        var name = headName(term);
+        if (name !== undefined && ! this.bindings.hasOwnProperty(name)) {
+            return name;
+        }
+        return undefined;
+    };
+
+
+    // _reduceAt: term (arrayof number) -> term
+    AlgebraicStepper.prototype._reduceAt = function(term, path) {
+        var items;
+        if (path.length === 0) {
+            return this._contract(term);
+        }
+        items = term.items.slice(0);
+        items[path[0]] = this._reduceAt(items[path[0]], path.slice(1));
+        return makeList(items, term.bracket);
+    };
+
+
+    // _contract: term -> term
+    // Takes a single step on a redex.
+    AlgebraicStepper.prototype._contract = function(term) {
+        if (term.type === 'id') {
+            return this._lookup(term.name);
+        }
+        switch (this._specialFormName(term)) {
+        case 'if':
+            checkBoolean("if", term.items[1].value);
+            return term.items[1].value ? term.items[2] : term.items[3];
+        case 'cond':
+            return this._contractCond(term);
+        case 'and':
+            return contractConnective("and", term, false);
+        case 'or':
+            return contractConnective("or", term, true);
+        default:
+            return this._apply(term.items[0], term.items.slice(1));
+        }
+    };
+
+
+    AlgebraicStepper.prototype._lookup = function(name) {
+        var binding;
+        if (this.bindings.hasOwnProperty(name)) {
+            binding = this.bindings[name];
+            if (binding.kind === 'broken') {
+                throw new StepperError(name + ": " + binding.message);
+            }
+            return binding.value;
+        }
+        if (getPrimitive(name) !== undefined) {
+            return makeValue(getPrimitive(name));
+        }
+        throw new StepperError(name + ": this variable is not defined");
+    };
+
+
+    AlgebraicStepper.prototype._contractCond = function(term) {
+        var clause, question;
+        if (term.items.length === 1) {
+            throw new StepperError("cond: all question results were false");
+        }
+        clause = term.items[1];
+        question = clause.items[0];
+        if (question.type === 'id' && question.name === 'else') {
+            return clause.items[1];
+        }
+        checkBoolean("cond", question.value);
+        if (question.value) {
+            return clause.items[1];
+        }
+        if (term.items.length === 2) {
+            throw new StepperError("cond: all question results were false");
+        }
+        return makeList([term.items[0]].concat(term.items.slice(2)), term.bracket);
+    };
+
+
+    // contractConnective: string term boolean -> term
+    // and stops at the first false; or at the first true.
+    var contractConnective = function(name, term, stopAt) {
+        var first;
+        if (term.items.length === 1) {
+            return makeValue(! stopAt);
+        }
+        first = term.items[1].value;
+        checkBoolean(name, first);
+        if (first === stopAt) {
+            return makeValue(stopAt);
+        }
+        if (term.items.length === 2) {
+            return makeValue(first);
+        }
+        return makeList([term.items[0]].concat(term.items.slice(2)), term.bracket);
+    };
+
+
+    var checkBoolean = function(name, v) {
+        if (v !== true && v !== false) {
+            throw new StepperError(name + ": question result is not true or false: " +
+                                   types.toWrittenString(v));
+        }
+    };
+
+
+    // _apply: term (arrayof term) -> term
+    AlgebraicStepper.prototype._apply = function(operator, operands) {
+        var name, binding, i, values;
+        if (operator.type !== 'id' || ! this._isFunctionName(operator.name)) {
+            throw new StepperError("function call: expected a function after the open parenthesis, but received " +
+                                   termToString(this, operator));
+        }
+        name = operator.name;
+        binding = (this.bindings.hasOwnProperty(name) ? this.bindings[name] : undefined);
+
+        if (binding && binding.kind === 'function') {
+            if (binding.params.length !== operands.length) {
+                throw new StepperError(name + ": expects " + pluralizeArguments(binding.params.length) +
+                                       ", but received " + operands.length);
+            }
+            var substitution = {};
+            for (i = 0; i < operands.length; i++) {
+                substitution[binding.params[i]] = operands[i];
+            }
+            return substitute(binding.body, substitution);
+        }
+
+        values = [];
+        for (i = 0; i < operands.length; i++) {
+            if (! isValueTerm(operands[i])) {
+                throw new StepperError(name + ": the stepper can't pass functions to other functions");
+            }
+            values.push(operands[i].value);
+        }
+
+        if (binding) {
+            return makeValue(applyStructFunction(name, binding, values));
+        }
+        return makeValue(this._applyPrimitive(name, getPrimitive(name), values));
+    };
+
+
+    var applyStructFunction = function(name, binding, values) {
+        var struct = binding.struct;
+        var expected = (binding.kind === 'constructor' ? struct.fields.length : 1);
+        if (values.length !== expected) {
+            throw new StepperError(name + ": expects " + pluralizeArguments(expected) +
+                                   ", but received " + values.length);
+        }
+        switch (binding.kind) {
+        case 'constructor':
+            return struct.type.constructor.apply(null, values);
+        case 'predicate':
+            return struct.type.predicate(values[0]);
+        default:
+            if (! struct.type.predicate(values[0])) {
+                throw new StepperError(name + ": expects a " + struct.name + ", given " +
+                                       types.toWrittenString(values[0]));
+            }
+            return struct.type.accessor(values[0], binding.index);
+        }
+    };
+
+
+    // _applyPrimitive: string primitive (arrayof any) -> any
+    // Runs the machine's own implementation of the primitive.
+    AlgebraicStepper.prototype._applyPrimitive = function(name, prim, values) {
+        var i, args;
+        if (prim.cases) {
+            for (i = 0; i < prim.cases.length; i++) {
+                if (acceptsArity(prim.cases[i], values.length)) {
+                    return this._applyPrimitive(name, prim.cases[i], values);
+                }
+            }
+            throw new StepperError(name + ": does not expect " + pluralizeArguments(values.length));
+        }
+        if (UNSTEPPABLE_PRIMITIVES.test(name) || prim.assignsToValueRegister || ! prim.impl) {
+            throw new StepperError("The stepper doesn't know how to step uses of " + name + ".");
+        }
+        if (! acceptsArity(prim, values.length)) {
+            throw new StepperError(name + ": expects " +
+                                   (prim.isRest ? "at least " : "") +
+                                   pluralizeArguments(prim.numParams) +
+                                   ", but received " + values.length);
+        }
+        args = [this.aState].concat(values.slice(0, prim.numParams));
+        if (prim.isRest) {
+            args.push(values.slice(prim.numParams));
+        }
+        try {
+            return prim.impl.apply(null, args);
+        } catch (e) {
+            // Anything other than an error (such as a request to pause
+            // while an image loads) needs the full machine.
+            if (! types.isSchemeError(e)) {
+                throw new StepperError("The stepper doesn't know how to step uses of " + name + ".");
+            }
+            throw new StepperError(exnToMessage(e));
+        }
+    };
+
+
+    var acceptsArity = function(prim, n) {
+        return (prim.isRest ? n >= prim.numParams : n === prim.numParams);
+    };
+
+
+    var getPrimitive = function(name) {
+        var prim = primitive.getPrimitive(name);
+        return (Object.prototype.hasOwnProperty.call(Object.prototype, name) ? undefined : prim);
+    };
+
+
+    var pluralizeArguments = function(n) {
+        return n + (n === 1 ? " argument" : " arguments");
+    };
+
+
+    var exnToMessage = function(e) {
+        var v = e.val;
+        if (types.isIncompleteExn(v)) {
+            return v.msg + '';
+        }
+        if (types.isExn(v)) {
+            return types.exnMessage(v) + '';
+        }
+        return types.toDisplayedString(v);
+    };
+
+
+    // substitute: term (hashof string -> term) -> term
+    var substitute = function(term, substitution) {
+        var items, i;
+        if (term.type === 'id') {
+            return (substitution.hasOwnProperty(term.name) ? substitution[term.name] : term);
+        }
+        if (term.type === 'list') {
+            items = [];
+            for (i = 0; i < term.items.length; i++) {
+                items.push(substitute(term.items[i], substitution));
+            }
+            return makeList(items, term.bracket);
+        }
+        return term;
+    };
+
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Rendering
+
+
+    // _render: term (U (arrayof number) false) string? -> step
+    AlgebraicStepper.prototype._render = function(term, redexPath, error) {
+        var out = { chunks: [], length: 0, redex: false, embeds: [] };
+        this._printTerm(term, redexPath, out);
+        return { text: out.chunks.join(""),
+                 redex: out.redex,
+                 embeds: out.embeds,
+                 error: error };
+    };
+
+
+    var emit = function(out, s) {
+        out.chunks.push(s);
+        out.length += s.length;
+    };
+
+
+    AlgebraicStepper.prototype._printTerm = function(term, path, out) {
+        var start = out.length;
+        var i;
+        if (term.type === 'value') {
+            this._printValue(term.value, out);
+        } else if (term.type === 'id') {
+            emit(out, term.name);
+        } else {
+            emit(out, term.bracket);
+            for (i = 0; i < term.items.length; i++) {
+                if (i > 0) { emit(out, " "); }
+                this._printTerm(term.items[i],
+                                (path && path.length > 0 && path[0] === i) ? path.slice(1) : false,
+                                out);
+            }
+            emit(out, CLOSE_BRACKET[term.bracket]);
+        }
+        if (path && path.length === 0) {
+            out.redex = { offset: start, span: out.length - start };
+        }
+    };
+
+
+    AlgebraicStepper.prototype._printValue = function(v, out) {
+        var struct, i, start;
+        if (world.Kernel.isImage(v)) {
+            start = out.length;
+            emit(out, "(image)");
+            out.embeds.push({ offset: start, span: out.length - start, value: v });
+            return;
+        }
+        if (v === types.EMPTY) {
+            emit(out, "empty");
+            return;
+        }
+        if (types.isPair(v)) {
+            emit(out, "(cons ");
+            this._printValue(v.first(), out);
+            emit(out, " ");
+            this._printValue(v.rest(), out);
+            emit(out, ")");
+            return;
+        }
+        struct = this._findStruct(v);
+        if (struct) {
+            emit(out, "(make-" + struct.name);
+            for (i = 0; i < struct.fields.length; i++) {
+                emit(out, " ");
+                this._printValue(struct.type.accessor(v, i), out);
+            }
+            emit(out, ")");
+            return;
+        }
+        if (v === true || v === false) {
+            emit(out, v ? "true" : "false");
+            return;
+        }
+        if (types.isSymbol(v)) {
+            emit(out, "'" + v.toString());
+            return;
+        }
+        if (types.isFunction(v) && v.name) {
+            emit(out, v.name);
+            return;
+        }
+        emit(out, types.toWrittenString(v));
+    };
+
+
+    AlgebraicStepper.prototype._findStruct = function(v) {
+        var i;
+        if (! types.isStruct(v)) { return undefined; }
+        for (i = 0; i < this.structs.length; i++) {
+            if (this.structs[i].type.predicate(v)) {
+                return this.structs[i];
+            }
+        }
+        return undefined;
+    };
+
+
+    var termToString = function(stepper, term) {
+        return stepper._render(term, false).text;
+    };
+
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.AlgebraicStepper = AlgebraicStepper;
+    plt.wescheme.AlgebraicStepper.StepperError = StepperError;
+    plt.wescheme.AlgebraicStepper.read = read;
+}());
@@ -0,0 +1,163 @@
+/*global goog,jQuery,types*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.AlgebraicStepperPanel");
+
+goog.require("plt.wescheme.WeSchemeTextContainer");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // The stepper's text container is registered with the interactions
+    // under this id, so that WeSchemeEditor.prototype.highlight can
+    // find it.
+    var STEPPER_ID = "<stepper>";
+
+    var REDEX_HIGHLIGHT_COLOR = "rgb(173, 221, 142)";
+
+
+    // AlgebraicStepperPanel: WeSchemeEditor -> AlgebraicStepperPanel
+    //
+    // The stepper's window: one step of an expression's evaluation at
+    // a time, with its redex highlighted, and buttons to go back and
+    // forth between the steps.
+    var AlgebraicStepperPanel = function(editor) {
+        this.editor = editor;
+        this.steps = [];
+        this.index = 0;
+        this.marks = [];
+
+        this.dialog = jQuery("<div class='stepper-panel'/>");
+        this.statusDom = jQuery("<div class='stepper-status'/>");
+        this.textDiv = jQuery("<div class='stepper-text'/>");
+        this.errorDom = jQuery("<div class='stepper-error'/>");
+        this.dialog.append(this.statusDom)
+            .append(this.textDiv)
+            .append(this.errorDom);
+    };
+
+
+    // show: (arrayof step) -> void
+    // Opens the panel on the first of the steps produced by
+    // AlgebraicStepper.prototype.getSteps.
+    AlgebraicStepperPanel.prototype.show = function(steps) {
+        var that = this;
+        this.steps = steps;
+        this.index = 0;
+        if (this.isInitialized) {
+            this.dialog.dialog("open");
+            this._render();
+            return;
+        }
+        this.isInitialized = true;
+        this.dialog.dialog({ title: 'Stepper',
+                             bgiframe : true,
+                             modal : false,
+                             width : 500,
+                             height : 300,
+                             buttons : { "< Back" : function() { that.back(); },
+                                         "Forward >" : function() { that.forward(); } },
+                             close : function() { that._clearMarks(); } });
+        this.dialog.dialog("open");
+
+        // The text container has to be made once its div is in the
+        // document.
+        new plt.wescheme.WeSchemeTextContainer(
+            this.textDiv.get(0),
+            { dynamicHeight: true,
+              lineNumbers: false,
+              theme: "scheme-interactive",
+              readOnly: true,
+              matchBrackets: false },
+            function(container) {
+                that.textContainer = container;
+                that.editor.interactions.previousInteractionsTextContainers[STEPPER_ID] = container;
+                that._render();
+            });
+    };
+
+
+    // back: -> void
+    AlgebraicStepperPanel.prototype.back = function() {
+        if (this.index > 0) {
+            this.index--;
+            this._render();
+        }
+    };
+
+
+    // forward: -> void
+    AlgebraicStepperPanel.prototype.forward = function() {
+        if (this.index < this.steps.length - 1) {
+            this.index++;
+            this._render();
+        }
+    };
+
+
+    AlgebraicStepperPanel.prototype._render = function() {
+        var step = this.steps[this.index];
+        var i, embed, pos;
+        if (! this.textContainer) { return; }
+
+        this._clearMarks();
+        if (! step) {
+            this.statusDom.text("There's no expression to step.");
+            this.textContainer.setCode("");
+            this.errorDom.text("");
+            return;
+        }
+
+        this.statusDom.text("Step " + (this.index + 1) + " of " + this.steps.length +
+                            (this.index === this.steps.length - 1 && ! step.error ? " (done)" : ""));
+        this.textContainer.setCode(step.text);
+        for (i = 0; i < step.embeds.length; i++) {
+            embed = step.embeds[i];
+            this.marks.push(this.textContainer.replaceWithDom(embed.offset, embed.span,
+                                                              renderValue(embed.value)));
+        }
+        if (step.redex) {
+            pos = lineAndColumn(step.text, step.redex.offset);
+            // Highlight offsets count from 1.
+            this.marks.push(this.editor.highlight(STEPPER_ID, step.redex.offset + 1,
+                                                  pos.line, pos.column, step.redex.span,
+                                                  REDEX_HIGHLIGHT_COLOR));
+        }
+        this.errorDom.text(step.error || "");
+    };
+
+
+    AlgebraicStepperPanel.prototype._clearMarks = function() {
+        var i;
+        for (i = 0; i < this.marks.length; i++) {
+            if (this.marks[i]) { this.marks[i].clear(); }
+        }
+        this.marks = [];
+    };
+
+
+    // lineAndColumn: string number -> { line: number, column: number }
+    // Lines count from 1, columns from 0, as in the compiler's locations.
+    var lineAndColumn = function(text, offset) {
+        var before = text.substring(0, offset).split("\n");
+        return { line: before.length,
+                 column: before[before.length - 1].length };
+    };
+
+
+    var renderValue = function(v) {
+        try {
+            return types.toDomNode(v);
+        } catch (e) {
+            return document.createTextNode(types.toWrittenString(v));
+        }
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.AlgebraicStepperPanel = AlgebraicStepperPanel;
+}());
@@ -0,0 +1,281 @@
+/*global goog*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.CollabClient");
+
+goog.require("plt.wescheme.TextOperation");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    var TextOperation = plt.wescheme.TextOperation;
+
+
+    // CollabClient: relay { name: string,
+    //                       onReady: (string -> void),
+    //                       onRemoteOperation: (TextOperation -> void),
+    //                       onCursorsChanged: ((arrayof cursor) -> void),
+    //                       onClosed: (string -> void) } -> CollabClient
+    //
+    // One editor's side of a shared editing session with a relay (see
+    // plt.wescheme.CollabRelay).  We tell it about every change to our
+    // text with localChange; it sends them on as operations, and calls
+    // onRemoteOperation with the other editors' changes, already
+    // transformed to apply to our text.
+    //
+    // At most one of our operations is out at a time.  Changes made
+    // while we wait for the relay to acknowledge it are composed into
+    // a buffer, sent once the acknowledgement comes back.
+    //
+    // onReady is called with the session's text once we've joined, and
+    // our text is expected to become that.  A cursor is
+    // { clientId: number, name: string, cursor: number }.
+    var CollabClient = function(relay, options) {
+        var that = this;
+        this.options = options;
+        this.isReady = false;
+        this.isClosed = false;
+        this.clientId = undefined;
+        // revision: the relay's revision our text is built on.
+        this.revision = 0;
+        this.text = "";
+        // outstanding: (U TextOperation null), sent but not acknowledged.
+        this.outstanding = null;
+        // buffer: (U TextOperation null), not yet sent.
+        this.buffer = null;
+        // cursor: our own cursor, in our text.
+        this.cursor = 0;
+        this.isCursorDirty = false;
+        // cursors: (hashof number cursor), the others' cursors in our text.
+        this.cursors = {};
+
+        this.connection = relay.connect(function(message) {
+            that.receive(message);
+        });
+        this.connection.send({ type: 'join', name: options.name });
+    };
+
+
+    // localChange: string number -> void
+    // Our text has changed to newText, with the cursor at the given
+    // offset.
+    CollabClient.prototype.localChange = function(newText, cursor) {
+        var op;
+        if (! this.isReady || this.isClosed) { return; }
+        op = TextOperation.fromDiff(this.text, newText);
+        this.cursor = cursor;
+        if (op.isNoop()) {
+            this.localCursor(cursor);
+            return;
+        }
+        this.text = newText;
+        this._transformCursors(op);
+        if (this.outstanding === null) {
+            this._send(op);
+        } else {
+            this.buffer = (this.buffer === null ? op : this.buffer.compose(op));
+            this.isCursorDirty = true;
+        }
+    };
+
+
+    // localCursor: number -> void
+    // Our cursor has moved.  While one of our operations is out, the
+    // relay couldn't make sense of an offset into our text, so we
+    // hold on to it until the operation comes back.
+    CollabClient.prototype.localCursor = function(cursor) {
+        if (! this.isReady || this.isClosed) { return; }
+        this.cursor = cursor;
+        if (this.outstanding === null) {
+            this.isCursorDirty = false;
+            this.connection.send({ type: 'cursor',
+                                   revision: this.revision,
+                                   cursor: cursor });
+        } else {
+            this.isCursorDirty = true;
+        }
+    };
+
+
+    // getText: -> string
+    CollabClient.prototype.getText = function() {
+        return this.text;
+    };
+
+
+    // getCursors: -> (arrayof cursor)
+    CollabClient.prototype.getCursors = function() {
+        var result = [];
+        var id;
+        for (id in this.cursors) {
+            if (Object.prototype.hasOwnProperty.call(this.cursors, id)) {
+                result.push(this.cursors[id]);
+            }
+        }
+        return result;
+    };
+
+
+    // isSynchronized: -> boolean
+    // True when the relay has seen all of our changes.
+    CollabClient.prototype.isSynchronized = function() {
+        return this.outstanding === null && this.buffer === null;
+    };
+
+
+    // close: -> void
+    // Leaves the session.
+    CollabClient.prototype.close = function() {
+        if (this.isClosed) { return; }
+        this.isClosed = true;
+        this.connection.close();
+    };
+
+
+    CollabClient.prototype._send = function(op) {
+        this.outstanding = op;
+        this.isCursorDirty = false;
+        this.connection.send({ type: 'op',
+                               revision: this.revision,
+                               op: op.toJSON(),
+                               cursor: this.cursor });
+    };
+
+
+    CollabClient.prototype.receive = function(message) {
+        if (this.isClosed) { return; }
+        switch (message.type) {
+        case 'welcome':
+            this._receiveWelcome(message);
+            break;
+        case 'ack':
+            this._receiveAck(message);
+            break;
+        case 'op':
+            this._receiveOperation(message);
+            break;
+        case 'cursor':
+            if (Object.prototype.hasOwnProperty.call(this.cursors, message.clientId)) {
+                this.cursors[message.clientId].cursor = this._fromRelayPosition(message.cursor);
+                this._notifyCursors();
+            }
+            break;
+        case 'joined':
+            this.cursors[message.clientId] = { clientId: message.clientId,
+                                               name: message.name,
+                                               cursor: 0 };
+            this._notifyCursors();
+            break;
+        case 'left':
+            delete this.cursors[message.clientId];
+            this._notifyCursors();
+            break;
+        case 'error':
+        case 'closed':
+            // We can no longer tell whether our text matches the
+            // others', so the session is over for us.
+            this.close();
+            if (this.options.onClosed) {
+                this.options.onClosed(message.type === 'error' ?
+                                      message.message :
+                                      "The shared session has ended.");
+            }
+            break;
+        }
+    };
+
+
+    CollabClient.prototype._receiveWelcome = function(message) {
+        var i;
+        this.clientId = message.clientId;
+        this.revision = message.revision;
+        this.text = message.text;
+        this.cursor = 0;
+        for (i = 0; i < message.cursors.length; i++) {
+            this.cursors[message.cursors[i].clientId] = message.cursors[i];
+        }
+        this.isReady = true;
+        if (this.options.onReady) {
+            this.options.onReady(this.text);
+        }
+        this._notifyCursors();
+    };
+
+
+    CollabClient.prototype._receiveAck = function(message) {
+        this.revision = message.revision;
+        this.outstanding = null;
+        if (this.buffer !== null) {
+            this._send(this.buffer);
+            this.buffer = null;
+        } else if (this.isCursorDirty) {
+            this.localCursor(this.cursor);
+        }
+    };
+
+
+    CollabClient.prototype._receiveOperation = function(message) {
+        var op = TextOperation.fromJSON(message.op);
+        var pair;
+        if (this.outstanding !== null) {
+            pair = TextOperation.transform(this.outstanding, op);
+            this.outstanding = pair[0];
+            op = pair[1];
+        }
+        if (this.buffer !== null) {
+            pair = TextOperation.transform(this.buffer, op);
+            this.buffer = pair[0];
+            op = pair[1];
+        }
+        this.revision = message.revision;
+        this.text = op.apply(this.text);
+        this.cursor = op.transformPosition(this.cursor);
+        this._transformCursors(op);
+        if (Object.prototype.hasOwnProperty.call(this.cursors, message.clientId)) {
+            this.cursors[message.clientId].cursor = this._fromRelayPosition(message.cursor);
+        }
+        if (this.options.onRemoteOperation) {
+            this.options.onRemoteOperation(op);
+        }
+        this._notifyCursors();
+    };
+
+
+    // _fromRelayPosition: number -> number
+    // Moves a position in the relay's text to the same place in ours,
+    // past the changes the relay hasn't seen yet.
+    CollabClient.prototype._fromRelayPosition = function(position) {
+        if (this.outstanding !== null) {
+            position = this.outstanding.transformPosition(position);
+        }
+        if (this.buffer !== null) {
+            position = this.buffer.transformPosition(position);
+        }
+        return position;
+    };
+
+
+    CollabClient.prototype._transformCursors = function(op) {
+        var id;
+        for (id in this.cursors) {
+            if (Object.prototype.hasOwnProperty.call(this.cursors, id)) {
+                this.cursors[id].cursor = op.transformPosition(this.cursors[id].cursor);
+            }
+        }
+    };
+
+
+    CollabClient.prototype._notifyCursors = function() {
+        if (this.options.onCursorsChanged) {
+            this.options.onCursorsChanged(this.getCursors());
+        }
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.CollabClient = CollabClient;
+}());
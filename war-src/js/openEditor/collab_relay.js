@@ -0,0 +1,392 @@
+/*global goog, BroadcastChannel*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.CollabRelay");
+
+goog.require("plt.wescheme.TextOperation");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    var TextOperation = plt.wescheme.TextOperation;
+
+
+    // How long to wait for another tab to say it's already hosting a
+    // session before hosting one ourselves.
+    var FIND_HOST_TIMEOUT = 250;
+
+
+    // CollabRelay: string -> CollabRelay
+    //
+    // Stands in for the server side of a shared editing session: it
+    // holds the one true copy of the text, puts the operations sent by
+    // the editors into a single order, and passes each one on to
+    // everyone else.  An operation made against an old revision is
+    // transformed past the ones that got in first.
+    //
+    // Editors talk to it through connections:
+    //
+    //     connect: (message -> void) -> { send: (message -> void), close: (-> void) }
+    //
+    // and every message is a plain object that would survive JSON, so
+    // that a real server can speak the same protocol.  From the relay:
+    //
+    //     { type: 'welcome', clientId, revision, text, cursors: (arrayof cursor) }
+    //     { type: 'joined', clientId, name }
+    //     { type: 'left', clientId }
+    //     { type: 'ack', revision }
+    //     { type: 'op', clientId, revision, op, cursor }
+    //     { type: 'cursor', clientId, cursor }
+    //     { type: 'error', message }
+    //     { type: 'closed' }
+    //
+    // and from an editor:
+    //
+    //     { type: 'join', name }
+    //     { type: 'op', revision, op, cursor }
+    //     { type: 'cursor', revision, cursor }
+    //
+    // where a cursor is { clientId, name, cursor: number }, revision is
+    // the number of operations the relay had put in order, and op is
+    // the JSON form of a plt.wescheme.TextOperation.
+    //
+    // Messages are delivered a turn later, as they would be over the
+    // network; deliver() hands them over right away.
+    var CollabRelay = function(text) {
+        this.text = text;
+        // history: (arrayof TextOperation); revision n is the text
+        // after the first n.
+        this.history = [];
+        // clients: (hashof number { name: string, cursor: number, onMessage: function })
+        this.clients = {};
+        this.nextClientId = 1;
+        this.outbox = [];
+        this.isDeliveryScheduled = false;
+    };
+
+
+    // connect: (message -> void) -> connection
+    CollabRelay.prototype.connect = function(onMessage) {
+        var that = this;
+        var clientId = this.nextClientId++;
+        var isClosed = false;
+        return {
+            send: function(message) {
+                if (! isClosed) { that.receive(clientId, onMessage, message); }
+            },
+            close: function() {
+                if (isClosed) { return; }
+                isClosed = true;
+                if (Object.prototype.hasOwnProperty.call(that.clients, clientId)) {
+                    delete that.clients[clientId];
+                    that.broadcast(clientId, { type: 'left', clientId: clientId });
+                }
+            }
+        };
+    };
+
+
+    // receive: number (message -> void) message -> void
+    CollabRelay.prototype.receive = function(clientId, onMessage, message) {
+        var client = this.clients[clientId];
+        if (message.type === 'join') {
+            this.clients[clientId] = { name: message.name,
+                                       cursor: 0,
+                                       onMessage: onMessage };
+            this.post(onMessage, { type: 'welcome',
+                                   clientId: clientId,
+                                   revision: this.history.length,
+                                   text: this.text,
+                                   cursors: this.getCursors(clientId) });
+            this.broadcast(clientId, { type: 'joined',
+                                       clientId: clientId,
+                                       name: message.name });
+        } else if (! client) {
+            this.post(onMessage, { type: 'error', message: "join before sending " + message.type });
+        } else if (message.type === 'op') {
+            this.receiveOperation(clientId, client, message);
+        } else if (message.type === 'cursor') {
+            if (this.isValidRevision(message.revision)) {
+                client.cursor = this.transformPosition(message.cursor, message.revision);
+                this.broadcast(clientId, { type: 'cursor',
+                                           clientId: clientId,
+                                           cursor: client.cursor });
+            }
+        } else {
+            this.post(client.onMessage, { type: 'error', message: "unknown message " + message.type });
+        }
+    };
+
+
+    CollabRelay.prototype.receiveOperation = function(clientId, client, message) {
+        var op, cursor, pair, i;
+        if (! this.isValidRevision(message.revision)) {
+            this.post(client.onMessage, { type: 'error', message: "unknown revision " + message.revision });
+            return;
+        }
+        try {
+            op = TextOperation.fromJSON(message.op);
+            cursor = message.cursor;
+            for (i = message.revision; i < this.history.length; i++) {
+                pair = TextOperation.transform(op, this.history[i]);
+                op = pair[0];
+                cursor = pair[1].transformPosition(cursor);
+            }
+            this.text = op.apply(this.text);
+        } catch (e) {
+            this.post(client.onMessage, { type: 'error', message: e.message });
+            return;
+        }
+        this.history.push(op);
+        client.cursor = cursor;
+        this.post(client.onMessage, { type: 'ack', revision: this.history.length });
+        this.broadcast(clientId, { type: 'op',
+                                   clientId: clientId,
+                                   revision: this.history.length,
+                                   op: op.toJSON(),
+                                   cursor: cursor });
+    };
+
+
+    CollabRelay.prototype.isValidRevision = function(revision) {
+        return (typeof(revision) === 'number' &&
+                revision >= 0 &&
+                revision <= this.history.length);
+    };
+
+
+    // transformPosition: number number -> number
+    // Moves a position in the text of the given revision to the same
+    // place in the current text.
+    CollabRelay.prototype.transformPosition = function(position, revision) {
+        var i;
+        for (i = revision; i < this.history.length; i++) {
+            position = this.history[i].transformPosition(position);
+        }
+        return position;
+    };
+
+
+    // getCursors: number -> (arrayof cursor)
+    // The cursors of everyone but the given client.
+    CollabRelay.prototype.getCursors = function(exceptId) {
+        var cursors = [];
+        var id;
+        for (id in this.clients) {
+            if (Object.prototype.hasOwnProperty.call(this.clients, id) &&
+                Number(id) !== exceptId) {
+                cursors.push({ clientId: Number(id),
+                               name: this.clients[id].name,
+                               cursor: this.clients[id].cursor });
+            }
+        }
+        return cursors;
+    };
+
+
+    // getText: -> string
+    CollabRelay.prototype.getText = function() {
+        return this.text;
+    };
+
+
+    CollabRelay.prototype.broadcast = function(fromId, message) {
+        var id;
+        for (id in this.clients) {
+            if (Object.prototype.hasOwnProperty.call(this.clients, id) &&
+                Number(id) !== fromId) {
+                this.post(this.clients[id].onMessage, message);
+            }
+        }
+    };
+
+
+    CollabRelay.prototype.post = function(onMessage, message) {
+        var that = this;
+        this.outbox.push({ onMessage: onMessage, message: message });
+        if (! this.isDeliveryScheduled) {
+            this.isDeliveryScheduled = true;
+            setTimeout(function() { that.deliver(); }, 0);
+        }
+    };
+
+
+    // deliver: -> void
+    // Hands over every message that's waiting, including any sent in
+    // response.
+    CollabRelay.prototype.deliver = function() {
+        var next;
+        this.isDeliveryScheduled = false;
+        while (this.outbox.length > 0) {
+            next = this.outbox.shift();
+            next.onMessage(next.message);
+        }
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+
+    // The relays for the sessions hosted in this window, by name.
+    var localRelays = {};
+
+
+    // getLocal: string string -> CollabRelay
+    // The relay for the named session in this window, starting it with
+    // the given text if there isn't one yet.
+    CollabRelay.getLocal = function(name, text) {
+        if (! Object.prototype.hasOwnProperty.call(localRelays, name)) {
+            localRelays[name] = new CollabRelay(text);
+        }
+        return localRelays[name];
+    };
+
+
+    // openLocal: string string (relay -> void) -> void
+    //
+    // Finds the relay for the named session for the editors of this
+    // browser.  If another tab is already hosting the session, we get
+    // a stand-in that passes the messages through a BroadcastChannel;
+    // otherwise this window hosts it.  The session lasts as long as
+    // the tab hosting it.
+    //
+    // Two tabs that open the session at the same time won't find a
+    // host in time, and mustn't both host it.  So every tab that's
+    // looking draws a random id, and tells the others that look at the
+    // same time about it.  When the wait is over, only the tab with the
+    // lowest id hosts, and announces it; the others keep looking until
+    // they hear from it.
+    CollabRelay.openLocal = function(name, text, k) {
+        var channel, isAnswered = false, isOutranked;
+        var candidateId = Math.random();
+        if (typeof(BroadcastChannel) === 'undefined') {
+            k(CollabRelay.getLocal(name, text));
+            return;
+        }
+        if (Object.prototype.hasOwnProperty.call(localRelays, name)) {
+            k(localRelays[name]);
+            return;
+        }
+        channel = new BroadcastChannel("plt.wescheme.CollabRelay/" + name);
+        channel.onmessage = function(evt) {
+            var data = evt.data || {};
+            if (isAnswered) { return; }
+            if (data.type === 'host') {
+                isAnswered = true;
+                k(new ChannelRelay(channel));
+            } else if (data.type === 'find-host' || data.type === 'candidate') {
+                if (data.candidateId < candidateId) {
+                    isOutranked = true;
+                }
+                if (data.type === 'find-host') {
+                    channel.postMessage({ type: 'candidate', candidateId: candidateId });
+                }
+            }
+        };
+        var findHost = function() {
+            isOutranked = false;
+            channel.postMessage({ type: 'find-host', candidateId: candidateId });
+            setTimeout(function() {
+                if (isAnswered) {
+                    return;
+                } else if (isOutranked) {
+                    findHost();
+                } else {
+                    isAnswered = true;
+                    hostOverChannel(CollabRelay.getLocal(name, text), channel);
+                    k(localRelays[name]);
+                }
+            }, FIND_HOST_TIMEOUT);
+        };
+        findHost();
+    };
+
+
+    // hostOverChannel: CollabRelay BroadcastChannel -> void
+    // Lets the editors in other tabs connect to the relay, and tells
+    // the tabs that are still looking for a host that we're it.
+    var hostOverChannel = function(relay, channel) {
+        // connections: (hashof string connection), by the id the other
+        // tab gave it.
+        var connections = {};
+        channel.onmessage = function(evt) {
+            var data = evt.data || {};
+            if (data.type === 'find-host') {
+                channel.postMessage({ type: 'host' });
+            } else if (data.type === 'connect') {
+                connections[data.connectionId] = relay.connect(function(message) {
+                    channel.postMessage({ type: 'message',
+                                          connectionId: data.connectionId,
+                                          message: message });
+                });
+            } else if (data.type === 'send' &&
+                       Object.prototype.hasOwnProperty.call(connections, data.connectionId)) {
+                connections[data.connectionId].send(data.message);
+            } else if (data.type === 'disconnect' &&
+                       Object.prototype.hasOwnProperty.call(connections, data.connectionId)) {
+                connections[data.connectionId].close();
+                delete connections[data.connectionId];
+            }
+        };
+        if (typeof(window) !== 'undefined' && window.addEventListener) {
+            window.addEventListener('unload', function() {
+                channel.postMessage({ type: 'host-gone' });
+            });
+        }
+        channel.postMessage({ type: 'host' });
+    };
+
+
+    // ChannelRelay: BroadcastChannel -> relay
+    // The relay hosted by another tab, as seen from this one.
+    var ChannelRelay = function(channel) {
+        var that = this;
+        this.channel = channel;
+        // connections: (hashof string (message -> void))
+        this.connections = {};
+        channel.onmessage = function(evt) {
+            var data = evt.data || {};
+            var id;
+            if (data.type === 'message' &&
+                Object.prototype.hasOwnProperty.call(that.connections, data.connectionId)) {
+                that.connections[data.connectionId](data.message);
+            } else if (data.type === 'host-gone') {
+                for (id in that.connections) {
+                    if (Object.prototype.hasOwnProperty.call(that.connections, id)) {
+                        that.connections[id]({ type: 'closed' });
+                    }
+                }
+                that.connections = {};
+            }
+        };
+    };
+
+
+    ChannelRelay.prototype.connect = function(onMessage) {
+        var that = this;
+        var connectionId = String(Math.random()).slice(2) + String(new Date().getTime());
+        this.connections[connectionId] = onMessage;
+        this.channel.postMessage({ type: 'connect', connectionId: connectionId });
+        return {
+            send: function(message) {
+                that.channel.postMessage({ type: 'send',
+                                           connectionId: connectionId,
+                                           message: message });
+            },
+            close: function() {
+                if (Object.prototype.hasOwnProperty.call(that.connections, connectionId)) {
+                    delete that.connections[connectionId];
+                    that.channel.postMessage({ type: 'disconnect', connectionId: connectionId });
+                }
+            }
+        };
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.CollabRelay = CollabRelay;
+}());
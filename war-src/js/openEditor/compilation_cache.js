@@ -0,0 +1,205 @@
+/*global goog*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.CompilationCache");
+
+goog.require("plt.wescheme.storage");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // hashString: string -> string
+    // A 32-bit FNV-1a hash of the string, written in hex.  This is
+    // only used to make short cache keys: entries still hold on to
+    // the full program name and source, and compare them on lookup,
+    // so collisions are harmless.
+    var hashString = function(s) {
+        var hash = 0x811c9dc5;
+        var i;
+        for (i = 0; i < s.length; i++) {
+            hash ^= s.charCodeAt(i);
+            hash = (hash + (hash << 1) + (hash << 4) + (hash << 7) +
+                    (hash << 8) + (hash << 24)) >>> 0;
+        }
+        return hash.toString(16);
+    };
+
+
+    // makeKey: string string -> string
+    var makeKey = function(programName, code) {
+        return hashString(programName + "\u0000" + code);
+    };
+
+
+    var getDefaultStorage = plt.wescheme.storage.getDefaultStorage;
+
+
+
+    // CompilationCache: { maxSize: number,
+    //                     storageKey: (U string undefined),
+    //                     storage: (U storage undefined),
+    //                     version: (U string undefined) } -> CompilationCache
+    //
+    // A size-bounded, least-recently-used cache of compilation
+    // results, keyed on a hash of the program name and source.
+    //
+    // If a storageKey is provided, the cache is also written through
+    // to localStorage (or to the given storage object) under that
+    // key, so that programs compiled in an earlier session can be
+    // rerun without contacting a compilation server.  The persistent
+    // copy is stamped with the version, and a copy written under any
+    // other version is thrown away, so bytecode from an older compiler
+    // or runtime doesn't outlive a deploy.
+    var CompilationCache = function(options) {
+        options = options || {};
+        this.maxSize = options.maxSize || 16;
+        this.storageKey = options.storageKey;
+        this.version = options.version || "";
+        this.storage = (this.storageKey ?
+                        (options.storage || getDefaultStorage()) :
+                        undefined);
+
+        // entries: arrayof { key: string, name: string, code: string, result: any }
+        // Ordered from least to most recently used.
+        this.entries = [];
+        this._restore();
+    };
+
+
+    // get: string string -> (U any undefined)
+    // Returns the cached result for the program, or undefined if
+    // it hasn't been compiled before.  A hit marks the entry as the
+    // most recently used.  That's only recorded in memory: rewriting
+    // the whole persistent copy on every hit is too expensive, and
+    // the next put will save the new order anyway.
+    CompilationCache.prototype.get = function(programName, code) {
+        var key = makeKey(programName, code);
+        var i, entry;
+        for (i = this.entries.length - 1; i >= 0; i--) {
+            entry = this.entries[i];
+            if (entry.key === key &&
+                entry.name === programName &&
+                entry.code === code) {
+                this.entries.splice(i, 1);
+                this.entries.push(entry);
+                return entry.result;
+            }
+        }
+        return undefined;
+    };
+
+
+    // put: string string any -> void
+    // Records the result of compiling a program, evicting the least
+    // recently used entries if we're over capacity.  The result must
+    // be JSON-serializable if the cache is persistent.
+    CompilationCache.prototype.put = function(programName, code, result) {
+        var key = makeKey(programName, code);
+        var i;
+        for (i = this.entries.length - 1; i >= 0; i--) {
+            if (this.entries[i].key === key &&
+                this.entries[i].name === programName &&
+                this.entries[i].code === code) {
+                this.entries.splice(i, 1);
+            }
+        }
+        this.entries.push({ key: key,
+                            name: programName,
+                            code: code,
+                            result: result });
+        while (this.entries.length > this.maxSize) {
+            this.entries.shift();
+        }
+        this._persist();
+    };
+
+
+    // size: -> number
+    CompilationCache.prototype.size = function() {
+        return this.entries.length;
+    };
+
+
+    // clear: -> void
+    // Empties the cache, including its persistent copy.
+    CompilationCache.prototype.clear = function() {
+        this.entries = [];
+        if (this.storage) {
+            try {
+                this.storage.removeItem(this.storageKey);
+            } catch (e) {}
+        }
+    };
+
+
+    // The persistent copy looks like { version: string, entries: arrayof entry }.
+    CompilationCache.prototype._restore = function() {
+        var saved, entries;
+        if (! this.storage) { return; }
+        try {
+            saved = JSON.parse(this.storage.getItem(this.storageKey) || "null");
+        } catch (e) {
+            // Corrupted or unreadable: start over.
+            saved = null;
+        }
+        if (! saved || saved.version !== this.version) {
+            // Missing, or left behind by a different compiler.
+            return;
+        }
+        entries = saved.entries;
+        if (Object.prototype.toString.call(entries) === '[object Array]') {
+            this.entries = entries.slice(Math.max(0, entries.length - this.maxSize));
+        }
+    };
+
+
+    // Writes the cache to storage.  Compiled bytecode can be large,
+    // so if we run out of quota, we drop the oldest entries from the
+    // persistent copy until it fits.  The in-memory cache is left alone.
+    CompilationCache.prototype._persist = function() {
+        var toSave;
+        if (! this.storage) { return; }
+        toSave = this.entries.slice(0);
+        while (toSave.length > 0) {
+            try {
+                this.storage.setItem(this.storageKey,
+                                     JSON.stringify({ version: this.version,
+                                                      entries: toSave }));
+                return;
+            } catch (e) {
+                toSave.shift();
+            }
+        }
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (e2) {}
+    };
+
+
+    // removeStored: string (U storage undefined) -> void
+    // Removes every persistent copy whose storage key starts with the
+    // prefix, from localStorage or from the given storage object.
+    var removeStored = function(keyPrefix, storage) {
+        var i, key;
+        storage = storage || getDefaultStorage();
+        if (! storage) { return; }
+        try {
+            for (i = storage.length - 1; i >= 0; i--) {
+                key = storage.key(i);
+                if (key !== null && key.indexOf(keyPrefix) === 0) {
+                    storage.removeItem(key);
+                }
+            }
+        } catch (e) {}
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.CompilationCache = CompilationCache;
+    plt.wescheme.CompilationCache.hashString = hashString;
+    plt.wescheme.CompilationCache.removeStored = removeStored;
+}());
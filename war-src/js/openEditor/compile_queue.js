@@ -0,0 +1,157 @@
+/*global goog*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.CompileQueue");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // CompileQueue: (string string (any ... -> void) (any ... -> void) -> void)
+    //               (U (string -> any) undefined)
+    //            -> CompileQueue
+    //
+    // Sits in front of a compiler such as
+    // plt.wescheme.RoundRobin.roundRobinCompiler, and makes sure that
+    // only the newest request for a given program name gets its
+    // result back.
+    //
+    // * A request supersedes every earlier request with the same
+    //   program name and different source: the earlier callers get
+    //   their onDoneError called right away with a cancellation, made
+    //   by makeCancellation from the program name, and never hear about
+    //   the compilation itself.  (We can't abort a request that's
+    //   already gone out over the wire, but we can throw its answer
+    //   away.)
+    //
+    // * A request identical to one that's still in flight (same name
+    //   and source) doesn't go to the compiler again; it waits on
+    //   the pending compilation instead, and every caller waiting on
+    //   it gets the shared result.
+    var CompileQueue = function(compileProgram, makeCancellation) {
+        this.compileProgram = compileProgram;
+        this.makeCancellation = makeCancellation || function(programName) {
+            return new Error("The compilation of " + programName + " was cancelled.");
+        };
+
+        // pending: arrayof { name: string,
+        //                    code: string,
+        //                    waiters: arrayof { onDone: function, onDoneError: function } }
+        // The compilations that have gone out but haven't come back yet.
+        this.pending = [];
+    };
+
+
+    // compile: string string (any ... -> void) (any ... -> void) -> void
+    // Has the same signature as the compiler it wraps.
+    CompileQueue.prototype.compile = function(programName, code, onDone, onDoneError) {
+        var that = this;
+        var request;
+        var i;
+
+        for (i = 0; i < this.pending.length; i++) {
+            if (this.pending[i].name === programName &&
+                this.pending[i].code === code &&
+                this.pending[i].waiters.length > 0) {
+                this.pending[i].waiters.push({ onDone: onDone,
+                                               onDoneError: onDoneError });
+                return;
+            }
+        }
+
+        this.cancel(programName);
+
+        request = { name: programName,
+                    code: code,
+                    waiters: [{ onDone: onDone,
+                                onDoneError: onDoneError }] };
+        // Note: the compiler may call us back synchronously (say, on
+        // a cache hit), so the request has to be registered first.
+        this.pending.push(request);
+        this.compileProgram(
+            programName,
+            code,
+            function() {
+                that._finish(request, 'onDone', arguments);
+            },
+            function() {
+                that._finish(request, 'onDoneError', arguments);
+            });
+    };
+
+
+    // cancel: string -> void
+    // Cancels every caller waiting on a compilation of the named program.
+    CompileQueue.prototype.cancel = function(programName) {
+        // A cancelled caller may turn around and compile something
+        // else, so walk over a copy.
+        var pending = this.pending.slice(0);
+        var i;
+        for (i = 0; i < pending.length; i++) {
+            if (pending[i].name === programName) {
+                this._cancelRequest(pending[i]);
+            }
+        }
+    };
+
+
+    // cancelAll: -> void
+    // Cancels every caller waiting on any compilation.
+    CompileQueue.prototype.cancelAll = function() {
+        var pending = this.pending.slice(0);
+        var i;
+        for (i = 0; i < pending.length; i++) {
+            this._cancelRequest(pending[i]);
+        }
+    };
+
+
+    // isBusy: -> boolean
+    // Returns true if some caller is still waiting on a compilation.
+    CompileQueue.prototype.isBusy = function() {
+        var i;
+        for (i = 0; i < this.pending.length; i++) {
+            if (this.pending[i].waiters.length > 0) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+
+    // The request stays pending, since its compilation is still out,
+    // but nobody is waiting on it anymore.
+    CompileQueue.prototype._cancelRequest = function(request) {
+        var waiters = request.waiters;
+        var i;
+        request.waiters = [];
+        for (i = 0; i < waiters.length; i++) {
+            if (waiters[i].onDoneError) {
+                waiters[i].onDoneError(this.makeCancellation(request.name));
+            }
+        }
+    };
+
+
+    CompileQueue.prototype._finish = function(request, callbackName, args) {
+        var waiters = request.waiters;
+        var i;
+        for (i = 0; i < this.pending.length; i++) {
+            if (this.pending[i] === request) {
+                this.pending.splice(i, 1);
+                break;
+            }
+        }
+        request.waiters = [];
+        for (i = 0; i < waiters.length; i++) {
+            waiters[i][callbackName].apply(null, args);
+        }
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.CompileQueue = CompileQueue;
+}());
@@ -0,0 +1,248 @@
+/*global goog,types,state,control*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.Debugger");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // Debugger: -> Debugger
+    //
+    // Drives the evaluator one source location at a time.  The VM
+    // calls the hook from makeHook() whenever it enters an expression
+    // with a source location (see State.prototype.setDebugHook);
+    // depending on the mode, the debugger may pause evaluation there
+    // and hand a snapshot of the machine to its pause listeners.
+    //
+    // Modes:
+    //
+    // * 'step': pause at the very next location.
+    //
+    // * 'step-over': pause at the next location that isn't nested
+    //   inside the one we're paused at.
+    //
+    // * 'continue': pause only at breakpoints.
+    //
+    // Only the user's own code (the definitions and interactions) is
+    // ever stopped in; required modules run through at full speed.
+    var Debugger = function() {
+        // breakpoints: hashof string -> (hashof number -> true)
+        // Maps a source id to the set of lines that have breakpoints.
+        this.breakpoints = {};
+        this.mode = 'continue';
+
+        // The control stack depth we're stepping over, in step-over mode.
+        this.stepOverDepth = 0;
+
+        // paused: (U false { snapshot: snapshot, resume: (-> void) })
+        this.paused = false;
+
+        this.pauseListeners = [];
+        this.resumeListeners = [];
+    };
+
+
+    // A snapshot is a description of the machine at a pause:
+    //
+    // { location: loc,
+    //   values: (arrayof any),        the value stack, topmost first
+    //   stackTrace: (arrayof loc),    from the current continuation marks,
+    //                                 innermost first
+    //   depth: number }               the height of the control stack
+    //
+    // where loc is { id: string, offset: number, line: number,
+    //                column: number, span: number }.
+
+
+    // setBreakpoints: string (arrayof number) -> void
+    // Replaces the breakpoints in the source with the given lines.
+    Debugger.prototype.setBreakpoints = function(id, lines) {
+        var i;
+        this.breakpoints[id] = {};
+        for (i = 0; i < lines.length; i++) {
+            this.breakpoints[id][lines[i]] = true;
+        }
+    };
+
+
+    // hasBreakpoint: string number -> boolean
+    Debugger.prototype.hasBreakpoint = function(id, line) {
+        return (this.breakpoints.hasOwnProperty(id) &&
+                this.breakpoints[id].hasOwnProperty(line));
+    };
+
+
+    // setMode: (U 'step' 'step-over' 'continue') -> void
+    // Chooses how the next run will pause.
+    Debugger.prototype.setMode = function(mode) {
+        this.mode = mode;
+        // Starting afresh, there's nothing to step over yet, so
+        // step-over stops at the first location, just as step does.
+        this.stepOverDepth = Infinity;
+    };
+
+
+    // shouldPause: loc number -> boolean
+    // Decides whether to pause on entering the location, given the
+    // current height of the control stack.
+    Debugger.prototype.shouldPause = function(loc, depth) {
+        if (! isUserSource(loc.id)) {
+            return false;
+        }
+        if (this.hasBreakpoint(loc.id, loc.line)) {
+            return true;
+        }
+        switch (this.mode) {
+        case 'step':
+            return true;
+        case 'step-over':
+            return depth <= this.stepOverDepth;
+        default:
+            return false;
+        }
+    };
+
+
+    // makeHook: -> (state vector -> void)
+    // Produces the hook to install with Evaluator.prototype.setDebugHook.
+    Debugger.prototype.makeHook = function() {
+        var that = this;
+        return function(aState, locVector) {
+            var loc = vectorToLoc(locVector);
+            var depth = aState.cstack.length;
+            var snapshot, v;
+            if (aState.breakRequested || ! that.shouldPause(loc, depth)) {
+                return;
+            }
+            snapshot = { location: loc,
+                         values: aState.vstack.slice(0).reverse(),
+                         stackTrace: state.getStackTraceFromContinuationMarks(
+                             state.captureCurrentContinuationMarks(aState)),
+                         depth: depth };
+            v = aState.v;
+            throw new control.PauseException(function(onRestart, onCall) {
+                that._pause(aState, snapshot, function() { onRestart(v); });
+            });
+        };
+    };
+
+
+    // isPaused: -> boolean
+    Debugger.prototype.isPaused = function() {
+        return this.paused !== false;
+    };
+
+
+    // getSnapshot: -> (U snapshot false)
+    Debugger.prototype.getSnapshot = function() {
+        return (this.paused ? this.paused.snapshot : false);
+    };
+
+
+    // step: -> void
+    // Resumes, pausing again at the very next location.
+    Debugger.prototype.step = function() {
+        this._resume('step', 0);
+    };
+
+
+    // stepOver: -> void
+    // Resumes, pausing again once the current expression is done with.
+    Debugger.prototype.stepOver = function() {
+        this._resume('step-over',
+                     this.paused ? this.paused.snapshot.depth : 0);
+    };
+
+
+    // resume: -> void
+    // Resumes, pausing again only at a breakpoint.
+    Debugger.prototype.resume = function() {
+        this._resume('continue', 0);
+    };
+
+
+    // forget: -> void
+    // Abandons the paused evaluation without resuming it, such as when
+    // the interactions are reset out from under us.
+    Debugger.prototype.forget = function() {
+        if (this.paused) {
+            this.paused = false;
+            this._notify(this.resumeListeners, []);
+        }
+    };
+
+
+    // addPauseListener: (snapshot -> void) -> void
+    Debugger.prototype.addPauseListener = function(listener) {
+        this.pauseListeners.push(listener);
+    };
+
+
+    // addResumeListener: (-> void) -> void
+    Debugger.prototype.addResumeListener = function(listener) {
+        this.resumeListeners.push(listener);
+    };
+
+
+    Debugger.prototype._pause = function(aState, snapshot, restart) {
+        var that = this;
+        // If the user hits Stop while we're paused, let the program
+        // run on so that the interpreter notices the break.
+        var onBreak = function() {
+            // (Not right away: we're in the middle of the state's
+            // walk over its break listeners.)
+            setTimeout(function() { that.resume(); }, 0);
+        };
+        aState.addBreakRequestedListener(onBreak);
+        this.paused = { snapshot: snapshot,
+                        resume: function() {
+                            aState.removeBreakRequestedListener(onBreak);
+                            restart();
+                        } };
+        this._notify(this.pauseListeners, [snapshot]);
+    };
+
+
+    Debugger.prototype._resume = function(mode, stepOverDepth) {
+        var paused = this.paused;
+        this.mode = mode;
+        this.stepOverDepth = stepOverDepth;
+        if (! paused) { return; }
+        this.paused = false;
+        this._notify(this.resumeListeners, []);
+        paused.resume();
+    };
+
+
+    Debugger.prototype._notify = function(listeners, args) {
+        var i;
+        for (i = 0; i < listeners.length; i++) {
+            listeners[i].apply(null, args);
+        }
+    };
+
+
+    // isUserSource: string -> boolean
+    // The definitions and interactions have ids like "<definitions>";
+    // required modules are named by their paths.
+    var isUserSource = function(id) {
+        return (/^<.*>$/).test(id) && id !== '<no-location>';
+    };
+
+
+    var vectorToLoc = function(v) {
+        return { id: v.ref(0) + '',
+                 offset: Number(v.ref(1)),
+                 line: Number(v.ref(2)),
+                 column: Number(v.ref(3)),
+                 span: Number(v.ref(4)) };
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.Debugger = Debugger;
+}());
@@ -0,0 +1,136 @@
+/*global goog,jQuery,types*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.DebuggerPanel");
+
+goog.require("plt.wescheme.Debugger");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // DebuggerPanel: WeSchemeEditor -> DebuggerPanel
+    //
+    // The debugger's window: buttons to step, step over and continue,
+    // and a view of where the program is paused, what's on its value
+    // stack, and the source locations recorded in its continuation
+    // marks.
+    var DebuggerPanel = function(editor) {
+        var that = this;
+        this.editor = editor;
+        this.dialog = jQuery("<div class='debugger-panel'/>");
+        this.statusDom = jQuery("<div class='debugger-status'/>");
+        this.valuesDom = jQuery("<ol class='debugger-values'/>");
+        this.marksDom = jQuery("<div class='debugger-marks'/>");
+
+        this.dialog.append(this.statusDom)
+            .append(jQuery("<h3/>").text("Value stack"))
+            .append(this.valuesDom)
+            .append(jQuery("<h3/>").text("Continuation marks"))
+            .append(this.marksDom);
+
+        editor.vmDebugger.addPauseListener(function(snapshot) {
+            that.showSnapshot(snapshot);
+        });
+        editor.vmDebugger.addResumeListener(function() {
+            that.showRunning();
+        });
+        this.showIdle();
+    };
+
+
+    // show: (-> void) -> void
+    // Opens the panel; onClose is called when the user closes it.
+    DebuggerPanel.prototype.show = function(onClose) {
+        var that = this;
+        this.onClose = onClose;
+        if (this.isInitialized) {
+            this.dialog.dialog("open");
+            return;
+        }
+        this.isInitialized = true;
+        this.dialog.dialog({ title: 'Debugger',
+                             bgiframe : true,
+                             modal : false,
+                             position : ["right", "top"],
+                             width : 350,
+                             height : 450,
+                             buttons : { "Continue" : function() { that.editor.debug('continue'); },
+                                         "Step Over" : function() { that.editor.debug('step-over'); },
+                                         "Step" : function() { that.editor.debug('step'); } },
+                             close : function() {
+                                 if (that.onClose) { that.onClose(); }
+                             } });
+        this.dialog.dialog("open");
+    };
+
+
+    // hide: -> void
+    DebuggerPanel.prototype.hide = function() {
+        var onClose = this.onClose;
+        this.onClose = undefined;
+        if (this.isInitialized) {
+            this.dialog.dialog("close");
+        }
+        this.onClose = onClose;
+    };
+
+
+    DebuggerPanel.prototype.showIdle = function() {
+        this.statusDom.text("Click Step to start the program one step at a time, " +
+                            "or click in the margin of the definitions to set a breakpoint.");
+        this.valuesDom.empty();
+        this.marksDom.empty();
+    };
+
+
+    DebuggerPanel.prototype.showRunning = function() {
+        this.statusDom.text("Running...");
+    };
+
+
+    // showSnapshot: snapshot -> void
+    DebuggerPanel.prototype.showSnapshot = function(snapshot) {
+        var interactions = this.editor.interactions;
+        var i;
+
+        this.statusDom.empty()
+            .append(jQuery("<span/>").text("Paused "))
+            .append(interactions.createLocationHyperlink(snapshot.location));
+
+        this.valuesDom.empty();
+        if (snapshot.values.length === 0) {
+            this.valuesDom.append(jQuery("<li class='debugger-empty'/>").text("(empty)"));
+        }
+        for (i = 0; i < snapshot.values.length; i++) {
+            this.valuesDom.append(jQuery("<li/>").append(renderValue(snapshot.values[i])));
+        }
+
+        this.marksDom.empty();
+        for (i = 0; i < snapshot.stackTrace.length; i++) {
+            this.marksDom.append(interactions.createLocationHyperlink(snapshot.stackTrace[i]));
+        }
+    };
+
+
+    // renderValue: any -> dom
+    // The value stack also holds the machine's own bookkeeping, which
+    // doesn't always know how to print itself.
+    var renderValue = function(v) {
+        if (v === undefined) {
+            return document.createTextNode("#<undefined>");
+        }
+        try {
+            return types.toDomNode(v);
+        } catch (e) {
+            return document.createTextNode("#<internal>");
+        }
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.DebuggerPanel = DebuggerPanel;
+}());
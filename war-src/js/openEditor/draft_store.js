@@ -0,0 +1,157 @@
+/*global goog*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.DraftStore");
+
+goog.require("plt.wescheme.storage");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // The key for the draft of a program that hasn't been saved yet.
+    var UNNAMED_KEY = "unnamed";
+
+
+    var getDefaultStorage = plt.wescheme.storage.getDefaultStorage;
+
+
+    var keyFor = function(pid) {
+        return pid ? String(pid) : UNNAMED_KEY;
+    };
+
+
+
+    // DraftStore: { maxSize: number,
+    //               storageKey: string,
+    //               storage: (U storage undefined) } -> DraftStore
+    //
+    // Keeps a copy of the definitions of each program that has changes
+    // the server hasn't seen, in localStorage (or in the given storage
+    // object), so that they outlive a crashed tab or a lost network.
+    // Programs are named by pid; programs without one share a single
+    // draft.  Only the maxSize most recently changed drafts are kept.
+    //
+    // A draft is { pid: (U number false), title: string, code: string, time: number }.
+    var DraftStore = function(options) {
+        options = options || {};
+        this.maxSize = options.maxSize || 20;
+        this.storageKey = options.storageKey || "plt.wescheme.DraftStore";
+        this.storage = options.storage || getDefaultStorage();
+        // drafts: (hashof string draft)
+        this.drafts = {};
+        this._restore();
+    };
+
+
+    // get: (U number false) -> (U draft undefined)
+    DraftStore.prototype.get = function(pid) {
+        var key = keyFor(pid);
+        this._restore();
+        return (Object.prototype.hasOwnProperty.call(this.drafts, key) ?
+                this.drafts[key] :
+                undefined);
+    };
+
+
+    // put: (U number false) string string -> void
+    DraftStore.prototype.put = function(pid, title, code) {
+        // Other tabs may have changed their own drafts since we last
+        // looked, so we start from the stored copy.
+        this._restore();
+        this.drafts[keyFor(pid)] = { pid: pid || false,
+                                     title: title,
+                                     code: code,
+                                     time: new Date().getTime() };
+        this._evict();
+        this._persist();
+    };
+
+
+    // remove: (U number false) -> void
+    DraftStore.prototype.remove = function(pid) {
+        var key = keyFor(pid);
+        this._restore();
+        if (Object.prototype.hasOwnProperty.call(this.drafts, key)) {
+            delete this.drafts[key];
+            this._persist();
+        }
+    };
+
+
+    // size: -> number
+    DraftStore.prototype.size = function() {
+        return this._keysOldestFirst().length;
+    };
+
+
+    DraftStore.prototype._keysOldestFirst = function() {
+        var that = this;
+        var keys = [];
+        var key;
+        for (key in this.drafts) {
+            if (Object.prototype.hasOwnProperty.call(this.drafts, key)) {
+                keys.push(key);
+            }
+        }
+        keys.sort(function(a, b) { return that.drafts[a].time - that.drafts[b].time; });
+        return keys;
+    };
+
+
+    DraftStore.prototype._evict = function() {
+        var keys = this._keysOldestFirst();
+        while (keys.length > this.maxSize) {
+            delete this.drafts[keys.shift()];
+        }
+    };
+
+
+    DraftStore.prototype._restore = function() {
+        var saved;
+        if (! this.storage) { return; }
+        try {
+            saved = JSON.parse(this.storage.getItem(this.storageKey) || "{}");
+        } catch (e) {
+            // Corrupted or unreadable: start over.
+            saved = {};
+        }
+        if (saved && typeof(saved) === 'object' &&
+            Object.prototype.toString.call(saved) !== '[object Array]') {
+            this.drafts = saved;
+        }
+    };
+
+
+    // Writes the drafts to storage.  If we run out of quota, the
+    // oldest drafts are left out of the stored copy until it fits, so
+    // that the one being typed into is kept.
+    DraftStore.prototype._persist = function() {
+        var keys, toSave, i;
+        if (! this.storage) { return; }
+        keys = this._keysOldestFirst();
+        while (true) {
+            toSave = {};
+            for (i = 0; i < keys.length; i++) {
+                toSave[keys[i]] = this.drafts[keys[i]];
+            }
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify(toSave));
+                return;
+            } catch (e) {
+                if (keys.length === 0) { break; }
+                keys.shift();
+            }
+        }
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (e2) {}
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.DraftStore = DraftStore;
+}());
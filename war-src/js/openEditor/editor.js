@@ -11,6 +11,22 @@ goog.require('plt.wescheme.AjaxActions');
 goog.require('plt.wescheme.WeSchemeIntentBus');
 goog.require('plt.wescheme.SharingDialog');
 goog.require('plt.wescheme.NotesDialog');
+goog.require('plt.wescheme.RevisionsDialog');
+goog.require('plt.wescheme.RecoverDraftDialog');
+goog.require('plt.wescheme.HandInDialog');
+goog.require('plt.wescheme.Grader');
+goog.require('plt.wescheme.DraftStore');
+goog.require('plt.wescheme.CollabRelay');
+goog.require('plt.wescheme.CollabClient');
+goog.require('plt.wescheme.Debugger');
+goog.require('plt.wescheme.DebuggerPanel');
+goog.require('plt.wescheme.AlgebraicStepper');
+goog.require('plt.wescheme.AlgebraicStepperPanel');
+goog.require('plt.wescheme.WorldRecorder');
+goog.require('plt.wescheme.WorldHistory');
+goog.require('plt.wescheme.WorldHistoryPanel');
+goog.require('plt.wescheme.WorldInspectorPanel');
+goog.require('plt.wescheme.EventSimulatorPanel');
 goog.require('plt.wescheme.WeSchemeInteractions');
 goog.require('plt.wescheme.helpers');
 goog.require('plt.wescheme.tokenizer');
@@ -85,6 +101,38 @@ var WeSchemeEditor;
 		});
 
 		that.interactions.addOnReset(function() {that.defn.unhighlightAll()});
+
+		// The debugger.  Its hook only gets installed in debugging mode.
+		that.vmDebugger = new plt.wescheme.Debugger();
+		that.isDebuggingMode = false;
+		that.debuggerPanel = undefined;
+		that.debuggerHighlight = undefined;
+		that.vmDebugger.addPauseListener(function(snapshot) {
+		    var loc = snapshot.location;
+		    that._clearDebuggerHighlight();
+		    that.debuggerHighlight = that.highlight(loc.id, loc.offset, loc.line, loc.column, loc.span,
+							    DEBUGGER_HIGHLIGHT_COLOR);
+		});
+		that.vmDebugger.addResumeListener(function() {
+		    that._clearDebuggerHighlight();
+		});
+		that.interactions.addOnReset(function() { that.vmDebugger.forget(); });
+		that.stepperPanel = undefined;
+		that.coverageMode = false;
+		that.coverageHighlights = [];
+		that.interactions.addOnReset(function() { that._clearCoverage(); });
+		that.interactions.addOnReset(function() { world.Kernel.stopAllSounds(); });
+		that.worldRecorder = new plt.wescheme.WorldRecorder();
+		that.isWorldPausedE = receiverE();
+		that.isWorldPausedB = startsWith(that.isWorldPausedE, false);
+		that.worldHistory = new plt.wescheme.WorldHistory();
+		that.isWorldHistoryMode = false;
+		that.worldHistoryPanel = undefined;
+		that.isWorldInspectorMode = false;
+		that.worldInspectorPanel = undefined;
+		that.isEventSimulatorMode = false;
+		that.eventSimulatorPanel = undefined;
+		that.interactions.setStepper(function(code) { that.showStepper(code); });
 		that.interactions.setMoveCursor(function(id, offset){that.moveCursor(id, offset)});
 		that.interactions.setScrollIntoView(function(id, offset, margin){that.scrollIntoView(id, offset, margin)});
 		that.interactions.setFocus(function(id){that.focus(id)});
@@ -94,6 +142,37 @@ var WeSchemeEditor;
 		// pid: (or false number)
 		that.pid = false;
 
+		// savedCode: string
+		// The definitions as the server last saw them.
+		that.savedCode = "";
+		// Unsaved definitions are kept as drafts in the browser, in
+		// case the tab dies or the network goes away before they're
+		// saved.  While the user is deciding whether to recover a
+		// draft, isDraftPending is true and the draft is left alone.
+		that.draftStore = new plt.wescheme.DraftStore(
+		    { storageKey: "plt.wescheme.WeSchemeEditor.drafts" });
+		that.isDraftPending = false;
+
+		// While a shared session is on, collabClient keeps the
+		// definitions in step with the other editors of this pid.
+		// isApplyingRemote is true while their changes are being
+		// put into the definitions, so they don't get sent back.
+		that.collabClient = undefined;
+		that.collabCursorMarks = [];
+		that.isApplyingRemote = false;
+		that.isSharingE = receiverE();
+		that.isSharingB = startsWith(that.isSharingE, false);
+
+		// The assignment this program is a copy of the starter of,
+		// if any (see AjaxActions.getAssignment), with its last
+		// hand-in.  isHandingInB is true while it's being handed in,
+		// or graded by the teacher.
+		that.assignment = null;
+		that.assignmentE = receiverE();
+		that.assignmentB = startsWith(that.assignmentE, null);
+		that.isHandingInE = receiverE();
+		that.isHandingInB = startsWith(that.isHandingInE, false);
+
 
 		//////////////////////////////////////////////////////////////////////
 		// Flapjax stuff.
@@ -117,6 +196,14 @@ var WeSchemeEditor;
 		    //when text changes, everything unhighlighted
 		    that.unhighlightAll();		  
 		    plt.wescheme.WeSchemeIntentBus.notify("definitions-changed", that);
+		    that._saveDraft();
+		    that._shareChange();
+		});
+
+		that.defn.getCursorE().mapE(function(offset) {
+		    if (that.collabClient && ! that.isApplyingRemote) {
+			that.collabClient.localCursor(offset);
+		    }
 		});
 
 		//////////////////////////////////////////////////////////////////////
@@ -318,13 +405,72 @@ var WeSchemeEditor;
     // WeSchemeEditor._autosave: -> void
     WeSchemeEditor.prototype._autosave = function() {
 	plt.wescheme.WeSchemeIntentBus.notify("autosave", this);
-	this.save();
+	this.save(undefined, undefined, undefined, true);
+    };
+
+    // WeSchemeEditor._saveDraft: -> void
+    // Keeps the definitions as a draft if they differ from the saved ones.
+    WeSchemeEditor.prototype._saveDraft = function() {
+	var code;
+	if (this.isDraftPending) { return; }
+	// Only the owner's changes to a program are worth keeping.
+	if (this.pid && ! (this.isOwnerB && valueNow(this.isOwnerB))) { return; }
+	code = this.getDefinitionsText();
+	if (code === this.savedCode) {
+	    this.draftStore.remove(this.pid);
+	} else {
+	    this.draftStore.put(this.pid, this.filenameEntry.attr("value"), code);
+	}
     };
 
-    WeSchemeEditor.prototype.save = function(success, fail, cancel) {
+    // WeSchemeEditor.offerUnnamedDraft: -> void
+    // Offers to recover the changes to a program that was never saved.
+    WeSchemeEditor.prototype.offerUnnamedDraft = function() {
+	var draft = this.draftStore.get(false);
+	if (draft) {
+	    this._offerDraft(draft);
+	}
+    };
+
+    // WeSchemeEditor._offerDraft: draft -> void
+    // Asks whether to bring back the changes in the draft, showing
+    // how they differ from the saved definitions.
+    WeSchemeEditor.prototype._offerDraft = function(draft) {
 	var that = this;
+	var finish = function() { that.isDraftPending = false; };
+	if (draft.code === this.savedCode) {
+	    finish();
+	    this.draftStore.remove(this.pid);
+	    return;
+	}
+	this.isDraftPending = true;
+	(new plt.wescheme.RecoverDraftDialog(draft, this.savedCode)).show(
+	    function(draft) {
+		finish();
+		if (plt.wescheme.helpers.trimWhitespace(that.filenameEntry.attr("value")) === "") {
+		    that.filenameEntry.attr("value", draft.title);
+		}
+		that.defn.setCode(draft.code);
+	    },
+	    function(draft) {
+		finish();
+		that.draftStore.remove(that.pid);
+	    },
+	    finish);
+    };
+
+    // save: (-> void)? (-> void)? (-> void)? boolean? -> void
+    // isAutosave tells the server that the save wasn't asked for, so it
+    // can be choosier about keeping a revision.
+    WeSchemeEditor.prototype.save = function(success, fail, cancel, isAutosave) {
+	var that = this;
+	// codeToSave: the definitions as they were when the save started.
+	var codeToSave;
 	var afterSave = function(pid) {
 	    that.pid = pid;
+	    that.savedCode = codeToSave;
+	    // Anything typed while the save was going on is still a draft.
+	    that._saveDraft();
 
 	    that.savedE.sendEvent(true);
 	    plt.wescheme.WeSchemeIntentBus.notify("after-save", that);
@@ -339,20 +485,25 @@ var WeSchemeEditor;
 	    that.actions.save({ pid: false, 
 		                title: that.filenameEntry.attr("value"),
 		                code : that.defn.getCode()},
-		              doPageReload,
+		              function(pid) {
+				  that.draftStore.remove(false);
+				  doPageReload(pid);
+			      },
 		              whenSaveBreaks);
 	};
 
 	var onUpdate = function() {
 	    that.actions.save({ pid: that.pid,
 		                title: that.filenameEntry.attr("value"),
-		                code : that.defn.getCode()},
+		                code : that.defn.getCode(),
+				autosave: !! isAutosave},
 		              afterSave,
 		              whenSaveBreaks);
 	};
 
 	var afterFileNameChosen = function() {
 	    plt.wescheme.WeSchemeIntentBus.notify("before-save", that);
+	    codeToSave = that.defn.getCode();
 	    if (that.pid == false) {
 		onFirstSave();
 	    } else {
@@ -361,6 +512,8 @@ var WeSchemeEditor;
                         that.pid,
 			that.defn.getCode(),
 			function(newPid) {
+			    // The changes live on in the clone.
+			    that.draftStore.remove(that.pid);
 	                    that.actions.save(
                                 { pid: newPid, 
 		                  title: that.filenameEntry.attr("value"),
@@ -485,6 +638,11 @@ var WeSchemeEditor;
 	
 	var whenLoadSucceeds = function(aProgram) {
  	    that.pid = aProgram.getId();
+	    var draft = (attrs.pid ? that.draftStore.get(that.pid) : undefined);
+	    // Keep the draft from being overwritten by the saved code
+	    // until the user has seen it.
+	    that.isDraftPending = (draft !== undefined);
+	    that.savedCode = aProgram.getSourceCode();
  	    var publicUrl = getAbsoluteUrl(
  		"/openEditor?publicId=" +
  		    encodeURIComponent(aProgram.getPublicId()));
@@ -505,9 +663,18 @@ var WeSchemeEditor;
 	    } else {
 		that._setIsOwner(false);
 	    }
+	    // Someone else's program, opened by pid (a teacher looking
+	    // at a student's, say), can be looked at but not changed.
+	    that.defn.setReadOnly(Boolean(attrs.pid) && ! that.isOwner);
 	    that.loadedE.sendEvent(true);
 	    that.isPublishedE.sendEvent(aProgram.isPublished());
 	    plt.wescheme.WeSchemeIntentBus.notify("after-load", that);
+	    if (draft) {
+		that._offerDraft(draft);
+	    }
+	    if (attrs.pid) {
+		that._loadAssignment();
+	    }
 	    if (onSuccess) { onSuccess(aProgram.getSourceCode()); }
 	};
 
@@ -557,19 +724,525 @@ var WeSchemeEditor;
     };
 
 
-    WeSchemeEditor.prototype.run = function(after) {
+    // showRevisionsDialog: -> void
+    // Lists the saved revisions of this program; a restored one
+    // replaces the text of the definitions window, to be saved again
+    // like any other edit.
+    WeSchemeEditor.prototype.showRevisionsDialog = function() {
+	var that = this;
+	var dialog = new plt.wescheme.RevisionsDialog(this.pid, this.defn.getCode());
+	dialog.show(function(code) {
+	    that.defn.setCode(code);
+	});
+    };
+
+
+    // The tests only come if we're the teacher looking at a student's
+    // copy.
+    WeSchemeEditor.prototype._loadAssignment = function() {
+	var that = this;
+	this.actions.getAssignment(
+	    this.pid,
+	    ! this.isOwner,
+	    function(assignment) {
+		that.assignment = assignment;
+		that.assignmentE.sendEvent(assignment);
+	    },
+	    function() {
+		// Without it, the program just can't be handed in.
+	    });
+    };
+
+
+    // showHandInDialog: -> void
+    // Shows the results of the last hand-in for this program's
+    // assignment, and lets the owner hand it in, or the teacher grade
+    // it.
+    WeSchemeEditor.prototype.showHandInDialog = function() {
+	var that = this;
+	if (! this.assignment) { return; }
+	var dialog = new plt.wescheme.HandInDialog(
+	    this.assignment,
+	    this.isOwner,
+	    this.assignment.tests !== undefined && Boolean(this.assignment.handIn));
+	dialog.show(function() { that.handIn(); },
+		    function() { that.gradeHandIn(); });
+    };
+
+
+    // handIn: -> void
+    // Saves the program, and hands in the saved copy for the teacher
+    // to grade.
+    WeSchemeEditor.prototype.handIn = function() {
+	var that = this;
+	var assignment = this.assignment;
+	var whenHandInBreaks = function(err) {
+	    that.isHandingInE.sendEvent(false);
+	    alert("Unable to hand in the program" + (err ? ": " + err : ""));
+	};
+	if (! assignment || valueNow(this.isHandingInB)) { return; }
+	this.isHandingInE.sendEvent(true);
+	this.save(
+	    function() {
+		that.actions.handIn(
+		    that.pid,
+		    assignment.id,
+		    function(handIn) {
+			that.assignment.handIn = handIn;
+			that.assignmentE.sendEvent(that.assignment);
+			that.isHandingInE.sendEvent(false);
+			that.showHandInDialog();
+		    },
+		    whenHandInBreaks);
+	    },
+	    function() { that.isHandingInE.sendEvent(false); },
+	    function() { that.isHandingInE.sendEvent(false); });
+    };
+
+
+    // gradeHandIn: -> void
+    // Grades the student's last hand-in against the assignment's
+    // hidden tests, which only we as its teacher get, and records the
+    // grade.  The tests run in an evaluator of their own, so the
+    // interactions are left alone.
+    WeSchemeEditor.prototype.gradeHandIn = function() {
+	var that = this;
+	var assignment = this.assignment;
+	if (! assignment || ! assignment.handIn || assignment.tests === undefined ||
+	    valueNow(this.isHandingInB)) {
+	    return;
+	}
+	this.isHandingInE.sendEvent(true);
+	var grader = new plt.wescheme.Grader(this.interactions.makeSandboxedEvaluator());
+	grader.grade(assignment.handIn.src, assignment.tests, function(grade) {
+	    that.actions.gradeHandIn(
+		assignment.handIn.id,
+		grade,
+		function(handIn) {
+		    handIn.src = assignment.handIn.src;
+		    that.assignment.handIn = handIn;
+		    that.assignmentE.sendEvent(that.assignment);
+		    that.isHandingInE.sendEvent(false);
+		    that.showHandInDialog();
+		},
+		function(err) {
+		    that.isHandingInE.sendEvent(false);
+		    alert("Unable to record the grade" + (err ? ": " + err : ""));
+		});
+	});
+    };
+
+
+    // run: (-> void)? (U 'step' 'step-over' 'continue')? -> void
+    // In debugging mode, debugMode says where to pause first; by
+    // default, we only stop at breakpoints.
+    WeSchemeEditor.prototype.run = function(after, debugMode) {
 	var that = this;
 	plt.wescheme.WeSchemeIntentBus.notify("before-run", this);
+	this.setWorldPaused(false);
 	this.interactions.reset();
+	if (this.isDebugging()) {
+	    this.vmDebugger.setBreakpoints("<definitions>", this.defn.getBreakpointLines());
+	    this.vmDebugger.setMode(debugMode || 'continue');
+	}
 	this.interactions.runCode(
 	    this.defn.getCode(), 
 	    "<definitions>",
 	    function() {
+		if (that.isDebugging()) { that.debuggerPanel.showIdle(); }
 		plt.wescheme.WeSchemeIntentBus.notify("after-run", that);
 		if (after) { after(); }
 	    });
     };
+
+
+    var DEBUGGER_HIGHLIGHT_COLOR = "rgb(158, 202, 225)";
+
+    // isDebugging: -> boolean
+    // Returns true if we're in debugging mode.
+    WeSchemeEditor.prototype.isDebugging = function() {
+	return this.isDebuggingMode;
+    };
+
+    // setDebugging: boolean -> void
+    // Turns debugging mode on or off.  In debugging mode, the debugger
+    // panel is open, and the definitions get a gutter for breakpoints.
+    WeSchemeEditor.prototype.setDebugging = function(isOn) {
+	var that = this;
+	if (isOn === this.isDebugging()) { return; }
+	this.isDebuggingMode = isOn;
+	if (isOn) {
+	    if (! this.debuggerPanel) {
+		this.debuggerPanel = new plt.wescheme.DebuggerPanel(this);
+	    }
+	    this.defn.enableBreakpointGutter(function(line, isSet) {
+		that.vmDebugger.setBreakpoints("<definitions>", that.defn.getBreakpointLines());
+	    });
+	    this.interactions.setDebugHook(this.vmDebugger.makeHook());
+	    this.debuggerPanel.show(function() { that.setDebugging(false); });
+	} else {
+	    this.interactions.setDebugHook(false);
+	    this.defn.disableBreakpointGutter();
+	    this.vmDebugger.setBreakpoints("<definitions>", []);
+	    this.debuggerPanel.hide();
+	    // Anything still paused runs to completion.
+	    this.vmDebugger.resume();
+	}
+    };
+
+    WeSchemeEditor.prototype.toggleDebugging = function() {
+	this.setDebugging(! this.isDebugging());
+    };
+
+    // debug: (U 'step' 'step-over' 'continue') -> void
+    // Moves a paused program along.  If nothing is paused, runs the
+    // definitions from the start, pausing according to the mode.
+    WeSchemeEditor.prototype.debug = function(mode) {
+	if (! this.vmDebugger.isPaused()) {
+	    this.run(undefined, mode);
+	} else if (mode === 'step') {
+	    this.vmDebugger.step();
+	} else if (mode === 'step-over') {
+	    this.vmDebugger.stepOver();
+	} else {
+	    this.vmDebugger.resume();
+	}
+    };
+
+    WeSchemeEditor.prototype._clearDebuggerHighlight = function() {
+	if (this.debuggerHighlight) {
+	    this.debuggerHighlight.clear();
+	    this.debuggerHighlight = undefined;
+	}
+    };
     
+    var COVERAGE_HIGHLIGHT_COLOR = "rgb(253, 208, 162)";
+
+    // isCoverageEnabled: -> boolean
+    WeSchemeEditor.prototype.isCoverageEnabled = function() {
+	return this.coverageMode;
+    };
+
+    // setCoverageEnabled: boolean -> void
+    // In coverage mode, running the definitions shades the parts of
+    // them that were never evaluated.
+    WeSchemeEditor.prototype.setCoverageEnabled = function(isOn) {
+	var that = this;
+	this.coverageMode = isOn;
+	if (isOn) {
+	    this.interactions.setCoverageListener(function(report, sourceName) {
+		if (sourceName === "<definitions>") {
+		    that.showCoverage(report);
+		}
+	    });
+	} else {
+	    this.interactions.setCoverageListener(false);
+	    this._clearCoverage();
+	}
+    };
+
+    WeSchemeEditor.prototype.toggleCoverage = function() {
+	this.setCoverageEnabled(! this.isCoverageEnabled());
+    };
+
+    // showCoverage: Evaluator.CoverageReport -> void
+    WeSchemeEditor.prototype.showCoverage = function(report) {
+	var locs = report.getUncoveredLocations("<definitions>");
+	var i;
+	this._clearCoverage();
+	for (i = 0; i < locs.length; i++) {
+	    this.coverageHighlights.push(
+		this.defn.highlight(locs[i].id, locs[i].offset, locs[i].line, locs[i].column,
+				    locs[i].span, COVERAGE_HIGHLIGHT_COLOR));
+	}
+    };
+
+    WeSchemeEditor.prototype._clearCoverage = function() {
+	var i;
+	for (i = 0; i < this.coverageHighlights.length; i++) {
+	    this.coverageHighlights[i].clear();
+	}
+	this.coverageHighlights = [];
+    };
+
+
+    // isSharing: -> boolean
+    WeSchemeEditor.prototype.isSharing = function() {
+	return this.collabClient !== undefined;
+    };
+
+    // toggleSharing: -> void
+    // Joins or leaves the shared session for this program, in which
+    // every editor with the program open sees the others' changes
+    // and cursors as they happen.  For now the session is relayed
+    // between the tabs of this browser (see plt.wescheme.CollabRelay).
+    WeSchemeEditor.prototype.toggleSharing = function() {
+	var that = this;
+	if (this.isSharing()) {
+	    this.stopSharing();
+	} else if (! this.pid) {
+	    alert("Please save the program first.");
+	} else {
+	    plt.wescheme.CollabRelay.openLocal(
+		String(this.pid),
+		this.defn.getCode(),
+		function(relay) { that.startSharing(relay); });
+	}
+    };
+
+    // startSharing: relay -> void
+    WeSchemeEditor.prototype.startSharing = function(relay) {
+	var that = this;
+	if (this.isSharing()) { return; }
+	this.collabClient = new plt.wescheme.CollabClient(relay, {
+	    name: this.userName,
+	    onReady: function(text) {
+		if (text !== that.defn.getCode()) {
+		    that.isApplyingRemote = true;
+		    try { that.defn.setCode(text); } finally { that.isApplyingRemote = false; }
+		}
+	    },
+	    onRemoteOperation: function(op) { that._applyRemoteOperation(op); },
+	    onCursorsChanged: function(cursors) { that._showCollabCursors(cursors); },
+	    onClosed: function(why) {
+		that.stopSharing();
+		alert(why);
+	    }
+	});
+	this.isSharingE.sendEvent(true);
+    };
+
+    // stopSharing: -> void
+    WeSchemeEditor.prototype.stopSharing = function() {
+	if (! this.isSharing()) { return; }
+	this.collabClient.close();
+	this.collabClient = undefined;
+	this._showCollabCursors([]);
+	this.isSharingE.sendEvent(false);
+    };
+
+    WeSchemeEditor.prototype._shareChange = function() {
+	if (this.collabClient && ! this.isApplyingRemote) {
+	    this.collabClient.localChange(this.defn.getCode(),
+					  this.defn.getCursorStartPosition());
+	}
+    };
+
+    WeSchemeEditor.prototype._applyRemoteOperation = function(op) {
+	var edits = op.toEdits();
+	var i;
+	this.isApplyingRemote = true;
+	try {
+	    // From last to first, so the earlier offsets stay good.
+	    for (i = edits.length - 1; i >= 0; i--) {
+		this.defn.replaceRange(edits[i].offset, edits[i].span, edits[i].text);
+	    }
+	} finally {
+	    this.isApplyingRemote = false;
+	}
+    };
+
+    WeSchemeEditor.prototype._showCollabCursors = function(cursors) {
+	var i, marker;
+	for (i = 0; i < this.collabCursorMarks.length; i++) {
+	    this.collabCursorMarks[i].clear();
+	}
+	this.collabCursorMarks = [];
+	for (i = 0; i < cursors.length; i++) {
+	    marker = jQuery("<span class='collab-cursor'/>")
+		.append(jQuery("<span class='collab-cursor-name'/>").text(cursors[i].name));
+	    this.collabCursorMarks.push(this.defn.markPosition(cursors[i].cursor, marker.get(0)));
+	}
+    };
+
+    // isWorldHistoryEnabled: -> boolean
+    WeSchemeEditor.prototype.isWorldHistoryEnabled = function() {
+	return this.isWorldHistoryMode;
+    };
+
+    // setWorldHistoryEnabled: boolean -> void
+    // While the world history is on, every world of a big-bang is kept,
+    // and its panel lets the user rewind through them.
+    WeSchemeEditor.prototype.setWorldHistoryEnabled = function(isOn) {
+	var that = this;
+	if (isOn === this.isWorldHistoryMode) { return; }
+	this.isWorldHistoryMode = isOn;
+	if (isOn) {
+	    if (! this.worldHistoryPanel) {
+		this.worldHistoryPanel = new plt.wescheme.WorldHistoryPanel(this.worldHistory);
+	    }
+	    this.worldHistory.start();
+	    this.worldHistoryPanel.show(function() { that.setWorldHistoryEnabled(false); });
+	} else {
+	    this.worldHistory.stop();
+	    this.worldHistory.clear();
+	    this.worldHistoryPanel.hide();
+	}
+    };
+
+    WeSchemeEditor.prototype.toggleWorldHistory = function() {
+	this.setWorldHistoryEnabled(! this.isWorldHistoryEnabled());
+    };
+
+    // isWorldInspectorEnabled: -> boolean
+    WeSchemeEditor.prototype.isWorldInspectorEnabled = function() {
+	return this.isWorldInspectorMode;
+    };
+
+    // setWorldInspectorEnabled: boolean -> void
+    // The inspector shows the current world of a big-bang as it runs.
+    WeSchemeEditor.prototype.setWorldInspectorEnabled = function(isOn) {
+	var that = this;
+	if (isOn === this.isWorldInspectorMode) { return; }
+	this.isWorldInspectorMode = isOn;
+	if (isOn) {
+	    if (! this.worldInspectorPanel) {
+		this.worldInspectorPanel = new plt.wescheme.WorldInspectorPanel();
+	    }
+	    this.worldInspectorPanel.show(function() { that.setWorldInspectorEnabled(false); });
+	} else {
+	    this.worldInspectorPanel.hide();
+	}
+    };
+
+    WeSchemeEditor.prototype.toggleWorldInspector = function() {
+	this.setWorldInspectorEnabled(! this.isWorldInspectorEnabled());
+    };
+
+    // isEventSimulatorEnabled: -> boolean
+    WeSchemeEditor.prototype.isEventSimulatorEnabled = function() {
+	return this.isEventSimulatorMode;
+    };
+
+    // setEventSimulatorEnabled: boolean -> void
+    // The event simulator sends made-up key, tap, tilt, acceleration,
+    // shake and location events to the running world.
+    WeSchemeEditor.prototype.setEventSimulatorEnabled = function(isOn) {
+	var that = this;
+	if (isOn === this.isEventSimulatorMode) { return; }
+	this.isEventSimulatorMode = isOn;
+	if (isOn) {
+	    if (! this.eventSimulatorPanel) {
+		this.eventSimulatorPanel = new plt.wescheme.EventSimulatorPanel();
+	    }
+	    this.eventSimulatorPanel.show(function() { that.setEventSimulatorEnabled(false); });
+	} else {
+	    this.eventSimulatorPanel.hide();
+	}
+    };
+
+    WeSchemeEditor.prototype.toggleEventSimulator = function() {
+	this.setEventSimulatorEnabled(! this.isEventSimulatorEnabled());
+    };
+
+    // The speeds that the speed button goes through, as multiples of
+    // the rate that on-tick asks for.
+    var WORLD_SPEEDS = [1, 0.5, 0.25, 0.1, 2];
+
+    // isWorldPaused: -> boolean
+    WeSchemeEditor.prototype.isWorldPaused = function() {
+	return world.Kernel.isWorldPaused();
+    };
+
+    // setWorldPaused: boolean -> void
+    // Pausing holds off the ticks and input events of a running
+    // big-bang, without stopping it the way Stop does.
+    WeSchemeEditor.prototype.setWorldPaused = function(isOn) {
+	if (isOn === this.isWorldPaused()) { return; }
+	if (isOn) {
+	    world.Kernel.pauseWorld();
+	} else {
+	    world.Kernel.resumeWorld();
+	}
+	this.isWorldPausedE.sendEvent(isOn);
+    };
+
+    WeSchemeEditor.prototype.toggleWorldPaused = function() {
+	this.setWorldPaused(! this.isWorldPaused());
+    };
+
+    // stepWorld: -> void
+    // Advances a paused world by one tick.
+    WeSchemeEditor.prototype.stepWorld = function() {
+	world.Kernel.stepWorld();
+    };
+
+    // getWorldSpeed: -> number
+    WeSchemeEditor.prototype.getWorldSpeed = function() {
+	return world.Kernel.getWorldSpeed();
+    };
+
+    // cycleWorldSpeed: -> number
+    // Moves on to the next of the WORLD_SPEEDS, and returns it.
+    WeSchemeEditor.prototype.cycleWorldSpeed = function() {
+	var i = WORLD_SPEEDS.indexOf(this.getWorldSpeed());
+	var speed = WORLD_SPEEDS[(i + 1) % WORLD_SPEEDS.length];
+	world.Kernel.setWorldSpeed(speed);
+	return speed;
+    };
+
+    // isRecording: -> boolean
+    WeSchemeEditor.prototype.isRecording = function() {
+	return this.worldRecorder.isRecording();
+    };
+
+    // toggleRecording: -> void
+    // Starts recording the frames that big-bang draws, or stops and
+    // puts links to download the animation into the interactions.
+    WeSchemeEditor.prototype.toggleRecording = function() {
+	var that = this;
+	if (this.worldRecorder.isRecording()) {
+	    this.worldRecorder.stop(function(recording) {
+		that.interactions.addToInteractions(renderRecording(recording));
+	    });
+	} else {
+	    this.worldRecorder.start();
+	}
+    };
+
+    // renderRecording: recording -> element
+    var renderRecording = function(recording) {
+	var dom = jQuery("<div class='world-recording'/>");
+	var addLink = function(label, url, fileName) {
+	    dom.append(" ");
+	    dom.append(jQuery("<a/>").attr("href", url)
+		       .attr("download", fileName)
+		       .attr("target", "_blank")
+		       .text(label));
+	};
+	if (recording.error) {
+	    dom.text(recording.error);
+	} else if (recording.frameCount === 0) {
+	    dom.text("Nothing was recorded.  Only animations drawn with to-draw can be recorded.");
+	} else {
+	    dom.text("Recorded " + recording.frameCount + " frame" +
+		     (recording.frameCount === 1 ? "" : "s") +
+		     (recording.isTruncated ? " (the most we can record)" : "") + ":");
+	    addLink("Download GIF", recording.gifUrl, "animation.gif");
+	    if (recording.webmUrl) {
+		addLink("Download WebM", recording.webmUrl, "animation.webm");
+	    }
+	}
+	return dom.get(0);
+    };
+
+    // showStepper: string -> void
+    // Opens the algebraic stepper on the expressions in the code, with
+    // the definitions in scope.
+    WeSchemeEditor.prototype.showStepper = function(code) {
+	var steps;
+	try {
+	    steps = new plt.wescheme.AlgebraicStepper(this.defn.getCode()).getSteps(code);
+	} catch (e) {
+	    if (! (e instanceof plt.wescheme.AlgebraicStepper.StepperError)) { throw e; }
+	    steps = [{ text: "", redex: false, embeds: [], error: e.message }];
+	}
+	if (! this.stepperPanel) {
+	    this.stepperPanel = new plt.wescheme.AlgebraicStepperPanel(this);
+	}
+	this.stepperPanel.show(steps);
+    };
+
     WeSchemeEditor.prototype.getDefinitionsText = function() {
         return this.defn.getCode();
     };
@@ -579,6 +1252,10 @@ var WeSchemeEditor;
     };
 
     WeSchemeEditor.prototype.requestBreak = function() {
+	// Leave the last world up in the inspector to look at.
+	if (this.isWorldInspectorMode) {
+	    this.worldInspectorPanel.pause();
+	}
 	this.interactions.requestBreak();
     };
 
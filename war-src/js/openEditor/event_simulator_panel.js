@@ -0,0 +1,187 @@
+/*global goog,jQuery,world*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.EventSimulatorPanel");
+
+goog.require("plt.wescheme.WorldHistory");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // EventSimulatorPanel: -> EventSimulatorPanel
+    //
+    // A panel of controls that send made-up events to the running
+    // world: key presses, taps, and the tilts, accelerations, shakes
+    // and location changes that would otherwise need a phone.
+    var EventSimulatorPanel = function() {
+        var that = this;
+        this.dialog = jQuery("<div class='event-simulator-panel'/>");
+        this.statusDom = jQuery("<div class='event-simulator-status'/>");
+
+        var keyInput = makeInput("key", "a");
+        var keyRow = makeRow("Key")
+            .append(keyInput)
+            .append(makeButton("Press", function() {
+                that.sendEvent('key', [keyInput.val()]);
+            }));
+        jQuery.each([["\u2190", "left"], ["\u2191", "up"], ["\u2192", "right"],
+                     ["\u2193", "down"], ["space", " "]],
+                    function(i, labelAndKey) {
+                        keyRow.append(makeButton(labelAndKey[0], function() {
+                            that.sendEvent('key', [labelAndKey[1]]);
+                        }));
+                    });
+
+        this.dialog
+            .append(keyRow)
+            .append(this._makeNumbersRow("Tap", 'tap', ["x", "y"], ["0", "0"]))
+            .append(this._makeNumbersRow("Tilt", 'tilt',
+                                         ["left-right", "front-back"], ["0", "0"]))
+            .append(this._makeNumbersRow("Acceleration", 'acceleration',
+                                         ["x", "y", "z"], ["0", "0", "9.8"]))
+            .append(makeRow("Shake").append(makeButton("Shake", function() {
+                that.sendEvent('shake', []);
+            })))
+            .append(this._makeNumbersRow("Location", 'location-change',
+                                         ["latitude", "longitude"], ["41.8268", "-71.4025"]))
+            .append(this.statusDom);
+    };
+
+
+    // send: event -> void
+    // Sends an event to every running world, the way the browser or
+    // phone would.  An event is as for world.Kernel's world change
+    // listeners: { type: string, args: (arrayof any) }, with keys given
+    // by name.
+    EventSimulatorPanel.send = function(event) {
+        var args = event.args;
+        switch (event.type) {
+        case 'key':
+            world.stimuli.onKey(args[0]);
+            break;
+        case 'tap':
+            world.stimuli.onTap(args[0], args[1]);
+            break;
+        case 'tilt':
+            world.stimuli.onTilt(args[0], args[1]);
+            break;
+        case 'acceleration':
+            world.stimuli.onAcceleration(args[0], args[1], args[2]);
+            break;
+        case 'shake':
+            world.stimuli.onShake();
+            break;
+        case 'location-change':
+            world.stimuli.onLocation(args[0], args[1]);
+            break;
+        default:
+            throw new Error("Can't simulate a " + event.type + " event");
+        }
+    };
+
+
+    // parseNumbers: (arrayof string) -> (U (arrayof number) false)
+    // The numbers typed into a row of fields, or false if any of them
+    // isn't a number.
+    EventSimulatorPanel.parseNumbers = function(strings) {
+        var numbers = [];
+        var i;
+        for (i = 0; i < strings.length; i++) {
+            if (! /^\s*[+\-]?(\d+\.?\d*|\.\d+)\s*$/.test(strings[i])) {
+                return false;
+            }
+            numbers.push(parseFloat(strings[i]));
+        }
+        return numbers;
+    };
+
+
+    // show: (-> void) -> void
+    // Opens the panel; onClose is called when the user closes it.
+    EventSimulatorPanel.prototype.show = function(onClose) {
+        var that = this;
+        this.onClose = onClose;
+        if (! this.isInitialized) {
+            this.isInitialized = true;
+            this.dialog.dialog({ title: 'Event Simulator',
+                                 bgiframe : true,
+                                 modal : false,
+                                 position : ["right", "bottom"],
+                                 width : 420,
+                                 close : function() {
+                                     if (that.onClose) { that.onClose(); }
+                                 } });
+        }
+        this.statusDom.text("");
+        this.dialog.dialog("open");
+    };
+
+
+    // hide: -> void
+    EventSimulatorPanel.prototype.hide = function() {
+        var onClose = this.onClose;
+        this.onClose = undefined;
+        if (this.isInitialized) {
+            this.dialog.dialog("close");
+        }
+        this.onClose = onClose;
+    };
+
+
+    // sendEvent: string (arrayof any) -> void
+    EventSimulatorPanel.prototype.sendEvent = function(type, args) {
+        var event = { type: type, args: args };
+        try {
+            EventSimulatorPanel.send(event);
+            this.statusDom.text("Sent " + plt.wescheme.WorldHistory.describeEvent(event) + ".");
+        } catch (e) {
+            this.statusDom.text(e.message);
+        }
+    };
+
+
+    EventSimulatorPanel.prototype._makeNumbersRow = function(label, type, names, initialValues) {
+        var that = this;
+        var row = makeRow(label);
+        var inputs = [];
+        var i;
+        for (i = 0; i < names.length; i++) {
+            inputs.push(makeInput(names[i], initialValues[i]));
+            row.append(inputs[i]);
+        }
+        row.append(makeButton("Send", function() {
+            var numbers = EventSimulatorPanel.parseNumbers(
+                jQuery.map(inputs, function(input) { return input.val(); }));
+            if (numbers) {
+                that.sendEvent(type, numbers);
+            } else {
+                that.statusDom.text(label + ": " + names.join(", ") + " must all be numbers.");
+            }
+        }));
+        return row;
+    };
+
+
+    var makeRow = function(label) {
+        return jQuery("<div class='event-simulator-row'/>")
+            .append(jQuery("<span class='event-simulator-label'/>").text(label));
+    };
+
+
+    var makeInput = function(name, value) {
+        return jQuery("<input type='text' size='6'/>").attr("title", name).val(value);
+    };
+
+
+    var makeButton = function(label, onClick) {
+        return jQuery("<input type='button'/>").val(label).click(onClick);
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.EventSimulatorPanel = EventSimulatorPanel;
+}());
@@ -0,0 +1,210 @@
+/*global goog*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, bitwise: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.GifEncoder");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // GifEncoder: number number -> GifEncoder
+    //
+    // Builds an animated GIF, one frame at a time, entirely in the
+    // browser.  Every frame shares one fixed palette of 6 reds, 7 greens
+    // and 6 blues, which is good enough for the flat colors that world
+    // programs tend to draw, and means we never have to look at all the
+    // frames before writing the first one.  The animation loops forever.
+    var GifEncoder = function(width, height) {
+        this.width = width;
+        this.height = height;
+        this.bytes = [];
+        this._writeHeader();
+    };
+
+
+    var RED_LEVELS = 6, GREEN_LEVELS = 7, BLUE_LEVELS = 6;
+
+
+    // addFrame: imageData number -> void
+    // Adds a frame, given as the pixels from a canvas's getImageData,
+    // to be shown for the given number of milliseconds.  Transparent
+    // pixels are shown against white.
+    GifEncoder.prototype.addFrame = function(imageData, delay) {
+        var bytes = this.bytes;
+        var centiseconds = Math.max(2, Math.round(delay / 10));
+        var indices = [];
+        var data = imageData.data;
+        var x, y, i;
+        for (y = 0; y < this.height; y++) {
+            for (x = 0; x < this.width; x++) {
+                if (x < imageData.width && y < imageData.height) {
+                    i = (y * imageData.width + x) * 4;
+                    indices.push(paletteIndex(data[i], data[i+1], data[i+2], data[i+3]));
+                } else {
+                    indices.push(paletteIndex(255, 255, 255, 255));
+                }
+            }
+        }
+
+        // Graphic control extension: the frame's delay.
+        bytes.push(0x21, 0xf9, 0x04, 0x04);
+        writeShort(bytes, centiseconds);
+        bytes.push(0x00, 0x00);
+
+        // Image descriptor: the frame covers the whole screen and uses
+        // the global palette.
+        bytes.push(0x2c);
+        writeShort(bytes, 0);
+        writeShort(bytes, 0);
+        writeShort(bytes, this.width);
+        writeShort(bytes, this.height);
+        bytes.push(0x00);
+
+        bytes.push(8);
+        writeSubBlocks(bytes, lzwEncode(indices));
+    };
+
+
+    // finish: -> (arrayof byte)
+    // Produces the bytes of the finished GIF file.
+    GifEncoder.prototype.finish = function() {
+        return this.bytes.concat([0x3b]);
+    };
+
+
+    GifEncoder.prototype._writeHeader = function() {
+        var bytes = this.bytes;
+        var r, g, b, i;
+        writeString(bytes, "GIF89a");
+        writeShort(bytes, this.width);
+        writeShort(bytes, this.height);
+        // A global color table of 256 entries, 8 bits per primary.
+        bytes.push(0xf7, 0x00, 0x00);
+        for (r = 0; r < RED_LEVELS; r++) {
+            for (g = 0; g < GREEN_LEVELS; g++) {
+                for (b = 0; b < BLUE_LEVELS; b++) {
+                    bytes.push(level(r, RED_LEVELS), level(g, GREEN_LEVELS), level(b, BLUE_LEVELS));
+                }
+            }
+        }
+        for (i = RED_LEVELS * GREEN_LEVELS * BLUE_LEVELS; i < 256; i++) {
+            bytes.push(0, 0, 0);
+        }
+        // The NETSCAPE2.0 extension, to loop forever.
+        bytes.push(0x21, 0xff, 0x0b);
+        writeString(bytes, "NETSCAPE2.0");
+        bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    };
+
+
+    // level: number number -> number
+    // The intensity of the nth of the levels of a primary.
+    var level = function(n, levels) {
+        return Math.round(n * 255 / (levels - 1));
+    };
+
+
+    // paletteIndex: byte byte byte byte -> number
+    var paletteIndex = function(r, g, b, a) {
+        // Blend with white by the alpha.
+        r = 255 - (255 - r) * a / 255;
+        g = 255 - (255 - g) * a / 255;
+        b = 255 - (255 - b) * a / 255;
+        return (Math.round(r * (RED_LEVELS - 1) / 255) * GREEN_LEVELS * BLUE_LEVELS +
+                Math.round(g * (GREEN_LEVELS - 1) / 255) * BLUE_LEVELS +
+                Math.round(b * (BLUE_LEVELS - 1) / 255));
+    };
+
+
+    var writeShort = function(bytes, n) {
+        bytes.push(n & 0xff, (n >> 8) & 0xff);
+    };
+
+
+    var writeString = function(bytes, s) {
+        var i;
+        for (i = 0; i < s.length; i++) {
+            bytes.push(s.charCodeAt(i));
+        }
+    };
+
+
+    // writeSubBlocks: (arrayof byte) (arrayof byte) -> void
+    // Image data goes out in blocks of at most 255 bytes, each preceded
+    // by its length, and ends with an empty block.
+    var writeSubBlocks = function(bytes, data) {
+        var i, j, n;
+        for (i = 0; i < data.length; i += 255) {
+            n = Math.min(255, data.length - i);
+            bytes.push(n);
+            for (j = 0; j < n; j++) {
+                bytes.push(data[i + j]);
+            }
+        }
+        bytes.push(0x00);
+    };
+
+
+    // lzwEncode: (arrayof number) -> (arrayof byte)
+    // The variable-length LZW compression that GIF uses, with a minimum
+    // code size of 8 bits.
+    var lzwEncode = function(indices) {
+        var CLEAR = 256, END = 257, MAX_CODE = 4095;
+        var out = [];
+        var bitBuffer = 0, bitCount = 0;
+        var codeSize = 9;
+        var nextCode = END + 1;
+        var table = {};
+        var prefix, key, i;
+
+        var emit = function(code) {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.push(bitBuffer & 0xff);
+                bitBuffer >>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(CLEAR);
+        if (indices.length > 0) {
+            prefix = indices[0];
+            for (i = 1; i < indices.length; i++) {
+                key = prefix * 256 + indices[i];
+                if (table.hasOwnProperty(key)) {
+                    prefix = table[key];
+                } else {
+                    emit(prefix);
+                    if (nextCode <= MAX_CODE) {
+                        table[key] = nextCode;
+                        if (nextCode === (1 << codeSize) && codeSize < 12) {
+                            codeSize++;
+                        }
+                        nextCode++;
+                    } else {
+                        // The table's full: start over.
+                        emit(CLEAR);
+                        table = {};
+                        codeSize = 9;
+                        nextCode = END + 1;
+                    }
+                    prefix = indices[i];
+                }
+            }
+            emit(prefix);
+        }
+        emit(END);
+        if (bitCount > 0) {
+            out.push(bitBuffer & 0xff);
+        }
+        return out;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.GifEncoder = GifEncoder;
+}());
@@ -0,0 +1,183 @@
+/*global goog, Evaluator*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.Grader");
+
+goog.require("plt.wescheme.CompileQueue");
+goog.require("plt.wescheme.RoundRobin");
+goog.require("plt.wescheme.makeDynamicModuleLoader");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // How long a hand-in may run before we stop it and give it no
+    // credit for the tests that hadn't finished.
+    var GRADING_TIMEOUT = 30000;
+
+
+    // isAllowedWhileGrading: string -> boolean
+    // Hand-ins run on the teacher's page, signed in as the teacher, so
+    // they don't get the primitives that reach into the page's
+    // JavaScript (js-get-named-object, js-call and the rest); with
+    // those, a hand-in could send requests as the teacher.
+    var isAllowedWhileGrading = function(primitiveName) {
+        return ! /(^|-)js(-|$)/.test(primitiveName);
+    };
+
+
+    // Grader: evaluator -> Grader
+    //
+    // Grades a student's definitions against the hidden tests of an
+    // assignment: the definitions run first, and then the tests, whose
+    // check-expects (and friends) are what get counted.  The student's
+    // own tests don't count.
+    //
+    // The evaluator should be one of its own, as made by
+    // Grader.makeSandbox, so that nothing the program does shows up
+    // in the interactions, and so that the hand-in can't get at the
+    // page.  Grading happens in the teacher's browser, since that's
+    // the only one the tests are sent to.
+    var Grader = function(evaluator) {
+        this.evaluator = evaluator;
+        this.timeout = GRADING_TIMEOUT;
+    };
+
+
+    // grade: string string (result -> void) -> void
+    //
+    // A result is
+    //
+    //     { passed: number,
+    //       total: number,
+    //       results: (arrayof { name: string, passed: boolean, message: string }),
+    //       error: (U string undefined) }
+    //
+    // where error says why the definitions or the tests didn't run to
+    // the end.
+    Grader.prototype.grade = function(definitions, tests, onDone) {
+        var that = this;
+        var evaluator = this.evaluator;
+        var report;
+        var isFinished = false;
+        var timer;
+
+        var finish = function(error) {
+            if (isFinished) { return; }
+            isFinished = true;
+            clearTimeout(timer);
+            if (report) {
+                evaluator.endTestReport();
+            }
+            evaluator.endHeadlessWorlds();
+            onDone(Grader.summarize(report, error));
+        };
+
+        var fail = function(what) {
+            return function(err) {
+                var errorReport = evaluator.getErrorReportFromExn(err);
+                finish(errorReport.kind === 'break' ?
+                       "The program took too long to run." :
+                       what + ": " + String(errorReport.message));
+            };
+        };
+
+        // The program may still be compiling when time runs out, and
+        // then there's nothing running to notice the break; so we stop
+        // waiting on the compiler and finish right away.
+        timer = setTimeout(function() {
+            evaluator.requestBreak();
+            if (evaluator.cancelCompilations) {
+                evaluator.cancelCompilations();
+            }
+            finish("The program took too long to run.");
+        }, this.timeout);
+        evaluator.beginHeadlessWorlds([]);
+        evaluator.executeProgram(
+            "<hand-in>",
+            definitions,
+            function() {
+                if (isFinished) { return; }
+                report = evaluator.beginTestReport();
+                evaluator.executeProgram(
+                    "<hand-in-tests>",
+                    tests,
+                    function() { finish(undefined); },
+                    fail("The tests stopped with an error"));
+            },
+            fail("The definitions have an error"));
+    };
+
+
+    // summarize: (U Evaluator.TestReport undefined) (U string undefined) -> result
+    // A result that can be stored.  Scheme values don't survive the
+    // trip to the server, so each test keeps only its message.
+    Grader.summarize = function(report, error) {
+        var results = [];
+        var i;
+        if (report) {
+            for (i = 0; i < report.results.length; i++) {
+                results.push({ name: report.results[i].name,
+                               passed: Boolean(report.results[i].passed),
+                               message: String(report.results[i].message || "") });
+            }
+        }
+        return { passed: report ? report.getPassedCount() : 0,
+                 total: report ? report.getCount() : 0,
+                 results: results,
+                 error: error };
+    };
+
+
+    // makeSandbox: (string string (string -> void) (string -> void) -> void) -> Evaluator
+    // An evaluator that compiles with the given compiler, prints
+    // nowhere, never puts up a window for a world program, and stops
+    // any program that uses the JavaScript primitives.  Its
+    // compilations go through a queue of its own, so that rerunning
+    // the program in the interactions doesn't cancel them, and
+    // evaluator.cancelCompilations stops waiting on them.
+    Grader.makeSandbox = function(compileProgram) {
+        var evaluator = new Evaluator({
+            write: function(thing) {},
+            transformDom: function(dom) { return dom; }
+        });
+        var compileQueue = new plt.wescheme.CompileQueue(
+            compileProgram,
+            function(programName) {
+                return new Evaluator.ErrorReport(
+                    { kind: 'break',
+                      message: "The grading stopped before the program finished compiling." });
+            });
+        evaluator.setCompileProgram(function(programName, code, onDone, onDoneError) {
+            compileQueue.compile(programName, code, onDone, onDoneError);
+        });
+        evaluator.cancelCompilations = function() {
+            compileQueue.cancelAll();
+        };
+        evaluator.makeToplevelNode = function() {
+            return document.createElement("div");
+        };
+        evaluator.setPrimitiveFilter(isAllowedWhileGrading);
+        return evaluator;
+    };
+
+
+    // makeSiteSandbox: -> Evaluator
+    // A sandbox that compiles with the site's compilation servers (see
+    // plt.wescheme.RoundRobin) and gets its libraries and images from
+    // the site, the way the editor's own evaluator does.
+    Grader.makeSiteSandbox = function() {
+        var evaluator = Grader.makeSandbox(plt.wescheme.RoundRobin.roundRobinCompiler);
+        evaluator.setImageProxy("/imageProxy");
+        evaluator.setRootLibraryPath("/js/mzscheme-vm/collects");
+        evaluator.setDynamicModuleLoader(plt.wescheme.makeDynamicModuleLoader("/js/mzscheme-vm/collects"));
+        return evaluator;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.Grader = Grader;
+}());
@@ -16,6 +16,8 @@ goog.require('goog.math.Size');
 
 goog.require('plt.wescheme.topKeymap');
 goog.require('plt.wescheme.browserCheck');
+goog.require('plt.wescheme.imageExportMenu');
+goog.require('plt.wescheme.RoundRobin');
 
 //FIXME: these should NOT be global variables, but at the moment, they're exposed
 //as such, and the topKeymap refers to myEditor.
@@ -53,6 +55,7 @@ var initializeEditor;
     initializeEditor = function(attrs) {
 	setupDocumentationFrame();
 	plt.wescheme.browserCheck();
+	plt.wescheme.imageExportMenu();
 	maybeHideHeaderAndFooter(attrs.hideHeader, 
                                  attrs.hideToolbar,
                                  attrs.hideProjectName,
@@ -111,6 +114,8 @@ var initializeEditor;
 	var pid = attrs['pid'];
 	var publicId = attrs['publicId'];
 
+	plt.wescheme.RoundRobin.setUserName(userName);
+
 
 	// Fixme: trigger file load if the pid has been provided.
 
@@ -138,11 +143,60 @@ var initializeEditor;
                         
 			jQuery("#run").click(function()  { myEditor.run(); });
 			jQuery("#stop").click(function()  { myEditor.requestBreak(); });
+			jQuery("#debug").click(function()  { myEditor.toggleDebugging(); });
+			jQuery("#history").click(function()  { myEditor.toggleWorldHistory(); });
+			jQuery("#inspect").click(function()  { myEditor.toggleWorldInspector(); });
+			jQuery("#simulate").click(function()  { myEditor.toggleEventSimulator(); });
+			jQuery("#pause").click(function()  { myEditor.toggleWorldPaused(); });
+			myEditor.isWorldPausedB.changes().mapE(function(v) {
+			    jQuery("#pause").toggleClass("toggled-on", v);
+			    jQuery("#pause span").text(v ? "Resume" : "Pause");
+			});
+			jQuery("#step").click(function()  { myEditor.stepWorld(); });
+			jQuery("#speed").click(function()  {
+			    jQuery("#speed span").text("Speed " + myEditor.cycleWorldSpeed() + "x");
+			});
+			jQuery("#coverage").click(function()  {
+			    myEditor.toggleCoverage();
+			    jQuery(this).toggleClass("toggled-on", myEditor.isCoverageEnabled());
+			});
+			jQuery("#record").click(function()  {
+			    myEditor.toggleRecording();
+			    jQuery(this).toggleClass("toggled-on", myEditor.isRecording());
+			});
 			jQuery("#save").click(function() { myEditor.save(); });
 			jQuery("#share").click(function()  { myEditor.share(); });
 			jQuery("#updateNotes").click(function()  { myEditor.showNotesDialog(); });
+			jQuery("#revisions").click(function()  { myEditor.showRevisionsDialog(); });
+			jQuery("#pair").click(function()  { myEditor.toggleSharing(); });
+			myEditor.isSharingB.changes().mapE(function(v) {
+			    jQuery("#pair").toggleClass("toggled-on", v);
+			});
+			jQuery("#handIn").click(function()  { myEditor.showHandInDialog(); });
+			var assignment = null, isHandingIn = false;
+			var showHandIn = function() {
+			    jQuery("#handInItem").toggle(assignment !== null);
+			    jQuery("#handIn").toggleClass("toggled-on", isHandingIn);
+			    if (isHandingIn) {
+				jQuery("#handIn span").text(myEditor.isOwner ? "Handing in..." : "Grading...");
+			    } else if (assignment && assignment.handIn && assignment.handIn.graded) {
+				jQuery("#handIn span").text("Hand in (" + assignment.handIn.passed +
+							    "/" + assignment.handIn.total + ")");
+			    } else {
+				jQuery("#handIn span").text("Hand in");
+			    }
+			};
+			myEditor.assignmentB.changes().mapE(function(v) {
+			    assignment = v;
+			    showHandIn();
+			});
+			myEditor.isHandingInB.changes().mapE(function(v) {
+			    isHandingIn = v;
+			    showHandIn();
+			});
 			jQuery("#logout").click(function() { 
                             if(confirm("You will be logged out of WeScheme and other Google services.")) {
+                                plt.wescheme.RoundRobin.forgetStoredCompilations();
                                 submitPost("/logout"); 
                             }
                         });
@@ -189,7 +243,9 @@ var initializeEditor;
                             // in the client-side hash part of the URL.
 
 			} else {
-			    // otherwise, dont load.
+			    // otherwise, dont load, but bring back any
+			    // unsaved changes from last time.
+			    myEditor.offerUnnamedDraft();
 			    afterLoad1();
 			}
 
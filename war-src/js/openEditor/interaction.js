@@ -14,7 +14,9 @@ goog.require("plt.wescheme.WeSchemeTextContainer");
 goog.require("plt.wescheme.tokenizer");
 goog.require("plt.wescheme.WeSchemeProperties");
 goog.require("plt.wescheme.RoundRobin");
+goog.require("plt.wescheme.CompileQueue");
 goog.require("plt.wescheme.makeDynamicModuleLoader");
+goog.require("plt.wescheme.Grader");
 
 var WeSchemeInteractions;
 
@@ -81,6 +83,7 @@ WeSchemeInteractions = (function () {
         }
 
         silenceCurrentEvaluator(that);
+        compileQueue.cancelAll();
         makeFreshEvaluator(that, function(e) {
             that.evaluator = e;
             jQuery(that.previousInteractionsDiv).empty();
@@ -132,6 +135,9 @@ WeSchemeInteractions = (function () {
         parentDiv.append(this.div);
 
         var innerDivElt = this.div.find("span").get(1);
+        jQuery("<a class='prompt-step-link' href='#' title='Step through this expression (Shift-Enter)'>Step</a>")
+            .click(function() { that.onStep(); return false; })
+            .appendTo(this.div);
         new plt.wescheme.WeSchemeTextContainer(
             innerDivElt,
             { dynamicHeight: true,
@@ -147,6 +153,9 @@ WeSchemeInteractions = (function () {
                           CodeMirror.commands.newlineAndIndent(ed);
                       }
                   },
+                  "Shift-Enter":function (ed) {
+                      that.onStep();
+                  },
                   "Ctrl-N":function (ed) {
                       that.onHistoryNext();
                   },
@@ -212,6 +221,16 @@ WeSchemeInteractions = (function () {
         that.focus();
     };
 
+    // onStep: -> void
+    // Shows the expression at the prompt in the algebraic stepper,
+    // leaving it at the prompt.
+    Prompt.prototype.onStep = function() {
+        var code = this.textContainer.getCode();
+        if (this.interactions.stepper && code.match(new RegExp("[^\\s]"))) {
+            this.interactions.stepper(code);
+        }
+    };
+
     // TODO: historyPreviousIsOk and historyNextIsOk don't have to be methods.
 
     Prompt.prototype.historyPreviousIsOk = function(index, length) {
@@ -336,6 +355,24 @@ WeSchemeInteractions = (function () {
     var compilation_servers = plt.wescheme.WeSchemeProperties.compilation_servers.split(/\s+/);
 
 
+    // Our evaluators share a single compile queue, so that when the
+    // user reruns a program (say, by hammering F5), compilations for
+    // the older runs are dropped and only the newest source's
+    // bytecode gets executed.  The callers of a dropped compilation
+    // hear about it as a break.
+    var compileQueue = new plt.wescheme.CompileQueue(
+        plt.wescheme.RoundRobin.roundRobinCompiler,
+        function(programName) {
+            return new Evaluator.ErrorReport(
+                { kind: 'break',
+                  message: "The program was rerun before it finished compiling." });
+        });
+
+    var queuedCompileProgram = function(programName, code, onDone, onDoneError) {
+        compileQueue.compile(programName, code, onDone, onDoneError);
+    };
+
+
     // Configures the evaluator to use round-robin compilation between
     // a set of servers.  Compilation will also fall back to other
     // servers under network failure.
@@ -344,14 +381,12 @@ WeSchemeInteractions = (function () {
         plt.wescheme.RoundRobin.initialize(
             compilation_servers,
             function() {
-                evaluator.setCompileProgram(
-                    plt.wescheme.RoundRobin.roundRobinCompiler);
+                evaluator.setCompileProgram(queuedCompileProgram);
                 after();
             },
             function() {
                 // Under this situation, all compilation servers are inaccessible.
-                evaluator.setCompileProgram(
-                    plt.wescheme.RoundRobin.roundRobinCompiler);
+                evaluator.setCompileProgram(queuedCompileProgram);
                 alert("WeScheme appears to be busy or unavailable at this time." +
                       "  Please try again later.");
                 after();
@@ -507,6 +542,7 @@ WeSchemeInteractions = (function () {
                 evaluator.setImageProxy("/imageProxy");
                 evaluator.setRootLibraryPath("/js/mzscheme-vm/collects");
                 evaluator.setDynamicModuleLoader(plt.wescheme.makeDynamicModuleLoader("/js/mzscheme-vm/collects"));
+                evaluator.setDebugHook(that.debugHook || false);
                 afterInit(evaluator);
             }); 
     };
@@ -548,6 +584,31 @@ WeSchemeInteractions = (function () {
         this.focus = focus;
     };
 
+    // setStepper: (string -> void) -> void
+    // Installs the function that shows an expression from the prompt
+    // in the algebraic stepper.
+    WeSchemeInteractions.prototype.setStepper = function(stepper) {
+        this.stepper = stepper;
+    };
+
+    // setCoverageListener: (U (Evaluator.CoverageReport string -> void) false) -> void
+    // While a listener is installed, each run records which of its
+    // source locations get evaluated.  Afterwards, the listener gets
+    // the report, along with the name of the source that was run.
+    WeSchemeInteractions.prototype.setCoverageListener = function(listener) {
+        this.coverageListener = listener;
+    };
+
+    // setDebugHook: (U (state vector -> void) false) -> void
+    // Installs a debugger hook on this evaluator and on the fresh
+    // ones made after each reset.
+    WeSchemeInteractions.prototype.setDebugHook = function(hook) {
+        this.debugHook = hook;
+        if (this.evaluator) {
+            this.evaluator.setDebugHook(hook);
+        }
+    };
+
     WeSchemeInteractions.prototype.addOnReset = function(onReset) {
         this.resetters.push(onReset);
     };
@@ -651,12 +712,18 @@ WeSchemeInteractions = (function () {
                     that.notifyBus("before-run", that);
 
                     that.disableInput();
+                    var testReport = that.evaluator.beginTestReport();
+                    var coverageReport = (that.coverageListener ?
+                                          that.evaluator.beginCoverageReport() :
+                                          undefined);
                     that.evaluator.executeProgram(
                         sourceName,
                         aSource,
                         withCancellingOnReset(
                             that,
                             function() { 
+                                that.handleTestReport(testReport);
+                                that.handleCoverageReport(coverageReport, sourceName);
                                 that.enableInput();
                                 that.focusOnPrompt();
                                 contK();
@@ -665,6 +732,8 @@ WeSchemeInteractions = (function () {
                             that,
                             function(err) { 
                                 that.handleError(err); 
+                                that.handleTestReport(testReport);
+                                that.handleCoverageReport(coverageReport, sourceName);
                                 that.enableInput();
                                 that.focusOnPrompt();
                                 contK();
@@ -678,6 +747,29 @@ WeSchemeInteractions = (function () {
         this.addToInteractions("\n");
     };
 
+    // handleTestReport: Evaluator.TestReport -> void
+    // Stops recording tests, and shows how they went, if there were any.
+    WeSchemeInteractions.prototype.handleTestReport = function(report) {
+        this.evaluator.endTestReport();
+        if (report.isEmpty()) {
+            return;
+        }
+        var dom = renderTestReportAsDomNode(this, report);
+        this.addToInteractions(dom);
+        helpers.maybeCallAfterAttach(dom);
+    };
+
+    // handleCoverageReport: (U Evaluator.CoverageReport undefined) string -> void
+    WeSchemeInteractions.prototype.handleCoverageReport = function(report, sourceName) {
+        if (! report) {
+            return;
+        }
+        this.evaluator.endCoverageReport();
+        if (this.coverageListener) {
+            this.coverageListener(report, sourceName);
+        }
+    };
+
     //nextColor: int float -> int
     //takes in a rgb color from 0 to 255 and a percentage from 0 to 1 to tint by, 
     //  outputs the tinted color as an int
@@ -704,61 +796,6 @@ WeSchemeInteractions = (function () {
       
     };
 
-    //proper order is id offset line column span
-    //badLocs is in   col id line offset span
-   var locObjToVector = function(badLocs) {
-        return types.vector([badLocs.id,
-                     parseInt(badLocs.offset),
-                     parseInt(badLocs.line),
-                     parseInt(badLocs.column),
-                     parseInt(badLocs.span)]);
-   };
-
-    //return array of fixed locs
-   var fixLocList = function(badLocList) {
-       var toReturn = [];
-
-       var i;
-       for (i =0; i < badLocList.length; i++) {
-           toReturn.push(locObjToVector(badLocList[i]));
-       }
-       return toReturn;
-   };
-
-    //structuredError -> Message
-    var structuredErrorToMessage = function(se) {
-                        console.log('structuredErrorToMessage2');
-
-        var msg = [];
-        var i;
-        for(i = 0; i < se.length; i++){
-                        console.log('2pushing se part'+i+'which has type '+typeof(se[i]));
-
-            if(typeof(se[i]) === 'string') {
-                msg.push(se[i]);
-            }
-            else if(se[i].type === "ColoredPart"){
-                msg.push(new types.ColoredPart(se[i].text, locObjToVector(se[i].loc)));
-            }
-
-            else if(se[i].type === "GradientPart"){
-                var j;
-                var parts = [];
-                for(j = 0; j < se[i].parts.length; j++){
-                    var coloredPart = se[i].parts[j];
-                    parts.push(new types.ColoredPart(coloredPart.text, locObjToVector(coloredPart.loc)));
-                }
-                msg.push(new types.GradientPart(parts));
-            }
-            else if(se[i].type === "MultiPart"){
-                msg.push(new types.MultiPart(se[i].text, fixLocList(se[i].locs), se[i].solid));
-            }
-            else msg.push(se[i]+'');
-        }
-        return new types.Message(msg);
-    };
-
-
     // that: ???
     // msgDom: dom.  The target element that we write output to.
     // args: arrayof (U string ColoredPart GradiantPart MultiPart)
@@ -933,12 +970,14 @@ WeSchemeInteractions = (function () {
             }
         }
 
-        that.addToCurrentHighlighter(errorLoc.id,
-                                     errorLoc.offset, 
-                                     errorLoc.line,
-                                     errorLoc.column, 
-                                     errorLoc.span,
-                                     pinkColor+"");
+        if (errorLoc) {
+            that.addToCurrentHighlighter(errorLoc.id,
+                                         errorLoc.offset, 
+                                         errorLoc.line,
+                                         errorLoc.column, 
+                                         errorLoc.span,
+                                         pinkColor+"");
+        }
     };
 
 
@@ -1004,21 +1043,17 @@ WeSchemeInteractions = (function () {
     // renderErrorAsDomNode: WeSchemeInteractions exception -> element
     // Given an exception, produces error dom node to be displayed.
     var renderErrorAsDomNode = function(that, err) {
+        var report = that.evaluator.getErrorReportFromExn(err);
         var msg;
         var i;
         var dom = document.createElement('div');
-        if (types.isSchemeError(err) && types.isExnBreak(err.val)) {
+        if (report.kind === 'break') {
             dom['className'] = 'moby-break-error';
             msg = "Program stopped by user (user break)";
         } 
         else {
-            dom['className'] = 'moby-error';
-            if(err.structuredError && err.structuredError.message) {
-                msg = structuredErrorToMessage(err.structuredError.message);
-            }
-            else {
-                msg = that.evaluator.getMessageFromExn(err);
-            }
+            dom['className'] = 'moby-error moby-error-' + report.kind;
+            msg = report.structuredMessage || report.message;
         }
 
         var msgDom = document.createElement('div');
@@ -1029,11 +1064,11 @@ WeSchemeInteractions = (function () {
                 //if it is a Message, do special formatting
                 formatColoredMessage(that, msgDom, msg);
             } else {
-                formatUncoloredMessage(that, msgDom, msg, getPrimaryErrorLocation(that, err));
+                formatUncoloredMessage(that, msgDom, msg, report.getPrimaryLocation());
             }
         } else {
-            if(err.domMessage){
-              dom.appendChild(err.domMessage);
+            if(report.domMessage){
+              dom.appendChild(report.domMessage);
             }
             else {
               msgDom.appendChild(document.createTextNode(msg));
@@ -1041,41 +1076,190 @@ WeSchemeInteractions = (function () {
         } 
         dom.appendChild(msgDom);
 
-        if(err.structuredError && err.structuredError.message) {
-            var link = that.createLocationHyperlink(err.structuredError.location);
-            dom.appendChild(link);
+        if (report.suggestion && report.kind !== 'break') {
+            var suggestionDom = document.createElement('div');
+            suggestionDom['className'] = 'error-suggestion';
+            suggestionDom.appendChild(document.createTextNode(report.suggestion));
+            dom.appendChild(suggestionDom);
         }
 
-        var stacktrace = that.evaluator.getTraceFromExn(err);
-        var stacktraceDiv = document.createElement("div");
-        stacktraceDiv['className'] = 'error-stack-trace';
-        for (i = 0; i < stacktrace.length; i++) {
-            var anchor = that.createLocationHyperlink(stacktrace[i]);
-            stacktraceDiv.appendChild(anchor);
+        if (report.exn && report.kind !== 'break') {
+            // Run-time errors point at the innermost call site, and
+            // keep the rest of the stack folded away underneath.
+            if (report.getPrimaryLocation()) {
+                dom.appendChild(that.createLocationHyperlink(report.getPrimaryLocation()));
+            }
+            if (report.locations.length > 1) {
+                dom.appendChild(renderStackTrace(that, report));
+            }
+        } else {
+            var stacktraceDiv = document.createElement("div");
+            stacktraceDiv['className'] = 'error-stack-trace';
+            for (i = 0; i < report.locations.length; i++) {
+                var anchor = that.createLocationHyperlink(report.locations[i]);
+                stacktraceDiv.appendChild(anchor);
+            }
+            dom.appendChild(stacktraceDiv);
         }
+    
+        return dom;
+    };
 
-        //do stuff with feedback here
 
-        
-        dom.appendChild(stacktraceDiv);
-    
+    // renderStackTrace: WeSchemeInteractions ErrorReport -> element
+    // Produces a collapsed view of the error's stack trace.  Frames are
+    // grouped by the source they come from, and each one links back
+    // to its call site.
+    var renderStackTrace = function(that, report) {
+        var groups = report.getFramesBySource();
+        var i, j;
+        var numFrames = 0;
+        for (i = 0; i < groups.length; i++) {
+            numFrames += groups[i].locations.length;
+        }
+
+        var dom = document.createElement("div");
+        dom['className'] = 'error-stack-trace-collapsible';
+
+        var toggle = document.createElement("a");
+        toggle['href'] = "#";
+        toggle['className'] = 'error-stack-trace-toggle';
+        dom.appendChild(toggle);
+
+        var traceDom = document.createElement("div");
+        traceDom['className'] = 'error-stack-trace';
+        for (i = 0; i < groups.length; i++) {
+            var groupDom = document.createElement("div");
+            groupDom['className'] = 'error-stack-trace-group';
+            var labelDom = document.createElement("div");
+            labelDom['className'] = 'error-stack-trace-group-label';
+            labelDom.appendChild(document.createTextNode(describeFrameGroup(groups[i])));
+            groupDom.appendChild(labelDom);
+            for (j = 0; j < groups[i].locations.length; j++) {
+                var loc = groups[i].locations[j];
+                groupDom.appendChild(that.createLocationHyperlink(
+                    loc,
+                    document.createTextNode(
+                        "line " + loc.line + ", column " + loc.column +
+                            (groups[i].source === 'interactions' ? ", in " + loc.id : ""))));
+            }
+            traceDom.appendChild(groupDom);
+        }
+        dom.appendChild(traceDom);
+
+        var isExpanded = false;
+        var refresh = function() {
+            traceDom.style.display = (isExpanded ? "block" : "none");
+            jQuery(toggle).text((isExpanded ? "Hide" : "Show") + " stack trace (" +
+                                numFrames + (numFrames === 1 ? " frame)" : " frames)"));
+        };
+        toggle['onclick'] = function() {
+            isExpanded = ! isExpanded;
+            refresh();
+            return false;
+        };
+        refresh();
         return dom;
     };
 
 
-    // getPrimaryErrorLocation: error -> (U location false)
-    // Try to get the primary error location.  Return false
-    // if we can't localize it.
-    var getPrimaryErrorLocation = function(that, err) {
+    // describeFrameGroup: { source: string, id: string } -> string
+    var describeFrameGroup = function(group) {
+        switch (group.source) {
+        case 'definitions':
+            return "In the definitions window:";
+        case 'interactions':
+            return "In the interactions:";
+        default:
+            return "In required module " + group.id + ":";
+        }
+    };
+
+
+    // renderTestReportAsDomNode: WeSchemeInteractions Evaluator.TestReport -> element
+    // Summarizes the tests of a run, listing each failure with its actual
+    // and expected values and a link back to the test.
+    var renderTestReportAsDomNode = function(that, report) {
+        var failures = report.getFailures();
         var i;
-        if(err.structuredError && err.structuredError.message) {
-            return err.structuredError.location;
+        var dom = document.createElement("div");
+        dom['className'] = (failures.length === 0 ? 'test-report test-report-passed' :
+                            'test-report test-report-failed');
+
+        var summaryDom = document.createElement("div");
+        summaryDom['className'] = 'test-report-summary';
+        summaryDom.appendChild(document.createTextNode(report.getSummary()));
+        dom.appendChild(summaryDom);
+
+        for (i = 0; i < failures.length; i++) {
+            dom.appendChild(renderTestFailure(that, failures[i]));
         }
-        var stacktrace = that.evaluator.getTraceFromExn(err);
-        for (i = 0; i < stacktrace.length; i++) {
-            return stacktrace[i];
+        return dom;
+    };
+
+
+    // renderTestFailure: WeSchemeInteractions result -> element
+    var renderTestFailure = function(that, result) {
+        var dom = document.createElement("div");
+        dom['className'] = 'test-failure';
+
+        var msgDom = document.createElement("div");
+        msgDom['className'] = 'test-failure-message';
+        var addText = function(text) {
+            msgDom.appendChild(document.createTextNode(text));
+        };
+        var addValue = function(v) {
+            var valueDom = document.createElement("span");
+            valueDom['className'] = 'test-failure-value';
+            valueDom.appendChild(types.toDomNode(v));
+            msgDom.appendChild(valueDom);
+        };
+        var i;
+        switch (result.name) {
+        case 'check-expect':
+        case 'EXAMPLE':
+            addText(result.name + ": actual value ");
+            addValue(result.actual);
+            addText(" differs from ");
+            addValue(result.expected);
+            addText(", the expected value.");
+            break;
+        case 'check-within':
+            addText("check-within: actual value ");
+            addValue(result.actual);
+            addText(" is not within " + types.toWrittenString(result.range) + " of expected value ");
+            addValue(result.expected);
+            addText(".");
+            break;
+        case 'check-member-of':
+            addText("check-member-of: actual value ");
+            addValue(result.actual);
+            addText(" differs from all given members: ");
+            for (i = 0; i < result.candidates.length; i++) {
+                if (i > 0) { addText(", "); }
+                addValue(result.candidates[i]);
+            }
+            addText(".");
+            break;
+        case 'check-satisfied':
+            if (result.error !== undefined) {
+                addText(result.message);
+            } else {
+                addText("check-satisfied: actual value ");
+                addValue(result.actual);
+                addText(" does not satisfy " + result.predicateName + ".");
+            }
+            break;
+        default:
+            // check-error and check-range only involve text and numbers.
+            addText(result.message);
         }
-        return false;
+        dom.appendChild(msgDom);
+
+        if (result.locations.length > 0) {
+            dom.appendChild(that.createLocationHyperlink(result.locations[0]));
+        }
+        return dom;
     };
 
 
@@ -1100,13 +1284,30 @@ WeSchemeInteractions = (function () {
         return para;
     };
     
+    // makeHighlighterLinkFunction: WeSchemeInteractions location -> (-> boolean)
+    // Highlights the location, on top of whatever error highlighting is
+    // already there, and brings it into view.  Only the most recently
+    // followed link stays highlighted.
     var makeHighlighterLinkFunction = function(that, elt) {
         return function() { 
-            //that.highlighter(elt.id, elt.offset, elt.line, elt.column, elt.span, "rgb(254, 196, 79)");
-            that.setSelection(elt.id, elt.offset, elt.line, elt.column, elt.span);
+            if (that.lastLinkHighlight) {
+                that.lastLinkHighlight.clear();
+                that.lastLinkHighlight = undefined;
+            }
+            var highlight = that.addToCurrentHighlighter(elt.id, elt.offset, elt.line, elt.column, elt.span,
+                                                         LINK_HIGHLIGHT_COLOR);
+            if (highlight) {
+                that.lastLinkHighlight = highlight;
+                that.moveCursor(elt.id, elt.offset);
+                that.scrollIntoView(elt.id, elt.offset);
+                catchAttention(highlight.styleName);
+            }
+            return false;
         };
     };
 
+    var LINK_HIGHLIGHT_COLOR = "rgb(254, 196, 79)";
+
     WeSchemeInteractions.prototype.disableInput = function() {
         this.prompt.hide();
     };
@@ -1119,6 +1320,15 @@ WeSchemeInteractions = (function () {
         this.evaluator.requestBreak();
     };
 
+    // makeSandboxedEvaluator: -> Evaluator
+    // An evaluator of its own, compiling with the same servers as ours
+    // but not through our compile queue, for running programs whose
+    // output shouldn't show up in the interactions (see
+    // plt.wescheme.Grader).
+    WeSchemeInteractions.prototype.makeSandboxedEvaluator = function() {
+        return plt.wescheme.Grader.makeSiteSandbox();
+    };
+
     WeSchemeInteractions.prototype.toString = function() { return "WeSchemeInteractions()"; };
 
     //////////////////////////////////////////////////////////////////////
@@ -1,8 +1,10 @@
-/*global goog,easyXDM*/
+/*global goog,easyXDM,Evaluator*/
 /*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
 
 goog.provide("plt.wescheme.RoundRobin");
 
+goog.require("plt.wescheme.CompilationCache");
+
 
 (function() {
     "use strict";
@@ -10,6 +12,53 @@ goog.provide("plt.wescheme.RoundRobin");
 
 
 
+    // How often the health monitor re-pings every server, how long
+    // we wait for a ping before calling the server dead, and how
+    // heavily a new ping measurement weighs into a server's
+    // moving-average latency.
+    var HEALTH_CHECK_INTERVAL = 30000;
+    var PING_TIMEOUT = 10000;
+    var LATENCY_SMOOTHING = 0.3;
+
+
+    // A server that answers 503 is busy, not dead.  We ask it again
+    // after BUSY_RETRY_DELAY milliseconds, doubling the wait each
+    // time up to BUSY_RETRY_MAX_DELAY, and give up after
+    // MAX_RETRIES attempts.  MAX_RETRIES also bounds how many
+    // servers a single compilation will fail over to.
+    var BUSY_RETRY_DELAY = 500;
+    var BUSY_RETRY_MAX_DELAY = 8000;
+    var MAX_RETRIES = 5;
+
+
+    // allServers: arrayof server
+    // Every server we've been configured with, dead or alive.
+    //
+    // liveServers: arrayof server
+    // The servers that answered their last ping, in ascending order
+    // of pingDelay.  Compilation only goes to these.
+    //
+    // where a server is:
+    //   { xhr : easyXDM.Rpc,
+    //     url : string,
+    //     pingDelay : (U number undefined),  moving average, in milliseconds
+    //     isAlive : boolean,
+    //     lastChecked : (U Date undefined),
+    //     failures : number }                 consecutive failed pings
+    var allServers = [];
+    var liveServers = [];
+
+    // The server that most recently compiled a program for us.
+    var currentServer = null;
+
+    // True if the most recent compilation was answered from the
+    // compilation cache rather than by currentServer.
+    var lastCompileWasCached = false;
+
+    var healthMonitorId = null;
+
+
+
     // Initializes the remote procedure call between the client and
     // the given serverUrl.  Due to the peculiarities of easyXDM, we
     // need to ping the server up front to see if the connection is
@@ -23,41 +72,161 @@ goog.provide("plt.wescheme.RoundRobin");
               lazy: true
             }, 
             { remote: { compileProgram: {} }});
-        // We initiate compilation of the empty program and see
-        // if the server responds.  If it does, we add the server
-        // to the list of known good servers.
+        var server = { xhr : xhr,
+                       url : serverUrl,
+                       pingDelay : undefined,
+                       isAlive : false,
+                       lastChecked : undefined,
+                       failures : 0 };
+        allServers.push(server);
+        pingServer(server, makeOnFirstServerReady(afterInitialize));
+    };
+
+
+    // Produces a callback that calls afterInitialize when the very
+    // first server comes alive.
+    var makeOnFirstServerReady = function(afterInitialize) {
+        return function() {
+            if (! AT_LEAST_ONE_SERVER_READY) {
+                AT_LEAST_ONE_SERVER_READY = true;
+                afterInitialize();
+            }
+        };
+    };
+
+
+    // pingServer: server (-> void) -> void
+    // We initiate compilation of the empty program and see if the
+    // server responds.  If it does, we fold the round trip time into
+    // its latency and make sure it's in the list of known good
+    // servers, then call onAlive.  If it fails or doesn't answer
+    // within PING_TIMEOUT, the server is dropped from the list.
+    // A busy server is asked again, with backoff, up to MAX_RETRIES
+    // times before we give up on it.
+    var pingServer = function(server, onAlive, countRetries) {
+        var isSettled = false;
         var startTime = new Date();
-        xhr.compileProgram("", 
-                           "",
-                           function(bytecode) {
-                               liveServers.push( { xhr : xhr,
-                                                   url : serverUrl,
-                                                   pingDelay : (new Date() - startTime) } );
-                               if (! AT_LEAST_ONE_SERVER_READY) {
-                                   AT_LEAST_ONE_SERVER_READY = true;
-                                   afterInitialize();
-                               }
-                               // Sort the servers in ascending pingDelay.
-                               liveServers.sort(
-                                   function(x, y) {
-                                       if (x.pingDelay < y.pingDelay) { 
-                                           return -1;
-                                       }
-                                       if (x.pingDelay > y.pingDelay) {
-                                           return 1;
-                                       }
-                                       return 0;
-                                   });
-                           },
-                           function(err) {
-                               if (err.status == 503) {
-                                   initializeServer(serverUrl, afterInitialize);
-                               }
-                           });
+        var timeoutId = setTimeout(function() {
+            if (! isSettled) {
+                isSettled = true;
+                markServerDead(server);
+            }
+        }, PING_TIMEOUT);
+
+        server.xhr.compileProgram(
+            "",
+            "",
+            function(bytecode) {
+                if (isSettled) { return; }
+                isSettled = true;
+                clearTimeout(timeoutId);
+                markServerAlive(server, (new Date() - startTime));
+                if (onAlive) { onAlive(); }
+            },
+            function(err) {
+                if (isSettled) { return; }
+                isSettled = true;
+                clearTimeout(timeoutId);
+                countRetries = countRetries || 0;
+                if (err.status == 503 && countRetries < MAX_RETRIES) {
+                    // Busy, not dead: ask again in a bit.
+                    setTimeout(function() {
+                        pingServer(server, onAlive, countRetries + 1);
+                    }, busyRetryDelay(countRetries));
+                } else {
+                    markServerDead(server);
+                }
+            });
+    };
+
+
+    // busyRetryDelay: number -> number
+    // How long to wait before the nth retry against a busy server.
+    var busyRetryDelay = function(n) {
+        return Math.min(BUSY_RETRY_MAX_DELAY,
+                        BUSY_RETRY_DELAY * Math.pow(2, n));
+    };
+
+
+    var markServerAlive = function(server, delay) {
+        if (server.pingDelay === undefined) {
+            server.pingDelay = delay;
+        } else {
+            server.pingDelay = Math.round(LATENCY_SMOOTHING * delay +
+                                          (1 - LATENCY_SMOOTHING) * server.pingDelay);
+        }
+        server.isAlive = true;
+        server.lastChecked = new Date();
+        server.failures = 0;
+        if (indexOfServer(liveServers, server) === -1) {
+            liveServers.push(server);
+        }
+        sortLiveServers();
+    };
+
+
+    var markServerDead = function(server) {
+        var i = indexOfServer(liveServers, server);
+        server.isAlive = false;
+        server.lastChecked = new Date();
+        server.failures++;
+        if (i !== -1) {
+            liveServers.splice(i, 1);
+        }
+        if (currentServer === server) {
+            currentServer = null;
+        }
+    };
+
+
+    var indexOfServer = function(servers, server) {
+        var i;
+        for (i = 0; i < servers.length; i++) {
+            if (servers[i] === server) {
+                return i;
+            }
+        }
+        return -1;
+    };
+
+
+    // Sort the servers in ascending pingDelay.
+    var sortLiveServers = function() {
+        liveServers.sort(
+            function(x, y) {
+                if (x.pingDelay < y.pingDelay) { 
+                    return -1;
+                }
+                if (x.pingDelay > y.pingDelay) {
+                    return 1;
+                }
+                return 0;
+            });
+    };
+
+
+    // The health monitor periodically re-pings every server, so that
+    // servers that die mid-session stop receiving compilations, and
+    // servers that come back are readmitted.
+    var startHealthMonitor = function() {
+        if (healthMonitorId !== null) { return; }
+        healthMonitorId = setInterval(function() {
+            var i;
+            for (i = 0; i < allServers.length; i++) {
+                pingServer(allServers[i]);
+            }
+        }, HEALTH_CHECK_INTERVAL);
+    };
+
+
+    var stopHealthMonitor = function() {
+        if (healthMonitorId !== null) {
+            clearInterval(healthMonitorId);
+            healthMonitorId = null;
+        }
     };
 
 
-    var liveServers = [];
 
     var AT_LEAST_ONE_SERVER_READY = false;
     var initialize = function(compilation_servers, afterInitialize, onFailure) {
@@ -75,9 +244,18 @@ goog.provide("plt.wescheme.RoundRobin");
             // a set of servers.  Compilation will also fall back to other
             // servers under network failure.
             var i;
-            for (i = 0; i < compilation_servers.length; i++) {
-                initializeServer(compilation_servers[i], afterInitialize);
+            if (allServers.length === 0) {
+                for (i = 0; i < compilation_servers.length; i++) {
+                    initializeServer(compilation_servers[i], afterInitialize);
+                }
+            } else {
+                // We've been here before, but nothing has answered
+                // yet: ask everyone again.
+                for (i = 0; i < allServers.length; i++) {
+                    pingServer(allServers[i], makeOnFirstServerReady(afterInitialize));
+                }
             }
+            startHealthMonitor();
         }
     };
 
@@ -85,8 +263,48 @@ goog.provide("plt.wescheme.RoundRobin");
     // Resets the round robin servers to the initial state.  Use
     // initialize() to reconfigure.
     var reset = function() {
+        stopHealthMonitor();
         AT_LEAST_ONE_SERVER_READY = false;
-        liveServers = [];
+        // Mutate in place: liveServers is exported below.
+        allServers.length = 0;
+        liveServers.length = 0;
+        currentServer = null;
+        lastCompileWasCached = false;
+    };
+
+
+    // getServerStatus: -> arrayof { url: string,
+    //                               isAlive: boolean,
+    //                               isCurrent: boolean,
+    //                               pingDelay: (U number undefined),
+    //                               lastChecked: (U Date undefined) }
+    // Reports the state of the server pool, e.g. for the status bar.
+    var getServerStatus = function() {
+        var result = [];
+        var i;
+        for (i = 0; i < allServers.length; i++) {
+            result.push({ url: allServers[i].url,
+                          isAlive: allServers[i].isAlive,
+                          isCurrent: (allServers[i] === currentServer),
+                          pingDelay: allServers[i].pingDelay,
+                          lastChecked: allServers[i].lastChecked });
+        }
+        return result;
+    };
+
+
+    // getCurrentServerUrl: -> (U string null)
+    // Returns the url of the server that last compiled for us.
+    var getCurrentServerUrl = function() {
+        return (currentServer ? currentServer.url : null);
+    };
+
+
+    // isLastCompileCached: -> boolean
+    // True if the last compilation didn't go to a server at all, but
+    // was answered from the compilation cache.
+    var isLastCompileCached = function() {
+        return lastCompileWasCached;
     };
 
 
@@ -97,42 +315,63 @@ goog.provide("plt.wescheme.RoundRobin");
         // If all servers are failing, we simulate a 
         // compile time error with the following content:
         onDoneError(
-            JSON.stringify(
-                "WeScheme appears to be busy or unavailable at this time." +
-                "  Please try again later."));
+            new Evaluator.ErrorReport(
+                { kind: 'network',
+                  message: ("WeScheme appears to be busy or unavailable at this time." +
+                            "  Please try again later.") }));
     };
 
 
     // Try using server n to compile the expression.  If network
-    // failure occurs, try the next one in round-robin order, up
-    // to liveServers.length tries.
+    // failure occurs, the server is dropped from liveServers (the
+    // health monitor will readmit it when it recovers), and we try
+    // the next one, until we run out of servers.  A busy server is
+    // asked again after a backoff.  Either way, we stop after
+    // MAX_RETRIES failed attempts.
     var tryServerN = function(n, countFailures, 
                               programName, code, 
                               onDone, onDoneError) {
 
         if (n < liveServers.length) {
-            liveServers[n].xhr.compileProgram(
+            var server = liveServers[n];
+            server.xhr.compileProgram(
                 programName,
                 code,
-                onDone,
+                function() {
+                    currentServer = server;
+                    lastCompileWasCached = false;
+                    return onDone.apply(null, arguments);
+                },
                 function(errorStruct) {
-                    // If we get a 503, just try again.
-                    if (errorStruct.status == 503) {
-                        tryServerN(n,
-                                   countFailures,
-                                   programName,
-                                   code,
-                                   onDone,
-                                   onDoneError);
-                    }                    
+                    var isBusy = (errorStruct.status == 503);
+                    var isUnreachable = (! isBusy && errorStruct.message === "");
+                    if ((isBusy || isUnreachable) &&
+                        countFailures >= MAX_RETRIES) {
+                        if (isUnreachable) { markServerDead(server); }
+                        onAllCompilationServersFailing(onDoneError);
+                    }
+                    // If we get a 503, try again after a while.
+                    else if (isBusy) {
+                        setTimeout(function() {
+                            tryServerN(n,
+                                       countFailures + 1,
+                                       programName,
+                                       code,
+                                       onDone,
+                                       onDoneError);
+                        }, busyRetryDelay(countFailures));
+                    }
                     // If the content of the message is the
                     // empty string, communication with
                     // the server failed.
-                    else if (errorStruct.message === "") {
-                        if (countFailures >= liveServers.length) {
+                    else if (isUnreachable) {
+                        markServerDead(server);
+                        if (liveServers.length === 0) {
                             onAllCompilationServersFailing(onDoneError);
                         } else {
-                            tryServerN(((n + 1) % liveServers.length),
+                            // The dead server is gone, so its successor
+                            // has slid into position n.
+                            tryServerN((n % liveServers.length),
                                        countFailures + 1,
                                        programName,
                                        code,
@@ -140,6 +379,8 @@ goog.provide("plt.wescheme.RoundRobin");
                                        onDoneError);
                         }
                     } else {
+                        currentServer = server;
+                        lastCompileWasCached = false;
                         onDoneError(errorStruct.message);
                     }
                 });
@@ -149,12 +390,38 @@ goog.provide("plt.wescheme.RoundRobin");
     };
 
 
-    // TODO: add a real LRU cache for compilations.
-    // The following does a minor bit of caching for the very
-    // last compilation.
-    var lastCompiledName = null;
-    var lastCompiledCode = null;
-    var lastCompiledResult = null;
+    // Compilations are remembered in a small LRU cache, so that
+    // flipping between versions of a program doesn't need a trip to
+    // the server.  For a signed-in user, the cache is also kept in
+    // localStorage under a key of their own, so that it survives a
+    // reload or the network going away.  localStorage is shared by
+    // everyone who uses the browser, which in a computer lab is a
+    // whole class: anonymous users get a cache in memory only, and
+    // logging out removes every user's stored copy.
+    //
+    // COMPILATION_CACHE_VERSION must change whenever the compiler or
+    // the runtime in war/js/mzscheme-vm changes; otherwise bytecode
+    // cached before a deploy would be handed to the new runtime.  It
+    // names the compiler-version we ask the servers for, followed by a
+    // runtime revision.  Bump the runtime revision with every change
+    // to patches/mzscheme-vm.patch, and with every new copy of the
+    // runtime that copy-compiler-libraries.sh brings in.
+    var COMPILATION_CACHE_SIZE = 16;
+    var COMPILATION_CACHE_VERSION = "compiler-1/runtime-5";
+    var COMPILATION_CACHE_KEY = "plt.wescheme.RoundRobin.compilationCache";
+
+    // makeCompilationCache: (U string null) -> CompilationCache
+    var makeCompilationCache = function(userName) {
+        var isLoggedIn = (userName && userName !== 'null');
+        return new plt.wescheme.CompilationCache(
+            { maxSize: COMPILATION_CACHE_SIZE,
+              storageKey: (isLoggedIn ?
+                           COMPILATION_CACHE_KEY + "." + userName :
+                           undefined),
+              version: COMPILATION_CACHE_VERSION });
+    };
+
+    var compilationCache = makeCompilationCache(null);
 
 
     // The name "round-robin" is historical: we really contact the
@@ -162,19 +429,16 @@ goog.provide("plt.wescheme.RoundRobin");
     var roundRobinCompiler = 
         function(programName, code, onDone, onDoneError) {
             var onDoneWithCache = function() {
-
-                // Cache the last result:
-                var result = [].slice.call(arguments, 0);
-                lastCompiledName = programName;
-                lastCompiledCode = code;
-                lastCompiledResult = result;
-
+                compilationCache.put(programName,
+                                     code,
+                                     [].slice.call(arguments, 0));
                 return onDone.apply(null, arguments);
             };
-            
-            if ((programName === lastCompiledName) &&
-                (code === lastCompiledCode)) {
-                return onDone.apply(null, lastCompiledResult);
+
+            var cachedResult = compilationCache.get(programName, code);
+            if (cachedResult !== undefined) {
+                lastCompileWasCached = true;
+                return onDone.apply(null, cachedResult);
             }
 
 
@@ -186,15 +450,45 @@ goog.provide("plt.wescheme.RoundRobin");
             }
         };
 
+
+    // Forgets all cached compilations.
+    var clearCache = function() {
+        compilationCache.clear();
+    };
+
+
+    // setUserName: (U string null) -> void
+    // Switches to the cache of the signed-in user, or to one in memory
+    // only if nobody is signed in.
+    var setUserName = function(userName) {
+        compilationCache = makeCompilationCache(userName);
+    };
+
+
+    // forgetStoredCompilations: -> void
+    // Removes the stored caches of every user from localStorage.
+    // Called on logout, so that the next person at the computer can't
+    // read the programs we compiled.
+    var forgetStoredCompilations = function() {
+        compilationCache.clear();
+        plt.wescheme.CompilationCache.removeStored(COMPILATION_CACHE_KEY);
+    };
+
     
 
     //////////////////////////////////////////////////////////////////////
 
     plt.wescheme.RoundRobin.initialize = initialize;
     plt.wescheme.RoundRobin.roundRobinCompiler = roundRobinCompiler;
+    plt.wescheme.RoundRobin.getServerStatus = getServerStatus;
+    plt.wescheme.RoundRobin.getCurrentServerUrl = getCurrentServerUrl;
+    plt.wescheme.RoundRobin.isLastCompileCached = isLastCompileCached;
+    plt.wescheme.RoundRobin.setUserName = setUserName;
+    plt.wescheme.RoundRobin.forgetStoredCompilations = forgetStoredCompilations;
 
     
     // The following exports are for debugging purposes.
     plt.wescheme.RoundRobin.reset = reset;
     plt.wescheme.RoundRobin.liveServers = liveServers;
+    plt.wescheme.RoundRobin.clearCache = clearCache;
 }());
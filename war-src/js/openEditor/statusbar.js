@@ -10,6 +10,7 @@ goog.provide('plt.wescheme.WeSchemeStatusBar');
 
 
 goog.require('plt.wescheme.WeSchemeIntentBus');
+goog.require('plt.wescheme.RoundRobin');
 
 
 
@@ -40,6 +41,17 @@ plt.wescheme.WeSchemeStatusBar = WeSchemeStatusBar = (function() {
                 'before-editor-reload-on-save': 'Please wait; saving program...'
             };
 	    if (action === 'notify' &&
+		category === 'after-run' &&
+		plt.wescheme.RoundRobin.isLastCompileCached()) {
+		that.notify(editorNotifyCategoryMap[category] + " (compiled earlier)");
+	    } else if (action === 'notify' &&
+		category === 'after-run' &&
+		plt.wescheme.RoundRobin.getCurrentServerUrl()) {
+		that.notify(editorNotifyCategoryMap[category] + 
+			    " (compiled by " +
+			    getHostName(plt.wescheme.RoundRobin.getCurrentServerUrl()) +
+			    ")");
+	    } else if (action === 'notify' &&
 		editorNotifyCategoryMap[category]) {
 		that.notify(editorNotifyCategoryMap[category]);
 	    } else if (action === 'notify' &&
@@ -58,6 +70,14 @@ plt.wescheme.WeSchemeStatusBar = WeSchemeStatusBar = (function() {
     }
 
 
+    // getHostName: string -> string
+    var getHostName = function(url) {
+	var a = document.createElement("a");
+	a.href = url;
+	return a.hostname || url;
+    };
+
+
     var isBlinking = false;
     WeSchemeStatusBar.prototype.catchAttention = function(){
         if (isBlinking) { return; }
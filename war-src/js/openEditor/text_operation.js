@@ -0,0 +1,365 @@
+/*global goog*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.TextOperation");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // TextOperation: -> TextOperation
+    //
+    // An edit to a whole text, for operational transformation.  An
+    // operation walks the text from start to end as a list of
+    // components:
+    //
+    //     a positive number n   retains the next n characters,
+    //     a negative number -n  deletes the next n characters,
+    //     a string s            inserts s.
+    //
+    // baseLength is the length of the text the operation applies to,
+    // and targetLength the length of the text it produces.  Components
+    // are kept normal: neighbours of the same kind are merged, and an
+    // insert always comes before a delete at the same place, so two
+    // operations that do the same thing have the same components.
+    var TextOperation = function() {
+        this.ops = [];
+        this.baseLength = 0;
+        this.targetLength = 0;
+    };
+
+
+    var isRetain = function(op) { return typeof(op) === 'number' && op > 0; };
+    var isInsert = function(op) { return typeof(op) === 'string'; };
+    var isDelete = function(op) { return typeof(op) === 'number' && op < 0; };
+
+
+    // retain: number -> TextOperation
+    TextOperation.prototype.retain = function(n) {
+        if (n === 0) { return this; }
+        this.baseLength += n;
+        this.targetLength += n;
+        if (isRetain(this.ops[this.ops.length - 1])) {
+            this.ops[this.ops.length - 1] += n;
+        } else {
+            this.ops.push(n);
+        }
+        return this;
+    };
+
+
+    // insert: string -> TextOperation
+    TextOperation.prototype.insert = function(s) {
+        var ops = this.ops;
+        if (s === '') { return this; }
+        this.targetLength += s.length;
+        if (isInsert(ops[ops.length - 1])) {
+            ops[ops.length - 1] += s;
+        } else if (isDelete(ops[ops.length - 1])) {
+            if (isInsert(ops[ops.length - 2])) {
+                ops[ops.length - 2] += s;
+            } else {
+                ops.splice(ops.length - 1, 0, s);
+            }
+        } else {
+            ops.push(s);
+        }
+        return this;
+    };
+
+
+    // delete: number -> TextOperation
+    TextOperation.prototype['delete'] = function(n) {
+        if (n === 0) { return this; }
+        if (n > 0) { n = -n; }
+        this.baseLength -= n;
+        if (isDelete(this.ops[this.ops.length - 1])) {
+            this.ops[this.ops.length - 1] += n;
+        } else {
+            this.ops.push(n);
+        }
+        return this;
+    };
+
+
+    // isNoop: -> boolean
+    TextOperation.prototype.isNoop = function() {
+        return this.ops.length === 0 || (this.ops.length === 1 && isRetain(this.ops[0]));
+    };
+
+
+    // apply: string -> string
+    TextOperation.prototype.apply = function(text) {
+        var pieces = [];
+        var index = 0;
+        var i, op;
+        if (text.length !== this.baseLength) {
+            throw new Error("TextOperation.apply: the operation expects a text of length " +
+                            this.baseLength + ", not " + text.length);
+        }
+        for (i = 0; i < this.ops.length; i++) {
+            op = this.ops[i];
+            if (isRetain(op)) {
+                pieces.push(text.slice(index, index + op));
+                index += op;
+            } else if (isInsert(op)) {
+                pieces.push(op);
+            } else {
+                index -= op;
+            }
+        }
+        return pieces.join('');
+    };
+
+
+    // toEdits: -> (arrayof { offset: number, span: number, text: string })
+    // The operation as replacements of spans of the original text,
+    // from the start of the text to the end.  Applying them from last
+    // to first leaves the offsets of the rest intact.
+    TextOperation.prototype.toEdits = function() {
+        var edits = [];
+        var index = 0;
+        var last = null;
+        var i, op;
+        for (i = 0; i < this.ops.length; i++) {
+            op = this.ops[i];
+            if (isRetain(op)) {
+                index += op;
+                last = null;
+            } else {
+                if (last === null) {
+                    last = { offset: index, span: 0, text: '' };
+                    edits.push(last);
+                }
+                if (isInsert(op)) {
+                    last.text += op;
+                } else {
+                    last.span -= op;
+                    index -= op;
+                }
+            }
+        }
+        return edits;
+    };
+
+
+    // compose: TextOperation -> TextOperation
+    // The operation that does this one and then the other.
+    TextOperation.prototype.compose = function(other) {
+        var result = new TextOperation();
+        var ops1 = this.ops, ops2 = other.ops;
+        var i1 = 0, i2 = 0;
+        var op1 = ops1[i1++], op2 = ops2[i2++];
+        if (this.targetLength !== other.baseLength) {
+            throw new Error("TextOperation.compose: the second operation doesn't follow the first");
+        }
+        while (op1 !== undefined || op2 !== undefined) {
+            if (isDelete(op1)) {
+                result['delete'](op1);
+                op1 = ops1[i1++];
+            } else if (isInsert(op2)) {
+                result.insert(op2);
+                op2 = ops2[i2++];
+            } else if (op1 === undefined || op2 === undefined) {
+                throw new Error("TextOperation.compose: the operations don't line up");
+            } else if (isRetain(op1) && isRetain(op2)) {
+                if (op1 > op2) {
+                    result.retain(op2);
+                    op1 = op1 - op2;
+                    op2 = ops2[i2++];
+                } else if (op1 === op2) {
+                    result.retain(op1);
+                    op1 = ops1[i1++];
+                    op2 = ops2[i2++];
+                } else {
+                    result.retain(op1);
+                    op2 = op2 - op1;
+                    op1 = ops1[i1++];
+                }
+            } else if (isInsert(op1) && isDelete(op2)) {
+                if (op1.length > -op2) {
+                    op1 = op1.slice(-op2);
+                    op2 = ops2[i2++];
+                } else if (op1.length === -op2) {
+                    op1 = ops1[i1++];
+                    op2 = ops2[i2++];
+                } else {
+                    op2 = op2 + op1.length;
+                    op1 = ops1[i1++];
+                }
+            } else if (isInsert(op1) && isRetain(op2)) {
+                if (op1.length > op2) {
+                    result.insert(op1.slice(0, op2));
+                    op1 = op1.slice(op2);
+                    op2 = ops2[i2++];
+                } else if (op1.length === op2) {
+                    result.insert(op1);
+                    op1 = ops1[i1++];
+                    op2 = ops2[i2++];
+                } else {
+                    result.insert(op1);
+                    op2 = op2 - op1.length;
+                    op1 = ops1[i1++];
+                }
+            } else {
+                // op1 retains, op2 deletes.
+                if (op1 > -op2) {
+                    result['delete'](op2);
+                    op1 = op1 + op2;
+                    op2 = ops2[i2++];
+                } else if (op1 === -op2) {
+                    result['delete'](op2);
+                    op1 = ops1[i1++];
+                    op2 = ops2[i2++];
+                } else {
+                    result['delete'](op1);
+                    op2 = op2 + op1;
+                    op1 = ops1[i1++];
+                }
+            }
+        }
+        return result;
+    };
+
+
+    // transform: TextOperation TextOperation -> (array TextOperation TextOperation)
+    // Given two operations made at the same time on the same text,
+    // returns [a', b'] such that a followed by b' and b followed by a'
+    // end up at the same text.  When both insert at the same place,
+    // a's insertion goes first.
+    TextOperation.transform = function(a, b) {
+        var aPrime = new TextOperation();
+        var bPrime = new TextOperation();
+        var ops1 = a.ops, ops2 = b.ops;
+        var i1 = 0, i2 = 0;
+        var op1 = ops1[i1++], op2 = ops2[i2++];
+        var minl;
+        if (a.baseLength !== b.baseLength) {
+            throw new Error("TextOperation.transform: the operations apply to different texts");
+        }
+        while (op1 !== undefined || op2 !== undefined) {
+            if (isInsert(op1)) {
+                aPrime.insert(op1);
+                bPrime.retain(op1.length);
+                op1 = ops1[i1++];
+            } else if (isInsert(op2)) {
+                aPrime.retain(op2.length);
+                bPrime.insert(op2);
+                op2 = ops2[i2++];
+            } else if (op1 === undefined || op2 === undefined) {
+                throw new Error("TextOperation.transform: the operations don't line up");
+            } else if (isRetain(op1) && isRetain(op2)) {
+                minl = Math.min(op1, op2);
+                aPrime.retain(minl);
+                bPrime.retain(minl);
+                op1 -= minl;
+                op2 -= minl;
+                if (op1 === 0) { op1 = ops1[i1++]; }
+                if (op2 === 0) { op2 = ops2[i2++]; }
+            } else if (isDelete(op1) && isDelete(op2)) {
+                // Both deleted the same text; neither needs to again.
+                minl = Math.min(-op1, -op2);
+                op1 += minl;
+                op2 += minl;
+                if (op1 === 0) { op1 = ops1[i1++]; }
+                if (op2 === 0) { op2 = ops2[i2++]; }
+            } else if (isDelete(op1)) {
+                minl = Math.min(-op1, op2);
+                aPrime['delete'](minl);
+                op1 += minl;
+                op2 -= minl;
+                if (op1 === 0) { op1 = ops1[i1++]; }
+                if (op2 === 0) { op2 = ops2[i2++]; }
+            } else {
+                // op1 retains, op2 deletes.
+                minl = Math.min(op1, -op2);
+                bPrime['delete'](minl);
+                op1 -= minl;
+                op2 += minl;
+                if (op1 === 0) { op1 = ops1[i1++]; }
+                if (op2 === 0) { op2 = ops2[i2++]; }
+            }
+        }
+        return [aPrime, bPrime];
+    };
+
+
+    // transformPosition: number -> number
+    // Where a cursor at the given offset of the original text ends up
+    // after the operation.  Text inserted right at the cursor goes
+    // before it.
+    TextOperation.prototype.transformPosition = function(position) {
+        var newPosition = position;
+        var index = 0;
+        var i, op;
+        for (i = 0; i < this.ops.length && index <= position; i++) {
+            op = this.ops[i];
+            if (isRetain(op)) {
+                index += op;
+            } else if (isInsert(op)) {
+                newPosition += op.length;
+            } else {
+                newPosition -= Math.min(position - index, -op);
+                index -= op;
+            }
+        }
+        return newPosition;
+    };
+
+
+    // fromDiff: string string -> TextOperation
+    // The operation that turns one text into the other by replacing
+    // the span between their common beginning and end.  The text
+    // containers only tell us the new text after each change, and
+    // changes are small, so this is all the precision we need.
+    TextOperation.fromDiff = function(oldText, newText) {
+        var start = 0;
+        var oldEnd = oldText.length;
+        var newEnd = newText.length;
+        while (start < oldEnd && start < newEnd &&
+               oldText.charAt(start) === newText.charAt(start)) {
+            start++;
+        }
+        while (oldEnd > start && newEnd > start &&
+               oldText.charAt(oldEnd - 1) === newText.charAt(newEnd - 1)) {
+            oldEnd--;
+            newEnd--;
+        }
+        return new TextOperation()
+            .retain(start)
+            .insert(newText.slice(start, newEnd))['delete'](oldEnd - start)
+            .retain(oldText.length - oldEnd);
+    };
+
+
+    // toJSON: -> (arrayof (U number string))
+    TextOperation.prototype.toJSON = function() {
+        return this.ops.slice(0);
+    };
+
+
+    // fromJSON: (arrayof (U number string)) -> TextOperation
+    TextOperation.fromJSON = function(ops) {
+        var result = new TextOperation();
+        var i;
+        for (i = 0; i < ops.length; i++) {
+            if (isRetain(ops[i])) {
+                result.retain(ops[i]);
+            } else if (isInsert(ops[i])) {
+                result.insert(ops[i]);
+            } else if (isDelete(ops[i])) {
+                result['delete'](ops[i]);
+            } else {
+                throw new Error("TextOperation.fromJSON: bad component " + ops[i]);
+            }
+        }
+        return result;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.TextOperation = TextOperation;
+}());
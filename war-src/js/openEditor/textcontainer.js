@@ -65,6 +65,13 @@ var WeSchemeTextContainer;
 	};
 
 
+	// Returns an event stream of the cursor's offset, fired whenever
+	// the cursor or selection moves.
+	WeSchemeTextContainer.prototype.getCursorE = function() {
+		return this.impl.getCursorE();
+	};
+
+
 	WeSchemeTextContainer.prototype.getDiv = function() {
 		return this.div;
 	};
@@ -122,6 +129,52 @@ var WeSchemeTextContainer;
 		return this.impl.getCSS(pos);
 	}
 
+	// enableBreakpointGutter: (number boolean -> void) -> void
+	// Shows a gutter where clicking on a line toggles a breakpoint.
+	// onToggle is called with the line (counting from 1) and whether
+	// the breakpoint is now set.
+	WeSchemeTextContainer.prototype.enableBreakpointGutter = function(onToggle) {
+		this.impl.enableBreakpointGutter(onToggle);
+	};
+
+	// disableBreakpointGutter: -> void
+	// Hides the gutter and clears out its breakpoints.
+	WeSchemeTextContainer.prototype.disableBreakpointGutter = function() {
+		this.impl.disableBreakpointGutter();
+	};
+
+	// getBreakpointLines: -> (arrayof number)
+	WeSchemeTextContainer.prototype.getBreakpointLines = function() {
+		return this.impl.getBreakpointLines();
+	};
+
+	// replaceWithDom: number number dom -> { clear: (-> void) }
+	// Shows the dom node in place of the span of text starting at the
+	// offset (counting from 0).  The text itself is left alone.
+	WeSchemeTextContainer.prototype.replaceWithDom = function(offset, span, dom) {
+		return this.impl.replaceWithDom(offset, span, dom);
+	};
+
+	// replaceRange: number number string -> void
+	// Replaces the span of text starting at the offset (counting from
+	// 0) with the given text, leaving the cursor and the rest of the
+	// text where they were.
+	WeSchemeTextContainer.prototype.replaceRange = function(offset, span, text) {
+		this.impl.replaceRange(offset, span, normalizeString(text));
+	};
+
+	// setReadOnly: boolean -> void
+	WeSchemeTextContainer.prototype.setReadOnly = function(isReadOnly) {
+		this.impl.setReadOnly(isReadOnly);
+	};
+
+	// markPosition: number dom -> { clear: (-> void) }
+	// Shows the dom node at the offset (counting from 0), moving along
+	// with the text around it.
+	WeSchemeTextContainer.prototype.markPosition = function(offset, dom) {
+		return this.impl.markPosition(offset, dom);
+	};
+
 	//////////////////////////////////////////////////////////////////////
 
 
@@ -198,6 +251,11 @@ var WeSchemeTextContainer;
                            function() {
 		               that.behaviorE.sendEvent(that.editor.getValue());
 			   });
+            this.cursorE = receiverE();
+            this.editor.on('cursorActivity',
+                           function() {
+		               that.cursorE.sendEvent(that.getCursorStartPosition());
+			   });
 
             extendEditorWithIOSKeys(this.editor);
 
@@ -231,6 +289,10 @@ var WeSchemeTextContainer;
 		return this.behavior;
 	};
 
+	CodeMirrorImplementation.prototype.getCursorE = function() {
+		return this.cursorE;
+	};
+
 	CodeMirrorImplementation.prototype.getCode = function(startOffset, endOffset) {
 		// On exceptional cases, onChange does NOT get called.
 		// I haven't traced exactly where this is happening in the
@@ -347,6 +409,81 @@ var WeSchemeTextContainer;
 								{line: endHandleAndColumn.handle, ch: endHandleAndColumn.column});
 	};
 
+	var BREAKPOINT_GUTTER = "breakpoints";
+
+	CodeMirrorImplementation.prototype.enableBreakpointGutter = function(onToggle) {
+		var that = this;
+		this.disableBreakpointGutter();
+		this.onGutterClick = function(cm, n, gutter) {
+			var info = cm.lineInfo(n);
+			var isSet = !(info.gutterMarkers && info.gutterMarkers[BREAKPOINT_GUTTER]);
+			var marker;
+			if (isSet) {
+				marker = document.createElement("div");
+				marker.className = "breakpoint-marker";
+				marker.appendChild(document.createTextNode("\u25CF"));
+			}
+			cm.setGutterMarker(n, BREAKPOINT_GUTTER, isSet ? marker : null);
+			onToggle(n + 1, isSet);
+		};
+		this.editor.setOption("gutters", ["CodeMirror-linenumbers", BREAKPOINT_GUTTER]);
+		this.editor.on("gutterClick", this.onGutterClick);
+	};
+
+	CodeMirrorImplementation.prototype.disableBreakpointGutter = function() {
+		if (! this.onGutterClick) { return; }
+		this.editor.off("gutterClick", this.onGutterClick);
+		this.onGutterClick = undefined;
+		this.editor.clearGutter(BREAKPOINT_GUTTER);
+		this.editor.setOption("gutters", []);
+	};
+
+	CodeMirrorImplementation.prototype.getBreakpointLines = function() {
+		var lines = [];
+		var editor = this.editor;
+		if (! this.onGutterClick) { return lines; }
+		editor.eachLine(function(handle) {
+			var info = editor.lineInfo(handle);
+			if (info.gutterMarkers && info.gutterMarkers[BREAKPOINT_GUTTER]) {
+				lines.push(info.line + 1);
+			}
+		});
+		return lines;
+	};
+
+
+	CodeMirrorImplementation.prototype.replaceWithDom = function(offset, span, dom) {
+		var start = this.findHandleAndColumn(offset);
+		var end = this.findHandleAndColumn(offset + span);
+		var mark = this.editor.markText(this.handleAndColumnToPos(start),
+						this.handleAndColumnToPos(end),
+						{ replacedWith: dom, atomic: true });
+		return { clear: function() { mark.clear(); } };
+	};
+
+
+	CodeMirrorImplementation.prototype.replaceRange = function(offset, span, text) {
+		var start = this.findHandleAndColumn(offset);
+		var end = this.findHandleAndColumn(offset + span);
+		this.editor.replaceRange(text,
+					 this.handleAndColumnToPos(start),
+					 this.handleAndColumnToPos(end));
+	};
+
+
+	CodeMirrorImplementation.prototype.setReadOnly = function(isReadOnly) {
+		this.editor.setOption("readOnly", isReadOnly);
+	};
+
+
+	CodeMirrorImplementation.prototype.markPosition = function(offset, dom) {
+		var pos = this.findHandleAndColumn(offset);
+		var bookmark = this.editor.setBookmark(this.handleAndColumnToPos(pos),
+						       { widget: dom, insertLeft: true });
+		return { clear: function() { bookmark.clear(); } };
+	};
+
+
 	CodeMirrorImplementation.prototype.unhighlightAll = function () {
 		for(var i = 0; i < this.highlightedAreas.length; i++) {
 		    this.highlightedAreas[i].clear();
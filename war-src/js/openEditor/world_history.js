@@ -0,0 +1,123 @@
+/*global goog,world,types*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.WorldHistory");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // The oldest worlds are forgotten past this many.
+    var MAX_LENGTH = 2000;
+
+
+    // WorldHistory: [number] -> WorldHistory
+    //
+    // Keeps every world that a big-bang goes through, with the event
+    // that produced it and the scene that to-draw drew for it, so that
+    // the program can be rewound and inspected after the fact.  Each
+    // new big-bang starts a fresh history.
+    var WorldHistory = function(maxLength) {
+        var that = this;
+        this.maxLength = maxLength || MAX_LENGTH;
+        // entries: (arrayof { world: world, event: event, scene: (U image false) })
+        this.entries = [];
+        this.changeListeners = [];
+        this.onWorldChange = function(w, event, scene) { that.add(w, event, scene); };
+    };
+
+
+    // start: -> void
+    // Starts listening to the worlds of any big-bang.
+    WorldHistory.prototype.start = function() {
+        world.Kernel.addWorldChangeListener(this.onWorldChange);
+    };
+
+
+    // stop: -> void
+    WorldHistory.prototype.stop = function() {
+        world.Kernel.removeWorldChangeListener(this.onWorldChange);
+    };
+
+
+    // add: world event (U image false) -> void
+    WorldHistory.prototype.add = function(w, event, scene) {
+        if (event.type === 'initial') {
+            this.entries = [];
+        }
+        this.entries.push({ world: w, event: event, scene: scene });
+        if (this.entries.length > this.maxLength) {
+            this.entries.shift();
+        }
+        this._notify();
+    };
+
+
+    // clear: -> void
+    WorldHistory.prototype.clear = function() {
+        this.entries = [];
+        this._notify();
+    };
+
+
+    // getLength: -> number
+    WorldHistory.prototype.getLength = function() {
+        return this.entries.length;
+    };
+
+
+    // get: number -> { world: world, event: event, scene: (U image false) }
+    WorldHistory.prototype.get = function(i) {
+        return this.entries[i];
+    };
+
+
+    // addChangeListener: (-> void) -> void
+    WorldHistory.prototype.addChangeListener = function(listener) {
+        this.changeListeners.push(listener);
+    };
+
+
+    WorldHistory.prototype._notify = function() {
+        var i;
+        for (i = 0; i < this.changeListeners.length; i++) {
+            this.changeListeners[i]();
+        }
+    };
+
+
+    // describeEvent: event -> string
+    // A few words about what produced a world, such as "the left key".
+    WorldHistory.describeEvent = function(event) {
+        var args = event.args || [];
+        var show = function(v) { return types.toWrittenString(v); };
+        switch (event.type) {
+        case 'initial':
+            return "the initial world";
+        case 'tick':
+            return "a tick";
+        case 'key':
+            return "the " + show(args[0]) + " key";
+        case 'tap':
+            return "a tap at (" + show(args[0]) + ", " + show(args[1]) + ")";
+        case 'tilt':
+            return "a tilt of (" + show(args[0]) + ", " + show(args[1]) + ")";
+        case 'shake':
+            return "a shake";
+        case 'acceleration':
+            return "an acceleration of (" + args.map(show).join(", ") + ")";
+        case 'receive':
+            return "the message " + show(args[0]);
+        default:
+            return ("a " + event.type + " event" +
+                    (args.length > 0 ? " (" + args.map(show).join(", ") + ")" : ""));
+        }
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.WorldHistory = WorldHistory;
+}());
@@ -0,0 +1,128 @@
+/*global goog,jQuery,types,helpers*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.WorldHistoryPanel");
+
+goog.require("plt.wescheme.WorldHistory");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // WorldHistoryPanel: WorldHistory -> WorldHistoryPanel
+    //
+    // The time-travel window: a slider over every world the program
+    // has been through, showing the chosen world's value, the event
+    // that produced it, and what to-draw drew for it.  While the
+    // slider is all the way to the right, it follows the running
+    // program.
+    var WorldHistoryPanel = function(history) {
+        var that = this;
+        this.history = history;
+        this.index = -1;
+        this.isFollowing = true;
+
+        this.dialog = jQuery("<div class='world-history-panel'/>");
+        this.statusDom = jQuery("<div class='world-history-status'/>");
+        this.sliderDom = jQuery("<div class='world-history-slider'/>");
+        this.sceneDom = jQuery("<div class='world-history-scene'/>");
+        this.worldDom = jQuery("<div class='world-history-world'/>");
+        this.dialog.append(this.statusDom)
+            .append(this.sliderDom)
+            .append(jQuery("<h3/>").text("Drawn as"))
+            .append(this.sceneDom)
+            .append(jQuery("<h3/>").text("World"))
+            .append(this.worldDom);
+
+        history.addChangeListener(function() { that._onHistoryChange(); });
+    };
+
+
+    // show: (-> void) -> void
+    // Opens the panel; onClose is called when the user closes it.
+    WorldHistoryPanel.prototype.show = function(onClose) {
+        var that = this;
+        this.onClose = onClose;
+        if (! this.isInitialized) {
+            this.isInitialized = true;
+            this.dialog.dialog({ title: 'World History',
+                                 bgiframe : true,
+                                 modal : false,
+                                 position : ["right", "top"],
+                                 width : 400,
+                                 height : 500,
+                                 close : function() {
+                                     if (that.onClose) { that.onClose(); }
+                                 } });
+            this.sliderDom.slider({ min: 0,
+                                    max: 0,
+                                    slide: function(e, ui) { that.showWorld(ui.value); } });
+        }
+        this.dialog.dialog("open");
+        this._onHistoryChange();
+    };
+
+
+    // hide: -> void
+    WorldHistoryPanel.prototype.hide = function() {
+        var onClose = this.onClose;
+        this.onClose = undefined;
+        if (this.isInitialized) {
+            this.dialog.dialog("close");
+        }
+        this.onClose = onClose;
+    };
+
+
+    // showWorld: number -> void
+    // Rewinds the view to the ith world.
+    WorldHistoryPanel.prototype.showWorld = function(i) {
+        var entry = this.history.get(i);
+        this.index = i;
+        this.isFollowing = (i === this.history.getLength() - 1);
+        if (! entry) {
+            this.statusDom.text("Run a program that uses big-bang to record its worlds.");
+            this.sceneDom.empty();
+            this.worldDom.empty();
+            return;
+        }
+        this.statusDom.text("World " + (i + 1) + " of " + this.history.getLength() +
+                            ", from " + plt.wescheme.WorldHistory.describeEvent(entry.event));
+        this.sceneDom.empty();
+        if (entry.scene) {
+            this.sceneDom.append(renderValue(entry.scene));
+        } else {
+            this.sceneDom.text("(no to-draw)");
+        }
+        this.worldDom.empty().append(renderValue(entry.world));
+        helpers.maybeCallAfterAttach(this.sceneDom.get(0));
+        helpers.maybeCallAfterAttach(this.worldDom.get(0));
+    };
+
+
+    WorldHistoryPanel.prototype._onHistoryChange = function() {
+        var last = this.history.getLength() - 1;
+        if (! this.isInitialized) { return; }
+        this.sliderDom.slider("option", "max", Math.max(last, 0));
+        if (this.isFollowing || this.index > last) {
+            this.sliderDom.slider("option", "value", Math.max(last, 0));
+            this.showWorld(last);
+        }
+    };
+
+
+    var renderValue = function(v) {
+        try {
+            return types.toDomNode(v);
+        } catch (e) {
+            return document.createTextNode(types.toWrittenString(v));
+        }
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.WorldHistoryPanel = WorldHistoryPanel;
+}());
@@ -0,0 +1,247 @@
+/*global goog,jQuery,types,world,helpers*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.WorldInspectorPanel");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // Lists and vectors show this many elements before eliding the rest.
+    var MAX_CHILDREN = 100;
+
+    // Images are shrunk to fit in a square this big.
+    var THUMBNAIL_SIZE = 100;
+
+
+    // WorldInspectorPanel: -> WorldInspectorPanel
+    //
+    // Shows the current world of a running big-bang as a tree that
+    // can be folded open and shut: structs by their field names, lists
+    // and vectors by position, and images as thumbnails.  It follows
+    // along with each new world until paused.
+    var WorldInspectorPanel = function() {
+        var that = this;
+        this.isPaused = false;
+        this.latestWorld = undefined;
+        this.hasWorld = false;
+        // collapsed: hashof string -> true
+        // The paths of the nodes the user has folded shut, so that
+        // they stay shut as the world changes.
+        this.collapsed = {};
+
+        this.dialog = jQuery("<div class='world-inspector-panel'/>");
+        this.statusDom = jQuery("<div class='world-inspector-status'/>");
+        this.treeDom = jQuery("<div class='world-inspector-tree'/>");
+        this.dialog.append(this.statusDom).append(this.treeDom);
+
+        this.onWorldChange = function(w, event, scene) {
+            that.latestWorld = w;
+            that.hasWorld = true;
+            if (! that.isPaused) {
+                that._render();
+            }
+        };
+    };
+
+
+    // A description is a tree:
+    //
+    // { label: string,
+    //   value: any,                             the value it describes
+    //   children: (U false (arrayof { name: string, node: description })),
+    //   elided: number }                        how many children are left out
+
+
+    // describe: any -> description
+    WorldInspectorPanel.describe = function(v) {
+        var children, names, fields, i;
+        if (types.isStruct(v) && ! isImage(v)) {
+            names = types.structFieldNames(v);
+            fields = types.structFields(v);
+            children = [];
+            for (i = 0; i < fields.length; i++) {
+                children.push({ name: names[i] || ("field " + i),
+                                node: WorldInspectorPanel.describe(fields[i]) });
+            }
+            return { label: types.structConstructorName(v), value: v, children: children, elided: 0 };
+        }
+        if (types.isPair(v) && isList(v)) {
+            return describeSequence("list", v, helpers.schemeListToArray(v));
+        }
+        if (types.isVector(v)) {
+            return describeSequence("vector", v, v.elts);
+        }
+        return { label: isImage(v) ? "image" : types.toWrittenString(v),
+                 value: v, children: false, elided: 0 };
+    };
+
+
+    var describeSequence = function(label, v, elts) {
+        var children = [];
+        var i;
+        for (i = 0; i < elts.length && i < MAX_CHILDREN; i++) {
+            children.push({ name: String(i), node: WorldInspectorPanel.describe(elts[i]) });
+        }
+        return { label: label + " (" + elts.length + ")",
+                 value: v,
+                 children: children,
+                 elided: elts.length - children.length };
+    };
+
+
+    // show: (-> void) -> void
+    // Opens the panel; onClose is called when the user closes it.
+    WorldInspectorPanel.prototype.show = function(onClose) {
+        var that = this;
+        this.onClose = onClose;
+        if (! this.isInitialized) {
+            this.isInitialized = true;
+            this.dialog.dialog({ title: 'World Inspector',
+                                 bgiframe : true,
+                                 modal : false,
+                                 position : ["right", "top"],
+                                 width : 350,
+                                 height : 450,
+                                 buttons : { "Pause" : function() { that.togglePause(); } },
+                                 close : function() {
+                                     world.Kernel.removeWorldChangeListener(that.onWorldChange);
+                                     if (that.onClose) { that.onClose(); }
+                                 } });
+        }
+        world.Kernel.addWorldChangeListener(this.onWorldChange);
+        this.dialog.dialog("open");
+        this._render();
+    };
+
+
+    // hide: -> void
+    WorldInspectorPanel.prototype.hide = function() {
+        var onClose = this.onClose;
+        this.onClose = undefined;
+        if (this.isInitialized) {
+            this.dialog.dialog("close");
+        }
+        this.onClose = onClose;
+    };
+
+
+    // pause: -> void
+    // Stops following the world, leaving the last one shown.
+    WorldInspectorPanel.prototype.pause = function() {
+        this.isPaused = true;
+        this._render();
+    };
+
+
+    // resume: -> void
+    WorldInspectorPanel.prototype.resume = function() {
+        this.isPaused = false;
+        this._render();
+    };
+
+
+    WorldInspectorPanel.prototype.togglePause = function() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    };
+
+
+    WorldInspectorPanel.prototype._render = function() {
+        if (! this.isInitialized) { return; }
+        this.dialog.parent().find(".ui-dialog-buttonpane button")
+            .text(this.isPaused ? "Resume" : "Pause");
+        if (! this.hasWorld) {
+            this.statusDom.text("Run a program that uses big-bang to see its world here.");
+            this.treeDom.empty();
+            return;
+        }
+        if (this.isPaused) {
+            this.statusDom.text("Paused.");
+            return;
+        }
+        this.statusDom.text("The current world:");
+        this.treeDom.empty().append(
+            this._renderNode(WorldInspectorPanel.describe(this.latestWorld), "", ""));
+        helpers.maybeCallAfterAttach(this.treeDom.get(0));
+    };
+
+
+    WorldInspectorPanel.prototype._renderNode = function(node, name, path) {
+        var that = this;
+        var dom = jQuery("<div class='world-inspector-node'/>");
+        var header = jQuery("<div class='world-inspector-header'/>");
+        var body, i;
+        if (name !== "") {
+            header.append(jQuery("<span class='world-inspector-name'/>").text(name + ": "));
+        }
+        dom.append(header);
+
+        if (isImage(node.value)) {
+            header.append(renderThumbnail(node.value));
+            return dom;
+        }
+        if (! node.children) {
+            header.append(jQuery("<span class='world-inspector-value'/>").text(node.label));
+            return dom;
+        }
+
+        body = jQuery("<div class='world-inspector-children'/>");
+        for (i = 0; i < node.children.length; i++) {
+            body.append(this._renderNode(node.children[i].node,
+                                         node.children[i].name,
+                                         path + "/" + node.children[i].name));
+        }
+        if (node.elided > 0) {
+            body.append(jQuery("<div class='world-inspector-elided'/>")
+                        .text("... and " + node.elided + " more"));
+        }
+        header.addClass("world-inspector-toggle")
+            .append(jQuery("<span class='world-inspector-label'/>").text(node.label))
+            .click(function() {
+                if (that.collapsed[path]) {
+                    delete that.collapsed[path];
+                } else {
+                    that.collapsed[path] = true;
+                }
+                dom.toggleClass("world-inspector-collapsed", that.collapsed[path] === true);
+            });
+        dom.toggleClass("world-inspector-collapsed", this.collapsed[path] === true);
+        dom.append(body);
+        return dom;
+    };
+
+
+    var renderThumbnail = function(img) {
+        var scale = Math.min(1,
+                             THUMBNAIL_SIZE / Math.max(1, img.getWidth()),
+                             THUMBNAIL_SIZE / Math.max(1, img.getHeight()));
+        if (scale < 1) {
+            img = world.Kernel.scaleImage(scale, scale, img);
+        }
+        return types.toDomNode(img);
+    };
+
+
+    var isImage = function(v) {
+        return world.Kernel.isImage(v);
+    };
+
+
+    var isList = function(v) {
+        while (types.isPair(v)) {
+            v = v.rest();
+        }
+        return v === types.EMPTY;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.WorldInspectorPanel = WorldInspectorPanel;
+}());
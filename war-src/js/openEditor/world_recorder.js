@@ -0,0 +1,166 @@
+/*global goog,world,Blob,MediaRecorder*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.WorldRecorder");
+
+goog.require("plt.wescheme.GifEncoder");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // Recording stops taking frames after this many, so that a
+    // forgotten recording doesn't grow without end.
+    var MAX_FRAMES = 600;
+
+    // How long the last frame stays up, since there's no next frame to
+    // tell us.
+    var LAST_FRAME_DELAY = 500;
+
+
+    // WorldRecorder: -> WorldRecorder
+    //
+    // Records the scenes that big-bang draws with to-draw, as an
+    // animated GIF and, where the browser has MediaRecorder, a WebM
+    // video.  Frames are encoded as they arrive, each one held back
+    // only until the next tells us how long it was on the screen.
+    var WorldRecorder = function() {
+        var that = this;
+        this.isRecordingNow = false;
+        this.onFrame = function(canvas) { that._addFrame(canvas); };
+    };
+
+
+    // A recording is:
+    //
+    // { frameCount: number,
+    //   isTruncated: boolean,     true if we hit MAX_FRAMES
+    //   gifUrl: (U string false),
+    //   webmUrl: (U string false),
+    //   error: (U string false) }
+
+
+    // isRecording: -> boolean
+    WorldRecorder.prototype.isRecording = function() {
+        return this.isRecordingNow;
+    };
+
+
+    // start: -> void
+    // Starts taking the frames of whatever big-bang draws next.
+    WorldRecorder.prototype.start = function() {
+        if (this.isRecordingNow) { return; }
+        this.isRecordingNow = true;
+        this.canvas = undefined;
+        this.gif = undefined;
+        this.pending = undefined;
+        this.frameCount = 0;
+        this.error = false;
+        this.mediaRecorder = undefined;
+        this.webmChunks = [];
+        world.Kernel.addFrameListener(this.onFrame);
+    };
+
+
+    // stop: (recording -> void) -> void
+    // Stops recording, and calls onDone with the result once the
+    // encoders are finished.
+    WorldRecorder.prototype.stop = function(onDone) {
+        var that = this;
+        var gifUrl = false;
+        if (! this.isRecordingNow) { return; }
+        this.isRecordingNow = false;
+        world.Kernel.removeFrameListener(this.onFrame);
+
+        if (this.pending) {
+            this.gif.addFrame(this.pending.imageData, LAST_FRAME_DELAY);
+            this.pending = undefined;
+        }
+        if (this.gif && ! this.error) {
+            gifUrl = makeUrl([new Uint8Array(this.gif.finish())], "image/gif");
+        }
+        this.gif = undefined;
+
+        var finish = function(webmUrl) {
+            onDone({ frameCount: that.frameCount,
+                     isTruncated: that.frameCount >= MAX_FRAMES,
+                     gifUrl: gifUrl,
+                     webmUrl: webmUrl,
+                     error: that.error });
+        };
+        if (this.mediaRecorder && this.mediaRecorder.state !== "inactive") {
+            this.mediaRecorder.onstop = function() {
+                finish(makeUrl(that.webmChunks, "video/webm"));
+            };
+            this.mediaRecorder.stop();
+        } else {
+            finish(false);
+        }
+    };
+
+
+    WorldRecorder.prototype._addFrame = function(canvas) {
+        var now = new Date().getTime();
+        var ctx, imageData;
+        if (this.frameCount >= MAX_FRAMES || this.error) { return; }
+        if (! this.canvas) {
+            this.canvas = world.Kernel.makeCanvas(canvas.width, canvas.height);
+            this.gif = new plt.wescheme.GifEncoder(canvas.width, canvas.height);
+            this._startWebm();
+        }
+
+        // Copy the frame onto our own canvas, against white, as the
+        // world's canvas gets reused for the next frame.
+        ctx = this.canvas.getContext("2d");
+        ctx.fillStyle = "white";
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.drawImage(canvas, 0, 0);
+        try {
+            imageData = ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        } catch (e) {
+            // The canvas won't give up its pixels once it has drawn an
+            // image from another site.
+            this.error = "The animation uses images that can't be recorded.";
+            return;
+        }
+
+        if (this.pending) {
+            this.gif.addFrame(this.pending.imageData, now - this.pending.time);
+        }
+        this.pending = { imageData: imageData, time: now };
+        this.frameCount++;
+    };
+
+
+    WorldRecorder.prototype._startWebm = function() {
+        var that = this;
+        if (typeof MediaRecorder === 'undefined' || ! this.canvas.captureStream) {
+            return;
+        }
+        try {
+            this.mediaRecorder = new MediaRecorder(this.canvas.captureStream(),
+                                                   { mimeType: "video/webm" });
+        } catch (e) {
+            this.mediaRecorder = undefined;
+            return;
+        }
+        this.mediaRecorder.ondataavailable = function(e) {
+            if (e.data && e.data.size > 0) {
+                that.webmChunks.push(e.data);
+            }
+        };
+        this.mediaRecorder.start();
+    };
+
+
+    var makeUrl = function(parts, type) {
+        return window.URL.createObjectURL(new Blob(parts, { type: type }));
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.WorldRecorder = WorldRecorder;
+}());
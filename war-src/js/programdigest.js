@@ -42,6 +42,37 @@ goog.require("plt.wescheme.SharedAs");
     };
 
 
+    plt.wescheme.ProgramDigest.prototype.getOwner = function() {
+	return this.dom.children("owner").text();
+    };
+
+
+    // isBuilt: -> boolean
+    // True if the server has compiled the latest version of the program.
+    plt.wescheme.ProgramDigest.prototype.isBuilt = function() {
+	return this.dom.children("built").text() == 'true';
+    };
+
+
+    // getHandIn: -> (U {graded: boolean, passed: number, total: number, time: string} undefined)
+    // How the program did the last time it was handed in for an
+    // assignment.  passed and total are only there once it's graded.
+    plt.wescheme.ProgramDigest.prototype.getHandIn = function() {
+	var handIn = this.dom.children("handIn");
+	if (handIn.length === 0) {
+	    return undefined;
+	}
+	if (handIn.children("total").length === 0) {
+	    return { graded: false,
+		     time: handIn.children("time").text() };
+	}
+	return { graded: true,
+		 passed: parseInt(handIn.children("passed").text(), 10),
+		 total: parseInt(handIn.children("total").text(), 10),
+		 time: handIn.children("time").text() };
+    };
+
+
     plt.wescheme.ProgramDigest.prototype.hasSharingUrls = function() {
 	return (this.getSharedAsEntries().length > 0);
     };
@@ -0,0 +1,66 @@
+goog.provide("plt.wescheme.RecoverDraftDialog");
+
+goog.require("plt.wescheme.LineDiff");
+
+
+
+(function() {
+    "use strict";
+    // constructor: draft string -> RecoverDraftDialog
+    // Offers to bring back the changes kept in a draft (see
+    // plt.wescheme.DraftStore), showing how they differ from the copy
+    // on the server.
+    plt.wescheme.RecoverDraftDialog = function(draft, serverCode) {
+        this.draft = draft;
+        this.serverCode = serverCode;
+    };
+
+
+    // show: (draft -> void) (draft -> void) [(draft -> void)] -> void
+    plt.wescheme.RecoverDraftDialog.prototype.show = function(onRecover, onDiscard, onDefer) {
+        var that = this;
+        var dialogWindow = jQuery("<div class='recover-draft-dialog'/>");
+        var buttonPressed = false;
+
+        var recover = function() {
+            buttonPressed = true;
+            dialogWindow.dialog("close");
+            onRecover(that.draft);
+        };
+
+        var discard = function() {
+            buttonPressed = true;
+            dialogWindow.dialog("close");
+            onDiscard(that.draft);
+        };
+
+        dialogWindow.append(jQuery("<p/>").text(
+            "This program has changes from " +
+                new Date(this.draft.time).toLocaleString() +
+                " that were never saved.  Recover unsaved changes?"));
+        dialogWindow.append(jQuery("<p/>").text(
+            "Lines marked + are only in the unsaved copy; lines marked - are only in the saved one."));
+        dialogWindow.append(jQuery("<div class='recover-draft-diff'/>").append(
+            plt.wescheme.LineDiff.toDom(
+                plt.wescheme.LineDiff.diff(this.serverCode, this.draft.code))));
+
+        dialogWindow.dialog({title: 'Recover unsaved changes?',
+                             bgiframe : true,
+                             modal : true,
+                             overlay : { opacity: 0.5,
+                                         background: 'black'},
+                             buttons : { "Recover" : recover,
+                                         "Discard" : discard },
+                             width : 600,
+                             height : 450,
+                             close : function() {
+                                 // Closing it without choosing leaves
+                                 // the draft for next time.
+                                 if (! buttonPressed && onDefer) {
+                                     onDefer(that.draft);
+                                 }
+                             }
+                            });
+        dialogWindow.dialog("open");
+    };
+})();
@@ -0,0 +1,119 @@
+goog.provide("plt.wescheme.RevisionsDialog");
+
+goog.require("plt.wescheme.AjaxActions");
+goog.require("plt.wescheme.LineDiff");
+
+
+
+(function() {
+    "use strict";
+    // constructor: (number | false) string [actions] -> RevisionsDialog
+    // Lists the saved revisions of a program, shows how each differs
+    // from the text in the definitions window, and lets one be
+    // brought back.  actions defaults to plt.wescheme.AjaxActions; a
+    // plt.wescheme.LocalRevisionActions can be given instead.
+    plt.wescheme.RevisionsDialog = function(pid, currentCode, actions) {
+        this.pid = pid;
+        this.currentCode = currentCode;
+        this.actions = actions || new plt.wescheme.AjaxActions();
+    };
+
+
+    // show: (string -> void) -> void
+    // Calls onRestore with the code of the revision the user chooses
+    // to restore.
+    plt.wescheme.RevisionsDialog.prototype.show = function(onRestore) {
+        var that = this;
+        var dialogWindow = jQuery("<div class='revisions-dialog'/>");
+        var list = jQuery("<ul class='revisions-list'/>");
+        var diffPane = jQuery("<div class='revisions-diff'/>");
+        var selected = null;
+
+        var closeDialog = function() {
+            dialogWindow.dialog("close");
+        };
+
+        var restore = function() {
+            if (selected) {
+                dialogWindow.dialog("close");
+                onRestore(selected.code);
+            }
+        };
+
+        var select = function(revision, item) {
+            selected = revision;
+            list.children().removeClass("selected");
+            item.addClass("selected");
+            diffPane.empty();
+            if (revision.code === that.currentCode) {
+                diffPane.append(jQuery("<p/>").text(
+                    "This revision is the same as the program in the definitions window."));
+            } else {
+                diffPane.append(plt.wescheme.LineDiff.toSideBySideDom(
+                    plt.wescheme.LineDiff.diff(revision.code, that.currentCode),
+                    "Saved " + new Date(revision.modified).toLocaleString(),
+                    "Definitions window"));
+            }
+        };
+
+        var addRevision = function(revision) {
+            var item = jQuery("<li/>");
+            item.append(jQuery("<a href='javascript:void(0)'/>")
+                        .text(new Date(revision.modified).toLocaleString()));
+            item.append(jQuery("<span class='revisions-title'/>").text(revision.title));
+            item.click(function() { select(revision, item); });
+            list.append(item);
+            return item;
+        };
+
+        var openDialog = function(buttons) {
+            dialogWindow.dialog({title: 'Revisions',
+                                 bgiframe : true,
+                                 modal : true,
+                                 overlay : { opacity: 0.5,
+                                             background: 'black'},
+                                 buttons : buttons,
+                                 width : 800,
+                                 height : 500,
+                                 close : function() {
+                                     dialogWindow.dialog("destroy");
+                                     dialogWindow.remove();
+                                 }
+                                });
+            dialogWindow.dialog("open");
+        };
+
+        if (! this.pid) {
+            dialogWindow.append(jQuery("<span>Please save the program first.</span>"));
+            openDialog({ "Close" : closeDialog });
+            return;
+        }
+
+        this.actions.listRevisions(
+            this.pid,
+            function(revisions) {
+                var i, first;
+                if (revisions.length === 0) {
+                    dialogWindow.append(jQuery("<span>This program has no saved revisions yet.</span>"));
+                    openDialog({ "Close" : closeDialog });
+                    return;
+                }
+                for (i = 0; i < revisions.length; i++) {
+                    if (i === 0) {
+                        first = addRevision(revisions[i]);
+                    } else {
+                        addRevision(revisions[i]);
+                    }
+                }
+                dialogWindow.append(list).append(diffPane);
+                select(revisions[0], first);
+                openDialog({ "Restore" : restore,
+                             "Close" : closeDialog });
+            },
+            function(err) {
+                dialogWindow.append(jQuery("<span/>").text(
+                    "The revisions could not be loaded: " + err));
+                openDialog({ "Close" : closeDialog });
+            });
+    };
+})();
@@ -6,6 +6,7 @@ goog.require("plt.wescheme.AjaxActions");
 goog.require("plt.wescheme.WeSchemeProperties");
 goog.require("plt.wescheme.makeDynamicModuleLoader");
 goog.require("plt.wescheme.RoundRobin");
+goog.require("plt.wescheme.imageExportMenu");
 goog.provide("plt.wescheme.runner");
 
 (function() {
@@ -29,10 +30,13 @@ goog.provide("plt.wescheme.runner");
 
     Runner.prototype.runCompiledCode = function(compiledCode, permStringArray) {
         var that = this;
+        var testReport = this.evaluator.beginTestReport();
         var onSuccessRun = function() {
+            that.handleTestReport(testReport);
         };
         var onFailRun = function(exn) {
 	    that.renderErrorAsDomNode(exn);
+            that.handleTestReport(testReport);
         };
         this.evaluator.executeCompiledProgram((0,eval)('(' + compiledCode + ')'),
 					      onSuccessRun,
@@ -42,10 +46,13 @@ goog.provide("plt.wescheme.runner");
 
     Runner.prototype.runSourceCode = function(title, sourceCode, permStringArray) {
         var that = this;
+        var testReport = this.evaluator.beginTestReport();
         var onSuccessRun = function() {
+            that.handleTestReport(testReport);
         };
         var onFailRun = function(exn) {
 	    that.renderErrorAsDomNode(exn);
+            that.handleTestReport(testReport);
         };
         this.evaluator.executeProgram(title,
                                       sourceCode,
@@ -77,22 +84,64 @@ goog.provide("plt.wescheme.runner");
     // renderErrorAsDomNode: exception -> element
     // Given an exception, produces error dom node to be displayed.
     Runner.prototype.renderErrorAsDomNode = function(err) {
-        var msg = this.evaluator.getMessageFromExn(err);
+        var report = this.evaluator.getErrorReportFromExn(err);
 
         var dom = document.createElement('div');
         dom['class'] = 'moby-error';
 
         var msgDom = document.createElement('div');
         msgDom['class'] = 'moby-error:message';
-        msgDom.appendChild(document.createTextNode(msg));
+        msgDom.appendChild(document.createTextNode(report.message));
         dom.appendChild(msgDom);
 
-        var stacktrace = this.evaluator.getTraceFromExn(err);
-        for (var i = 0; i < stacktrace.length; i++) {
-	    dom.appendChild(document.createTextNode("at: line " + stacktrace[i].line + 
-						    ", column " + stacktrace[i].column));
+        if (report.suggestion) {
+            var suggestionDom = document.createElement('div');
+            suggestionDom['class'] = 'error-suggestion';
+            suggestionDom.appendChild(document.createTextNode(report.suggestion));
+            dom.appendChild(suggestionDom);
         }
 
+        for (var i = 0; i < report.locations.length; i++) {
+	    dom.appendChild(document.createTextNode("at: line " + report.locations[i].line + 
+						    ", column " + report.locations[i].column));
+        }
+
+        return dom;
+    };
+
+
+    // handleTestReport: Evaluator.TestReport -> void
+    // Stops recording tests, and shows how they went, if there were any.
+    Runner.prototype.handleTestReport = function(report) {
+        this.evaluator.endTestReport();
+        if (! report.isEmpty()) {
+            this.addToInteractions(this.renderTestReportAsDomNode(report));
+        }
+    };
+
+
+    // renderTestReportAsDomNode: Evaluator.TestReport -> element
+    Runner.prototype.renderTestReportAsDomNode = function(report) {
+        var failures = report.getFailures();
+        var dom = document.createElement('div');
+        dom['className'] = 'test-report';
+
+        var summaryDom = document.createElement('div');
+        summaryDom['className'] = 'test-report-summary';
+        summaryDom.appendChild(document.createTextNode(report.getSummary()));
+        dom.appendChild(summaryDom);
+
+        for (var i = 0; i < failures.length; i++) {
+            var failureDom = document.createElement('div');
+            failureDom['className'] = 'test-failure';
+            failureDom.appendChild(document.createTextNode(failures[i].message));
+            if (failures[i].locations.length > 0) {
+                failureDom.appendChild(document.createTextNode(
+                    " at: line " + failures[i].locations[0].line +
+                        ", column " + failures[i].locations[0].column));
+            }
+            dom.appendChild(failureDom);
+        }
         return dom;
     };
 
@@ -127,6 +176,7 @@ goog.provide("plt.wescheme.runner");
     function init(compilationServerUrl, publicId) { 
         var runner = 
 	    new Runner(compilationServerUrl, document.getElementById('interactions'));
+        plt.wescheme.imageExportMenu();
         var afterLoad = function(aProgram) {
 	    var title = aProgram.getTitle();
 	    var programCode = aProgram.getObjectCode();
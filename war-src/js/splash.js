@@ -1,6 +1,7 @@
 // The splash page does very little, but does check to see that the browser is compatible.
 
 goog.require('plt.wescheme.browserCheck');
+goog.require('plt.wescheme.RoundRobin');
 
 jQuery(document).ready(function() {
     plt.wescheme.browserCheck();
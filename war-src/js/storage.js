@@ -0,0 +1,29 @@
+/*global goog*/
+/*jslint browser: true, vars: true, white: true, plusplus: true, maxerr: 50, indent: 4 */
+
+goog.provide("plt.wescheme.storage");
+
+
+(function() {
+    "use strict";
+    //////////////////////////////////////////////////////////////////////
+
+
+    // getDefaultStorage: -> (U storage undefined)
+    // Returns window.localStorage if the browser lets us use it.
+    // Some browsers throw on access when cookies are disabled, so we
+    // have to be careful even looking at it.
+    var getDefaultStorage = function() {
+        try {
+            if (typeof(window) !== 'undefined' && window.localStorage) {
+                return window.localStorage;
+            }
+        } catch (e) {}
+        return undefined;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+
+    plt.wescheme.storage.getDefaultStorage = getDefaultStorage;
+}());
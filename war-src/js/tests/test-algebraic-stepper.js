@@ -0,0 +1,121 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.AlgebraicStepper');
+
+goog.provide('plt.wescheme.tests.testAlgebraicStepper');
+
+
+var AlgebraicStepper = plt.wescheme.AlgebraicStepper;
+
+
+// stepTexts: string string -> (arrayof string)
+// The text of each step, with the redex in braces.
+var stepTexts = function(definitions, expression) {
+    var steps = new AlgebraicStepper(definitions).getSteps(expression);
+    var texts = [];
+    var i, step, text;
+    for (i = 0; i < steps.length; i++) {
+        step = steps[i];
+        text = step.text;
+        if (step.redex) {
+            text = (text.substring(0, step.redex.offset) + "{" +
+                    text.substr(step.redex.offset, step.redex.span) + "}" +
+                    text.substring(step.redex.offset + step.redex.span));
+        }
+        texts.push(text);
+    }
+    return texts;
+};
+
+
+var lastStep = function(definitions, expression) {
+    var steps = new AlgebraicStepper(definitions).getSteps(expression);
+    return steps[steps.length - 1];
+};
+
+
+var testArithmetic = function() {
+    assertArrayEquals(["(+ {(* 2 3)} (- 5 1))",
+                       "(+ 6 {(- 5 1)})",
+                       "{(+ 6 4)}",
+                       "10"],
+                      stepTexts("", "(+ (* 2 3) (- 5 1))"));
+};
+
+
+var testFunctionsAndConstants = function() {
+    assertArrayEquals(["(+ {(f 3)} k)",
+                       "(+ {(* 3 3)} k)",
+                       "(+ 9 {k})",
+                       "{(+ 9 3)}",
+                       "12"],
+                      stepTexts("(define (f x) (* x x))\n(define k (+ 1 2))",
+                                "(+ (f 3) k)"));
+};
+
+
+var testConditionals = function() {
+    assertArrayEquals(["(if {(< 1 2)} \"yes\" \"no\")",
+                       "{(if true \"yes\" \"no\")}",
+                       "\"yes\""],
+                      stepTexts("", "(if (< 1 2) \"yes\" \"no\")"));
+    assertArrayEquals(["(cond [{(= 1 2)} 'a] [else 'b])",
+                       "{(cond [false 'a] [else 'b])}",
+                       "{(cond [else 'b])}",
+                       "'b"],
+                      stepTexts("", "(cond [(= 1 2) 'a] [else 'b])"));
+};
+
+
+var testStructures = function() {
+    assertArrayEquals(["(posn-x (make-posn {(+ 1 2)} 4))",
+                       "{(posn-x (make-posn 3 4))}",
+                       "3"],
+                      stepTexts("(define-struct posn (x y))", "(posn-x (make-posn (+ 1 2) 4))"));
+};
+
+
+var testImagesAreEmbedded = function() {
+    var step = lastStep("", "(circle 10 \"solid\" \"red\")");
+    assertEquals(1, step.embeds.length);
+    assertEquals(0, step.embeds[0].offset);
+    assertEquals(step.text.length, step.embeds[0].span);
+    assertTrue(world.Kernel.isImage(step.embeds[0].value));
+};
+
+
+var testErrorsStopTheStepper = function() {
+    assertEquals("if: question result is not true or false: 3",
+                 lastStep("", "(if 3 1 2)").error);
+    assertEquals("cond: all question results were false",
+                 lastStep("", "(cond [(> 1 2) 1])").error);
+    assertEquals("f: expects 1 argument, but received 2",
+                 lastStep("(define (f x) x)", "(f 1 2)").error);
+    assertEquals("g: this variable is not defined",
+                 lastStep("", "(g 1)").error);
+    assertEquals("/: cannot divide by zero",
+                 lastStep("", "(/ 1 0)").error);
+};
+
+
+var testUnreadableText = function() {
+    var stepper = new AlgebraicStepper("");
+    var e;
+    try {
+        stepper.getSteps("(+ 1 2");
+    } catch (exn) {
+        e = exn;
+    }
+    assertTrue(e instanceof AlgebraicStepper.StepperError);
+};
+
+
+
+plt.wescheme.tests.testAlgebraicStepper = {
+    testArithmetic : testArithmetic,
+    testFunctionsAndConstants : testFunctionsAndConstants,
+    testConditionals : testConditionals,
+    testStructures : testStructures,
+    testImagesAreEmbedded : testImagesAreEmbedded,
+    testErrorsStopTheStepper : testErrorsStopTheStepper,
+    testUnreadableText : testUnreadableText
+};
@@ -1,4 +1,27 @@
 goog.require('goog.testing.jsunit');
 
 
+goog.require('plt.wescheme.tests.testAlgebraicStepper');
 goog.require('plt.wescheme.tests.testBrowserCheck');
+goog.require('plt.wescheme.tests.testClassroomDashboard');
+goog.require('plt.wescheme.tests.testCollab');
+goog.require('plt.wescheme.tests.testCompilationCache');
+goog.require('plt.wescheme.tests.testCompileQueue');
+goog.require('plt.wescheme.tests.testCoverageReport');
+goog.require('plt.wescheme.tests.testDebugger');
+goog.require('plt.wescheme.tests.testDraftStore');
+goog.require('plt.wescheme.tests.testEventSimulator');
+goog.require('plt.wescheme.tests.testGifEncoder');
+goog.require('plt.wescheme.tests.testGrader');
+goog.require('plt.wescheme.tests.testHeadlessWorld');
+goog.require('plt.wescheme.tests.testImageExport');
+goog.require('plt.wescheme.tests.testLineDiff');
+goog.require('plt.wescheme.tests.testRevisions');
+goog.require('plt.wescheme.tests.testRoundRobin');
+goog.require('plt.wescheme.tests.testSounds');
+goog.require('plt.wescheme.tests.testTestReport');
+goog.require('plt.wescheme.tests.testTextOperation');
+goog.require('plt.wescheme.tests.testUniverse');
+goog.require('plt.wescheme.tests.testWorldClock');
+goog.require('plt.wescheme.tests.testWorldHistory');
+goog.require('plt.wescheme.tests.testWorldInspector');
@@ -0,0 +1,145 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.ClassroomDashboard');
+
+goog.provide('plt.wescheme.tests.testClassroomDashboard');
+
+
+var testRostersAreOneUserNamePerLine = function() {
+    assertArrayEquals(["ada", "grace", "alan"],
+                      plt.wescheme.ClassroomDashboard.parseRoster(
+                          "  ada\r\n\ngrace \nada\nalan\n"));
+    assertArrayEquals([], plt.wescheme.ClassroomDashboard.parseRoster(""));
+};
+
+
+var testHandingOutSharesACopy = function() {
+    var calls = [];
+    var error = "not done";
+    var actions = {
+        makeAClone: function(pid, code, onSuccess, onFailure) {
+            calls.push(["clone", pid, code]);
+            onSuccess(100);
+        },
+        share: function(pid, isPublic, onSuccess, onFailure) {
+            calls.push(["share", pid, isPublic]);
+            onSuccess();
+        },
+        saveClassroom: function(attrs, onSuccess, onFailure) {
+            calls.push(["classroom", attrs.id, attrs.handout, attrs.students]);
+            onSuccess(attrs.id);
+        }
+    };
+    plt.wescheme.ClassroomDashboard.handOut(
+        actions, "7", 3, function(err) { error = err; });
+
+    assertUndefined(error);
+    assertEquals(JSON.stringify([["clone", "7", null],
+                                 ["share", 100, false],
+                                 ["classroom", 3, 100, undefined]]),
+                 JSON.stringify(calls));
+};
+
+
+var testHandingOutStopsWhenSharingFails = function() {
+    var error;
+    var actions = {
+        makeAClone: function(pid, code, onSuccess) { onSuccess(100); },
+        share: function(pid, isPublic, onSuccess, onFailure) { onFailure("Unauthorized"); },
+        saveClassroom: function() { fail("nothing to hand out"); }
+    };
+    plt.wescheme.ClassroomDashboard.handOut(
+        actions, "7", 3, function(err) { error = err; });
+    assertEquals("Unauthorized", error);
+};
+
+
+var testCheckingCompilesLeavesTheProgramAlone = function() {
+    var compiled = [];
+    var errors = [];
+    var actions = {
+        loadProject: function(pid, publicId, onSuccess, onFailure) {
+            onSuccess({ getSourceCode: function() { return "(define x " + pid; } });
+        },
+        compileSource: function(name, source, onSuccess, onFailure) {
+            compiled.push([name, source]);
+            if (source === "(define x 8") {
+                onFailure("read: expected a ) to close (");
+            } else {
+                onSuccess();
+            }
+        },
+        runTheCompiler: function() { fail("a student's program shouldn't be rebuilt"); }
+    };
+    plt.wescheme.ClassroomDashboard.checkCompiles(
+        actions, "7", "Area", function(err) { errors.push(err); });
+    plt.wescheme.ClassroomDashboard.checkCompiles(
+        actions, "8", "", function(err) { errors.push(err); });
+
+    assertArrayEquals([["Area", "(define x 7"], ["program", "(define x 8"]], compiled);
+    assertArrayEquals([undefined, "read: expected a ) to close ("], errors);
+};
+
+
+var testGradingRecordsTheGradeOfTheHandIn = function() {
+    var calls = [];
+    var results = [];
+    var actions = {
+        getAssignment: function(pid, withTests, onSuccess, onFailure) {
+            calls.push(["assignment", pid, withTests]);
+            onSuccess({ id: 9, tests: "(check-expect (area 2) 4)",
+                        handIn: { id: 12, src: "(define (area x) (* x x))", graded: false } });
+        },
+        gradeHandIn: function(handInId, grade, onSuccess, onFailure) {
+            calls.push(["grade", handInId, grade.passed, grade.total]);
+            onSuccess({ id: handInId, graded: true, passed: grade.passed, total: grade.total });
+        }
+    };
+    var grader = {
+        grade: function(definitions, tests, onDone) {
+            calls.push(["run", definitions, tests]);
+            onDone({ passed: 1, total: 1, results: [], error: undefined });
+        }
+    };
+    plt.wescheme.ClassroomDashboard.gradeHandIn(
+        actions, grader, "7", function(err, handIn) { results.push([err, handIn.passed]); });
+
+    assertEquals(JSON.stringify([["assignment", "7", true],
+                                 ["run", "(define (area x) (* x x))", "(check-expect (area 2) 4)"],
+                                 ["grade", 12, 1, 1]]),
+                 JSON.stringify(calls));
+    assertArrayEquals([[undefined, 1]], results);
+};
+
+
+var testGradingNeedsTheTests = function() {
+    var errors = [];
+    var actions = {
+        getAssignment: function(pid, withTests, onSuccess, onFailure) {
+            // Not one of our assignments, so no tests.
+            onSuccess({ id: 9, handIn: { id: 12, graded: false } });
+        },
+        gradeHandIn: function() { fail("there's no grade to record"); }
+    };
+    var grader = {
+        grade: function() { fail("there are no tests to run"); }
+    };
+    plt.wescheme.ClassroomDashboard.gradeHandIn(
+        actions, grader, "7", function(err, handIn) { errors.push(err); });
+    plt.wescheme.ClassroomDashboard.gradeHandIn(
+        { getAssignment: function(pid, withTests, onSuccess, onFailure) { onFailure("Unauthorized"); } },
+        grader, "8", function(err, handIn) { errors.push(err); });
+
+    assertArrayEquals(["There's no hand-in of one of our assignments to grade.", "Unauthorized"],
+                      errors);
+};
+
+
+
+plt.wescheme.tests.testClassroomDashboard = {
+    testRostersAreOneUserNamePerLine : testRostersAreOneUserNamePerLine,
+    testHandingOutSharesACopy : testHandingOutSharesACopy,
+    testHandingOutStopsWhenSharingFails : testHandingOutStopsWhenSharingFails,
+    testCheckingCompilesLeavesTheProgramAlone : testCheckingCompilesLeavesTheProgramAlone,
+    testGradingRecordsTheGradeOfTheHandIn : testGradingRecordsTheGradeOfTheHandIn,
+    testGradingNeedsTheTests : testGradingNeedsTheTests
+};
@@ -0,0 +1,135 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.tests.doubles');
+goog.require('plt.wescheme.CollabRelay');
+goog.require('plt.wescheme.CollabClient');
+
+goog.provide('plt.wescheme.tests.testCollab');
+
+
+var withFakeBroadcastChannels = plt.wescheme.tests.doubles.withFakeBroadcastChannels;
+
+
+// makeEditor: CollabRelay string -> editor
+// A stand-in for an editor's definitions window, kept in step with a
+// session through a CollabClient.
+var makeEditor = function(relay, name) {
+    var editor = { text: "", cursors: [], closedBecause: undefined };
+    editor.client = new plt.wescheme.CollabClient(relay, {
+        name: name,
+        onReady: function(text) { editor.text = text; },
+        onRemoteOperation: function(op) { editor.text = op.apply(editor.text); },
+        onCursorsChanged: function(cursors) { editor.cursors = cursors; },
+        onClosed: function(why) { editor.closedBecause = why; }
+    });
+    editor.type = function(newText, cursor) {
+        editor.text = newText;
+        editor.client.localChange(newText, cursor === undefined ? newText.length : cursor);
+    };
+    return editor;
+};
+
+
+var testJoiningEditorsGetTheSessionText = function() {
+    var relay = new plt.wescheme.CollabRelay("(define x 1)");
+    var alice = makeEditor(relay, "alice");
+    relay.deliver();
+    var bob = makeEditor(relay, "bob");
+    relay.deliver();
+    assertEquals("(define x 1)", alice.text);
+    assertEquals("(define x 1)", bob.text);
+    assertEquals(1, alice.cursors.length);
+    assertEquals("bob", alice.cursors[0].name);
+    assertEquals("alice", bob.cursors[0].name);
+};
+
+
+var testConcurrentEditsConverge = function() {
+    var relay = new plt.wescheme.CollabRelay("(circle 10 \"solid\" \"red\")");
+    var alice = makeEditor(relay, "alice");
+    var bob = makeEditor(relay, "bob");
+    relay.deliver();
+
+    // Both type before hearing from the other, and alice keeps typing
+    // while her first change is still out.
+    alice.type("(circle 20 \"solid\" \"red\")");
+    bob.type("(circle 10 \"solid\" \"blue\")");
+    alice.type("(circle 200 \"solid\" \"red\")");
+    relay.deliver();
+    bob.type("(circle 200 \"outline\" \"blue\")");
+    relay.deliver();
+
+    assertEquals("(circle 200 \"outline\" \"blue\")", relay.getText());
+    assertEquals(relay.getText(), alice.text);
+    assertEquals(relay.getText(), bob.text);
+    assertTrue(alice.client.isSynchronized());
+    assertTrue(bob.client.isSynchronized());
+};
+
+
+var testCursorsFollowOtherEditors = function() {
+    var relay = new plt.wescheme.CollabRelay("abc");
+    var alice = makeEditor(relay, "alice");
+    var bob = makeEditor(relay, "bob");
+    relay.deliver();
+    bob.client.localCursor(3);
+    relay.deliver();
+    assertEquals(3, alice.cursors[0].cursor);
+
+    // Text alice puts in front of bob's cursor pushes it along.
+    alice.type("xyabc", 2);
+    relay.deliver();
+    assertEquals(5, alice.cursors[0].cursor);
+    assertEquals(2, bob.cursors[0].cursor);
+
+    bob.client.close();
+    relay.deliver();
+    assertEquals(0, alice.cursors.length);
+};
+
+
+var testBadOperationsEndTheSession = function() {
+    var relay = new plt.wescheme.CollabRelay("abc");
+    var alice = makeEditor(relay, "alice");
+    relay.deliver();
+    alice.client.connection.send({ type: 'op', revision: 0, op: [10, "x"], cursor: 0 });
+    relay.deliver();
+    assertEquals("string", typeof(alice.closedBecause));
+    assertEquals("abc", relay.getText());
+};
+
+
+var testTabsOpeningAtOnceShareOneHost = withFakeBroadcastChannels(function(clock) {
+    var relays = [];
+    plt.wescheme.CollabRelay.openLocal("testTabsOpeningAtOnce", "(define x 1)",
+                                       function(relay) { relays.push(relay); });
+    plt.wescheme.CollabRelay.openLocal("testTabsOpeningAtOnce", "(define x 1)",
+                                       function(relay) { relays.push(relay); });
+    clock.tick(2000);
+
+    assertEquals(2, relays.length);
+    var hosts = 0, i;
+    for (i = 0; i < relays.length; i++) {
+        if (relays[i] instanceof plt.wescheme.CollabRelay) { hosts++; }
+    }
+    assertEquals(1, hosts);
+
+    // Editors on either side of the channel are in the same session.
+    var alice = makeEditor(relays[0], "alice");
+    var bob = makeEditor(relays[1], "bob");
+    clock.tick(100);
+    alice.type("(define x 2)");
+    clock.tick(100);
+    assertEquals("(define x 2)", bob.text);
+    assertEquals(1, alice.cursors.length);
+    assertEquals("bob", alice.cursors[0].name);
+});
+
+
+
+plt.wescheme.tests.testCollab = {
+    testJoiningEditorsGetTheSessionText : testJoiningEditorsGetTheSessionText,
+    testConcurrentEditsConverge : testConcurrentEditsConverge,
+    testCursorsFollowOtherEditors : testCursorsFollowOtherEditors,
+    testBadOperationsEndTheSession : testBadOperationsEndTheSession,
+    testTabsOpeningAtOnceShareOneHost : testTabsOpeningAtOnceShareOneHost
+};
@@ -0,0 +1,111 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.tests.doubles');
+goog.require('plt.wescheme.CompilationCache');
+
+goog.provide('plt.wescheme.tests.testCompilationCache');
+
+
+var CompilationCache = plt.wescheme.CompilationCache;
+var makeFakeStorage = plt.wescheme.tests.doubles.makeFakeStorage;
+
+
+var testCacheHitsAndMisses = function() {
+    var cache = new CompilationCache({ maxSize: 4 });
+    assertUndefined(cache.get("prog", "(+ 1 2)"));
+    cache.put("prog", "(+ 1 2)", ["bytecode"]);
+    assertArrayEquals(["bytecode"], cache.get("prog", "(+ 1 2)"));
+    assertUndefined(cache.get("prog", "(+ 1 3)"));
+    assertUndefined(cache.get("other", "(+ 1 2)"));
+};
+
+
+var testLeastRecentlyUsedIsEvicted = function() {
+    var cache = new CompilationCache({ maxSize: 2 });
+    cache.put("a", "1", ["A"]);
+    cache.put("b", "2", ["B"]);
+    // Touch a so that b becomes the least recently used.
+    cache.get("a", "1");
+    cache.put("c", "3", ["C"]);
+    assertEquals(2, cache.size());
+    assertArrayEquals(["A"], cache.get("a", "1"));
+    assertUndefined(cache.get("b", "2"));
+    assertArrayEquals(["C"], cache.get("c", "3"));
+};
+
+
+var testPersistence = function() {
+    var storage = makeFakeStorage();
+    var cache = new CompilationCache({ maxSize: 4, storageKey: "k", storage: storage });
+    cache.put("prog", "(+ 1 2)", ["bytecode"]);
+
+    var restored = new CompilationCache({ maxSize: 4, storageKey: "k", storage: storage });
+    assertArrayEquals(["bytecode"], restored.get("prog", "(+ 1 2)"));
+
+    restored.clear();
+    assertNull(storage.getItem("k"));
+};
+
+
+var testHitsDoNotRewriteStorage = function() {
+    var storage = makeFakeStorage();
+    var writes = 0;
+    var setItem = storage.setItem;
+    storage.setItem = function(k, v) { writes++; setItem(k, v); };
+    var cache = new CompilationCache({ maxSize: 4, storageKey: "k", storage: storage });
+    cache.put("prog", "(+ 1 2)", ["bytecode"]);
+    assertEquals(1, writes);
+    cache.get("prog", "(+ 1 2)");
+    cache.get("prog", "(+ 1 2)");
+    assertEquals(1, writes);
+};
+
+
+var testOtherVersionsAreDiscarded = function() {
+    var storage = makeFakeStorage();
+    var cache = new CompilationCache({ maxSize: 4, storageKey: "k", storage: storage,
+                                       version: "1" });
+    cache.put("prog", "(+ 1 2)", ["bytecode"]);
+
+    var sameVersion = new CompilationCache({ maxSize: 4, storageKey: "k", storage: storage,
+                                             version: "1" });
+    assertArrayEquals(["bytecode"], sameVersion.get("prog", "(+ 1 2)"));
+
+    var newVersion = new CompilationCache({ maxSize: 4, storageKey: "k", storage: storage,
+                                            version: "2" });
+    assertEquals(0, newVersion.size());
+};
+
+
+var testCorruptedStorageIsIgnored = function() {
+    var storage = makeFakeStorage();
+    storage.setItem("k", "{not json");
+    var cache = new CompilationCache({ maxSize: 4, storageKey: "k", storage: storage });
+    assertEquals(0, cache.size());
+};
+
+
+var testRemoveStored = function() {
+    var storage = makeFakeStorage();
+    new CompilationCache({ maxSize: 4, storageKey: "cache.alice", storage: storage })
+        .put("prog", "(+ 1 2)", ["bytecode"]);
+    new CompilationCache({ maxSize: 4, storageKey: "cache.bob", storage: storage })
+        .put("prog", "(+ 1 2)", ["bytecode"]);
+    storage.setItem("drafts", "[]");
+
+    CompilationCache.removeStored("cache.", storage);
+    assertNull(storage.getItem("cache.alice"));
+    assertNull(storage.getItem("cache.bob"));
+    assertEquals("[]", storage.getItem("drafts"));
+};
+
+
+
+plt.wescheme.tests.testCompilationCache = {
+    testCacheHitsAndMisses : testCacheHitsAndMisses,
+    testLeastRecentlyUsedIsEvicted : testLeastRecentlyUsedIsEvicted,
+    testPersistence : testPersistence,
+    testHitsDoNotRewriteStorage : testHitsDoNotRewriteStorage,
+    testOtherVersionsAreDiscarded : testOtherVersionsAreDiscarded,
+    testCorruptedStorageIsIgnored : testCorruptedStorageIsIgnored,
+    testRemoveStored : testRemoveStored
+};
@@ -0,0 +1,96 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.CompileQueue');
+
+goog.provide('plt.wescheme.tests.testCompileQueue');
+
+
+var CompileQueue = plt.wescheme.CompileQueue;
+
+
+// A fake compiler that holds on to its callbacks until we answer.
+var makeFakeCompiler = function() {
+    var compiler = function(programName, code, onDone, onDoneError) {
+        compiler.requests.push({ name: programName,
+                                 code: code,
+                                 onDone: onDone,
+                                 onDoneError: onDoneError });
+    };
+    compiler.requests = [];
+    return compiler;
+};
+
+
+var testSupersededRequestsAreCancelled = function() {
+    var compiler = makeFakeCompiler();
+    var queue = new CompileQueue(compiler, function(name) { return "cancelled " + name; });
+    var results = [];
+    queue.compile("<definitions>", "(+ 1 2)", function(r) { results.push("old " + r); },
+                  function(e) { results.push("old error " + e); });
+    queue.compile("<definitions>", "(+ 1 3)", function(r) { results.push("new " + r); });
+    assertEquals(2, compiler.requests.length);
+    assertArrayEquals(["old error cancelled <definitions>"], results);
+
+    // The newer compilation comes back first, then the stale one.
+    compiler.requests[1].onDone("4");
+    compiler.requests[0].onDone("3");
+    assertArrayEquals(["old error cancelled <definitions>", "new 4"], results);
+    assertFalse(queue.isBusy());
+};
+
+
+var testIdenticalRequestsAreMerged = function() {
+    var compiler = makeFakeCompiler();
+    var queue = new CompileQueue(compiler);
+    var results = [];
+    queue.compile("<definitions>", "(+ 1 2)", function(r) { results.push("first " + r); });
+    queue.compile("<definitions>", "(+ 1 2)", function(r) { results.push("second " + r); });
+    assertEquals(1, compiler.requests.length);
+    compiler.requests[0].onDone("3");
+    assertArrayEquals(["first 3", "second 3"], results);
+};
+
+
+var testDifferentProgramsDoNotInterfere = function() {
+    var compiler = makeFakeCompiler();
+    var queue = new CompileQueue(compiler);
+    var results = [];
+    queue.compile("<definitions>", "(+ 1 2)", function(r) { results.push("defn " + r); });
+    queue.compile("<interactions0>", "(+ 1 2)", function(r) { results.push("inter " + r); },
+                  function(e) { results.push("error " + e); });
+    compiler.requests[1].onDoneError("oops");
+    compiler.requests[0].onDone("3");
+    assertArrayEquals(["error oops", "defn 3"], results);
+};
+
+
+var testCancelAll = function() {
+    var compiler = makeFakeCompiler();
+    var queue = new CompileQueue(compiler);
+    var results = [];
+    queue.compile("<definitions>", "(+ 1 2)", function(r) { results.push(r); },
+                  function(e) { results.push(e instanceof Error); });
+    assertTrue(queue.isBusy());
+    queue.cancelAll();
+    assertFalse(queue.isBusy());
+    compiler.requests[0].onDone("3");
+    assertArrayEquals([true], results);
+};
+
+
+var testSynchronousCompiler = function() {
+    var queue = new CompileQueue(function(name, code, onDone) { onDone("cached"); });
+    var results = [];
+    queue.compile("<definitions>", "(+ 1 2)", function(r) { results.push(r); });
+    assertArrayEquals(["cached"], results);
+    assertFalse(queue.isBusy());
+};
+
+
+
+plt.wescheme.tests.testCompileQueue = {
+    testSupersededRequestsAreCancelled : testSupersededRequestsAreCancelled,
+    testIdenticalRequestsAreMerged : testIdenticalRequestsAreMerged,
+    testDifferentProgramsDoNotInterfere : testDifferentProgramsDoNotInterfere,
+    testCancelAll : testCancelAll,
+    testSynchronousCompiler : testSynchronousCompiler
+};
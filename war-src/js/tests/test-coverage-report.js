@@ -0,0 +1,82 @@
+goog.require('goog.testing.jsunit');
+
+goog.provide('plt.wescheme.tests.testCoverageReport');
+
+
+// Bytecode builders, in the shape the compiler produces.
+var coverageConstant = function(v) {
+    return { "$": "constant", "value": v };
+};
+
+var coverageLocated = function(offset, span, body) {
+    return { "$": "with-cont-mark",
+             "key": coverageConstant(types.symbol("moby-stack-record-continuation-mark-key")),
+             "val": coverageConstant(types.vector(["<definitions>", offset, 1, offset, span])),
+             "body": body };
+};
+
+var coverageApply = function(primName, rands) {
+    return { "$": "application",
+             "rator": { "$": "primval", "value": primName },
+             "rands": rands };
+};
+
+var coverageProgram = function(code) {
+    return { "$": "compilation-top",
+             "max-let-depth": 0,
+             "prefix": { "num-lifts": 0, "toplevels": [] },
+             "code": code,
+             "compiled-indirects": [] };
+};
+
+
+// (if true (+ 1 2) (* (- 1) 2)), with the else branch never taken.
+var makeBranchyProgram = function() {
+    return coverageProgram(
+        coverageLocated(
+            1, 40,
+            { "$": "branch",
+              "test": coverageConstant(true),
+              "then": coverageLocated(10, 10, coverageApply("+", [coverageConstant(1),
+                                                                  coverageConstant(2)])),
+              "else": coverageLocated(20, 15,
+                                      coverageApply("*", [coverageLocated(22, 5,
+                                                                          coverageApply("-", [coverageConstant(1)])),
+                                                          coverageConstant(2)])) }));
+};
+
+
+var testUncoveredLocationsAreOutermost = function() {
+    var evaluator = new Evaluator({});
+    var report = evaluator.beginCoverageReport();
+    var isDone = false;
+    evaluator.executeCompiledProgram(makeBranchyProgram(),
+                                     function() { isDone = true; },
+                                     function(e) { throw e; });
+    evaluator.endCoverageReport();
+    assertTrue(isDone);
+
+    var uncovered = report.getUncoveredLocations("<definitions>");
+    assertEquals(1, uncovered.length);
+    assertEquals(20, uncovered[0].offset);
+    assertEquals(15, uncovered[0].span);
+    assertEquals(0, report.getUncoveredLocations("<interactions1>").length);
+};
+
+
+var testNothingRecordedWithoutAReport = function() {
+    var evaluator = new Evaluator({});
+    var report = evaluator.beginCoverageReport();
+    evaluator.endCoverageReport();
+    evaluator.executeCompiledProgram(makeBranchyProgram(),
+                                     function() {},
+                                     function(e) { throw e; });
+    assertEquals(0, report.getUncoveredLocations("<definitions>").length);
+};
+
+
+
+plt.wescheme.tests.testCoverageReport = {
+    testUncoveredLocationsAreOutermost : testUncoveredLocationsAreOutermost,
+    testNothingRecordedWithoutAReport : testNothingRecordedWithoutAReport
+};
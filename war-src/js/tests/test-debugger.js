@@ -0,0 +1,108 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.Debugger');
+
+goog.provide('plt.wescheme.tests.testDebugger');
+
+
+var Debugger = plt.wescheme.Debugger;
+
+
+var makeLoc = function(id, line) {
+    return { id: id, offset: line * 10, line: line, column: 0, span: 5 };
+};
+
+
+// A stand-in for the machine state, as far as pausing is concerned.
+var makeFakeState = function() {
+    return { listeners: [],
+             addBreakRequestedListener: function(l) { this.listeners.push(l); },
+             removeBreakRequestedListener: function(l) {
+                 this.listeners.splice(this.listeners.indexOf(l), 1);
+             } };
+};
+
+
+var testContinueStopsOnlyAtBreakpoints = function() {
+    var d = new Debugger();
+    d.setBreakpoints("<definitions>", [3, 7]);
+    d.setMode('continue');
+    assertFalse(d.shouldPause(makeLoc("<definitions>", 1), 5));
+    assertTrue(d.shouldPause(makeLoc("<definitions>", 3), 5));
+    assertTrue(d.shouldPause(makeLoc("<definitions>", 7), 50));
+    assertFalse(d.shouldPause(makeLoc("<interactions0>", 3), 5));
+
+    d.setBreakpoints("<definitions>", []);
+    assertFalse(d.shouldPause(makeLoc("<definitions>", 3), 5));
+};
+
+
+var testStepStopsEverywhereInUserCode = function() {
+    var d = new Debugger();
+    d.setMode('step');
+    assertTrue(d.shouldPause(makeLoc("<definitions>", 1), 5));
+    assertTrue(d.shouldPause(makeLoc("<interactions2>", 1), 5));
+    assertFalse(d.shouldPause(makeLoc("bootstrap2012/cage-teachpack", 1), 5));
+    assertFalse(d.shouldPause(makeLoc("<no-location>", 1), 5));
+};
+
+
+var testStepOverSkipsNestedExpressions = function() {
+    var d = new Debugger();
+    var resumed = 0;
+    d.setMode('step-over');
+    // Nothing to step over yet: stop at the first location.
+    assertTrue(d.shouldPause(makeLoc("<definitions>", 1), 12));
+
+    d._pause(makeFakeState(),
+             { location: makeLoc("<definitions>", 1), values: [], stackTrace: [], depth: 12 },
+             function() { resumed++; });
+    assertTrue(d.isPaused());
+    d.stepOver();
+    assertFalse(d.isPaused());
+    assertEquals(1, resumed);
+    assertFalse(d.shouldPause(makeLoc("<definitions>", 2), 15));
+    assertTrue(d.shouldPause(makeLoc("<definitions>", 4), 12));
+    assertTrue(d.shouldPause(makeLoc("<definitions>", 5), 9));
+};
+
+
+var testListenersSeePausesAndResumes = function() {
+    var d = new Debugger();
+    var aState = makeFakeState();
+    var events = [];
+    d.addPauseListener(function(snapshot) { events.push("pause " + snapshot.location.line); });
+    d.addResumeListener(function() { events.push("resume"); });
+
+    d._pause(aState,
+             { location: makeLoc("<definitions>", 4), values: [], stackTrace: [], depth: 3 },
+             function() { events.push("restart"); });
+    assertEquals(4, d.getSnapshot().location.line);
+    assertEquals(1, aState.listeners.length);
+    d.resume();
+    assertArrayEquals(["pause 4", "resume", "restart"], events);
+    assertEquals(0, aState.listeners.length);
+    assertFalse(d.getSnapshot());
+};
+
+
+var testForgetDropsThePausedProgram = function() {
+    var d = new Debugger();
+    var restarted = false;
+    d._pause(makeFakeState(),
+             { location: makeLoc("<definitions>", 4), values: [], stackTrace: [], depth: 3 },
+             function() { restarted = true; });
+    d.forget();
+    assertFalse(d.isPaused());
+    d.resume();
+    assertFalse(restarted);
+};
+
+
+
+plt.wescheme.tests.testDebugger = {
+    testContinueStopsOnlyAtBreakpoints : testContinueStopsOnlyAtBreakpoints,
+    testStepStopsEverywhereInUserCode : testStepStopsEverywhereInUserCode,
+    testStepOverSkipsNestedExpressions : testStepOverSkipsNestedExpressions,
+    testListenersSeePausesAndResumes : testListenersSeePausesAndResumes,
+    testForgetDropsThePausedProgram : testForgetDropsThePausedProgram
+};
@@ -0,0 +1,92 @@
+goog.provide('plt.wescheme.tests.doubles');
+
+goog.require('goog.testing.MockClock');
+
+
+// Stand-ins shared by the tests.  All of the tests load onto one
+// page and share its globals, so anything that more than one test
+// file needs lives here instead of being copied into each.
+plt.wescheme.tests.doubles = {};
+
+
+// jsCaller: calls the handlers as plain JavaScript functions, in
+// place of Scheme procedures.
+plt.wescheme.tests.doubles.jsCaller = function(f, args, k, onFail) {
+    var v;
+    try {
+        v = f.apply(null, args);
+    } catch (e) {
+        onFail(e);
+        return;
+    }
+    k(v);
+};
+
+
+// makeFakeStorage: -> storage
+// A stand-in for localStorage.
+plt.wescheme.tests.doubles.makeFakeStorage = function() {
+    var items = {};
+    var keys = [];
+    var storage = { length: 0,
+                    key: function(i) { return i < keys.length ? keys[i] : null; },
+                    getItem: function(k) { return items.hasOwnProperty(k) ? items[k] : null; },
+                    setItem: function(k, v) {
+                        if (! items.hasOwnProperty(k)) { keys.push(k); }
+                        items[k] = v + '';
+                        storage.length = keys.length;
+                    },
+                    removeItem: function(k) {
+                        if (items.hasOwnProperty(k)) {
+                            keys.splice(keys.indexOf(k), 1);
+                            delete items[k];
+                        }
+                        storage.length = keys.length;
+                    } };
+    return storage;
+};
+
+
+// withFakeBroadcastChannels: (MockClock -> void) -> (-> void)
+// Wraps a test so that it runs with a mock clock, and with a stand-in
+// for BroadcastChannel that delivers each message to every other
+// channel of the same name a turn later, the way the tabs of one
+// browser would get it.  The test gets the clock.
+plt.wescheme.tests.doubles.withFakeBroadcastChannels = function(test) {
+    return function() {
+        var realBroadcastChannel = window.BroadcastChannel;
+        var clock = new goog.testing.MockClock(true);
+        var channels = [];
+        window.BroadcastChannel = function(name) {
+            var that = this;
+            this.name = name;
+            this.onmessage = null;
+            this.postMessage = function(data) {
+                var i;
+                var deliver = function(other) {
+                    setTimeout(function() {
+                        if (other.onmessage) {
+                            other.onmessage({ data: JSON.parse(JSON.stringify(data)) });
+                        }
+                    }, 0);
+                };
+                for (i = 0; i < channels.length; i++) {
+                    if (channels[i] !== that && channels[i].name === name) {
+                        deliver(channels[i]);
+                    }
+                }
+            };
+            this.close = function() {
+                var index = channels.indexOf(that);
+                if (index !== -1) { channels.splice(index, 1); }
+            };
+            channels.push(this);
+        };
+        try {
+            test(clock);
+        } finally {
+            window.BroadcastChannel = realBroadcastChannel;
+            clock.uninstall();
+        }
+    };
+};
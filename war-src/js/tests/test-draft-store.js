@@ -0,0 +1,98 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.tests.doubles');
+goog.require('plt.wescheme.DraftStore');
+
+goog.provide('plt.wescheme.tests.testDraftStore');
+
+
+var DraftStore = plt.wescheme.DraftStore;
+var makeFakeStorage = plt.wescheme.tests.doubles.makeFakeStorage;
+
+
+var testDraftsAreKeptByPid = function() {
+    var store = new DraftStore({ storage: makeFakeStorage() });
+    assertUndefined(store.get(42));
+    store.put(42, "circles", "(circle 10 \"solid\" \"red\")");
+    store.put(false, "", "(+ 1 2)");
+    assertEquals("circles", store.get(42).title);
+    assertEquals("(circle 10 \"solid\" \"red\")", store.get(42).code);
+    assertEquals("(+ 1 2)", store.get(false).code);
+    assertFalse(store.get(false).pid);
+
+    store.remove(42);
+    assertUndefined(store.get(42));
+    assertEquals(1, store.size());
+};
+
+
+var testDraftsOutliveThePage = function() {
+    var storage = makeFakeStorage();
+    new DraftStore({ storageKey: "k", storage: storage }).put(7, "t", "code");
+    var later = new DraftStore({ storageKey: "k", storage: storage });
+    assertEquals("code", later.get(7).code);
+};
+
+
+var testTabsDontOverwriteEachOthersDrafts = function() {
+    var storage = makeFakeStorage();
+    var tab1 = new DraftStore({ storageKey: "k", storage: storage });
+    var tab2 = new DraftStore({ storageKey: "k", storage: storage });
+    tab1.put(1, "one", "1");
+    tab2.put(2, "two", "2");
+    assertEquals("1", tab2.get(1).code);
+    assertEquals("2", tab1.get(2).code);
+};
+
+
+var testOldestDraftsAreDropped = function() {
+    var store = new DraftStore({ maxSize: 2, storage: makeFakeStorage() });
+    store.put(1, "", "a");
+    store.drafts["1"].time -= 2000;
+    store._persist();
+    store.put(2, "", "b");
+    store.drafts["2"].time -= 1000;
+    store._persist();
+    store.put(3, "", "c");
+    assertEquals(2, store.size());
+    assertUndefined(store.get(1));
+    assertEquals("c", store.get(3).code);
+};
+
+
+var testFullStorageKeepsTheNewestDraft = function() {
+    var storage = makeFakeStorage();
+    var setItem = storage.setItem;
+    storage.setItem = function(k, v) {
+        if (v.length > 100) { throw new Error("quota exceeded"); }
+        setItem(k, v);
+    };
+    var store = new DraftStore({ storageKey: "k", storage: storage });
+    store.put(1, "", "old");
+    store.drafts["1"].time -= 1000;
+    store._persist();
+    store.put(2, "", "new");
+    var later = new DraftStore({ storageKey: "k", storage: storage });
+    assertEquals("new", later.get(2).code);
+    assertUndefined(later.get(1));
+};
+
+
+var testCorruptedDraftsAreIgnored = function() {
+    var storage = makeFakeStorage();
+    storage.setItem("k", "{not json");
+    var store = new DraftStore({ storageKey: "k", storage: storage });
+    assertUndefined(store.get(1));
+    store.put(1, "", "x");
+    assertEquals("x", store.get(1).code);
+};
+
+
+
+plt.wescheme.tests.testDraftStore = {
+    testDraftsAreKeptByPid : testDraftsAreKeptByPid,
+    testDraftsOutliveThePage : testDraftsOutliveThePage,
+    testTabsDontOverwriteEachOthersDrafts : testTabsDontOverwriteEachOthersDrafts,
+    testOldestDraftsAreDropped : testOldestDraftsAreDropped,
+    testFullStorageKeepsTheNewestDraft : testFullStorageKeepsTheNewestDraft,
+    testCorruptedDraftsAreIgnored : testCorruptedDraftsAreIgnored
+};
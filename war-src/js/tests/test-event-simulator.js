@@ -0,0 +1,79 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.EventSimulatorPanel');
+
+goog.provide('plt.wescheme.tests.testEventSimulator');
+
+
+// withStimuliHandler: hash (arrayof any) -> (arrayof any)
+// Runs a stimuli handler with the given handlers, as big-bang would,
+// over a world that's the list of what the handlers were called with.
+var withStimuliHandler = function(vals, events) {
+    var w = [];
+    var config = new world.config.WorldConfig().updateAll(vals).updateAll({
+        changeWorld: function(updater, k) {
+            updater(w, function(newWorld) { w = newWorld; k(); });
+        }
+    });
+    new world.stimuli.StimuliHandler(
+        config,
+        function(f, args, k) { k(f.apply(null, args)); },
+        function() {});
+    try {
+        for (var i = 0; i < events.length; i++) {
+            plt.wescheme.EventSimulatorPanel.send(events[i]);
+        }
+    } finally {
+        world.stimuli.massShutdown();
+    }
+    return w;
+};
+
+
+var record = function(name) {
+    return function(w) {
+        return w.concat([[name].concat([].slice.call(arguments, 1))]);
+    };
+};
+
+
+var testSimulatedEventsReachTheHandlers = function() {
+    var w = withStimuliHandler(
+        { onKey: record("key"),
+          onTap: record("tap"),
+          onShake: record("shake"),
+          onLocationChange: record("location") },
+        [{ type: 'key', args: ["left"] },
+         { type: 'tap', args: [10, 20] },
+         { type: 'shake', args: [] },
+         { type: 'location-change', args: [41.5, -71.25] },
+         { type: 'acceleration', args: [0, 0, 9.8] }]);
+    assertEquals(4, w.length);
+    assertArrayEquals(["key", "left"], w[0]);
+    assertArrayEquals(["tap", 10, 20], w[1]);
+    assertArrayEquals(["shake"], w[2]);
+    assertEquals("location", w[3][0]);
+    assertEquals("41.5", types.toWrittenString(w[3][1]));
+};
+
+
+var testUnknownEventsAreRejected = function() {
+    assertThrows(function() {
+        plt.wescheme.EventSimulatorPanel.send({ type: 'sms-receive', args: [] });
+    });
+};
+
+
+var testParseNumbers = function() {
+    var parse = plt.wescheme.EventSimulatorPanel.parseNumbers;
+    assertArrayEquals([1, -2.5, 0.5], parse(["1", " -2.5", ".5"]));
+    assertFalse(parse(["1", "two"]));
+    assertFalse(parse([""]));
+};
+
+
+
+plt.wescheme.tests.testEventSimulator = {
+    testSimulatedEventsReachTheHandlers : testSimulatedEventsReachTheHandlers,
+    testUnknownEventsAreRejected : testUnknownEventsAreRejected,
+    testParseNumbers : testParseNumbers
+};
@@ -0,0 +1,58 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.GifEncoder');
+
+goog.provide('plt.wescheme.tests.testGifEncoder');
+
+
+// gifFrame: number number (number number -> (arrayof byte)) -> imageData
+var gifFrame = function(width, height, pixelAt) {
+    var data = [], x, y;
+    for (y = 0; y < height; y++) {
+        for (x = 0; x < width; x++) {
+            data = data.concat(pixelAt(x, y));
+        }
+    }
+    return { width: width, height: height, data: data };
+};
+
+
+var testGifHeaderAndTrailer = function() {
+    var encoder = new plt.wescheme.GifEncoder(300, 2);
+    var bytes;
+    encoder.addFrame(gifFrame(300, 2, function(x, y) { return [255, 0, 0, 255]; }), 100);
+    bytes = encoder.finish();
+
+    assertEquals("GIF89a", String.fromCharCode.apply(null, bytes.slice(0, 6)));
+    // The logical screen is 300 by 2, little-endian.
+    assertEquals(44, bytes[6]);
+    assertEquals(1, bytes[7]);
+    assertEquals(2, bytes[8]);
+    assertEquals(0, bytes[9]);
+    assertEquals(0x3b, bytes[bytes.length - 1]);
+};
+
+
+var testGifFrameDelays = function() {
+    var encoder = new plt.wescheme.GifEncoder(2, 2);
+    var white = function(x, y) { return [255, 255, 255, 255]; };
+    var bytes, i, delays = [];
+    encoder.addFrame(gifFrame(2, 2, white), 100);
+    encoder.addFrame(gifFrame(2, 2, white), 1);
+    bytes = encoder.finish();
+
+    // Delays are in hundredths of a second, and no shorter than 2,
+    // which is as fast as browsers will show them.
+    for (i = 0; i < bytes.length - 5; i++) {
+        if (bytes[i] === 0x21 && bytes[i+1] === 0xf9 && bytes[i+2] === 0x04) {
+            delays.push(bytes[i+4] + 256 * bytes[i+5]);
+        }
+    }
+    assertArrayEquals([10, 2], delays);
+};
+
+
+
+plt.wescheme.tests.testGifEncoder = {
+    testGifHeaderAndTrailer : testGifHeaderAndTrailer,
+    testGifFrameDelays : testGifFrameDelays
+};
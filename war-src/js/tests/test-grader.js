@@ -0,0 +1,251 @@
+goog.require('goog.testing.jsunit');
+goog.require('goog.testing.MockClock');
+goog.require('plt.wescheme.Grader');
+goog.require('plt.wescheme.HandInDialog');
+goog.require('plt.wescheme.ClassroomDashboard');
+
+goog.provide('plt.wescheme.tests.testGrader');
+
+
+// makeFakeEvaluator: (hashof string (Evaluator (-> void) (exn -> void) -> void)) -> Evaluator
+// An evaluator whose programs, instead of being compiled, are the
+// functions given for their names.
+var makeFakeEvaluator = function(programs) {
+    var evaluator = new Evaluator({});
+    evaluator.executeProgram = function(name, code, onDone, onDoneError) {
+        programs[name](evaluator, onDone, onDoneError);
+    };
+    return evaluator;
+};
+
+
+// checkExpect: Evaluator any any -> void
+var checkExpect = function(evaluator, actual, expected) {
+    primitive.getPrimitive('check-expect').impl(evaluator.aState, actual, expected);
+};
+
+
+var testOnlyTheHiddenTestsCount = function() {
+    var grade;
+    var evaluator = makeFakeEvaluator({
+        "<hand-in>": function(evaluator, onDone) {
+            // The student's own test, which fails.
+            checkExpect(evaluator, 1, 2);
+            onDone();
+        },
+        "<hand-in-tests>": function(evaluator, onDone) {
+            checkExpect(evaluator, 1, 1);
+            checkExpect(evaluator, "a", "b");
+            checkExpect(evaluator, 3, 3);
+            onDone();
+        }
+    });
+    new plt.wescheme.Grader(evaluator).grade("defns", "tests", function(g) { grade = g; });
+
+    assertEquals(2, grade.passed);
+    assertEquals(3, grade.total);
+    assertUndefined(grade.error);
+    assertEquals(3, grade.results.length);
+    assertEquals("check-expect", grade.results[1].name);
+    assertFalse(grade.results[1].passed);
+    assertEquals('check-expect: actual value "a" differs from "b", the expected value.',
+                 grade.results[1].message);
+    assertTrue(grade.results[2].passed);
+    assertEquals("", grade.results[2].message);
+    // The grade has to survive the trip to the server.
+    assertEquals(JSON.stringify(grade), JSON.stringify(JSON.parse(JSON.stringify(grade))));
+};
+
+
+var testBrokenDefinitionsGetNoCredit = function() {
+    var grade;
+    var evaluator = makeFakeEvaluator({
+        "<hand-in>": function(evaluator, onDone, onDoneError) {
+            onDoneError(new Error("f: this variable is not defined"));
+        },
+        "<hand-in-tests>": function() {
+            fail("the tests shouldn't run");
+        }
+    });
+    new plt.wescheme.Grader(evaluator).grade("defns", "tests", function(g) { grade = g; });
+
+    assertEquals(0, grade.passed);
+    assertEquals(0, grade.total);
+    assertEquals("The definitions have an error: f: this variable is not defined", grade.error);
+};
+
+
+var testTestsThatStopKeepTheirResultsSoFar = function() {
+    var grade;
+    var evaluator = makeFakeEvaluator({
+        "<hand-in>": function(evaluator, onDone) { onDone(); },
+        "<hand-in-tests>": function(evaluator, onDone, onDoneError) {
+            checkExpect(evaluator, 1, 1);
+            onDoneError(new Error("/: division by zero"));
+        }
+    });
+    new plt.wescheme.Grader(evaluator).grade("defns", "tests", function(g) { grade = g; });
+
+    assertEquals(1, grade.passed);
+    assertEquals(1, grade.total);
+    assertEquals("The tests stopped with an error: /: division by zero", grade.error);
+
+    // The evaluator no longer records tests.
+    checkExpect(evaluator, 1, 2);
+    assertEquals(1, grade.total);
+};
+
+
+var testGradingGivesUpOnSlowCompiles = function() {
+    var clock = new goog.testing.MockClock(true);
+    var compiles = [];
+    var grades = [];
+    try {
+        var evaluator = plt.wescheme.Grader.makeSandbox(
+            function(programName, code, onDone, onDoneError) {
+                compiles.push({ onDone: onDone, onDoneError: onDoneError });
+            });
+        var grader = new plt.wescheme.Grader(evaluator);
+        grader.timeout = 1000;
+        grader.grade("(define x 1)", "(check-expect x 1)", function(g) { grades.push(g); });
+        assertEquals(1, compiles.length);
+        assertEquals(0, grades.length);
+
+        // The compiler never answers, and we don't wait for it.
+        clock.tick(1000);
+        assertEquals(1, grades.length);
+        assertEquals(0, grades[0].total);
+        assertEquals("The program took too long to run.", grades[0].error);
+
+        // Nor do we run it when the compiler finally does.
+        compiles[0].onDone("bytecode");
+        assertEquals(1, grades.length);
+    } finally {
+        clock.uninstall();
+    }
+};
+
+
+// compiledCall: string any -> string
+// What the compiler sends back for a program that calls the primitive
+// on the argument.
+var compiledCall = function(primName, arg) {
+    var bytecode = { "$": "compilation-top",
+                     "max-let-depth": 0,
+                     "prefix": { "num-lifts": 0,
+                                 "toplevels": [{ "$": "module-variable",
+                                                 "sym": primName,
+                                                 "modidx": { "$": "module-path",
+                                                             "path": "#%kernel",
+                                                             "base": false },
+                                                 "pos": 0,
+                                                 "phase": 0 }] },
+                     "code": { "$": "application",
+                               "rator": { "$": "toplevel", "depth": 1, "pos": 0 },
+                               "rands": [{ "$": "constant", "value": arg }] },
+                     "compiled-indirects": [] };
+    return JSON.stringify({ bytecode: JSON.stringify(bytecode) });
+};
+
+
+var testHandInsCantReachThePage = function() {
+    var clock = new goog.testing.MockClock(true);
+    var programs = { "(add1 1)": compiledCall("add1", 1),
+                     "(js-get-named-object \"document\")": compiledCall("js-get-named-object", "document") };
+    var grades = [];
+    try {
+        var grader = new plt.wescheme.Grader(plt.wescheme.Grader.makeSandbox(
+            function(programName, code, onDone, onDoneError) {
+                onDone(programs[code]);
+            }));
+
+        grader.grade("(add1 1)", "(add1 1)", function(g) { grades.push(g); });
+        clock.tick(1000);
+        assertEquals(1, grades.length);
+        assertUndefined(grades[0].error);
+
+        grader.grade("(js-get-named-object \"document\")", "(add1 1)",
+                     function(g) { grades.push(g); });
+        clock.tick(1000);
+        assertEquals(2, grades.length);
+        assertEquals(0, grades[1].total);
+        assertEquals("The definitions have an error: " +
+                     "js-get-named-object: this function isn't allowed here",
+                     grades[1].error);
+    } finally {
+        clock.uninstall();
+    }
+};
+
+
+var testHandInSummary = function() {
+    assertEquals("2 of 3 tests passed.",
+                 plt.wescheme.HandInDialog.summarize({ graded: true, passed: 2, total: 3 }));
+    assertEquals("1 of 1 test passed.",
+                 plt.wescheme.HandInDialog.summarize({ graded: true, passed: 1, total: 1 }));
+    assertEquals("not graded yet.",
+                 plt.wescheme.HandInDialog.summarize({ graded: false }));
+};
+
+
+var testPublishingSharesACopyOfTheStarter = function() {
+    var calls = [];
+    var error = "not done";
+    var actions = {
+        makeAClone: function(pid, code, onSuccess, onFailure) {
+            calls.push(["clone", pid]);
+            onSuccess(100);
+        },
+        share: function(pid, isPublic, onSuccess, onFailure) {
+            calls.push(["share", pid, isPublic]);
+            onSuccess();
+        },
+        saveAssignment: function(attrs, onSuccess, onFailure) {
+            calls.push(["assignment", attrs.starter, attrs.title, attrs.tests]);
+            onSuccess(9);
+        },
+        saveClassroom: function(attrs, onSuccess, onFailure) {
+            calls.push(["classroom", attrs.id, attrs.handout]);
+            onSuccess(attrs.id);
+        }
+    };
+    plt.wescheme.ClassroomDashboard.publishAssignment(
+        actions, { pid: "7", title: "Area", tests: "(check-expect (area 2) 4)" }, 3,
+        function(err) { error = err; });
+
+    assertUndefined(error);
+    assertEquals(JSON.stringify([["clone", "7"],
+                                 ["share", 100, false],
+                                 ["assignment", 100, "Area", "(check-expect (area 2) 4)"],
+                                 ["classroom", 3, 100]]),
+                 JSON.stringify(calls));
+};
+
+
+var testPublishingStopsWhenTheAssignmentIsRefused = function() {
+    var error;
+    var actions = {
+        makeAClone: function(pid, code, onSuccess, onFailure) { onSuccess(100); },
+        share: function(pid, isPublic, onSuccess) { onSuccess(); },
+        saveAssignment: function(attrs, onSuccess, onFailure) { onFailure("Not owner"); },
+        saveClassroom: function() { fail("nothing should be handed out"); }
+    };
+    plt.wescheme.ClassroomDashboard.publishAssignment(
+        actions, { pid: "7", title: "Area", tests: "" }, 3,
+        function(err) { error = err; });
+
+    assertEquals("Not owner", error);
+};
+
+
+
+plt.wescheme.tests.testGrader = {
+    testOnlyTheHiddenTestsCount : testOnlyTheHiddenTestsCount,
+    testBrokenDefinitionsGetNoCredit : testBrokenDefinitionsGetNoCredit,
+    testTestsThatStopKeepTheirResultsSoFar : testTestsThatStopKeepTheirResultsSoFar,
+    testGradingGivesUpOnSlowCompiles : testGradingGivesUpOnSlowCompiles,
+    testHandInsCantReachThePage : testHandInsCantReachThePage,
+    testHandInSummary : testHandInSummary,
+    testPublishingSharesACopyOfTheStarter : testPublishingSharesACopyOfTheStarter,
+    testPublishingStopsWhenTheAssignmentIsRefused : testPublishingStopsWhenTheAssignmentIsRefused
+};
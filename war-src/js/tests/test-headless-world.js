@@ -0,0 +1,100 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.tests.doubles');
+
+goog.provide('plt.wescheme.tests.testHeadlessWorld');
+
+
+var jsCaller = plt.wescheme.tests.doubles.jsCaller;
+
+
+var handlersFor = function(vals) {
+    return [function(config) { return config.updateAll(vals); }];
+};
+
+
+var testTraceDrivesTheHandlers = function() {
+    var runs = [];
+    var last;
+    var handlers = handlersFor({
+        tickDelay: 1,
+        onTick: function(w) { return w + 1; },
+        onKey: function(w, key) { return key === "left" ? w - 10 : w; },
+        onTap: function(w, x, y) { return x + y; }
+    });
+    jsworld.MobyJsworld.runHeadless(
+        0, handlers,
+        [{ type: 'tick' }, { type: 'tick' },
+         { type: 'key', args: ["left"] },
+         { type: 'tilt', args: [1, 2] },
+         { type: 'tap', args: [3, 4] }],
+        jsCaller,
+        function(run) { runs.push(run); },
+        function(w) { last = w; });
+
+    assertEquals(1, runs.length);
+    assertArrayEquals([0, 1, 2, -8, -8, 7], runs[0].worlds);
+    assertEquals('initial', runs[0].events[0].type);
+    assertEquals('key', runs[0].events[3].type);
+    assertFalse(runs[0].scenes[0]);
+    assertFalse(runs[0].isStopped);
+    assertEquals(7, last);
+};
+
+
+var testStopWhenEndsTheRun = function() {
+    var evaluator = new Evaluator({});
+    var last;
+    var report = evaluator.beginHeadlessWorlds(
+        [{ type: 'tick' }, { type: 'tick' }, { type: 'tick' }, { type: 'tick' }]);
+    // This is what big-bang calls, once the evaluator has been asked
+    // to run worlds headlessly.
+    evaluator.aState.getWorldDriverHook()(
+        0,
+        handlersFor({ tickDelay: 1,
+                      onTick: function(w) { return w + 1; },
+                      stopWhen: function(w) { return w >= 2; } }),
+        jsCaller,
+        function(w) { last = w; });
+    assertArrayEquals([0, 1, 2], report.getWorlds());
+    assertTrue(report.getRuns()[0].isStopped);
+    assertEquals(2, last);
+
+    evaluator.endHeadlessWorlds();
+    assertFalse(evaluator.aState.getWorldDriverHook());
+};
+
+
+var testLongTracesDontGrowTheStack = function() {
+    var trace = [];
+    var runs = [];
+    var i;
+    for (i = 0; i < 20000; i++) {
+        trace.push({ type: 'tick' });
+    }
+    jsworld.MobyJsworld.runHeadless(
+        0, handlersFor({ tickDelay: 1, onTick: function(w) { return w + 1; } }),
+        trace, jsCaller,
+        function(run) { runs.push(run); },
+        function(w) {});
+    assertEquals(20000, runs[0].worlds[20000]);
+};
+
+
+var testErrorsEndTheRun = function() {
+    var result;
+    jsworld.MobyJsworld.runHeadless(
+        0, handlersFor({ tickDelay: 1, onTick: function(w) { throw "oops"; } }),
+        [{ type: 'tick' }], jsCaller,
+        function(run) { fail("shouldn't finish"); },
+        function(v) { result = v; });
+    assertTrue(types.isSchemeError(result));
+};
+
+
+
+plt.wescheme.tests.testHeadlessWorld = {
+    testTraceDrivesTheHandlers : testTraceDrivesTheHandlers,
+    testStopWhenEndsTheRun : testStopWhenEndsTheRun,
+    testLongTracesDontGrowTheStack : testLongTracesDontGrowTheStack,
+    testErrorsEndTheRun : testErrorsEndTheRun
+};
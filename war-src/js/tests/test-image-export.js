@@ -0,0 +1,47 @@
+goog.require('goog.testing.jsunit');
+
+goog.provide('plt.wescheme.tests.testImageExport');
+
+
+var testSvgOfVertexImages = function() {
+    var red = world.Kernel.colorDb.get("red");
+    var svg = world.Kernel.imageToSvg(world.Kernel.rectangleImage(20, 10, "solid", red));
+    assertEquals('<svg xmlns="http://www.w3.org/2000/svg" ' +
+                 'xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ' +
+                 'width="20" height="10" viewBox="0 0 20 10">' +
+                 '<path d="M0 10 L0 0 L20 0 L20 10 Z" fill="rgb(255,0,0)" fill-opacity="1"/>' +
+                 '</svg>',
+                 svg);
+
+    svg = world.Kernel.imageToSvg(world.Kernel.circleImage(5, "outline", red));
+    assertTrue(svg.indexOf('<ellipse cx="5" cy="5" rx="5" ry="5" fill="none" stroke="rgb(255,0,0)"/>') !== -1);
+};
+
+
+var testSvgWalksTheImageTree = function() {
+    var blue = world.Kernel.colorDb.get("blue");
+    var square = world.Kernel.rectangleImage(10, 10, "solid", blue);
+    var circle = world.Kernel.circleImage(10, "solid", blue);
+    var svg;
+
+    // The overlay draws the circle first, then the square centered on it.
+    svg = world.Kernel.overlayImage(square, circle, "middle", "middle").toSvg(0, 0);
+    assertEquals(0, svg.indexOf('<ellipse cx="10" cy="10"'));
+    assertTrue(svg.indexOf('<path d="M5 15 L5 5 L15 5 L15 15 Z"') !== -1);
+
+    svg = world.Kernel.scaleImage(2, 3, square).toSvg(0, 0);
+    assertEquals(0, svg.indexOf('<g transform="scale(2 3)"><path'));
+
+    svg = world.Kernel.rotateImage(90, square).toSvg(0, 0);
+    assertEquals(0, svg.indexOf('<g transform="translate(10 0) rotate(90)"><path'));
+
+    svg = world.Kernel.cropImage(2, 3, 4, 5, square).toSvg(0, 0);
+    assertTrue((/^<clipPath id="(clip\d+)"><rect x="0" y="0" width="4" height="5"\/><\/clipPath><g clip-path="url\(#\1\)"><g transform="translate\(-2 -3\)"><path/).test(svg));
+};
+
+
+
+plt.wescheme.tests.testImageExport = {
+    testSvgOfVertexImages : testSvgOfVertexImages,
+    testSvgWalksTheImageTree : testSvgWalksTheImageTree
+};
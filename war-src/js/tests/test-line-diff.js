@@ -0,0 +1,72 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.LineDiff');
+
+goog.provide('plt.wescheme.tests.testLineDiff');
+
+
+var LineDiff = plt.wescheme.LineDiff;
+
+
+var showDiff = function(aDiff) {
+    var lines = [];
+    var i;
+    for (i = 0; i < aDiff.length; i++) {
+        lines.push({ same: " ", added: "+", removed: "-" }[aDiff[i].type] + aDiff[i].text);
+    }
+    return lines;
+};
+
+
+var testIdenticalTextsHaveNoChanges = function() {
+    var aDiff = LineDiff.diff("a\nb", "a\nb");
+    assertArrayEquals([" a", " b"], showDiff(aDiff));
+    assertFalse(LineDiff.hasChanges(aDiff));
+};
+
+
+var testChangedLinesAreRemovedThenAdded = function() {
+    var aDiff = LineDiff.diff("(define x 1)\n(define y 2)\nx",
+                              "(define x 1)\n(define y 3)\nx");
+    assertArrayEquals([" (define x 1)", "-(define y 2)", "+(define y 3)", " x"],
+                      showDiff(aDiff));
+    assertTrue(LineDiff.hasChanges(aDiff));
+};
+
+
+var testInsertionsAndDeletions = function() {
+    assertArrayEquals([" a", "+b", " c", "-d", " e"],
+                      showDiff(LineDiff.diff("a\nc\nd\ne", "a\nb\nc\ne")));
+    assertArrayEquals(["+x", "+y"], showDiff(LineDiff.diff("", "x\ny")));
+    assertArrayEquals(["-x"], showDiff(LineDiff.diff("x", "")));
+};
+
+
+var testWindowsLineEndings = function() {
+    assertFalse(LineDiff.hasChanges(LineDiff.diff("a\r\nb", "a\nb")));
+};
+
+
+var testSideBySidePairsRemovedWithAdded = function() {
+    var rows = LineDiff.sideBySide(LineDiff.diff("a\nb\nc\nd", "a\nx\nd\ne"));
+    var show = function(line) { return line === null ? null : line.text; };
+    var lefts = [], rights = [];
+    var i;
+    for (i = 0; i < rows.length; i++) {
+        lefts.push(show(rows[i].left));
+        rights.push(show(rows[i].right));
+    }
+    assertArrayEquals(["a", "b", "c", "d", null], lefts);
+    assertArrayEquals(["a", "x", null, "d", "e"], rights);
+    assertEquals('removed', rows[2].left.type);
+    assertEquals('added', rows[4].right.type);
+};
+
+
+
+plt.wescheme.tests.testLineDiff = {
+    testIdenticalTextsHaveNoChanges : testIdenticalTextsHaveNoChanges,
+    testChangedLinesAreRemovedThenAdded : testChangedLinesAreRemovedThenAdded,
+    testInsertionsAndDeletions : testInsertionsAndDeletions,
+    testWindowsLineEndings : testWindowsLineEndings,
+    testSideBySidePairsRemovedWithAdded : testSideBySidePairsRemovedWithAdded
+};
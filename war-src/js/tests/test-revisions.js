@@ -0,0 +1,106 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.LocalRevisionActions');
+
+goog.provide('plt.wescheme.tests.testRevisions');
+
+
+var failOnError = function(err) {
+    fail("unexpected failure: " + err);
+};
+
+
+var testEverySaveOfCodeKeepsARevision = function() {
+    var actions = new plt.wescheme.LocalRevisionActions();
+    var pid, revisions;
+    actions.save({ title: "circles", code: "(circle 10 \"solid\" \"red\")" },
+                 function(newPid) { pid = newPid; },
+                 failOnError);
+    actions.save({ pid: pid, code: "(circle 20 \"solid\" \"red\")" },
+                 function() {}, failOnError);
+    // Saving just the notes leaves the code, and the revisions, alone.
+    actions.save({ pid: pid, notes: "bigger" }, function() {}, failOnError);
+
+    actions.listRevisions(pid, function(rs) { revisions = rs; }, failOnError);
+    assertEquals(2, revisions.length);
+    assertEquals("(circle 20 \"solid\" \"red\")", revisions[0].code);
+    assertEquals("(circle 10 \"solid\" \"red\")", revisions[1].code);
+    assertEquals("circles", revisions[1].title);
+    assertTrue(revisions[0].modified > revisions[1].modified);
+};
+
+
+var testRevisionsAreKeptPerProgram = function() {
+    var actions = new plt.wescheme.LocalRevisionActions();
+    var first, second, revisions;
+    actions.save({ title: "a", code: "1" }, function(pid) { first = pid; }, failOnError);
+    actions.save({ title: "b", code: "2" }, function(pid) { second = pid; }, failOnError);
+    assertTrue(first !== second);
+    actions.listRevisions(second, function(rs) { revisions = rs; }, failOnError);
+    assertEquals(1, revisions.length);
+    assertEquals("2", revisions[0].code);
+};
+
+
+var testUnchangedCodeIsNotKeptAgain = function() {
+    var actions = new plt.wescheme.LocalRevisionActions();
+    var pid, revisions;
+    actions.save({ title: "a", code: "1" }, function(newPid) { pid = newPid; }, failOnError);
+    actions.save({ pid: pid, title: "renamed", code: "1" }, function() {}, failOnError);
+    actions.listRevisions(pid, function(rs) { revisions = rs; }, failOnError);
+    assertEquals(1, revisions.length);
+};
+
+
+var testAutosavesAreThrottled = function() {
+    var actions = new plt.wescheme.LocalRevisionActions({ autosaveInterval: 1000 });
+    var pid, revisions;
+    actions.save({ title: "a", code: "1" }, function(newPid) { pid = newPid; }, failOnError);
+    actions.save({ pid: pid, code: "2", autosave: true }, function() {}, failOnError);
+    actions.listRevisions(pid, function(rs) { revisions = rs; }, failOnError);
+    assertEquals(1, revisions.length);
+
+    // Explicit saves aren't throttled...
+    actions.save({ pid: pid, code: "3" }, function() {}, failOnError);
+    // ...and autosaves go through once the newest revision is old enough.
+    actions.clock += 1000;
+    actions.save({ pid: pid, code: "4", autosave: true }, function() {}, failOnError);
+    actions.listRevisions(pid, function(rs) { revisions = rs; }, failOnError);
+    assertEquals(3, revisions.length);
+    assertEquals("4", revisions[0].code);
+    assertEquals("3", revisions[1].code);
+};
+
+
+var testOnlyTheNewestRevisionsAreKept = function() {
+    var actions = new plt.wescheme.LocalRevisionActions({ maxKept: 3 });
+    var pid, revisions;
+    var i;
+    actions.save({ title: "a", code: "0" }, function(newPid) { pid = newPid; }, failOnError);
+    for (i = 1; i < 10; i++) {
+        actions.save({ pid: pid, code: "" + i }, function() {}, failOnError);
+    }
+    actions.listRevisions(pid, function(rs) { revisions = rs; }, failOnError);
+    assertEquals(3, revisions.length);
+    assertEquals("9", revisions[0].code);
+    assertEquals("7", revisions[2].code);
+};
+
+
+var testUnknownProgramsFail = function() {
+    var actions = new plt.wescheme.LocalRevisionActions();
+    var failures = [];
+    actions.listRevisions(42, failOnError, function(err) { failures.push(err); });
+    actions.save({ pid: 42, code: "x" }, failOnError, function(err) { failures.push(err); });
+    assertEquals(2, failures.length);
+};
+
+
+
+plt.wescheme.tests.testRevisions = {
+    testEverySaveOfCodeKeepsARevision : testEverySaveOfCodeKeepsARevision,
+    testRevisionsAreKeptPerProgram : testRevisionsAreKeptPerProgram,
+    testUnchangedCodeIsNotKeptAgain : testUnchangedCodeIsNotKeptAgain,
+    testAutosavesAreThrottled : testAutosavesAreThrottled,
+    testOnlyTheNewestRevisionsAreKept : testOnlyTheNewestRevisionsAreKept,
+    testUnknownProgramsFail : testUnknownProgramsFail
+};
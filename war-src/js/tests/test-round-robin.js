@@ -0,0 +1,226 @@
+goog.require('goog.testing.jsunit');
+goog.require('goog.testing.MockClock');
+goog.require('plt.wescheme.RoundRobin');
+
+goog.provide('plt.wescheme.tests.testRoundRobin');
+
+
+var RoundRobin = plt.wescheme.RoundRobin;
+
+
+// A stand-in for easyXDM whose servers hold on to each request until
+// the test answers it.  fakeServers maps a url to its pending
+// requests.
+var fakeServers;
+var clock;
+
+
+// withFakeServers: (-> void) -> (-> void)
+// Wraps a test so that it runs against fake servers and a mock
+// clock, and leaves the round robin as it found it.
+var withFakeServers = function(test) {
+    return function() {
+        var realEasyXDM = window.easyXDM;
+        clock = new goog.testing.MockClock(true);
+        fakeServers = {};
+        window.easyXDM = {
+            Rpc: function(config) {
+                var requests = fakeServers[config.remote] = [];
+                this.compileProgram = function(programName, code, onDone, onDoneError) {
+                    requests.push({ name: programName,
+                                    code: code,
+                                    onDone: onDone,
+                                    onDoneError: onDoneError });
+                };
+            }
+        };
+        RoundRobin.reset();
+        RoundRobin.clearCache();
+        try {
+            test();
+        } finally {
+            RoundRobin.reset();
+            RoundRobin.clearCache();
+            window.easyXDM = realEasyXDM;
+            clock.uninstall();
+        }
+    };
+};
+
+
+// takeRequest: string (U string undefined) -> request
+// Removes and returns the most recent pending request to the server
+// at url, or the most recent one for the given program.
+var takeRequest = function(url, programName) {
+    var requests = fakeServers[url];
+    var i;
+    for (i = requests.length - 1; i >= 0; i--) {
+        if (programName === undefined || requests[i].name === programName) {
+            return requests.splice(i, 1)[0];
+        }
+    }
+    fail("no pending request to " + url);
+};
+
+var answer = function(url, programName) {
+    takeRequest(url, programName).onDone("bytecode");
+};
+
+var answerBusy = function(url, programName) {
+    takeRequest(url, programName).onDoneError({ status: 503, message: "busy" });
+};
+
+var answerUnreachable = function(url, programName) {
+    takeRequest(url, programName).onDoneError({ status: 0, message: "" });
+};
+
+
+var liveUrls = function() {
+    var urls = [];
+    var i;
+    for (i = 0; i < RoundRobin.liveServers.length; i++) {
+        urls.push(RoundRobin.liveServers[i].url);
+    }
+    return urls;
+};
+
+
+var initializeWith = function(urls) {
+    RoundRobin.initialize(urls, function() {}, function() {});
+};
+
+
+
+var testHealthMonitorDropsAndReadmitsServers = withFakeServers(function() {
+    initializeWith(["http://a", "http://b"]);
+    answer("http://a");
+    answer("http://b");
+    assertEquals(2, liveUrls().length);
+
+    // The next round of pings: a stops answering altogether.
+    clock.tick(30000);
+    assertEquals(1, fakeServers["http://a"].length);
+    answer("http://b");
+    clock.tick(10000);
+    assertArrayEquals(["http://b"], liveUrls());
+    assertFalse(RoundRobin.getServerStatus()[0].isAlive);
+
+    // a answers the round after that, and is readmitted.
+    clock.tick(20000);
+    answer("http://a");
+    answer("http://b");
+    assertEquals(2, liveUrls().length);
+    assertTrue(RoundRobin.getServerStatus()[0].isAlive);
+});
+
+
+var testBusyPingsBackOff = withFakeServers(function() {
+    initializeWith(["http://a"]);
+    answerBusy("http://a");
+    // Not asked again right away...
+    assertEquals(0, fakeServers["http://a"].length);
+    clock.tick(500);
+    assertEquals(1, fakeServers["http://a"].length);
+    // ...and the wait grows each time.
+    answerBusy("http://a");
+    clock.tick(500);
+    assertEquals(0, fakeServers["http://a"].length);
+    clock.tick(500);
+    assertEquals(1, fakeServers["http://a"].length);
+    answer("http://a");
+    assertArrayEquals(["http://a"], liveUrls());
+});
+
+
+var testBusyCompilesGiveUpEventually = withFakeServers(function() {
+    var errors = [];
+    initializeWith(["http://a"]);
+    answer("http://a");
+    RoundRobin.roundRobinCompiler("prog", "(+ 1 2)",
+                                  function() { fail("shouldn't compile"); },
+                                  function(err) { errors.push(err); });
+    var i;
+    for (i = 0; i < 10 && errors.length === 0; i++) {
+        answerBusy("http://a", "prog");
+        clock.tick(8000);
+    }
+    assertEquals(1, errors.length);
+    assertEquals('network', errors[0].kind);
+});
+
+
+var testUnreachableServersAreSkipped = withFakeServers(function() {
+    var results = [];
+    initializeWith(["http://a", "http://b"]);
+    answer("http://a");
+    answer("http://b");
+    RoundRobin.roundRobinCompiler("prog", "(+ 1 2)",
+                                  function(bytecode) { results.push(bytecode); },
+                                  function(err) { fail("shouldn't fail"); });
+    answerUnreachable("http://a", "prog");
+    answer("http://b", "prog");
+    assertArrayEquals(["bytecode"], results);
+    assertArrayEquals(["http://b"], liveUrls());
+    assertEquals("http://b", RoundRobin.getCurrentServerUrl());
+});
+
+
+var testCacheHitsAreReported = withFakeServers(function() {
+    initializeWith(["http://a"]);
+    answer("http://a");
+    RoundRobin.roundRobinCompiler("prog", "(+ 1 2)", function() {}, function() {});
+    answer("http://a", "prog");
+    assertFalse(RoundRobin.isLastCompileCached());
+
+    RoundRobin.roundRobinCompiler("prog", "(+ 1 2)", function() {}, function() {});
+    assertEquals(0, fakeServers["http://a"].length);
+    assertTrue(RoundRobin.isLastCompileCached());
+});
+
+
+var testEachUserHasTheirOwnCache = withFakeServers(function() {
+    // compile: -> boolean
+    // Compiles the same program again, and says whether that was a cache hit.
+    var compile = function() {
+        RoundRobin.roundRobinCompiler("prog", "(+ 1 2)", function() {}, function() {});
+        if (fakeServers["http://a"].length > 0) {
+            answer("http://a", "prog");
+            return false;
+        }
+        return true;
+    };
+    initializeWith(["http://a"]);
+    answer("http://a");
+    try {
+        RoundRobin.setUserName("alice");
+        assertFalse(compile());
+        assertTrue(compile());
+
+        RoundRobin.setUserName("bob");
+        assertFalse(compile());
+
+        // Alice's cache was kept in storage.
+        RoundRobin.setUserName("alice");
+        assertTrue(compile());
+
+        RoundRobin.forgetStoredCompilations();
+        RoundRobin.setUserName("alice");
+        assertFalse(compile());
+        RoundRobin.setUserName("bob");
+        assertFalse(compile());
+    } finally {
+        RoundRobin.forgetStoredCompilations();
+        RoundRobin.setUserName(null);
+    }
+});
+
+
+
+plt.wescheme.tests.testRoundRobin = {
+    testHealthMonitorDropsAndReadmitsServers : testHealthMonitorDropsAndReadmitsServers,
+    testBusyPingsBackOff : testBusyPingsBackOff,
+    testBusyCompilesGiveUpEventually : testBusyCompilesGiveUpEventually,
+    testUnreachableServersAreSkipped : testUnreachableServersAreSkipped,
+    testCacheHitsAreReported : testCacheHitsAreReported,
+    testEachUserHasTheirOwnCache : testEachUserHasTheirOwnCache
+};
@@ -0,0 +1,91 @@
+goog.require('goog.testing.jsunit');
+
+goog.provide('plt.wescheme.tests.testSounds');
+
+
+// withFakeAudio: (arrayof FakeAudio -> void) -> void
+// Runs the body with window.Audio replaced by a fake that records
+// what's done to it, and lets the test fire its events.
+var withFakeAudio = function(body) {
+    var clips = [];
+    var FakeAudio = function(src) {
+        this.src = src || "";
+        this.plays = 0;
+        this.isPaused = true;
+        this.listeners = {};
+        clips.push(this);
+    };
+    FakeAudio.prototype.addEventListener = function(name, f) { this.listeners[name] = f; };
+    FakeAudio.prototype.load = function() {};
+    FakeAudio.prototype.play = function() { this.plays++; this.isPaused = false; };
+    FakeAudio.prototype.pause = function() { this.isPaused = true; };
+    FakeAudio.prototype.fire = function(name) { this.listeners[name](); };
+
+    var realAudio = window.Audio;
+    window.Audio = FakeAudio;
+    try {
+        body(clips);
+    } finally {
+        window.Audio = realAudio;
+        world.Kernel.stopAllSounds();
+    }
+};
+
+
+var testSoundsLoadOnce = function() {
+    withFakeAudio(function(clips) {
+        var loaded = 0;
+        world.Kernel.loadSound("test-load-once.mp3", function() { loaded++; }, fail);
+        world.Kernel.loadSound("test-load-once.mp3", function() { loaded++; }, fail);
+        assertEquals(1, clips.length);
+        assertEquals(0, loaded);
+        clips[0].fire('canplaythrough');
+        assertEquals(2, loaded);
+
+        world.Kernel.loadSound("test-load-once.mp3", function() { loaded++; }, fail);
+        assertEquals(3, loaded);
+        assertEquals(1, clips.length);
+    });
+};
+
+
+var testSoundsThatFailCanBeRetried = function() {
+    withFakeAudio(function(clips) {
+        var error;
+        world.Kernel.loadSound("test-missing.mp3", fail, function(msg) { error = msg; });
+        clips[0].fire('error');
+        assertEquals("unable to load test-missing.mp3", error);
+
+        world.Kernel.loadSound("test-missing.mp3", function() {}, fail);
+        assertEquals(2, clips.length);
+    });
+};
+
+
+var testSoundEffectsPlayAndStop = function() {
+    withFakeAudio(function(clips) {
+        var effect = types.soundEffect("test-effect.mp3");
+        var isDone = false;
+        assertTrue(types.isEffect(effect));
+        effect.invokeEffect(function() { fail("shouldn't change the world"); },
+                            function() { isDone = true; });
+        assertTrue(isDone);
+        assertEquals(1, clips.length);
+        assertEquals(1, clips[0].plays);
+        assertFalse(clips[0].isPaused);
+
+        world.Kernel.stopSound("test-effect.mp3");
+        assertTrue(clips[0].isPaused);
+
+        assertArrayEquals([], world.Kernel.applyEffect(effect));
+        assertEquals(2, clips[0].plays);
+    });
+};
+
+
+
+plt.wescheme.tests.testSounds = {
+    testSoundsLoadOnce : testSoundsLoadOnce,
+    testSoundsThatFailCanBeRetried : testSoundsThatFailCanBeRetried,
+    testSoundEffectsPlayAndStop : testSoundEffectsPlayAndStop
+};
@@ -0,0 +1,158 @@
+goog.require('goog.testing.jsunit');
+
+goog.provide('plt.wescheme.tests.testTestReport');
+
+
+// runTest: Evaluator string any ... -> void
+// Calls the test primitive directly on the evaluator's state.
+var runTest = function(evaluator, name) {
+    var args = [evaluator.aState].concat([].slice.call(arguments, 2));
+    primitive.getPrimitive(name).impl.apply(null, args);
+};
+
+
+var testResultsAreRecorded = function() {
+    var evaluator = new Evaluator({});
+    var report = evaluator.beginTestReport();
+    assertTrue(report.isEmpty());
+
+    runTest(evaluator, 'check-expect', 1, 1);
+    runTest(evaluator, 'check-expect', 1, 2);
+    runTest(evaluator, 'EXAMPLE', "a", "a");
+    runTest(evaluator, 'check-within', 1, 1.05, 0.1);
+    runTest(evaluator, 'check-within', 1, 2, 0.1);
+
+    assertEquals(5, report.getCount());
+    assertEquals(3, report.getPassedCount());
+    assertEquals("3 of 5 tests passed.", report.getSummary());
+
+    var failures = report.getFailures();
+    assertEquals(2, failures.length);
+    assertEquals('check-expect', failures[0].name);
+    assertEquals(1, failures[0].actual);
+    assertEquals(2, failures[0].expected);
+    assertEquals('check-within', failures[1].name);
+    assertEquals(0.1, failures[1].range);
+    assertEquals("check-within: actual value 1 is not within 0.1 of expected value 2.",
+                 failures[1].message);
+};
+
+
+var testEndTestReportStopsRecording = function() {
+    var evaluator = new Evaluator({});
+    var printed = [];
+    evaluator.aState.setDisplayHook(function(s) { printed.push(s); });
+    var report = evaluator.beginTestReport();
+    runTest(evaluator, 'check-expect', 1, 2);
+    evaluator.endTestReport();
+    runTest(evaluator, 'check-expect', 1, 2);
+
+    assertEquals(1, report.getCount());
+    // Without a report, the failure is printed as before.
+    assertEquals(1, printed.length);
+};
+
+
+var testEachReportIsFresh = function() {
+    var evaluator = new Evaluator({});
+    var first = evaluator.beginTestReport();
+    runTest(evaluator, 'check-expect', 1, 1);
+    var second = evaluator.beginTestReport();
+    runTest(evaluator, 'check-expect', 1, 1);
+    assertEquals(1, first.getCount());
+    assertEquals(1, second.getCount());
+    assertEquals("1 of 1 test passed.", second.getSummary());
+};
+
+
+var testRangeAndMemberOf = function() {
+    var evaluator = new Evaluator({});
+    var report = evaluator.beginTestReport();
+    runTest(evaluator, 'check-range', 3, 1, 3);
+    runTest(evaluator, 'check-range', 4, 1, 3);
+    runTest(evaluator, 'check-member-of', "b", "a", ["b"]);
+    runTest(evaluator, 'check-member-of', "c", "a", ["b"]);
+
+    assertEquals("2 of 4 tests passed.", report.getSummary());
+    var failures = report.getFailures();
+    assertEquals("check-range: actual value 4 is not between 1 and 3, inclusive.",
+                 failures[0].message);
+    assertEquals('check-member-of', failures[1].name);
+    assertEquals(2, failures[1].candidates.length);
+};
+
+
+var testCheckErrorWithoutAnError = function() {
+    var evaluator = new Evaluator({});
+    var report = evaluator.beginTestReport();
+    // A value that isn't a caught error means the expression didn't raise.
+    runTest(evaluator, 'check-error', 7, ["/: cannot divide by zero"]);
+
+    assertEquals(1, report.getFailures().length);
+    assertEquals("check-error: expected the error \"/: cannot divide by zero\", " +
+                 "but received the value 7.",
+                 report.getFailures()[0].message);
+};
+
+
+// Bytecode for (check-error (/ 1 0) message), in the shape the
+// compiler produces.  The compiler refers to check-error either as a
+// primval or, through the prefix, as a module variable.
+var makeCheckErrorProgram = function(viaToplevel, message) {
+    var constant = function(v) { return { "$": "constant", "value": v }; };
+    var divideByZero = { "$": "application",
+                         "rator": { "$": "primval", "value": "/" },
+                         "rands": [constant(1), constant(0)] };
+    return { "$": "compilation-top",
+             "max-let-depth": 0,
+             "prefix": { "num-lifts": 0,
+                         "toplevels": (viaToplevel ?
+                                       [{ "$": "module-variable",
+                                          "sym": types.symbol("check-error"),
+                                          "modidx": { "$": "module-path",
+                                                      "path": "moby/kernel" },
+                                          "pos": 0,
+                                          "phase": 0 }] :
+                                       []) },
+             "code": { "$": "application",
+                       "rator": (viaToplevel ?
+                                 { "$": "toplevel", "depth": 2, "pos": 0 } :
+                                 { "$": "primval", "value": "check-error" }),
+                       "rands": [divideByZero, constant(message)] },
+             "compiled-indirects": [] };
+};
+
+
+var testCheckErrorCatchesTheError = function() {
+    var evaluator = new Evaluator({});
+    var report = evaluator.beginTestReport();
+    var finished = 0;
+    var i;
+    for (i = 0; i < 2; i++) {
+        evaluator.executeCompiledProgram(
+            makeCheckErrorProgram(i === 1, "/: cannot divide by zero"),
+            function() { finished++; },
+            function(e) { fail("the error should have been caught: " + e); });
+    }
+    evaluator.executeCompiledProgram(
+        makeCheckErrorProgram(true, "something else"),
+        function() { finished++; },
+        function(e) { fail("the error should have been caught: " + e); });
+
+    assertEquals(3, finished);
+    assertEquals("2 of 3 tests passed.", report.getSummary());
+    assertEquals("check-error: expected the error \"something else\", " +
+                 "but got \"/: cannot divide by zero\" instead.",
+                 report.getFailures()[0].message);
+};
+
+
+
+plt.wescheme.tests.testTestReport = {
+    testResultsAreRecorded : testResultsAreRecorded,
+    testEndTestReportStopsRecording : testEndTestReportStopsRecording,
+    testEachReportIsFresh : testEachReportIsFresh,
+    testRangeAndMemberOf : testRangeAndMemberOf,
+    testCheckErrorWithoutAnError : testCheckErrorWithoutAnError,
+    testCheckErrorCatchesTheError : testCheckErrorCatchesTheError
+};
@@ -0,0 +1,70 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.TextOperation');
+
+goog.provide('plt.wescheme.tests.testTextOperation');
+
+
+var TextOperation = plt.wescheme.TextOperation;
+
+
+var testFromDiffReplacesTheChangedSpan = function() {
+    var op = TextOperation.fromDiff("(define x 1)", "(define xy 12)");
+    assertArrayEquals([9, "y 12", -2, 1], op.toJSON());
+    assertEquals("(define xy 12)", op.apply("(define x 1)"));
+    assertTrue(TextOperation.fromDiff("same", "same").isNoop());
+    assertArrayEquals([2, "b", -1], TextOperation.fromDiff("aaa", "aab").toJSON());
+};
+
+
+var testComposeDoesBothInTurn = function() {
+    var text = "(+ 1 2)";
+    var a = TextOperation.fromDiff(text, "(+ 1 2 3)");
+    var b = TextOperation.fromDiff("(+ 1 2 3)", "(* 1 2 3)");
+    assertEquals("(* 1 2 3)", a.compose(b).apply(text));
+    assertThrows(function() { a.compose(a); });
+};
+
+
+var testConcurrentOperationsConverge = function() {
+    var text = "(circle 10 \"solid\" \"red\")";
+    var edits = [["(circle 20 \"solid\" \"red\")", "(circle 10 \"outline\" \"red\")"],
+                 ["(circle 10 \"solid\" \"blue\")", "(circle 10 \"solid\" \"green\")"],
+                 ["", "(circle 10 \"solid\" \"red\")\n(square 5)"],
+                 ["(circle 1\"red\")", "(circle 10 \"solid)"]];
+    var i, a, b, pair;
+    for (i = 0; i < edits.length; i++) {
+        a = TextOperation.fromDiff(text, edits[i][0]);
+        b = TextOperation.fromDiff(text, edits[i][1]);
+        pair = TextOperation.transform(a, b);
+        assertEquals(pair[1].apply(a.apply(text)), pair[0].apply(b.apply(text)));
+    }
+};
+
+
+var testInsertsAtTheSamePlaceKeepTheFirstOperationFirst = function() {
+    var a = new TextOperation().retain(1).insert("a").retain(1);
+    var b = new TextOperation().retain(1).insert("b").retain(1);
+    var pair = TextOperation.transform(a, b);
+    assertEquals("xaby", pair[1].apply(a.apply("xy")));
+    assertEquals("xaby", pair[0].apply(b.apply("xy")));
+};
+
+
+var testPositionsFollowTheText = function() {
+    var op = TextOperation.fromDiff("abcdef", "abXYdef");
+    assertEquals(1, op.transformPosition(1));
+    assertEquals(4, op.transformPosition(2));
+    assertEquals(4, op.transformPosition(3));
+    assertEquals(5, op.transformPosition(4));
+    assertArrayEquals([{ offset: 2, span: 1, text: "XY" }], op.toEdits());
+};
+
+
+
+plt.wescheme.tests.testTextOperation = {
+    testFromDiffReplacesTheChangedSpan : testFromDiffReplacesTheChangedSpan,
+    testComposeDoesBothInTurn : testComposeDoesBothInTurn,
+    testConcurrentOperationsConverge : testConcurrentOperationsConverge,
+    testInsertsAtTheSamePlaceKeepTheFirstOperationFirst : testInsertsAtTheSamePlaceKeepTheFirstOperationFirst,
+    testPositionsFollowTheText : testPositionsFollowTheText
+};
@@ -0,0 +1,169 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.tests.doubles');
+
+goog.provide('plt.wescheme.tests.testUniverse');
+
+
+var jsCaller = plt.wescheme.tests.doubles.jsCaller;
+var withFakeBroadcastChannels = plt.wescheme.tests.doubles.withFakeBroadcastChannels;
+
+
+// TurnUmpire: (arrayof string) -> umpire
+// Only lets the players take turns sending "x" and "o", and ends the
+// game after three moves.
+var TurnUmpire = function(moves) { this.moves = moves; };
+TurnUmpire.prototype = {
+    getMoves: function() { return this.moves; },
+    isGameOver: function() { return this.moves.length >= 3; },
+    whoWins: function() { return false; },
+    whoseTurn: function() { return this.moves.length % 2 === 0 ? "x" : "o"; },
+    isLegalNextMove: function(move) {
+        return move === world.universe.encodeSexp(this.whoseTurn());
+    },
+    consume: function(move) { return new TurnUmpire(this.moves.concat([move])); }
+};
+
+
+var testMailboxKeepsMessagesUntilPulled = function() {
+    var mailbox = new world.universe.Mailbox();
+    assertFalse(mailbox.hasMessagesPending("bob"));
+    mailbox.pushMessage(new world.universe.Message("alice", "bob", "hello"));
+    mailbox.pushMessage(new world.universe.Message("alice", "bob", "again"));
+    assertTrue(mailbox.hasMessagesPending("bob"));
+    assertFalse(mailbox.hasMessagesPending("alice"));
+
+    var msgs = mailbox.pullMessages("bob");
+    assertEquals(2, msgs.length);
+    assertEquals("hello", msgs[0].message);
+    assertEquals("alice", msgs[1].sender);
+    assertFalse(mailbox.hasMessagesPending("bob"));
+    assertEquals(0, mailbox.pullMessages("bob").length);
+};
+
+
+var testSexpsSurviveTheTrip = function() {
+    var sexp = types.list([types.symbol("move"), 3, jsnums.makeFloat(0.5), "x", true,
+                           types.list([types['char']("a"), types.EMPTY])]);
+    var trip = world.universe.decodeSexp(world.universe.encodeSexp(sexp));
+    assertEquals(types.toWrittenString(sexp), types.toWrittenString(trip));
+    assertTrue(types.isSymbol(trip.first()));
+
+    assertTrue(world.universe.isSexp(sexp));
+    assertFalse(world.universe.isSexp(types.vector([1, 2])));
+    assertFalse(world.universe.isSexp(types.cons(1, 2)));
+};
+
+
+var testPlayersGetEachOthersMessages = withFakeBroadcastChannels(function(clock) {
+    var universe = world.universe.getUniverse("test-players");
+    var received = { a: [], b: [] };
+    var a = universe.register(function(msg, sender) { received.a.push([msg, sender]); });
+    var b = universe.register(function(msg, sender) { received.b.push([msg, sender]); });
+    // Nobody else answers, so this page becomes the umpire.
+    clock.tick(1000);
+    try {
+        assertTrue(a.send(types.symbol("ping")));
+        assertTrue(b.send(types.list([1, 2])));
+        universe.deliver();
+
+        assertEquals(1, received.a.length);
+        assertEquals(types.toWrittenString(types.list([1, 2])),
+                     types.toWrittenString(received.a[0][0]));
+        assertEquals(b.name, received.a[0][1]);
+        assertEquals(1, received.b.length);
+        assertEquals("ping", received.b[0][0].toString());
+        assertEquals(2, universe.getUmpire().getMoves().length);
+    } finally {
+        a.unregister();
+        b.unregister();
+    }
+});
+
+
+var testTheUmpireJudgesEachMove = withFakeBroadcastChannels(function(clock) {
+    var universe = world.universe.getUniverse("test-umpire", new TurnUmpire([]));
+    var received = [];
+    var a = universe.register(function() {});
+    var b = universe.register(function(msg) { received.push(msg); });
+    clock.tick(1000);
+    try {
+        assertFalse(a.send("o"));
+        assertTrue(a.send("x"));
+        assertTrue(a.send("o"));
+        assertTrue(a.send("x"));
+        assertFalse(a.send("o"));
+        universe.deliver();
+        assertArrayEquals(["x", "o", "x"], received);
+    } finally {
+        a.unregister();
+        b.unregister();
+    }
+});
+
+
+var testTabsFollowOneUmpire = withFakeBroadcastChannels(function(clock) {
+    // Two tabs, each with a player, in the same universe.
+    var tabs = [new world.universe.Universe("test-tabs", new TurnUmpire([])),
+                new world.universe.Universe("test-tabs", new TurnUmpire([]))];
+    var received = [[], []];
+    var players = [tabs[0].register(function(msg) { received[0].push(msg); }),
+                   tabs[1].register(function(msg) { received[1].push(msg); })];
+    clock.tick(1000);
+    var umpire = (tabs[0].isUmpire ? 0 : 1);
+    var other = 1 - umpire;
+    try {
+        assertTrue(tabs[umpire].isUmpire);
+        assertFalse(tabs[other].isUmpire);
+
+        // Both players make the first move at once.  Only the one that
+        // reaches the umpire first counts, in both tabs.
+        assertTrue(players[other].send("x"));
+        assertTrue(players[umpire].send("x"));
+        clock.tick(1000);
+        assertEquals(1, tabs[0].getUmpire().getMoves().length);
+        assertArrayEquals(tabs[0].getUmpire().getMoves(), tabs[1].getUmpire().getMoves());
+        assertEquals(1, received[0].length + received[1].length);
+
+        // When the umpire's tab leaves, the other takes over where it was.
+        players[umpire].unregister();
+        clock.tick(1000);
+        assertTrue(tabs[other].isUmpire);
+        assertFalse(players[other].send("x"));
+        assertTrue(players[other].send("o"));
+        assertEquals(2, tabs[other].getUmpire().getMoves().length);
+    } finally {
+        players[0].unregister();
+        players[1].unregister();
+    }
+});
+
+
+var testPackagesAndReceivesInHeadlessWorlds = function() {
+    var runs = [];
+    var handlers = [function(config) {
+        return config.updateAll({
+            onKey: function(w, key) {
+                return jsworld.Jsworld.with_effect(w + 1, types.messageEffect(key));
+            },
+            onReceive: function(w, msg) { return w * 10; }
+        });
+    }];
+    jsworld.MobyJsworld.runHeadless(
+        1, handlers,
+        [{ type: 'key', args: ["up"] }, { type: 'receive', args: ["hi"] }],
+        jsCaller,
+        function(run) { runs.push(run); },
+        function(w) {});
+    assertArrayEquals([1, 2, 20], runs[0].worlds);
+};
+
+
+
+plt.wescheme.tests.testUniverse = {
+    testMailboxKeepsMessagesUntilPulled : testMailboxKeepsMessagesUntilPulled,
+    testSexpsSurviveTheTrip : testSexpsSurviveTheTrip,
+    testPlayersGetEachOthersMessages : testPlayersGetEachOthersMessages,
+    testTheUmpireJudgesEachMove : testTheUmpireJudgesEachMove,
+    testTabsFollowOneUmpire : testTabsFollowOneUmpire,
+    testPackagesAndReceivesInHeadlessWorlds : testPackagesAndReceivesInHeadlessWorlds
+};
@@ -0,0 +1,120 @@
+goog.require('goog.testing.jsunit');
+
+goog.provide('plt.wescheme.tests.testWorldClock');
+
+
+var makeCountingTicker = function(counter) {
+    var ticker = jsworld.Jsworld.on_tick(1000, function(w, k) {
+        counter.ticks++;
+        k(w);
+    })();
+    ticker.onRegister(null);
+    return ticker;
+};
+
+
+var testPausedWorldStepsOneTickAtATime = function() {
+    var counter = { ticks: 0 };
+    world.Kernel.pauseWorld();
+    var ticker = makeCountingTicker(counter);
+    try {
+        assertTrue(world.Kernel.isWorldPaused());
+        assertEquals(0, counter.ticks);
+        world.Kernel.stepWorld();
+        assertEquals(1, counter.ticks);
+        world.Kernel.stepWorld();
+        assertEquals(2, counter.ticks);
+    } finally {
+        ticker.onUnregister(null);
+        world.Kernel.resumeWorld();
+    }
+    assertFalse(world.Kernel.isWorldPaused());
+};
+
+
+var testStepDoesNothingWhileRunning = function() {
+    var counter = { ticks: 0 };
+    var ticker = makeCountingTicker(counter);
+    try {
+        world.Kernel.stepWorld();
+        assertEquals(0, counter.ticks);
+    } finally {
+        ticker.onUnregister(null);
+    }
+};
+
+
+// fire: element string -> void
+var fire = function(node, eventName) {
+    var e = document.createEvent('HTMLEvents');
+    e.initEvent(eventName, true, true);
+    node.dispatchEvent(e);
+};
+
+
+var testTapsAreHeldOffWhilePaused = function() {
+    var counter = { taps: 0 };
+    var node = document.createElement('div');
+    var handler = jsworld.Jsworld.on_tap(function(w, e, k) {
+        counter.taps++;
+        k(w);
+    })();
+    handler.onRegister(node);
+    world.Kernel.pauseWorld();
+    try {
+        fire(node, 'mousedown');
+        fire(node, 'touchstart');
+        assertEquals(0, counter.taps);
+        world.Kernel.resumeWorld();
+        fire(node, 'mousedown');
+        assertEquals(1, counter.taps);
+    } finally {
+        handler.onUnregister(node);
+        world.Kernel.resumeWorld();
+    }
+};
+
+
+var testWidgetClicksAreHeldOffWhilePaused = function() {
+    var counter = { clicks: 0, mouseDowns: 0 };
+    var button = jsworld.Jsworld.button(function(w, e, k) {
+        counter.clicks++;
+        k(w);
+    }, {});
+    var node = jsworld.Jsworld.div({ mousedown: function(w, e, k) {
+        counter.mouseDowns++;
+        k(w);
+    } });
+    world.Kernel.pauseWorld();
+    try {
+        fire(button, 'click');
+        fire(node, 'mousedown');
+        assertEquals(0, counter.clicks);
+        assertEquals(0, counter.mouseDowns);
+        world.Kernel.resumeWorld();
+        fire(button, 'click');
+        fire(node, 'mousedown');
+        assertEquals(1, counter.clicks);
+        assertEquals(1, counter.mouseDowns);
+    } finally {
+        world.Kernel.resumeWorld();
+    }
+};
+
+
+var testWorldSpeed = function() {
+    assertEquals(1, world.Kernel.getWorldSpeed());
+    world.Kernel.setWorldSpeed(0.25);
+    assertEquals(0.25, world.Kernel.getWorldSpeed());
+    world.Kernel.setWorldSpeed(1);
+};
+
+
+
+plt.wescheme.tests.testWorldClock = {
+    testPausedWorldStepsOneTickAtATime : testPausedWorldStepsOneTickAtATime,
+    testStepDoesNothingWhileRunning : testStepDoesNothingWhileRunning,
+    testTapsAreHeldOffWhilePaused : testTapsAreHeldOffWhilePaused,
+    testWidgetClicksAreHeldOffWhilePaused : testWidgetClicksAreHeldOffWhilePaused,
+    testWorldSpeed : testWorldSpeed
+};
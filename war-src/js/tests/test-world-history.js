@@ -0,0 +1,55 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.WorldHistory');
+
+goog.provide('plt.wescheme.tests.testWorldHistory');
+
+
+var testHistoryStartsOverWithEachBigBang = function() {
+    var history = new plt.wescheme.WorldHistory();
+    var changes = 0;
+    history.addChangeListener(function() { changes++; });
+
+    history.add(0, { type: 'initial', args: [] }, false);
+    history.add(1, { type: 'tick', args: [] }, false);
+    history.add(2, { type: 'key', args: ["left"] }, false);
+    assertEquals(3, history.getLength());
+    assertEquals(2, history.get(2).world);
+    assertEquals('key', history.get(2).event.type);
+
+    history.add(10, { type: 'initial', args: [] }, false);
+    assertEquals(1, history.getLength());
+    assertEquals(10, history.get(0).world);
+    assertEquals(4, changes);
+};
+
+
+var testHistoryForgetsTheOldestWorlds = function() {
+    var history = new plt.wescheme.WorldHistory(3);
+    var i;
+    history.add(0, { type: 'initial', args: [] }, false);
+    for (i = 1; i < 5; i++) {
+        history.add(i, { type: 'tick', args: [] }, false);
+    }
+    assertEquals(3, history.getLength());
+    assertEquals(2, history.get(0).world);
+    assertEquals(4, history.get(2).world);
+};
+
+
+var testDescribeEvent = function() {
+    var describe = plt.wescheme.WorldHistory.describeEvent;
+    assertEquals("the initial world", describe({ type: 'initial', args: [] }));
+    assertEquals("a tick", describe({ type: 'tick', args: [] }));
+    assertEquals('the "left" key', describe({ type: 'key', args: ["left"] }));
+    assertEquals("a tap at (10, 20)", describe({ type: 'tap', args: [10, 20] }));
+    assertEquals("a location-change event (1.5, 2)",
+                 describe({ type: 'location-change', args: [1.5, 2] }));
+};
+
+
+
+plt.wescheme.tests.testWorldHistory = {
+    testHistoryStartsOverWithEachBigBang : testHistoryStartsOverWithEachBigBang,
+    testHistoryForgetsTheOldestWorlds : testHistoryForgetsTheOldestWorlds,
+    testDescribeEvent : testDescribeEvent
+};
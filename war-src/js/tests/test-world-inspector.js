@@ -0,0 +1,66 @@
+goog.require('goog.testing.jsunit');
+goog.require('plt.wescheme.WorldInspectorPanel');
+
+goog.provide('plt.wescheme.tests.testWorldInspector');
+
+
+var testDescribeStructsByFieldName = function() {
+    var describe = plt.wescheme.WorldInspectorPanel.describe;
+    var node = describe(types.posn(3, 4));
+    assertEquals('posn', node.label);
+    assertEquals(2, node.children.length);
+    assertEquals('x', node.children[0].name);
+    assertEquals('3', node.children[0].node.label);
+    assertEquals('y', node.children[1].name);
+    assertFalse(node.children[1].node.children);
+};
+
+
+var testDescribeSubstructFields = function() {
+    var describe = plt.wescheme.WorldInspectorPanel.describe;
+    var animal = types.makeStructureType('animal', false, 1, 0, false, false);
+    var dog = types.makeStructureType('dog', animal, 1, 0, false, false);
+    animal.fieldNames = ['name'];
+    var node = describe(dog.constructor("rex", 7));
+    assertEquals('dog', node.label);
+    assertEquals('name', node.children[0].name);
+    // dog's own field was never named.
+    assertEquals('field 1', node.children[1].name);
+    assertEquals('7', node.children[1].node.label);
+};
+
+
+var testDescribeListsAndVectors = function() {
+    var describe = plt.wescheme.WorldInspectorPanel.describe;
+    var node = describe(types.list([1, types.list([2, 3])]));
+    assertEquals('list (2)', node.label);
+    assertEquals('0', node.children[0].name);
+    assertEquals('list (2)', node.children[1].node.label);
+    assertEquals('3', node.children[1].node.children[1].node.label);
+
+    node = describe(types.vector([types.posn(1, 2)]));
+    assertEquals('vector (1)', node.label);
+    assertEquals('posn', node.children[0].node.label);
+
+    assertEquals('empty', describe(types.EMPTY).label);
+};
+
+
+var testDescribeElidesLongLists = function() {
+    var describe = plt.wescheme.WorldInspectorPanel.describe;
+    var elts = [];
+    var i;
+    for (i = 0; i < 250; i++) { elts.push(i); }
+    var node = describe(types.list(elts));
+    assertEquals(100, node.children.length);
+    assertEquals(150, node.elided);
+};
+
+
+
+plt.wescheme.tests.testWorldInspector = {
+    testDescribeStructsByFieldName : testDescribeStructsByFieldName,
+    testDescribeSubstructFields : testDescribeSubstructFields,
+    testDescribeListsAndVectors : testDescribeListsAndVectors,
+    testDescribeElidesLongLists : testDescribeElidesLongLists
+};
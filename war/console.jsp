@@ -29,6 +29,10 @@
 <jsp:include page="/js/compat/compat.jsp"/>
 
 
+    <!-- dynamic script loading, for the runtime the classroom dashboard grades with -->
+    <script src="/js/loadScript-min.js" type="text/javascript"></script>
+
+
     <!-- JQuery -->
     <script src="/js/jquery/jquery-1.3.2-min.js" type="text/javascript"></script>
     <script src="/js/jquery/jquery-ui-1.7.3.custom.min.js" type="text/javascript"></script>
@@ -67,6 +71,10 @@
 		  </a>
 		</li>
 
+		<li class="classes">
+		  <a id="toggleClasses">My classes</a>
+		</li>
+
 		<li class="logout">
 			<form id="logoutForm" method="POST" action="/logout">
 			<input name="logout" value="Logout" type="submit">
@@ -82,6 +90,10 @@
 The program list is being loaded.  Please wait.
 </div>	
 
+<div id="classroomDashboard" style="display: none">
+The list of classes is being loaded.  Please wait.
+</div>
+
 
 </body>
 </html>
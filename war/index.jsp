@@ -52,6 +52,7 @@ var onLogin = function() {
 
 var onLogout = function() {
     if(confirm("You will be logged out of WeScheme and other Google services.")) {
+       plt.wescheme.RoundRobin.forgetStoredCompilations();
        window.location='/logout';
     }
 };
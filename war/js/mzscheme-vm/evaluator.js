@@ -34,6 +34,33 @@
 //
 // Evaluator.prototype.getStackTraceFromExn
 //
+//
+// Evaluator.prototype.getErrorReportFromExn: exn -> Evaluator.ErrorReport
+//
+// Describes any error, compile-time or run-time, as an ErrorReport
+// with a kind, a message, source locations and an optional
+// suggestion.  Compilation failures are already delivered to onDoneError
+// as ErrorReports.
+//
+//
+// Evaluator.prototype.beginTestReport: -> Evaluator.TestReport
+//
+// Starts recording the results of check-expect and friends into a
+// fresh TestReport, until endTestReport is called.
+//
+//
+// Evaluator.prototype.beginCoverageReport: -> Evaluator.CoverageReport
+//
+// Starts recording which source locations get evaluated, until
+// endCoverageReport is called.
+//
+//
+// Evaluator.prototype.beginHeadlessWorlds: (arrayof event) -> Evaluator.HeadlessWorldReport
+//
+// Runs every big-bang from here on headlessly, driven by the given
+// trace of events instead of timers and input, until
+// endHeadlessWorlds is called.
+//
 // 
 
 
@@ -135,6 +162,76 @@ var Evaluator = (function() {
         this.dynamicModuleLoader = loader;
     };
 
+    // setDebugHook: (U (state vector -> void) false) -> void
+    // Installs a hook that's called whenever evaluation enters a
+    // source location; see State.prototype.setDebugHook.
+    Evaluator.prototype.setDebugHook = function(hook) {
+	this.aState.setDebugHook(hook);
+    };
+
+
+    // beginTestReport: -> TestReport
+    // Collects the results of the tests run from here on, instead of
+    // printing out their failures as they happen.
+    Evaluator.prototype.beginTestReport = function() {
+	var report = new TestReport();
+	this.aState.setTestHook(function(result) {
+	    report.add(result);
+	});
+	return report;
+    };
+
+    // endTestReport: -> void
+    Evaluator.prototype.endTestReport = function() {
+	this.aState.setTestHook(false);
+    };
+
+
+    // beginCoverageReport: -> CoverageReport
+    // Records the locations in the programs run from here on, and
+    // which of them get evaluated.
+    Evaluator.prototype.beginCoverageReport = function() {
+	var report = new CoverageReport();
+	this.coverageReport = report;
+	this.aState.setCoverageHook(function(locVector) {
+	    report.cover(locVector);
+	});
+	return report;
+    };
+
+    // endCoverageReport: -> void
+    Evaluator.prototype.endCoverageReport = function() {
+	this.coverageReport = undefined;
+	this.aState.setCoverageHook(false);
+    };
+
+
+    // beginHeadlessWorlds: (arrayof event) -> HeadlessWorldReport
+    // Runs each big-bang from here on without the page, feeding it the
+    // events of the trace; see jsworld.MobyJsworld.runHeadless.
+    Evaluator.prototype.beginHeadlessWorlds = function(trace) {
+	var report = new HeadlessWorldReport();
+	this.aState.setWorldDriverHook(function(initW, handlers, caller, restarter) {
+	    jsworld.MobyJsworld.runHeadless(initW, handlers, trace, caller,
+					    function(run) { report.add(run); },
+					    restarter);
+	});
+	return report;
+    };
+
+    // endHeadlessWorlds: -> void
+    Evaluator.prototype.endHeadlessWorlds = function() {
+	this.aState.setWorldDriverHook(false);
+    };
+
+
+    // setPrimitiveFilter: (U (string -> boolean) false) -> void
+    // From here on, programs that refer to a primitive whose name the
+    // filter refuses stop with an error.  false allows them all again.
+    Evaluator.prototype.setPrimitiveFilter = function(isAllowed) {
+	this.aState.setPrimitiveFilterHook(isAllowed);
+    };
+
 
     // Toplevel nodes are constructed for world programs.
     Evaluator.prototype.makeToplevelNode = function() {
@@ -192,9 +289,21 @@ var Evaluator = (function() {
 		                that._onCompilationSuccess((0,eval)('(' + result.bytecode + ')'), 
 					                   onDone, onDoneError);
                             },
-                            function(responseErrorText) {
-		                that._onCompilationFailure(JSON.parse(responseErrorText || '""'),
-					                   onDoneError);
+                            function(responseError) {
+                                // A compiler may hand us an ErrorReport
+                                // directly (say, when the network is down);
+                                // otherwise we've got the server's JSON text.
+                                if (isErrorReport(responseError)) {
+                                    onDoneError(responseError);
+                                    return;
+                                }
+                                var errorValue;
+                                try {
+                                    errorValue = JSON.parse(responseError || '""');
+                                } catch (e) {
+                                    errorValue = responseError + '';
+                                }
+		                that._onCompilationFailure(errorValue, onDoneError);
                             })
     };
 
@@ -208,7 +317,7 @@ var Evaluator = (function() {
 
 
     // The default value for it is:
-    // compileProgram: string string (string -> any) (string -> any) -> void
+    // compileProgram: string string (string -> any) ((U string ErrorReport) -> any) -> void
     // Runs the compiler on the given program.
     Evaluator.prototype.compileProgram = function(programName, code, onDone, onDoneError) {
 	var that = this;
@@ -237,6 +346,9 @@ var Evaluator = (function() {
     Evaluator.prototype.executeCompiledProgram = function(compiledBytecode,
 							  onDoneSuccess, onDoneFail) {
 	this.aState.clearForEval();
+	if (this.coverageReport) {
+	    this.coverageReport.addCode(compiledBytecode);
+	}
 	try {
 	    interpret.load(compiledBytecode, this.aState);
 	} catch(e) {
@@ -335,6 +447,42 @@ var Evaluator = (function() {
     };
 
 
+    // getErrorReportFromExn: exn -> ErrorReport
+    // Describes the exception as an ErrorReport.  Compilation failures
+    // already are ErrorReports; run-time errors are classified by
+    // their exception type and message, and take the stack trace as
+    // their locations.
+    Evaluator.prototype.getErrorReportFromExn = function(exn) {
+	if (isErrorReport(exn)) {
+	    return exn;
+	}
+	var msg = this.getMessageFromExn(exn);
+	var attrs = { exn: exn,
+		      locations: this.getTraceFromExn(exn) };
+	if (types.isMessage(msg)) {
+	    attrs.structuredMessage = msg;
+	    attrs.message = msg.toString();
+	} else if (msg && msg.nodeType) {
+	    attrs.domMessage = msg;
+	    attrs.message = msg.textContent || msg.innerText || '';
+	} else {
+	    attrs.message = msg + '';
+	}
+
+	if (types.isSchemeError(exn) && types.isExnBreak(exn.val)) {
+	    attrs.kind = 'break';
+	} else if (types.isSchemeError(exn) || types.isInternalError(exn)) {
+	    attrs.kind = classifyMessage(attrs.message,
+					 (types.isSchemeError(exn) &&
+					  types.isExnFailContract(exn.val)) ?
+					 'contract' : 'runtime');
+	} else {
+	    attrs.kind = classifyMessage(attrs.message, 'unknown');
+	}
+	return new ErrorReport(attrs);
+    };
+
+
 
     Evaluator.prototype._onCompilationSuccess = function(compiledBytecode,
 							 onDoneSuccess,
@@ -362,32 +510,369 @@ var Evaluator = (function() {
     //   position: number,
     //   span: number
     // }
-
+    //
+    // or a structure of the form { type: "moby-failure",
+    //                              dom-message: dom-sexpr,
+    //                              structured-error: (U string undefined) }
+    //
+    // where the structured-error is the JSON text of
+    // { message: arrayof (U string ColoredPart GradientPart MultiPart),
+    //   location: loc }
+    //
+    // Whatever the shape, onDoneError receives an ErrorReport.
     Evaluator.prototype._onCompilationFailure = function(errorValue, onDoneError) {
-	if (typeof(errorValue) === 'string') {
-	    onDoneError(new Error(errorValue));
-	} else if (typeof(errorValue) === 'object') {
+	if (typeof(errorValue) === 'object' && errorValue !== null) {
 	    onDoneError(this._convertErrorValue(errorValue));
 	} else {
-	    onDoneError(new Error(errorValue));
+	    onDoneError(new ErrorReport({ kind: classifyMessage(errorValue + '', 'unknown'),
+					  message: errorValue + '' }));
 	}
     };
 
 
     Evaluator.prototype._convertErrorValue = function(errorValue) {
+	var i, locations, domMessage, structuredError, structuredMessage, kind;
 	if (errorValue.type && errorValue.type === 'exn:fail:read') {
-	    return new Error(errorValue.message);
+	    locations = [];
+	    for (i = 0; i < (errorValue.srclocs || []).length; i++) {
+		locations.push(normalizeLocation(
+		    { id: errorValue.srclocs[i].source,
+		      offset: errorValue.srclocs[i].position,
+		      line: errorValue.srclocs[i].line,
+		      column: errorValue.srclocs[i].column,
+		      span: errorValue.srclocs[i].span }));
+	    }
+	    return new ErrorReport({ kind: 'syntax',
+				     message: errorValue.message + '',
+				     locations: locations,
+				     suggestion: errorValue.suggestion });
 	} else if (errorValue.type && errorValue.type === 'moby-failure') {
-            return new ErrorWithDomMessage(this._convertDomSexpr(errorValue['dom-message']),
-                                           errorValue['structured-error']);
+	    domMessage = this._convertDomSexpr(errorValue['dom-message']);
+	    if (errorValue['structured-error']) {
+		structuredError = JSON.parse(errorValue['structured-error']);
+		structuredMessage = structuredErrorToMessage(structuredError.message);
+		kind = classifyMessage(structuredMessage.toString(), 'syntax');
+		return new ErrorReport(
+		    { kind: kind,
+		      message: structuredMessage.toString(),
+		      structuredMessage: structuredMessage,
+		      domMessage: domMessage,
+		      locations: (structuredError.location ?
+				  [normalizeLocation(structuredError.location)] :
+				  []),
+		      suggestion: errorValue.suggestion });
+	    }
+	    kind = classifyMessage(domMessage.textContent || domMessage.innerText || '', 'syntax');
+	    return new ErrorReport(
+		{ kind: kind,
+		  message: domMessage.textContent || domMessage.innerText || '',
+		  domMessage: domMessage,
+		  suggestion: errorValue.suggestion });
 	}
-	return new Error(errorValue + '');
+	return new ErrorReport({ kind: 'unknown',
+				 message: errorValue + '' });
     };
 
 
 
-    //FIXME: duplicated code from war-src/js/openEditor/interaction.js,
-    //has already caused a problem 
+    //////////////////////////////////////////////////////////////////////
+    // Error reports.
+    //
+    // An ErrorReport is the machine-readable description of an error
+    // that every error renderer (the editor's interactions, the run
+    // page, the android packager) consumes:
+    //
+    // { kind: string, one of ERROR_KINDS,
+    //   message: string,
+    //   structuredMessage: (U types.Message undefined),
+    //   domMessage: (U dom undefined),
+    //   locations: arrayof loc, the primary location first,
+    //   suggestion: (U string undefined), defaulting to a hint for the kind,
+    //   exn: (U exn undefined), the underlying exception, if any }
+    //
+    // where a loc is { id: string, offset: number, line: number,
+    //                  column: number, span: number }
+    //
+    // ErrorReports are also raised as exceptions: they have a message,
+    // like an Error does.
+
+    var ERROR_KINDS = ['network', 'syntax', 'arity', 'unbound-id',
+		       'contract', 'runtime', 'break', 'unknown'];
+
+
+    var ErrorReport = function(attrs) {
+	this.kind = attrs.kind || 'unknown';
+	this.message = attrs.message || '';
+	this.structuredMessage = attrs.structuredMessage;
+	this.domMessage = attrs.domMessage;
+	this.locations = attrs.locations || [];
+	this.suggestion = (attrs.suggestion !== undefined ?
+			   attrs.suggestion :
+			   suggestionForKind(this.kind));
+	this.exn = attrs.exn;
+    };
+
+    // getPrimaryLocation: -> (U loc false)
+    ErrorReport.prototype.getPrimaryLocation = function() {
+	return (this.locations.length > 0 ? this.locations[0] : false);
+    };
+
+    // getFramesBySource: -> (arrayof { source: (U 'definitions' 'interactions' 'module'),
+    //                                  id: string,
+    //                                  locations: (arrayof loc) })
+    // Groups the report's locations by where their source lives, in
+    // order of first appearance.  All interactions share one group;
+    // each required module gets its own.
+    ErrorReport.prototype.getFramesBySource = function() {
+	var groups = [];
+	var i, j, loc, source, id;
+	for (i = 0; i < this.locations.length; i++) {
+	    loc = this.locations[i];
+	    if (loc.id === '<no-location>') { continue; }
+	    source = describeSource(loc.id);
+	    id = (source === 'module' ? loc.id : '<' + source + '>');
+	    for (j = 0; j < groups.length; j++) {
+		if (groups[j].id === id) { break; }
+	    }
+	    if (j === groups.length) {
+		groups.push({ source: source, id: id, locations: [] });
+	    }
+	    groups[j].locations.push(loc);
+	}
+	return groups;
+    };
+
+    // describeSource: string -> (U 'definitions' 'interactions' 'module')
+    var describeSource = function(id) {
+	if (id === '<definitions>') { return 'definitions'; }
+	if (/^<interactions[0-9]*>$/.test(id)) { return 'interactions'; }
+	return 'module';
+    };
+
+    ErrorReport.prototype.toString = function() {
+	return this.message;
+    };
+
+    var isErrorReport = function(x) {
+	return x instanceof ErrorReport;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Test reports.
+    //
+    // A TestReport collects the results of the tests (check-expect,
+    // EXAMPLE, check-within, check-error, check-range, check-member-of
+    // and check-satisfied) of one run.  Each result is
+    //
+    // { name: string, the name of the test form,
+    //   passed: boolean,
+    //   actual: any,
+    //   expected: any,
+    //   message: string, describing a failure,
+    //   locations: arrayof loc, the test's own location first }
+    //
+    // along with what's particular to the form:
+    //
+    //   check-within:    range: number
+    //   check-range:     low: number, high: number
+    //   check-member-of: candidates: arrayof any
+    //   check-satisfied: predicateName: string,
+    //                    error: (U string undefined), if the predicate raised one
+
+    var TestReport = function() {
+	this.results = [];
+    };
+
+    // add: result -> void
+    TestReport.prototype.add = function(result) {
+	this.results.push(result);
+    };
+
+    // isEmpty: -> boolean
+    TestReport.prototype.isEmpty = function() {
+	return this.results.length === 0;
+    };
+
+    // getCount: -> number
+    TestReport.prototype.getCount = function() {
+	return this.results.length;
+    };
+
+    // getPassedCount: -> number
+    TestReport.prototype.getPassedCount = function() {
+	return this.results.length - this.getFailures().length;
+    };
+
+    // getFailures: -> (arrayof result)
+    TestReport.prototype.getFailures = function() {
+	var failures = [];
+	for (var i = 0; i < this.results.length; i++) {
+	    if (! this.results[i].passed) {
+		failures.push(this.results[i]);
+	    }
+	}
+	return failures;
+    };
+
+    // getSummary: -> string
+    TestReport.prototype.getSummary = function() {
+	var count = this.getCount();
+	return (this.getPassedCount() + " of " + count +
+		(count === 1 ? " test passed." : " tests passed."));
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Coverage reports.
+    //
+    // A CoverageReport knows every source location in the code it's
+    // been given (the stack records the compiler wraps around
+    // expressions, and references to top-level names), and which of
+    // those locations evaluation has reached.
+
+    var STACK_RECORD_KEY_NAME = 'moby-stack-record-continuation-mark-key';
+
+    var CoverageReport = function() {
+	// locations: hashof string -> loc
+	this.locations = {};
+	// covered: hashof string -> true
+	this.covered = {};
+    };
+
+    // addCode: bytecode -> void
+    // Adds all the locations in the compiled code.
+    CoverageReport.prototype.addCode = function(compiledBytecode) {
+	var stack = [compiledBytecode];
+	var code, key, loc;
+	while (stack.length > 0) {
+	    code = stack.pop();
+	    if (code instanceof Array) {
+		for (var i = 0; i < code.length; i++) {
+		    stack.push(code[i]);
+		}
+	    } else if (code && typeof(code) === 'object' && code.constructor === Object) {
+		loc = undefined;
+		if (code['$'] === 'with-cont-mark' && isStackRecordKey(code['key']) &&
+		    code['val'] && code['val']['$'] === 'constant') {
+		    loc = vectorToLoc(code['val']['value']);
+		} else if (code['$'] === 'toplevel') {
+		    loc = vectorToLoc(code['loc']);
+		}
+		if (loc) {
+		    this.locations[locKey(loc)] = loc;
+		}
+		for (key in code) {
+		    if (hasOwnProperty.call(code, key)) {
+			stack.push(code[key]);
+		    }
+		}
+	    }
+	}
+    };
+
+    // cover: vector -> void
+    CoverageReport.prototype.cover = function(locVector) {
+	var loc = vectorToLoc(locVector);
+	if (loc) {
+	    this.covered[locKey(loc)] = true;
+	}
+    };
+
+    // isCovered: loc -> boolean
+    CoverageReport.prototype.isCovered = function(loc) {
+	return hasOwnProperty.call(this.covered, locKey(loc));
+    };
+
+    // getUncoveredLocations: string -> (arrayof loc)
+    // Produces the outermost locations from the source that were never
+    // evaluated, in order.  Locations nested inside them are left out.
+    CoverageReport.prototype.getUncoveredLocations = function(id) {
+	var locs = [];
+	var result = [];
+	var key, i, last;
+	for (key in this.locations) {
+	    if (hasOwnProperty.call(this.locations, key) &&
+		this.locations[key].id === id) {
+		locs.push(this.locations[key]);
+	    }
+	}
+	locs.sort(function(a, b) {
+	    return (a.offset - b.offset) || (b.span - a.span);
+	});
+	for (i = 0; i < locs.length; i++) {
+	    if (this.isCovered(locs[i])) { continue; }
+	    last = result[result.length - 1];
+	    if (last && locs[i].offset + locs[i].span <= last.offset + last.span) {
+		continue;
+	    }
+	    result.push(locs[i]);
+	}
+	return result;
+    };
+
+    var isStackRecordKey = function(code) {
+	return (code && code['$'] === 'constant' &&
+		types.isSymbol(code['value']) &&
+		code['value'].toString() === STACK_RECORD_KEY_NAME);
+    };
+
+    // vectorToLoc: any -> (U loc false)
+    var vectorToLoc = function(v) {
+	if (! (types.isVector(v) && v.length() === 5)) {
+	    return false;
+	}
+	return { id: v.ref(0) + '',
+		 offset: Number(v.ref(1)),
+		 line: Number(v.ref(2)),
+		 column: Number(v.ref(3)),
+		 span: Number(v.ref(4)) };
+    };
+
+    var locKey = function(loc) {
+	return loc.id + ':' + loc.offset + ':' + loc.span;
+    };
+
+
+    // classifyMessage: string string -> string
+    // Guesses the kind of an error from the text of its message,
+    // falling back to defaultKind.
+    var classifyMessage = function(message, defaultKind) {
+	if (/this variable is not defined|unbound identifier/.test(message)) {
+	    return 'unbound-id';
+	}
+	if (/expects (at least |at most |only )?(\[[^\]]*\]|[0-9]+( or [0-9]+)*|no) arguments?\b/.test(message)) {
+	    return 'arity';
+	}
+	return defaultKind;
+    };
+
+
+    // suggestionForKind: string -> (U string undefined)
+    var suggestionForKind = function(kind) {
+	switch (kind) {
+	case 'network':
+	    return "Check your network connection, then run the program again.";
+	case 'unbound-id':
+	    return "Check the spelling of the name, and make sure it's defined before it's used.";
+	case 'arity':
+	    return "Count the inputs in the function call, and compare them with the function's definition.";
+	default:
+	    return undefined;
+	}
+    };
+
+
+    // normalizeLocation: loc-like -> loc
+    // The compiler hands us locations whose fields may be strings.
+    var normalizeLocation = function(loc) {
+	return { id: loc.id + '',
+		 offset: parseInt(loc.offset, 10),
+		 line: parseInt(loc.line, 10),
+		 column: parseInt(loc.column, 10),
+		 span: parseInt(loc.span, 10) };
+    };
+
 
 
     //proper order is id offset line column span
@@ -412,17 +897,6 @@ var Evaluator = (function() {
         return toReturn;
     };
 
-    //return array of fixed locs
-    var fixLocList = function(badLocList) {
-       var toReturn = [];
-
-       var i;
-       for (i =0; i < badLocList.length; i++) {
-           toReturn.push(locObjToVector(badLocList[i]));
-       }
-       return toReturn;
-   };
-
     //structuredError -> Message
     var structuredErrorToMessage = function(se) {
         var msg = [];
@@ -457,18 +931,6 @@ var Evaluator = (function() {
 
 
 
-    var ErrorWithDomMessage = function(domMessage, structuredError) {
-	this.message = domMessage.textContent || domMessage.innerText || domMessage;
-	this.domMessage = domMessage;
-	if (structuredError) {
-            this.structuredError = JSON.parse(structuredError);
-            this.message = structuredErrorToMessage(this.structuredError.message).toString();
-        } else {
-            this.structuredError = undefined;
-        }
-    };
-
-
     // convertDomSexpr: dom-sexpr -> dom-sexpr
     // Converts the s-expression (array) representation of a dom element.
     Evaluator.prototype._convertDomSexpr = function(domSexpr) {
@@ -557,6 +1019,53 @@ var Evaluator = (function() {
 
 
 
+    //////////////////////////////////////////////////////////////////////
+    // Headless worlds.
+    //
+    // A HeadlessWorldReport collects the runs of the big-bangs of a
+    // program run headlessly.  Each run is
+    //
+    // { events: arrayof event, starting with the 'initial' event,
+    //   worlds: arrayof world, the world after each event,
+    //   scenes: arrayof (U image false), what to-draw drew for each world,
+    //   isStopped: boolean, true if stop-when ended the run early }
+
+    var HeadlessWorldReport = function() {
+	this.runs = [];
+    };
+
+    // add: run -> void
+    HeadlessWorldReport.prototype.add = function(run) {
+	this.runs.push(run);
+    };
+
+    // getRuns: -> (arrayof run)
+    HeadlessWorldReport.prototype.getRuns = function() {
+	return this.runs;
+    };
+
+    // getWorlds: -> (arrayof world)
+    // The worlds of the last big-bang.
+    HeadlessWorldReport.prototype.getWorlds = function() {
+	return this.runs.length > 0 ? this.runs[this.runs.length - 1].worlds : [];
+    };
+
+    // getScenes: -> (arrayof (U image false))
+    // The scenes of the last big-bang.
+    HeadlessWorldReport.prototype.getScenes = function() {
+	return this.runs.length > 0 ? this.runs[this.runs.length - 1].scenes : [];
+    };
+
+
+
+
+    Evaluator.ErrorReport = ErrorReport;
+    Evaluator.isErrorReport = isErrorReport;
+    Evaluator.TestReport = TestReport;
+    Evaluator.CoverageReport = CoverageReport;
+    Evaluator.HeadlessWorldReport = HeadlessWorldReport;
+    Evaluator.ERROR_KINDS = ERROR_KINDS;
+
     return Evaluator;
 })();
 
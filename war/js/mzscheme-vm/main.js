@@ -49,25 +49,30 @@ var reportError = function(exn) {
     }
 
 
+    var report = evaluator.getErrorReportFromExn(exn);
     var domElt = document.createElement('div');
     domElt.style['color'] = 'red';
 
-    if (exn.domMessage) {
-	domElt.appendChild(exn.domMessage);
+    if (report.domMessage) {
+	domElt.appendChild(report.domMessage);
     } else {
-	domElt.appendChild(document.createTextNode(evaluator.getMessageFromExn(exn)+""));
+	domElt.appendChild(document.createTextNode(report.message));
     }
 
-    var stacktrace = evaluator.getTraceFromExn(exn);
-    for (var i = 0; i < stacktrace.length; i++) {
+    var groups = report.getFramesBySource();
+    for (var i = 0; i < groups.length; i++) {
 	domElt.appendChild(document.createElement("br"));
 	domElt.appendChild(document.createTextNode(
-			     "in " + stacktrace[i].id +
-			     ", at offset " + stacktrace[i].offset +
-			     ", line " + stacktrace[i].line +
-			     ", column " + stacktrace[i].column +
-			     ", span " + stacktrace[i].span));
-    };
+	    (groups[i].source === 'module' ?
+	     "in module " + groups[i].id :
+	     "in the " + groups[i].source) + ":"));
+	for (var j = 0; j < groups[i].locations.length; j++) {
+	    var loc = groups[i].locations[j];
+	    domElt.appendChild(document.createElement("br"));
+	    domElt.appendChild(document.createTextNode(
+	        "\u00a0\u00a0line " + loc.line + ", column " + loc.column));
+	}
+    }
     if(types.isExnFailContractArityWithPosition(exn.val)) {
       domElt.appendChild(document.createTextNode(types.toDisplayedString(
 						  types.exnFailContractArityWithPositionLocations(exn.val))));
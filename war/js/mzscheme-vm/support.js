@@ -2089,22 +2089,95 @@ var jsworld = {};
 
 
 
+    // The clock: while it's paused, ticks and input events are held
+    // off, but the world stays alive and can be stepped a tick at a
+    // time.  The speed multiplies the rate of the ticks.
+    var clock = { isPaused: false, speed: 1, tickers: [] };
+
+    Jsworld.pause_clock = function() {
+	if (clock.isPaused) { return; }
+	clock.isPaused = true;
+	for (var i = 0; i < clock.tickers.length; i++) {
+	    clock.tickers[i].pause();
+	}
+    };
+
+    Jsworld.resume_clock = function() {
+	if (! clock.isPaused) { return; }
+	clock.isPaused = false;
+	for (var i = 0; i < clock.tickers.length; i++) {
+	    clock.tickers[i].resume();
+	}
+    };
+
+    Jsworld.is_clock_paused = function() {
+	return clock.isPaused;
+    };
+
+    // step_clock: -> void
+    // Runs a single tick of each on-tick while the clock is paused.
+    Jsworld.step_clock = function() {
+	if (! clock.isPaused) { return; }
+	for (var i = 0; i < clock.tickers.length; i++) {
+	    clock.tickers[i].step();
+	}
+    };
+
+    Jsworld.set_clock_speed = function(speed) {
+	clock.speed = speed;
+	if (! clock.isPaused) {
+	    // Restart the pending ticks so that a slow tick doesn't keep
+	    // us waiting at the old speed.
+	    for (var i = 0; i < clock.tickers.length; i++) {
+		clock.tickers[i].pause();
+		clock.tickers[i].resume();
+	    }
+	}
+    };
+
+    Jsworld.get_clock_speed = function() {
+	return clock.speed;
+    };
+
+
+
     // on_tick: number CPS(world -> world) -> handler
     function on_tick(delay, tick) {
 	return function() {
             var watchId;
+            var isTicking = false;
             var reschedule = function() {
-                watchId = setTimeout(change, delay);
+                isTicking = false;
+                watchId = undefined;
+                if (! clock.isPaused) {
+                    watchId = setTimeout(change, delay / clock.speed);
+                }
             };
             var change = function() {
+                isTicking = true;
+                watchId = undefined;
                 change_world(tick, reschedule);
             };
 	    var ticker = {
 		onRegister: function (top) { 
+                    clock.tickers.push(ticker);
                     reschedule();
 		},
 		onUnregister: function (top) {
+		    var index = clock.tickers.indexOf(ticker);
+		    if (index != -1) { clock.tickers.splice(index, 1); }
+		    if (watchId) { clearTimeout(watchId); }
+		},
+		pause: function() {
 		    if (watchId) { clearTimeout(watchId); }
+		    watchId = undefined;
+		},
+		resume: function() {
+		    // A tick that's still running will reschedule itself.
+		    if (! isTicking && ! watchId) { reschedule(); }
+		},
+		step: function() {
+		    if (! isTicking) { change(); }
 		}
 	    };
 	    return ticker;
@@ -2125,6 +2198,7 @@ var jsworld = {};
                 // If the keyCode is ESCAPE, let it pass through.
                 // That is, ignore it:
                 if (e_.keyCode == 27) { return; }
+                if (clock.isPaused) { return; }
 
                 e = e_;
 		preventDefault(e);
@@ -2160,6 +2234,7 @@ var jsworld = {};
   
 		preventDefault(e);
 		stopPropagation(e);
+                if (clock.isPaused) { return; }
                 if (! stillPressing) {
                     stillPressing = true;
 		    change_world(f, clearPressing);
@@ -2200,7 +2275,11 @@ var jsworld = {};
             
             var f = function(w, k) { tilt(w, leftRight, topDown, k); };
             var update = function() {
-                change_world(f, reschedule);
+                if (clock.isPaused) {
+                    reschedule();
+                } else {
+                    change_world(f, reschedule);
+                }
             };
 
             var reschedule = function() {
@@ -2368,9 +2447,13 @@ var jsworld = {};
 
     // add_ev: node string CPS(world event -> world) -> void
     // Attaches a world-updating handler when the world is changed.
+    // Like the stimuli, widget events are held off while the clock is paused.
     function add_ev(node, event, f) {
-	var eventHandler = function(e) { change_world(function(w, k) { f(w, e, k); },
-						       doNothing); };
+	var eventHandler = function(e) {
+		if (clock.isPaused) { return; }
+		change_world(function(w, k) { f(w, e, k); },
+			     doNothing);
+	};
 	attachEvent(node, event, eventHandler);
 	eventDetachers.push(function() { detachEvent(node, event, eventHandler); });
     }
@@ -2380,6 +2463,7 @@ var jsworld = {};
     // after the fired event has finished.
     function add_ev_after(node, event, f) {
 	var eventHandler = function(e) {
+		if (clock.isPaused) { return; }
 		setTimeout(function() { change_world(function(w, k) { f(w, e, k); },
 						     doNothing); },
 			   0);
@@ -2625,7 +2709,7 @@ var jsworld = {};
 		clearInterval(intervalId);
 		return;
 	    }
-	    if (lastVal != n.value) {
+	    if (lastVal != n.value && ! clock.isPaused) {
 		lastVal = n.value;
 		change_world(function (w, k) {
 		    updateF(w, n.value, k);
@@ -2806,6 +2890,94 @@ var jsworld = {};
     //////////////////////////////////////////////////////////////////////
 
 
+    // Sound clips, kept by the url they were loaded from, so that each
+    // is fetched only once, and so that a playing clip can be stopped.
+    //
+    // soundClips: hashof string -> { audio: Audio,
+    //                                 isReady: boolean,
+    //                                 waiters: (U false (arrayof { onLoad, onError })) }
+    var soundClips = {};
+
+    // If a clip hasn't said it's ready by then, we go on without it;
+    // some browsers won't load audio until it's played.
+    var SOUND_LOAD_TIMEOUT = 5000;
+
+    // load_sound: string (-> void) (string -> void) -> void
+    // Loads the clip at the url ahead of time.
+    Jsworld.load_sound = function(url, onLoad, onError) {
+	var record = soundClips[url];
+	if (record) {
+	    if (record.waiters) {
+		record.waiters.push({ onLoad: onLoad, onError: onError });
+	    } else {
+		onLoad();
+	    }
+	    return;
+	}
+	record = soundClips[url] = { audio: new Audio(),
+				     isReady: false,
+				     waiters: [{ onLoad: onLoad, onError: onError }] };
+	var settle = function(error) {
+	    var waiters = record.waiters;
+	    if (! waiters) { return; }
+	    record.waiters = false;
+	    if (error) {
+		delete soundClips[url];
+	    } else {
+		record.isReady = true;
+	    }
+	    for (var i = 0; i < waiters.length; i++) {
+		if (error) {
+		    waiters[i].onError(error);
+		} else {
+		    waiters[i].onLoad();
+		}
+	    }
+	};
+	record.audio.addEventListener('canplaythrough', function() { settle(false); }, false);
+	record.audio.addEventListener('error', function() { settle("unable to load " + url); }, false);
+	setTimeout(function() { settle(false); }, SOUND_LOAD_TIMEOUT);
+	record.audio.preload = 'auto';
+	record.audio.src = url;
+	record.audio.load();
+    };
+
+    // play_sound: string -> void
+    // Plays the clip at the url from the start.
+    Jsworld.play_sound = function(url) {
+	if (! soundClips[url]) {
+	    soundClips[url] = { audio: new Audio(url), isReady: true, waiters: false };
+	}
+	var audio = soundClips[url].audio;
+	try {
+	    audio.currentTime = 0;
+	} catch (e) {
+	    // Not seekable yet: it'll start from the beginning anyway.
+	}
+	var playing = audio.play();
+	// Browsers that won't play sounds without a click say so by
+	// rejecting the promise; there's nothing more we can do.
+	if (playing && playing['catch']) {
+	    playing['catch'](doNothing);
+	}
+    };
+
+    // stop_sound: string -> void
+    Jsworld.stop_sound = function(url) {
+	if (soundClips[url]) {
+	    soundClips[url].audio.pause();
+	}
+    };
+
+    Jsworld.stop_all_sounds = function() {
+	for (var url in soundClips) {
+	    if (soundClips.hasOwnProperty(url)) {
+		soundClips[url].audio.pause();
+	    }
+	}
+    };
+
+
     // Example effect: play a song, given its url
     Jsworld.music_effect = function(musicUrl) {
 	return new MusicEffect(musicUrl);
@@ -2815,8 +2987,8 @@ var jsworld = {};
 	this.musicUrl = musicUrl;
     };
 
-    MusicEffect.prototype.invokeEffect = function(k) {
-	new Audio(url).play();
+    MusicEffect.prototype.invokeEffect = function(changeWorld, k) {
+	Jsworld.play_sound(this.musicUrl);
 	k();
     };
 
@@ -7255,6 +7427,11 @@ StructType = function(name, type, numberOfArgs, numberOfFields, firstField,
 	this.predicate = predicate;
 	this.accessor = accessor;
 	this.mutator = mutator;
+
+	// The names of this type's own fields, where known; they're
+	// filled in by make-struct-field-accessor.
+	this.fieldNames = [];
+	this.parentType = false;
 };
 
 StructType.prototype.toString = function() {
@@ -7325,7 +7502,7 @@ var makeStructureType = function(theName, parentType, initFieldCnt, autoFieldCnt
     aStruct.prototype.type = aStruct;
 
     // construct and return the new type
-    return new StructType(theName,
+    var aStructType = new StructType(theName,
 			  aStruct,
 			  initFieldCnt + numParentArgs,
 			  initFieldCnt + autoFieldCnt,
@@ -7340,6 +7517,11 @@ var makeStructureType = function(theName, parentType, initFieldCnt, autoFieldCnt
 			  function(x) { return x instanceof aStruct; },
 			  function(x, i) { return x._fields[i + this.firstField]; },
 			  function(x, i, v) { x._fields[i + this.firstField] = v; });
+    if (parentType instanceof StructType) {
+	aStructType.parentType = parentType;
+    }
+    aStruct.prototype.structType = aStructType;
+    return aStructType;
 };
 
 // Structures.
@@ -8348,6 +8530,33 @@ Effect.type.prototype.invokeEffect = function(k) {
 //Effect.handlerIndices = [];
 
 
+// A sound effect plays a clip when a world handler returns it through
+// world-with-effects.  Its field is the url to play the clip from.
+var SoundEffect = makeStructureType('sound-effect', Effect, 1, 0, false, false);
+SoundEffect.type.prototype.invokeEffect = function(changeWorld, k) {
+	jsworld.Jsworld.music_effect(this._fields[0]).invokeEffect(changeWorld, k);
+};
+// For world.Kernel.applyEffect.
+SoundEffect.type.prototype.run = function() {
+	jsworld.Jsworld.play_sound(this._fields[0]);
+	return [];
+};
+
+
+// A message effect sends its field, an S-expression, to the other
+// players of the universe that the running world registered with.
+// make-package makes a world with one of these.
+var MessageEffect = makeStructureType('message-effect', Effect, 1, 0, false, false);
+MessageEffect.type.prototype.invokeEffect = function(changeWorld, k) {
+	jsworld.MobyJsworld.sendMessage(this._fields[0]);
+	k();
+};
+MessageEffect.type.prototype.run = function() {
+	jsworld.MobyJsworld.sendMessage(this._fields[0]);
+	return [];
+};
+
+
 //var wrapHandler = function(handler, caller, changeWorld) {
 //	return types.jsObject('function', function() {
 //		var externalArgs = arguments;
@@ -9198,7 +9407,9 @@ var isNoLocation = function(o) {
 
 
 var Posn = makeStructureType('posn', false, 2, 0, false, false);
+Posn.fieldNames = ['x', 'y'];
 var Color = makeStructureType('color', false, 4, 0, false, false);
+Color.fieldNames = ['red', 'green', 'blue', 'alpha'];
 var ArityAtLeast = makeStructureType('arity-at-least', false, 1, 0, false,
 		function(k, n, name) {
 			helpers.check(undefined, n, function(x) { return ( jsnums.isExact(x) &&
@@ -9269,6 +9480,33 @@ types.isHash = function(x) { return (x instanceof EqHashTable ||
 				     x instanceof EqualHashTable); };
 types.isByteString = function(x) { return x instanceof Bytes; };
 types.isStruct = function(x) { return x instanceof Struct; };
+
+// structConstructorName: struct -> string
+types.structConstructorName = function(x) { return x._constructorName; };
+
+// structFields: struct -> (arrayof any)
+types.structFields = function(x) { return x._fields.slice(0); };
+
+// structFieldNames: struct -> (arrayof (U string false))
+// The name of each of the struct's fields, or false where the name
+// isn't known.
+types.structFieldNames = function(x) {
+    var names = [];
+    var aType = x.structType;
+    var i;
+    for (i = 0; i < x._fields.length; i++) {
+	names.push(false);
+    }
+    while (aType) {
+	for (i = 0; i < aType.numberOfFields; i++) {
+	    if (aType.fieldNames[i]) {
+		names[aType.firstField + i] = aType.fieldNames[i];
+	    }
+	}
+	aType = aType.parentType;
+    }
+    return names;
+};
 types.isPosn = Posn.predicate;
 types.isArityAtLeast = ArityAtLeast.predicate;
 types.isColor = Color.predicate;
@@ -9338,6 +9576,16 @@ types.schemeError = function(v) { return new SchemeError(v); };
 types.isSchemeError = function(v) { return v instanceof SchemeError; };
 
 
+// A CaughtError stands in for the value of check-error's tested
+// expression when evaluating that expression raised an error.  The
+// machine makes one when it unwinds to a CatchErrorFrameControl.
+var CaughtError = function(exn) {
+	this.exn = exn;
+};
+types.caughtError = function(exn) { return new CaughtError(exn); };
+types.isCaughtError = function(x) { return x instanceof CaughtError; };
+
+
 var IncompleteExn = function(constructor, msg, otherArgs) {
 	this.constructor = constructor;
 	this.msg = msg;
@@ -9411,6 +9659,10 @@ types.isEffectType = function(x) {
 
 
 types.isEffect = Effect.predicate;
+types.soundEffect = SoundEffect.constructor;
+types.isSoundEffect = SoundEffect.predicate;
+types.messageEffect = MessageEffect.constructor;
+types.isMessageEffect = MessageEffect.predicate;
 
 //types.EffectDoNothing = makeEffectType('effect:do-nothing',
 //				       false,
@@ -9516,6 +9768,11 @@ var State = function() {
 		   displayHook: defaultPrintHook,
 		   toplevelNodeHook: defaultToplevelNodeHook,
 		   imageProxyHook: false,
+		   debugHook: false,
+		   testHook: false,
+		   coverageHook: false,
+		   worldDriverHook: false,
+		   primitiveFilterHook: false,
                    dynamicModuleLoader: defaultDynamicModuleLoader
                  };
 
@@ -9773,6 +10030,73 @@ State.prototype.setToplevelNodeHook = function(hook) {
 };
 
 
+// The debug hook, if set, is called as state and location-vector
+// whenever evaluation enters an expression that has a source
+// location.  It may throw a control.PauseException to suspend
+// evaluation there.
+State.prototype.setDebugHook = function(hook) {
+    this.hooks['debugHook'] = hook;
+};
+
+
+State.prototype.getDebugHook = function() {
+    return this.hooks['debugHook'];
+};
+
+
+// The test hook, if set, is called with a description of each test
+// (check-expect, check-error and the rest) as it runs, passed or not.
+// Without one, failures are printed out as they happen.
+State.prototype.setTestHook = function(hook) {
+    this.hooks['testHook'] = hook;
+};
+
+
+State.prototype.getTestHook = function() {
+    return this.hooks['testHook'];
+};
+
+
+// The coverage hook, if set, is called with the location-vector of
+// every source-located expression and top-level reference that
+// evaluation reaches.
+State.prototype.setCoverageHook = function(hook) {
+    this.hooks['coverageHook'] = hook;
+};
+
+
+State.prototype.getCoverageHook = function() {
+    return this.hooks['coverageHook'];
+};
+
+
+// The world driver hook, if set, is called as initial-world handlers
+// caller restarter in place of running big-bang on the page; the
+// Evaluator uses it to run worlds headlessly.
+State.prototype.setWorldDriverHook = function(hook) {
+    this.hooks['worldDriverHook'] = hook;
+};
+
+
+State.prototype.getWorldDriverHook = function() {
+    return this.hooks['worldDriverHook'];
+};
+
+
+// The primitive filter hook, if set, is called with the name of each
+// primitive a program refers to, and a program that refers to one it
+// refuses can't run.  The Grader uses it to keep hand-ins away from
+// the page they're graded on.
+State.prototype.setPrimitiveFilterHook = function(hook) {
+    this.hooks['primitiveFilterHook'] = hook;
+};
+
+
+State.prototype.getPrimitiveFilterHook = function() {
+    return this.hooks['primitiveFilterHook'];
+};
+
+
 
 
 // Captures the current continuation marks in the state.
@@ -9863,6 +10187,7 @@ state.State = State;
 state.isState = isState;
 state.captureCurrentContinuationMarks = captureCurrentContinuationMarks;
 state.getStackTraceFromContinuationMarks = getStackTraceFromContinuationMarks;
+state.STACK_KEY = STACK_KEY;
 
 
 })();
@@ -9992,6 +10317,14 @@ var world = {};
 	    //////////////////////////////////////////////////////////////////////
 	    // For universe game playing
 
+	    // register: string
+	    // The name of the universe to join; see world.universe.
+	    register: false,
+	    // onReceive: world sexp -> world
+	    onReceive: false,
+	    // onReceiveEffect: world sexp -> effect
+	    onReceiveEffect: false,
+
 	    // connectToGame: string
 	    // Registers with some universe, given an identifier
 	    // which is a URL to a Universe server.
@@ -10145,16 +10478,22 @@ var world = {};
 //    	this.restarter(e);
 //    };	
 
-    // doStimuli: CPS( (world -> effect) (world -> world) -> void )
+    // doStimuli: CPS( string (world -> effect) (world -> world) -> void )
     //
     // Processes a stimuli by compute the effect and applying it, and
-    // computing a new world to replace the old.
-    StimuliHandler.prototype.doStimuli = function(computeEffectF, computeWorldF, restArgs, k) {
+    // computing a new world to replace the old.  The event type names
+    // the stimuli for world.Kernel's world change listeners.
+    StimuliHandler.prototype.doStimuli = function(eventType, computeEffectF, computeWorldF, restArgs, k) {
 	var effectUpdaters = [];
 	var that = this;
+	if (jsworld.Jsworld.is_clock_paused()) {
+	    k();
+	    return;
+	}
 	try {
 	    that.change(function(w, k2) {
 		var args = [w].concat(restArgs);
+		world.Kernel.setCurrentEvent({ type: eventType, args: restArgs });
 		var doStimuliHelper = function() {
 			if (computeWorldF) {
 			    that.caller(computeWorldF, args, k2);
@@ -10194,7 +10533,16 @@ var world = {};
     StimuliHandler.prototype.onTilt = function(args, k) {
 	var onTilt = this.lookup("onTilt");
 	var onTiltEffect = this.lookup("onTiltEffect");
-	this.doStimuli(onTiltEffect, onTilt, helpers.map(flt, args), k);
+	this.doStimuli('tilt', onTiltEffect, onTilt, helpers.map(flt, args), k);
+    };
+
+
+    // Taps
+    // args: [x, y]
+    StimuliHandler.prototype.onTap = function(args, k) {
+	var onTap = this.lookup('onTap');
+	var onTapEffect = this.lookup('onTapEffect');
+	this.doStimuli('tap', onTapEffect, onTap, [args[0], args[1]], k);
     };
 
 
@@ -10203,7 +10551,7 @@ var world = {};
     StimuliHandler.prototype.onAcceleration = function(args, k) {
 	var onAcceleration = this.lookup('onAcceleration');
 	var onAccelerationEffect = this.lookup('onAccelerationEffect');
-	this.doStimuli(onAccelerationEffect, onAcceleration, helpers.map(flt, args), k);
+	this.doStimuli('acceleration', onAccelerationEffect, onAcceleration, helpers.map(flt, args), k);
     };
 
 
@@ -10212,7 +10560,7 @@ var world = {};
     StimuliHandler.prototype.onShake = function(args, k) {
 	var onShake = this.lookup('onShake');
 	var onShakeEffect = this.lookup('onShakeEffect');
-	this.doStimuli(onShakeEffect, onShake, [], k);
+	this.doStimuli('shake', onShakeEffect, onShake, [], k);
     };
 
 
@@ -10223,7 +10571,7 @@ var world = {};
 	var onSmsReceiveEffect = this.lookup('onSmsReceiveEffect');
 	// IMPORTANT: must coerse to string by using x+"".  Do not use
 	// toString(): it's not safe.
-	this.doStimuli(onSmsReceiveEffect, onSmsReceive, [args[0]+"", args[1]+""], k);
+	this.doStimuli('sms-receive', onSmsReceiveEffect, onSmsReceive, [args[0]+"", args[1]+""], k);
     };
 
 
@@ -10232,7 +10580,7 @@ var world = {};
     StimuliHandler.prototype.onLocation = function(args, k) {
 	var onLocationChange = this.lookup('onLocationChange');
 	var onLocationChangeEffect = this.lookup('onLocationChangeEffect');
-	this.doStimuli(onLocationChangeEffect, onLocationChange, helpers.map(flt, args), k);
+	this.doStimuli('location-change', onLocationChangeEffect, onLocationChange, helpers.map(flt, args), k);
     };
 
 
@@ -10292,10 +10640,11 @@ var world = {};
 	    }
 	    return keyname;
 	}
-	var keyname = getKeyCodeName(args[0]);
+	// A simulated key press may give the key's name directly.
+	var keyname = (typeof(args[0]) === 'string' ? args[0] : getKeyCodeName(args[0]));
 	var onKey = this.lookup('onKey');
 	var onKeyEffect = this.lookup('onKeyEffect');
-	this.doStimuli(onKeyEffect, onKey, [keyname], k);
+	this.doStimuli('key', onKeyEffect, onKey, [keyname], k);
     };
 
 
@@ -10305,7 +10654,7 @@ var world = {};
 //    StimuliHandler.prototype.onTick = function(args, k) {
 //	var onTick = this.lookup('onTick');
 //	var onTickEffect = this.lookup('onTickEffect');
-//	this.doStimuli(onTickEffect, onTick, [], k);
+//	this.doStimuli('tick', onTickEffect, onTick, [], k);
 //    };
 
 
@@ -10321,7 +10670,16 @@ var world = {};
 
 	var onAnnounce = this.lookup('onAnnounce');
 	var onAnnounceEffect = this.lookup('onAnnounceEffect');	
-	this.doStimuli(onAnnounce, onAnnounceEffect, [args[0], valsList], k);
+	this.doStimuli('announce', onAnnounce, onAnnounceEffect, [args[0], valsList], k);
+    };
+
+
+    // Messages from the other players of a universe
+    // args: [sexp]
+    StimuliHandler.prototype.onReceive = function(args, k) {
+	var onReceive = this.lookup('onReceive');
+	var onReceiveEffect = this.lookup('onReceiveEffect');
+	this.doStimuli('receive', onReceiveEffect, onReceive, [args[0]], k);
     };
 
 
@@ -10385,8 +10743,10 @@ var world = {};
     world.stimuli.onSmsReceive = makeStimulusHandler('onSmsReceive');
     world.stimuli.onLocation = makeStimulusHandler('onLocation');
     world.stimuli.onKey = makeStimulusHandler('onKey');
+    world.stimuli.onTap = makeStimulusHandler('onTap');
 //    world.stimuli.onTick = makeStimulusHandler('onTick');
     world.stimuli.onAnnounce = makeStimulusHandler('onAnnounce');
+    world.stimuli.onReceive = makeStimulusHandler('onReceive');
 
     world.stimuli.massShutdown = function() {
 	    for (var i = 0; i < handlers.length; i++) {
@@ -10401,6 +10761,572 @@ var world = {};
 
 })();
 
+// A universe lets the worlds in different tabs of the same browser
+// send each other messages, the way 2htdp/universe's worlds do
+// through a server.  It stands in for the server-side umpire of
+// org.wescheme.universe: each universe has an umpire that judges and
+// records the moves, and a mailbox that holds each player's messages
+// until they're picked up.  The tabs in a universe find each other
+// through a BroadcastChannel, or through localStorage where there
+// isn't one.
+//
+// One tab at a time is the umpire: the others forward their players'
+// moves to it, and it tells every tab the moves it accepts, in the one
+// order they all follow.  The tabs elect it the way the shared editing
+// sessions elect their host: each tab that's looking for an umpire
+// draws a random id, and when nobody has answered for a while, the one
+// with the lowest id takes the job and announces it.  Every tab keeps
+// a copy of the umpire's state, so that one of them can take over when
+// the umpire's tab goes away.
+
+(function() {
+    'use strict';
+    world.universe = {};
+
+    // An umpire remembers at most this many moves.
+    var MAX_MOVES = 500;
+
+    // How long to wait for another tab to say it's the umpire before
+    // becoming the umpire ourselves.
+    var FIND_UMPIRE_TIMEOUT = 250;
+
+    // Tells this page's writes to localStorage apart from those of other tabs.
+    var PAGE_ID = String(Math.floor(Math.random() * 1000000000));
+
+    // universes: (hashof string Universe)
+    // The universes this page has players in.
+    var universes = {};
+
+    var hasOwn = function(o, key) {
+	return Object.prototype.hasOwnProperty.call(o, key);
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Messages and mailboxes, as in Message.java and Mailbox.java
+
+    // Message: string string string -> Message
+    var Message = function(sender, receiver, message) {
+	this.sender = sender;
+	this.receiver = receiver;
+	this.message = message;
+    };
+
+
+    // Mailbox: -> Mailbox
+    var Mailbox = function() {
+	// undelivered: (hashof string (arrayof Message))
+	this.undelivered = {};
+    };
+
+    // pushMessage: Message -> void
+    Mailbox.prototype.pushMessage = function(msg) {
+	if (! hasOwn(this.undelivered, msg.receiver)) {
+	    this.undelivered[msg.receiver] = [];
+	}
+	this.undelivered[msg.receiver].push(msg);
+    };
+
+    // pullMessages: string -> (arrayof Message)
+    // Takes the messages waiting for the receiver, oldest first.
+    Mailbox.prototype.pullMessages = function(receiver) {
+	var result = hasOwn(this.undelivered, receiver) ? this.undelivered[receiver] : [];
+	delete this.undelivered[receiver];
+	return result;
+    };
+
+    // hasMessagesPending: string -> boolean
+    Mailbox.prototype.hasMessagesPending = function(receiver) {
+	return hasOwn(this.undelivered, receiver) && this.undelivered[receiver].length > 0;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Umpires
+
+    // RelayUmpire: (arrayof string) -> RelayUmpire
+    //
+    // The umpire a universe has unless it's given another: any player
+    // may send any message at any time, and the game never ends.  An
+    // umpire has the methods of Umpire.java, and is never changed;
+    // consume gives back the umpire for the game after the move.
+    var RelayUmpire = function(moves) {
+	this.moves = moves;
+    };
+
+    RelayUmpire.prototype.getMoves = function() {
+	return this.moves.slice(0);
+    };
+
+    RelayUmpire.prototype.isGameOver = function() {
+	return false;
+    };
+
+    // whoWins: -> (U string false)
+    RelayUmpire.prototype.whoWins = function() {
+	return false;
+    };
+
+    // whoseTurn: -> (U string false)
+    // False means that anyone may move.
+    RelayUmpire.prototype.whoseTurn = function() {
+	return false;
+    };
+
+    RelayUmpire.prototype.isLegalNextMove = function(move) {
+	return true;
+    };
+
+    RelayUmpire.prototype.consume = function(move) {
+	var moves = this.moves.concat([move]);
+	if (moves.length > MAX_MOVES) {
+	    moves = moves.slice(moves.length - MAX_MOVES);
+	}
+	return new RelayUmpire(moves);
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Universes
+
+    // Universe: string umpire -> Universe
+    var Universe = function(name, umpire) {
+	this.name = name;
+	// Tells this universe's players apart from those of other tabs.
+	this.id = String(Math.floor(Math.random() * 1000000000));
+	this.initialUmpire = umpire;
+	// umpire: umpire
+	// The judge of the moves if this page is the umpire, and a copy
+	// that follows the moves it accepts otherwise.
+	this.umpire = umpire;
+	this.mailbox = new Mailbox();
+	// players: (hashof string (sexp string -> void))
+	// The players in this page, and what to do with their messages.
+	this.players = {};
+	this.playerCount = 0;
+	this.channel = false;
+	this.isDeliveryScheduled = false;
+
+	// isUmpire: boolean
+	// hasUmpire: boolean, whether we know which tab is the umpire.
+	this.isUmpire = false;
+	this.hasUmpire = false;
+	// pendingMoves: (arrayof { sender: string, move: string })
+	// Moves our players made before we knew who the umpire was.
+	this.pendingMoves = [];
+	this.candidateId = Math.random();
+	this.isOutranked = false;
+	this.electionTimer = undefined;
+	this.onUnload = undefined;
+    };
+
+
+    // register: (sexp string -> void) -> player
+    //
+    // Joins the universe.  onMessage is called with each message that
+    // another player sends, and the name of the player who sent it.
+    // A player is:
+    //
+    // { name: string,
+    //   send: (sexp -> boolean),
+    //   unregister: (-> void) }
+    Universe.prototype.register = function(onMessage) {
+	var that = this;
+	var name;
+	this.playerCount++;
+	name = this.id + "/" + this.playerCount;
+	this.players[name] = onMessage;
+	if (! this.channel) {
+	    this.channel = openChannel(this.name, function(data) {
+		that.receive(data);
+	    });
+	    if (typeof(window) !== 'undefined' && window.addEventListener) {
+		this.onUnload = function() { that.resign(); };
+		window.addEventListener('unload', this.onUnload, false);
+	    }
+	    this.findUmpire();
+	}
+	return { name: name,
+		 send: function(sexp) { return that.send(name, sexp); },
+		 unregister: function() { that.unregister(name); } };
+    };
+
+
+    // unregister: string -> void
+    // Takes a player out of the universe.  Once this page has no more
+    // players in it, it gives up being the umpire, and stops listening
+    // to the other tabs.
+    Universe.prototype.unregister = function(name) {
+	var other;
+	delete this.players[name];
+	this.mailbox.pullMessages(name);
+	for (other in this.players) {
+	    if (hasOwn(this.players, other)) { return; }
+	}
+	if (this.channel) {
+	    this.resign();
+	    if (this.onUnload) {
+		window.removeEventListener('unload', this.onUnload, false);
+		this.onUnload = undefined;
+	    }
+	    if (this.electionTimer !== undefined) {
+		clearTimeout(this.electionTimer);
+		this.electionTimer = undefined;
+	    }
+	    this.channel.close();
+	    this.channel = false;
+	    this.hasUmpire = false;
+	    this.pendingMoves = [];
+	}
+    };
+
+
+    // send: string sexp -> boolean
+    // Sends a message from one of this page's players to all the
+    // others, here and in other tabs.  Returns false if the umpire
+    // doesn't allow it.  When the umpire is in another tab, we can
+    // only ask our copy of it: the move may still be turned down if
+    // another tab's move gets there first.
+    Universe.prototype.send = function(sender, sexp) {
+	var move = encodeSexp(sexp);
+	if (! this.isAllowed(move)) {
+	    return false;
+	}
+	if (this.isUmpire) {
+	    this.judge(sender, move);
+	} else if (this.hasUmpire) {
+	    this.channel.post({ type: 'propose', sender: sender, move: move });
+	} else {
+	    this.pendingMoves.push({ sender: sender, move: move });
+	}
+	return true;
+    };
+
+
+    // isAllowed: string -> boolean
+    Universe.prototype.isAllowed = function(move) {
+	return ! this.umpire.isGameOver() && this.umpire.isLegalNextMove(move);
+    };
+
+
+    // judge: string string -> void
+    // As the umpire, accepts a move if it's allowed, and tells every
+    // tab about it.
+    Universe.prototype.judge = function(sender, move) {
+	if (this.isAllowed(move)) {
+	    this.acceptMove(sender, move);
+	    this.channel.post({ type: 'move', sender: sender, move: move });
+	}
+    };
+
+
+    // acceptMove: string string -> void
+    // Records a move the umpire accepted, and leaves it in the mailbox
+    // of every player in this page but the sender.
+    Universe.prototype.acceptMove = function(sender, move) {
+	var receiver;
+	this.umpire = this.umpire.consume(move);
+	for (receiver in this.players) {
+	    if (hasOwn(this.players, receiver) && receiver !== sender) {
+		this.mailbox.pushMessage(new Message(sender, receiver, move));
+	    }
+	}
+	this.scheduleDelivery();
+    };
+
+
+    // receive: object -> void
+    // Handles a message from another tab in the universe.
+    Universe.prototype.receive = function(data) {
+	switch (data.type) {
+	case 'find-umpire':
+	    if (this.isUmpire) {
+		this.channel.post({ type: 'umpire', moves: this.umpire.getMoves() });
+	    } else if (! this.hasUmpire) {
+		this.noteCandidate(data.candidateId);
+		this.channel.post({ type: 'candidate', candidateId: this.candidateId });
+	    }
+	    break;
+	case 'candidate':
+	    if (! this.hasUmpire) {
+		this.noteCandidate(data.candidateId);
+	    }
+	    break;
+	case 'umpire':
+	    if (! this.hasUmpire) {
+		this.followUmpire(data.moves);
+	    }
+	    break;
+	case 'umpire-gone':
+	    if (! this.isUmpire) {
+		this.catchUp(data.moves);
+		this.hasUmpire = false;
+		this.findUmpire();
+	    }
+	    break;
+	case 'propose':
+	    if (this.isUmpire) {
+		this.judge(data.sender, data.move);
+	    }
+	    break;
+	case 'move':
+	    if (! this.isUmpire) {
+		this.acceptMove(data.sender, data.move);
+	    }
+	    break;
+	}
+    };
+
+
+    // findUmpire: -> void
+    // Asks the other tabs who the umpire is, and takes the job if
+    // nobody with a lower id is looking too.
+    Universe.prototype.findUmpire = function() {
+	var that = this;
+	if (! this.channel.isShared) {
+	    this.becomeUmpire();
+	    return;
+	}
+	this.isOutranked = false;
+	this.channel.post({ type: 'find-umpire', candidateId: this.candidateId });
+	this.electionTimer = setTimeout(function() {
+	    that.electionTimer = undefined;
+	    if (that.hasUmpire) {
+		return;
+	    } else if (that.isOutranked) {
+		that.findUmpire();
+	    } else {
+		that.becomeUmpire();
+	    }
+	}, FIND_UMPIRE_TIMEOUT);
+    };
+
+
+    Universe.prototype.noteCandidate = function(candidateId) {
+	if (candidateId < this.candidateId) {
+	    this.isOutranked = true;
+	}
+    };
+
+
+    Universe.prototype.becomeUmpire = function() {
+	var pending = this.pendingMoves;
+	var i;
+	this.isUmpire = true;
+	this.hasUmpire = true;
+	this.pendingMoves = [];
+	this.channel.post({ type: 'umpire', moves: this.umpire.getMoves() });
+	for (i = 0; i < pending.length; i++) {
+	    this.judge(pending[i].sender, pending[i].move);
+	}
+    };
+
+
+    // followUmpire: (arrayof string) -> void
+    // Takes the state of the umpire in another tab, and forwards it the
+    // moves our players made while we were looking for it.
+    Universe.prototype.followUmpire = function(moves) {
+	var pending = this.pendingMoves;
+	var i;
+	this.hasUmpire = true;
+	this.pendingMoves = [];
+	if (this.electionTimer !== undefined) {
+	    clearTimeout(this.electionTimer);
+	    this.electionTimer = undefined;
+	}
+	this.catchUp(moves);
+	for (i = 0; i < pending.length; i++) {
+	    this.channel.post({ type: 'propose',
+				sender: pending[i].sender,
+				move: pending[i].move });
+	}
+    };
+
+
+    // catchUp: (arrayof string) -> void
+    // Brings our copy of the umpire to the state after the moves.
+    Universe.prototype.catchUp = function(moves) {
+	var umpire = this.initialUmpire;
+	var i;
+	for (i = 0; i < moves.length; i++) {
+	    umpire = umpire.consume(moves[i]);
+	}
+	this.umpire = umpire;
+    };
+
+
+    // resign: -> void
+    // Gives up being the umpire, handing the other tabs the state of
+    // the game so that one of them can take over.
+    Universe.prototype.resign = function() {
+	if (this.isUmpire) {
+	    this.isUmpire = false;
+	    this.channel.post({ type: 'umpire-gone', moves: this.umpire.getMoves() });
+	}
+    };
+
+
+    // Messages are delivered after the handler that sent them returns,
+    // so that a world is never asked to change while it's changing.
+    Universe.prototype.scheduleDelivery = function() {
+	var that = this;
+	if (this.isDeliveryScheduled) { return; }
+	this.isDeliveryScheduled = true;
+	setTimeout(function() {
+	    that.isDeliveryScheduled = false;
+	    that.deliver();
+	}, 0);
+    };
+
+
+    // deliver: -> void
+    // Hands each player in this page the messages waiting for it.
+    Universe.prototype.deliver = function() {
+	var receiver, msgs, i;
+	for (receiver in this.players) {
+	    if (hasOwn(this.players, receiver)) {
+		msgs = this.mailbox.pullMessages(receiver);
+		for (i = 0; i < msgs.length && hasOwn(this.players, receiver); i++) {
+		    this.players[receiver](decodeSexp(msgs[i].message), msgs[i].sender);
+		}
+	    }
+	}
+    };
+
+
+    // getUmpire: -> umpire
+    Universe.prototype.getUmpire = function() {
+	return this.umpire;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Talking to other tabs
+
+    // openChannel: string (object -> void) -> { isShared: boolean, post: (object -> void), close: (-> void) }
+    // isShared is false if this browser gives us no way to reach the other tabs.
+    var openChannel = function(name, onData) {
+	var key = "wescheme-universe:" + name;
+	var channel, onStorage, serial = 0;
+	if (typeof(BroadcastChannel) !== 'undefined') {
+	    channel = new BroadcastChannel(key);
+	    channel.onmessage = function(e) { onData(e.data); };
+	    return { isShared: true,
+		     post: function(data) { channel.postMessage(data); },
+		     close: function() { channel.close(); } };
+	}
+	if (typeof(window) !== 'undefined' && window.localStorage && window.addEventListener) {
+	    // Other tabs see each write to the key as a storage event.
+	    onStorage = function(e) {
+		if (e.key === key && e.newValue) {
+		    onData(JSON.parse(e.newValue).data);
+		}
+	    };
+	    window.addEventListener('storage', onStorage, false);
+	    return { isShared: true,
+		     post: function(data) {
+			 serial++;
+			 try {
+			     // The serial number makes sending the same
+			     // message twice a change, too.
+			     window.localStorage.setItem(
+				 key, JSON.stringify({ data: data, serial: PAGE_ID + "/" + serial }));
+			 } catch (e) {
+			     // Out of storage: the other tabs miss this one.
+			 }
+		     },
+		     close: function() { window.removeEventListener('storage', onStorage, false); } };
+	}
+	return { isShared: false, post: function(data) {}, close: function() {} };
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+    // S-expressions, which are what players may send each other
+
+    // isSexp: any -> boolean
+    var isSexp = function(x) {
+	if (x === true || x === false ||
+	    types.isNumber(x) || types.isString(x) || types.isSymbol(x) || types.isChar(x)) {
+	    return true;
+	}
+	while (types.isPair(x)) {
+	    if (! isSexp(x.first())) { return false; }
+	    x = x.rest();
+	}
+	return x === types.EMPTY;
+    };
+
+
+    // encodeSexp: sexp -> string
+    // Moves are strings, as in the mailboxes on the server.
+    var encodeSexp = function(x) {
+	return JSON.stringify(sexpToJson(x));
+    };
+
+    var sexpToJson = function(x) {
+	var elts = [];
+	if (x === true || x === false) { return x; }
+	if (types.isNumber(x)) { return { number: x.toString(), exact: jsnums.isExact(x) }; }
+	if (types.isString(x)) { return { string: x.toString() }; }
+	if (types.isSymbol(x)) { return { symbol: x.toString() }; }
+	if (types.isChar(x)) { return { 'char': x.getValue() }; }
+	while (types.isPair(x)) {
+	    elts.push(sexpToJson(x.first()));
+	    x = x.rest();
+	}
+	if (x !== types.EMPTY) {
+	    throw new Error("not an S-expression: " + types.toWrittenString(x));
+	}
+	return elts;
+    };
+
+
+    // decodeSexp: string -> sexp
+    var decodeSexp = function(s) {
+	return jsonToSexp(JSON.parse(s));
+    };
+
+    var jsonToSexp = function(j) {
+	var result = types.EMPTY;
+	var i;
+	if (j === true || j === false) { return j; }
+	if (hasOwn(j, 'number')) {
+	    return (j.exact ? jsnums.fromString(j.number)
+		    : jsnums.toInexact(jsnums.fromString(j.number)));
+	}
+	if (hasOwn(j, 'string')) { return j.string; }
+	if (hasOwn(j, 'symbol')) { return types.symbol(j.symbol); }
+	if (hasOwn(j, 'char')) { return types['char'](j['char']); }
+	for (i = j.length - 1; i >= 0; i--) {
+	    result = types.cons(jsonToSexp(j[i]), result);
+	}
+	return result;
+    };
+
+
+    //////////////////////////////////////////////////////////////////////
+    // Exports
+
+    // getUniverse: string [umpire] -> Universe
+    // The universe of the given name, made with the umpire if this page
+    // isn't in it already.
+    world.universe.getUniverse = function(name, umpire) {
+	if (! hasOwn(universes, name)) {
+	    universes[name] = new Universe(name, umpire || new RelayUmpire([]));
+	}
+	return universes[name];
+    };
+
+    world.universe.Universe = Universe;
+    world.universe.RelayUmpire = RelayUmpire;
+    world.universe.Mailbox = Mailbox;
+    world.universe.Message = Message;
+    world.universe.isSexp = isSexp;
+    world.universe.encodeSexp = encodeSexp;
+    world.universe.decodeSexp = decodeSexp;
+})();
+
 /*global world, types */
 if (typeof(world) === 'undefined') {
     world = {};
@@ -10457,6 +11383,92 @@ if (typeof(world) === 'undefined') {
     };
 
 
+    // World change listeners hear about every world that big-bang goes
+    // through, along with the event that produced it, and the scene
+    // that to-draw draws for it (or false, if there's no to-draw).
+    //
+    // An event is { type: string, args: (arrayof any) }, where the type
+    // is one of 'initial', 'tick', 'key', 'tap', 'tilt', 'acceleration',
+    // 'shake', 'sms-receive', 'location-change' or 'announce', and the
+    // args are what the handler got besides the world.
+    var worldChangeListeners = [];
+    var currentEvent = { type: 'initial', args: [] };
+    world.Kernel.addWorldChangeListener = function(listener) {
+        worldChangeListeners.push(listener);
+    };
+    world.Kernel.removeWorldChangeListener = function(listener) {
+        var idx = worldChangeListeners.indexOf(listener);
+        if (idx !== -1) {
+            worldChangeListeners.splice(idx, 1);
+        }
+    };
+    world.Kernel.hasWorldChangeListeners = function() {
+        return worldChangeListeners.length > 0;
+    };
+    // setCurrentEvent: event -> void
+    // Records the event whose handler is about to change the world.
+    world.Kernel.setCurrentEvent = function(event) {
+        currentEvent = event;
+    };
+    // announceWorldChange: world (U image false) -> void
+    world.Kernel.announceWorldChange = function(aWorld, aScene) {
+        var i;
+        for (i = 0; i < worldChangeListeners.length; i++) {
+            try {
+                worldChangeListeners[i](aWorld, currentEvent, aScene);
+            } catch (e) {}
+        }
+    };
+
+
+    // Pausing the world holds off its ticks and input events without
+    // stopping it; the speed multiplies the rate of on-tick.
+    world.Kernel.pauseWorld = function() {
+        jsworld.Jsworld.pause_clock();
+    };
+    world.Kernel.resumeWorld = function() {
+        jsworld.Jsworld.resume_clock();
+    };
+    world.Kernel.isWorldPaused = function() {
+        return jsworld.Jsworld.is_clock_paused();
+    };
+    // stepWorld: -> void
+    // Advances a paused world by a single tick.
+    world.Kernel.stepWorld = function() {
+        jsworld.Jsworld.step_clock();
+    };
+    // setWorldSpeed: number -> void
+    world.Kernel.setWorldSpeed = function(speed) {
+        jsworld.Jsworld.set_clock_speed(speed);
+    };
+    world.Kernel.getWorldSpeed = function() {
+        return jsworld.Jsworld.get_clock_speed();
+    };
+
+
+    // Frame listeners hear about every scene that big-bang draws with
+    // to-draw, right after it's been rendered to the canvas.
+    var frameListeners = [];
+    world.Kernel.addFrameListener = function(listener) {
+        frameListeners.push(listener);
+    };
+    world.Kernel.removeFrameListener = function(listener) {
+        var idx = frameListeners.indexOf(listener);
+        if (idx !== -1) {
+            frameListeners.splice(idx, 1);
+        }
+    };
+    // announceFrame: canvas image -> void
+    world.Kernel.announceFrame = function(canvas, aScene) {
+        var i;
+        for (i = 0; i < frameListeners.length; i++) {
+            try {
+                frameListeners[i](canvas, aScene);
+            } catch (e) {}
+        }
+    };
+
+
     // changeWorld: world -> void
     // Changes the current world to newWorld.
     var changeWorld = function(newWorld) {
@@ -10679,9 +11691,93 @@ if (typeof(world) === 'undefined') {
             var ctx = canvas.getContext("2d");
             that.render(ctx, 0, 0);
         };
+        // Remember which image the canvas shows, so the environment
+        // can offer to save it.
+        canvas.schemeImage = that;
         return canvas;
     };
 
+    // toSvg: number number -> string
+    // Produces the SVG elements that draw the image with its upper-left
+    // corner at (x, y), just as render does on a canvas.
+    // Vertex-based images become paths; anything else that doesn't
+    // know how to draw itself as vectors is embedded as a bitmap.
+    BaseImage.prototype.toSvg = function(x, y) {
+        var d, i;
+        if(!this.vertices){
+            return svgBitmap(world.Kernel.imageToDataUrl(this, 1), x, y,
+                             this.getWidth(), this.getHeight());
+        }
+        d = "M" + (x+this.vertices[0].x) + " " + (y+this.vertices[0].y);
+        for(i=1; i < this.vertices.length; i++){
+            d += " L" + (x+this.vertices[i].x) + " " + (y+this.vertices[i].y);
+        }
+        d += " Z";
+        return '<path d="' + d + '" ' + svgPaint(this.color, this.style) + '/>';
+    };
+
+    // imageToDataUrl: image number -> string
+    // Renders the image, magnified by the scale, and produces it as a
+    // PNG data: url.
+    world.Kernel.imageToDataUrl = function(img, scale) {
+        var canvas = world.Kernel.makeCanvas(Math.ceil(img.getWidth() * scale),
+                                             Math.ceil(img.getHeight() * scale));
+        var ctx = canvas.getContext("2d");
+        ctx.scale(scale, scale);
+        img.render(ctx, 0, 0);
+        return canvas.toDataURL("image/png");
+    };
+
+    // imageToSvg: image -> string
+    // Produces a standalone SVG document that draws the image.
+    world.Kernel.imageToSvg = function(img) {
+        var width = img.getWidth(), height = img.getHeight();
+        return ('<svg xmlns="http://www.w3.org/2000/svg" ' +
+                'xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ' +
+                'width="' + width + '" height="' + height + '" ' +
+                'viewBox="0 0 ' + width + ' ' + height + '">' +
+                img.toSvg(0, 0) +
+                '</svg>');
+    };
+
+    var escapeXml = function(s) {
+        return String(s).replace(/&/g, "&amp;")
+                        .replace(/</g, "&lt;")
+                        .replace(/>/g, "&gt;")
+                        .replace(/"/g, "&quot;");
+    };
+
+    var svgBitmap = function(href, x, y, width, height) {
+        return ('<image x="' + x + '" y="' + y + '" width="' + width + '" height="' + height + '" ' +
+                'xlink:href="' + escapeXml(href) + '"/>');
+    };
+
+    // Clip paths need document-wide unique ids.
+    var svgClipCounter = 0;
+
+    // svgClip: number number number number string -> string
+    // Wraps the elements in a group clipped to the rectangle.
+    var svgClip = function(x, y, width, height, body) {
+        var id = "clip" + (svgClipCounter++);
+        return ('<clipPath id="' + id + '"><rect x="' + x + '" y="' + y + '" ' +
+                'width="' + width + '" height="' + height + '"/></clipPath>' +
+                '<g clip-path="url(#' + id + ')">' + body + '</g>');
+    };
+
+    // svgPaint: color style -> string
+    // The fill and stroke attributes that match colorString's outline
+    // and solid (or translucent) styles.
+    var svgPaint = function(aColor, aStyle) {
+        var rgb = "rgb(" + types.colorRed(aColor) + "," +
+                           types.colorGreen(aColor) + "," +
+                           types.colorBlue(aColor) + ")";
+        if (aStyle.toString().toLowerCase() === "outline") {
+            return 'fill="none" stroke="' + rgb + '"';
+        }
+        return ('fill="' + rgb + '" fill-opacity="' +
+                (isNaN(aStyle)? 1.0 : aStyle/255) + '"');
+    };
+
     BaseImage.prototype.toWrittenString = function(cache) { return "<image>"; };
     BaseImage.prototype.toDisplayedString = function(cache) { return "<image>"; };
 
@@ -10778,6 +11874,19 @@ if (typeof(world) === 'undefined') {
         }
     };
 
+    SceneImage.prototype.toSvg = function(x, y) {
+        var i, body = "";
+        for(i = 0; i < this.children.length; i++) {
+            body += this.children[i][0].toSvg(this.children[i][1] + x,
+                                              this.children[i][2] + y);
+        }
+        return (svgClip(x, y, this.width, this.height, body) +
+                (this.withBorder ?
+                 '<rect x="' + x + '" y="' + y + '" width="' + this.width + '" height="' + this.height +
+                 '" fill="none" stroke="black"/>' :
+                 ""));
+    };
+
     SceneImage.prototype.isEqual = function(other, aUnionFind) {
         if (!(other instanceof SceneImage)) {
           return BaseImage.prototype.isEqual.call(this, other, aUnionFind);
@@ -10862,6 +11971,18 @@ if (typeof(world) === 'undefined') {
         ctx.drawImage(this.animationHackImg, x, y);
     };
 
+    // Embed the pixels if we're allowed to read them; otherwise, refer
+    // to the file.
+    FileImage.prototype.toSvg = function(x, y) {
+        var href;
+        try {
+            href = world.Kernel.imageToDataUrl(this, 1);
+        } catch (e) {
+            href = this.src;
+        }
+        return svgBitmap(href, x, y, this.getWidth(), this.getHeight());
+    };
+
     // The following is a hack that we use to allow animated gifs to show
     // as animating on the canvas. They have to be added to the DOM as *images*
     // in order to have their frames fed to the canvas, so we add them someplace hidden
@@ -11055,6 +12176,11 @@ if (typeof(world) === 'undefined') {
         ctx.restore();
     };
 
+    OverlayImage.prototype.toSvg = function(x, y) {
+        return (this.img2.toSvg(x + this.x2, y + this.y2) +
+                this.img1.toSvg(x + this.x1, y + this.y1));
+    };
+
     OverlayImage.prototype.isEqual = function(other, aUnionFind) {
         if (!(other instanceof OverlayImage)) {
           return BaseImage.prototype.isEqual.call(this, other, aUnionFind);
@@ -11121,6 +12247,11 @@ if (typeof(world) === 'undefined') {
         ctx.restore();
     };
 
+    RotateImage.prototype.toSvg = function(x, y) {
+        return ('<g transform="translate(' + (x + this.translateX) + ' ' + (y + this.translateY) + ') ' +
+                'rotate(' + this.angle + ')">' + this.img.toSvg(0, 0) + '</g>');
+    };
+
     RotateImage.prototype.isEqual = function(other, aUnionFind) {
         if (!(other instanceof RotateImage)) {
           return BaseImage.prototype.isEqual.call(this, other, aUnionFind);
@@ -11166,6 +12297,11 @@ if (typeof(world) === 'undefined') {
         ctx.restore();
     };
 
+    ScaleImage.prototype.toSvg = function(x, y) {
+        return ('<g transform="scale(' + this.xFactor + ' ' + this.yFactor + ')">' +
+                this.img.toSvg(x / this.xFactor, y / this.yFactor) + '</g>');
+    };
+
     ScaleImage.prototype.isEqual = function(other, aUnionFind) {
         if (!(other instanceof ScaleImage)) {
           return BaseImage.prototype.isEqual.call(this, other, aUnionFind);
@@ -11201,6 +12337,12 @@ if (typeof(world) === 'undefined') {
         ctx.restore();
     };
 
+    CropImage.prototype.toSvg = function(x, y) {
+        return svgClip(x, y, this.width, this.height,
+                       '<g transform="translate(' + (-this.x) + ' ' + (-this.y) + ')">' +
+                       this.img.toSvg(x, y) + '</g>');
+    };
+
     CropImage.prototype.isEqual = function(other, aUnionFind) {
         if (!(other instanceof CropImage)) {
           return BaseImage.prototype.isEqual.call(this, other, aUnionFind);
@@ -11235,6 +12377,12 @@ if (typeof(world) === 'undefined') {
         ctx.restore();
     };
 
+    FrameImage.prototype.toSvg = function(x, y) {
+        return (this.img.toSvg(x, y) +
+                '<rect x="' + x + '" y="' + y + '" width="' + this.width + '" height="' + this.height +
+                '" fill="none" stroke="black"/>');
+    };
+
     FrameImage.prototype.isEqual = function(other, aUnionFind) {
         if (!(other instanceof FrameImage)) {
           return BaseImage.prototype.isEqual.call(this, other, aUnionFind);
@@ -11272,6 +12420,13 @@ if (typeof(world) === 'undefined') {
         ctx.restore();
     };
 
+    FlipImage.prototype.toSvg = function(x, y) {
+        var transform = (this.direction === "horizontal" ?
+                         "scale(-1 1) translate(" + (-(this.width+2*x)) + " 0)" :
+                         "scale(1 -1) translate(0 " + (-(this.height+2*y)) + ")");
+        return '<g transform="' + transform + '">' + this.img.toSvg(x, y) + '</g>';
+    };
+
     FlipImage.prototype.getWidth = function() {
         return this.width;
     };
@@ -11483,6 +12638,19 @@ if (typeof(world) === 'undefined') {
         ctx.restore();
     };
 
+    TextImage.prototype.toSvg = function(x, y) {
+        var rgb = "rgb(" + types.colorRed(this.color) + "," +
+                           types.colorGreen(this.color) + "," +
+                           types.colorBlue(this.color) + ")";
+        return ('<text x="' + x + '" y="' + y + '" dominant-baseline="text-before-edge" ' +
+                'style="font: ' + escapeXml(this.font) + '; white-space: pre" fill="' + rgb + '">' +
+                escapeXml(this.msg) + '</text>' +
+                (this.underline ?
+                 '<line x1="' + x + '" y1="' + (y+this.size) + '" x2="' + (x+this.width) + '" y2="' + (y+this.size) +
+                 '" stroke="' + rgb + '"/>' :
+                 ""));
+    };
+
     TextImage.prototype.getBaseline = function() {
         return this.size;
     };
@@ -11616,6 +12784,12 @@ if (typeof(world) === 'undefined') {
         ctx.restore();
     };
 
+    EllipseImage.prototype.toSvg = function(x, y) {
+        return ('<ellipse cx="' + (x + this.width/2) + '" cy="' + (y + this.height/2) + '" ' +
+                'rx="' + this.width/2 + '" ry="' + this.height/2 + '" ' +
+                svgPaint(this.color, this.style) + '/>');
+    };
+
     EllipseImage.prototype.isEqual = function(other, aUnionFind) {
          if (!(other instanceof EllipseImage)) {
             return BaseImage.prototype.isEqual.call(this, other, aUnionFind);
@@ -11649,6 +12823,31 @@ if (typeof(world) === 'undefined') {
 
     LineImage.prototype = heir(BaseImage.prototype);
 
+    //////////////////////////////////////////////////////////////////////
+    // Sounds
+
+    // loadSound: string (-> void) (string -> void) -> void
+    // Loads the sound clip at the url ahead of time, calling onError
+    // with a message if it can't be loaded.
+    world.Kernel.loadSound = function(url, onLoad, onError) {
+        jsworld.Jsworld.load_sound(url, onLoad, onError);
+    };
+
+    // playSound: string -> void
+    world.Kernel.playSound = function(url) {
+        jsworld.Jsworld.play_sound(url);
+    };
+
+    // stopSound: string -> void
+    world.Kernel.stopSound = function(url) {
+        jsworld.Jsworld.stop_sound(url);
+    };
+
+    world.Kernel.stopAllSounds = function() {
+        jsworld.Jsworld.stop_all_sounds();
+    };
+
+
     //////////////////////////////////////////////////////////////////////
     // Effects
 
@@ -12357,6 +13556,29 @@ if (typeof(world) === 'undefined') {
     }
 
 
+    // universePlayer: (U world.universe player false)
+    // The running big-bang's place in the universe it registered with.
+    var universePlayer = false;
+
+    var leaveUniverse = function() {
+	if (universePlayer) {
+	    universePlayer.unregister();
+	    universePlayer = false;
+	}
+    };
+
+
+    // sendMessage: sexp -> void
+    // Sends a message to the other players of the running world's
+    // universe.  Without a universe, the message goes nowhere, as in
+    // 2htdp/universe.
+    Jsworld.sendMessage = function(message) {
+	if (universePlayer) {
+	    universePlayer.send(message);
+	}
+    };
+
+
     // bigBang: world dom (listof (list string string)) (arrayof handler) -> world
     Jsworld.bigBang = function(initWorld, toplevelNode, handlers, theCaller, theRestarter) {
 
@@ -12383,6 +13605,7 @@ if (typeof(world) === 'undefined') {
 	setRestarter(theRestarter);
 	setTerminator(function(w) {
 		detachEvent(toplevelNode, 'click', absorber);
+		leaveUniverse();
 		shutdownUserConfigs(function() {
 			unsetCaller();
 			unsetTerminator();
@@ -12423,6 +13646,17 @@ if (typeof(world) === 'undefined') {
 	config = config.updateAll({'changeWorld': Jsworld.updateWorld,
 				   'shutdownWorld': Jsworld.shutdownWorld});
 	var stimuli = new world.stimuli.StimuliHandler(config, caller, restarter);
+	world.Kernel.setCurrentEvent({ type: 'initial', args: [] });
+
+	leaveUniverse();
+	if (config.lookup('register')) {
+	    universePlayer = world.universe.getUniverse(config.lookup('register')).register(
+		function(message, sender) {
+		    if (config.lookup('onReceive')) {
+			stimuli.onReceive([message], function() {});
+		    }
+		});
+	}
 	
 	var wrappedHandlers = [];
 	var wrappedRedraw;
@@ -12497,6 +13731,7 @@ if (typeof(world) === 'undefined') {
 					       reusableCanvas.height = height;			
 					       var ctx = reusableCanvas.getContext("2d");
 					       aScene.render(ctx, 0, 0);
+					       world.Kernel.announceFrame(reusableCanvas, aScene);
 					   },
 					   0);
 
@@ -12525,8 +13760,30 @@ if (typeof(world) === 'undefined') {
 				 }));
 	}
 
+	// Let the world change listeners (such as the editor's world
+	// history) see each world, and what it looks like.
+	wrappedHandlers.push(_js.on_world_change(function(w, k) {
+	    if (! world.Kernel.hasWorldChangeListeners()) {
+		k();
+	    } else if (config.lookup('onRedraw')) {
+		try {
+		    caller(config.lookup('onRedraw'), [w],
+			   function(aScene) {
+			       world.Kernel.announceWorldChange(w, world.Kernel.isImage(aScene) ? aScene : false);
+			       k();
+			   });
+		} catch (e) {
+		    handleError(e);
+		}
+	    } else {
+		world.Kernel.announceWorldChange(w, false);
+		k();
+	    }
+	}));
+
 	if (config.lookup('tickDelay')) {
 	    var wrappedTick = function(w, k) {
+		world.Kernel.setCurrentEvent({ type: 'tick', args: [] });
 		caller(config.lookup('onTick'), [w], k);
 	    }
 	    var wrappedDelay = jsnums.toFixnum( config.lookup('tickDelay') );
@@ -12550,7 +13807,9 @@ if (typeof(world) === 'undefined') {
 		
 
 	    var wrappedKey = function(w, e, k) {
-		    caller(config.lookup('onKey'), [w, helpers.getKeyCodeName(e)], k);
+		    var keyName = helpers.getKeyCodeName(e);
+		    world.Kernel.setCurrentEvent({ type: 'key', args: [keyName] });
+		    caller(config.lookup('onKey'), [w, keyName], k);
 	    }
 	    wrappedHandlers.push(_js.on_key(wrappedKey));
 	    toplevelNode.focus();
@@ -12567,6 +13826,7 @@ if (typeof(world) === 'undefined') {
                     currentElement = currentElement.offsetParent;
                 } while(currentElement);
 
+		world.Kernel.setCurrentEvent({ type: 'tap', args: [x, y] });
 		caller(config.lookup('onTap'), [w, x, y], k);
 	    }
 	    wrappedHandlers.push(_js.on_tap(wrappedTap));
@@ -12575,6 +13835,7 @@ if (typeof(world) === 'undefined') {
 
 	if (config.lookup('onTilt')) {
 	    var wrappedTilt = function(w, gamma, beta, k) {
+		world.Kernel.setCurrentEvent({ type: 'tilt', args: [gamma, beta] });
 		caller(config.lookup('onTilt'), [w, jsnums.makeFloat(gamma), jsnums.makeFloat(beta)], k);
 	    }
 	    wrappedHandlers.push(_js.on_tilt(wrappedTilt));
@@ -12615,6 +13876,132 @@ if (typeof(world) === 'undefined') {
 
 
 
+    // runHeadless: world (arrayof handler) (arrayof event) caller (run -> void) (world -> void) -> void
+    //
+    // Runs a big-bang without a page, timers or real input, for
+    // testing programs automatically.  The events of the trace are fed
+    // to the handlers one after another, as fast as they'll go, and the
+    // run is reported to onRun before theRestarter gets the last world.
+    // An event is as for world.Kernel.addWorldChangeListener; a trace
+    // can drive on-tick ('tick'), on-key ('key', with the key's name),
+    // on-tap ('tap', with x and y), on-tilt ('tilt', with the two
+    // angles) and on-receive ('receive', with the message).  An event
+    // without a handler leaves the world alone.  A headless run never
+    // joins a universe, and the effects that handlers ask for, such as
+    // a package's message, are dropped.
+    //
+    // A run is:
+    //
+    // { events: (arrayof event),      starting with the 'initial' event,
+    //   worlds: (arrayof world),      the world after each event,
+    //   scenes: (arrayof (U image false)), what to-draw drew for each world,
+    //   isStopped: boolean }          true if stop-when ended the run early
+    Jsworld.runHeadless = function(initWorld, handlers, trace, theCaller, onRun, theRestarter) {
+	var config = new world.config.WorldConfig();
+	var run = { events: [], worlds: [], scenes: [], isStopped: false };
+	var pending = [];
+	var isDriving = false;
+	var i;
+	for (i = 0; i < handlers.length; i++) {
+	    if (isHandler(handlers[i])) {
+		config = handlers[i](config);
+	    }
+	}
+
+	// Continuations go through here, so that a long trace of handlers
+	// that return right away doesn't grow the stack.
+	var later = function(f) {
+	    pending.push(f);
+	    if (isDriving) { return; }
+	    isDriving = true;
+	    while (pending.length > 0) {
+		pending.shift()();
+	    }
+	    isDriving = false;
+	};
+
+	var fail = function(e) {
+	    if (! types.isSchemeError(e) && ! types.isInternalError(e)) {
+		e = types.schemeError(types.incompleteExn(types.exnFail, String(e), []));
+	    }
+	    theRestarter(e);
+	};
+
+	var call = function(f, args, k) {
+	    try {
+		theCaller(f, args, function(v) { later(function() { k(v); }); }, fail);
+	    } catch (e) {
+		fail(e);
+	    }
+	};
+
+	var handle = function(event, w, k) {
+	    var args = event.args || [];
+	    if (event.type === 'tick' && config.lookup('onTick')) {
+		call(config.lookup('onTick'), [w], k);
+	    } else if (event.type === 'key' && config.lookup('onKey')) {
+		call(config.lookup('onKey'), [w, args[0]], k);
+	    } else if (event.type === 'tap' && config.lookup('onTap')) {
+		call(config.lookup('onTap'), [w, args[0], args[1]], k);
+	    } else if (event.type === 'tilt' && config.lookup('onTilt')) {
+		call(config.lookup('onTilt'),
+		     [w, jsnums.makeFloat(args[0]), jsnums.makeFloat(args[1])],
+		     k);
+	    } else if (event.type === 'receive' && config.lookup('onReceive')) {
+		call(config.lookup('onReceive'), [w, args[0]], k);
+	    } else {
+		later(function() { k(w); });
+	    }
+	};
+
+	var record = function(event, w, k) {
+	    var add = function(aScene) {
+		run.events.push(event);
+		run.worlds.push(w);
+		run.scenes.push(world.Kernel.isImage(aScene) ? aScene : false);
+		k();
+	    };
+	    if (config.lookup('onRedraw')) {
+		call(config.lookup('onRedraw'), [w], add);
+	    } else {
+		add(false);
+	    }
+	};
+
+	var isStopped = function(w, k) {
+	    if (config.lookup('stopWhen')) {
+		call(config.lookup('stopWhen'), [w], function(v) { k(v !== false); });
+	    } else {
+		k(false);
+	    }
+	};
+
+	var loop = function(i, w) {
+	    isStopped(w, function(stop) {
+		if (stop || i >= trace.length) {
+		    run.isStopped = stop;
+		    onRun(run);
+		    theRestarter(w);
+		    return;
+		}
+		handle(trace[i], w, function(newWorld) {
+		    if (_js.has_effects(newWorld)) {
+			newWorld = newWorld.getWorld();
+		    }
+		    record(trace[i], newWorld, function() {
+			later(function() { loop(i + 1, newWorld); });
+		    });
+		});
+	    });
+	};
+
+	later(function() {
+	    record({ type: 'initial', args: [] }, initWorld, function() { loop(0, initWorld); });
+	});
+    };
+
+
+
     var addVirtualKeys = function(stimuli, toplevelNode) {
 	var makeVirtualButton = function(className, label, keyCode) {
 	    var button = document.createElement("input");
@@ -13235,6 +14622,14 @@ var StructMutatorProc = function() {
 };
 StructMutatorProc.prototype  = StructProc.prototype;
 
+// makeGeneralAccessor: struct-type StructAccessorProc -> StructAccessorProc
+// The accessor that takes a field index remembers its struct type, so
+// that make-struct-field-accessor can record the names of the fields.
+var makeGeneralAccessor = function(aStructType, accessorProc) {
+	accessorProc.structType = aStructType;
+	return accessorProc;
+};
+
 var getMakeStructTypeReturns = function(aStructType) {
 	var name = aStructType.name;
 	return new types.ValuesWrapper(
@@ -13252,7 +14647,7 @@ var getMakeStructTypeReturns = function(aStructType) {
                                           function(aState, x) { 
                                               return aStructType.predicate(x);
                                           })),
-		 (new StructAccessorProc(name,
+		 makeGeneralAccessor(aStructType, new StructAccessorProc(name,
 					 name+'-ref',
 					 2,
 					 false,
@@ -13568,28 +14963,73 @@ PRIMITIVES['print-values'] =
 
 
 
-PRIMITIVES['check-expect'] =
-    new PrimProc('check-expect',
+// reportTestResult: state { name: string, passed: boolean, actual: any,
+//                           expected: any, message: string, ... } -> void
+// Hands the result of a test to the state's test hook, adding the
+// source locations of the test.  Without a hook, a failure gets
+// printed out right away.
+//
+// Tests that have to call back into the machine capture their
+// locations up front, with getTestLocations, since the marks are gone
+// by the time the result is known.
+var reportTestResult = function(aState, result) {
+    var testHook = aState.getTestHook();
+    if (! result.locations) {
+	result.locations = getTestLocations(aState);
+    }
+    if (testHook) {
+	testHook(result);
+    } else if (! result.passed) {
+	aState.getDisplayHook()(result.message + '\n');
+	for (var i = 0; i < result.locations.length; i++) {
+	    aState.getPrintHook()(helpers.makeLocationDom(result.locations[i]));
+	}
+    }
+};
+
+
+var getTestLocations = function(aState) {
+    return state.getStackTraceFromContinuationMarks(
+	state.captureCurrentContinuationMarks(aState));
+};
+
+
+// getExnMessage: exn -> string
+var getExnMessage = function(e) {
+    if (types.isSchemeError(e) && types.isExn(e.val)) {
+	return types.exnMessage(e.val) + '';
+    }
+    if (types.isSchemeError(e)) {
+	return types.toDisplayedString(e.val);
+    }
+    return (e && e.message) || (e + '');
+};
+
+
+var makeCheckExpect = function(name) {
+    return new PrimProc(name,
 		 2,
 		 false, false,
 		 function(aState, actual, expected) {
 		 	if ( isFunction(actual) || isFunction(expected) ) {
-				var msg = 'check-expect cannot compare functions';
+				var msg = name + ' cannot compare functions';
 				raise( types.incompleteExn(types.exnFailContract, msg, []) );
 			}
-		 	if ( !isEqual(actual, expected) ) {
-				var msg = helpers.format('check-expect: actual value ~s differs from ~s, the expected value.\n',
-							 [actual, expected]);
-			        aState.getDisplayHook()(msg);
-			    var stackTrace = state.getStackTraceFromContinuationMarks(
-									state.captureCurrentContinuationMarks(aState));
-			    for (var i = 0; i < stackTrace.length; i++) {
-			        aState.getPrintHook()(helpers.makeLocationDom(stackTrace[i]));
-			    }
-			}
+			var passed = isEqual(actual, expected);
+			reportTestResult(aState,
+					 { name: name,
+					   passed: passed,
+					   actual: actual,
+					   expected: expected,
+					   message: (passed ? '' :
+						     helpers.format(name + ': actual value ~s differs from ~s, the expected value.',
+								    [actual, expected])) });
 			return types.VOID;
 		});
-PRIMITIVES['EXAMPLE'] = PRIMITIVES['check-expect'];
+};
+
+PRIMITIVES['check-expect'] = makeCheckExpect('check-expect');
+PRIMITIVES['EXAMPLE'] = makeCheckExpect('EXAMPLE');
 
 
 PRIMITIVES['check-within'] =
@@ -13607,25 +15047,181 @@ PRIMITIVES['check-within'] =
 				raise( types.incompleteExn(types.exnFailContract, msg, []) );
 			}
 			
-		 	if ( !( isEqual(actual, expected) ||
-			        (isReal(actual) && isReal(expected) &&
-				 jsnums.lessThanOrEqual(jsnums.abs(jsnums.subtract(actual, expected)),
-					 		range)) ) ) {
-				var msg = helpers.format('check-within: actual value ~s is not within ~s of expected value ~s.',
-							 [actual, range, expected]);
-
-			        aState.getDisplayHook()(msg);
-			    var stackTrace = state.getStackTraceFromContinuationMarks(
-				state.captureCurrentContinuationMarks(aState));
-			    for (var i = 0; i < stackTrace.length; i++) {
-			        aState.getPrintHook()(helpers.makeLocationDom(stackTrace[i]));
-			    }
-			}
+			var passed = ( isEqual(actual, expected) ||
+				       (isReal(actual) && isReal(expected) &&
+					jsnums.lessThanOrEqual(jsnums.abs(jsnums.subtract(actual, expected)),
+							       range)) );
+			reportTestResult(aState,
+					 { name: 'check-within',
+					   passed: passed,
+					   actual: actual,
+					   expected: expected,
+					   range: range,
+					   message: (passed ? '' :
+						     helpers.format('check-within: actual value ~s is not within ~s of expected value ~s.',
+								    [actual, range, expected])) });
 			return types.VOID;
 		});
 				
 
 
+// check-error: (U CaughtError any) [string] -> void
+// check-error is special to the machine: when it's applied, its
+// first operand is evaluated under a handler (see
+// CatchErrorControl), so what we receive is either the error that
+// the tested expression raised, as a CaughtError, or the value it
+// produced without raising an error at all.
+PRIMITIVES['check-error'] =
+    new PrimProc('check-error',
+		 1,
+		 true, false,
+		 function(aState, actual, rest) {
+		 	if ( rest.length > 1 ) {
+				var msg = helpers.format('check-error: expects 1 or 2 arguments, but received ~a',
+							 [rest.length + 1]);
+				raise( types.incompleteExn(types.exnFailContract, msg, []) );
+			}
+			var expectedMessage = (rest.length > 0 ? rest[0] : undefined);
+			if ( expectedMessage !== undefined ) {
+				check(aState, expectedMessage, isString, 'check-error', 'string', 2, [actual].concat(rest));
+				expectedMessage = expectedMessage.toString();
+			}
+			var report = function(passed, actualValue, message) {
+				reportTestResult(aState,
+						 { name: 'check-error',
+						   passed: passed,
+						   actual: actualValue,
+						   expected: expectedMessage,
+						   message: message });
+			};
+
+			if ( !types.isCaughtError(actual) ) {
+				report(false, actual,
+				       helpers.format('check-error: expected ~a, but received the value ~s.',
+						      [(expectedMessage !== undefined ?
+							helpers.format('the error ~s', [expectedMessage]) :
+							'an error'),
+						       actual]));
+				return types.VOID;
+			}
+			var actualMessage = getExnMessage(actual.exn);
+			if (expectedMessage === undefined || actualMessage === expectedMessage) {
+				report(true, actualMessage, '');
+			} else {
+				report(false, actualMessage,
+				       helpers.format('check-error: expected the error ~s, but got ~s instead.',
+						      [expectedMessage, actualMessage]));
+			}
+			return types.VOID;
+		});
+
+
+PRIMITIVES['check-range'] =
+    new PrimProc('check-range',
+		 3,
+		 false, false,
+		 function(aState, actual, low, high) {
+			var allArgs = [actual, low, high];
+			check(aState, actual, isReal, 'check-range', 'real number', 1, allArgs);
+			check(aState, low, isReal, 'check-range', 'real number', 2, allArgs);
+			check(aState, high, isReal, 'check-range', 'real number', 3, allArgs);
+			var passed = ( jsnums.lessThanOrEqual(low, actual) &&
+				       jsnums.lessThanOrEqual(actual, high) );
+			reportTestResult(aState,
+					 { name: 'check-range',
+					   passed: passed,
+					   actual: actual,
+					   expected: types.list([low, high]),
+					   low: low,
+					   high: high,
+					   message: (passed ? '' :
+						     helpers.format('check-range: actual value ~s is not between ~s and ~s, inclusive.',
+								    [actual, low, high])) });
+			return types.VOID;
+		});
+
+
+PRIMITIVES['check-member-of'] =
+    new PrimProc('check-member-of',
+		 2,
+		 true, false,
+		 function(aState, actual, first, rest) {
+			var candidates = [first].concat(rest);
+			var passed = false;
+			var i;
+			for (i = 0; i < candidates.length; i++) {
+				if ( isFunction(actual) || isFunction(candidates[i]) ) {
+					var msg = 'check-member-of cannot compare functions';
+					raise( types.incompleteExn(types.exnFailContract, msg, []) );
+				}
+				if ( isEqual(actual, candidates[i]) ) {
+					passed = true;
+				}
+			}
+			var choices = [];
+			for (i = 0; i < candidates.length; i++) {
+				choices.push(helpers.format('~s', [candidates[i]]));
+			}
+			reportTestResult(aState,
+					 { name: 'check-member-of',
+					   passed: passed,
+					   actual: actual,
+					   expected: types.list(candidates),
+					   candidates: candidates,
+					   message: (passed ? '' :
+						     helpers.format('check-member-of: actual value ~s differs from all given members: ~a.',
+								    [actual, choices.join(', ')])) });
+			return types.VOID;
+		});
+
+
+PRIMITIVES['check-satisfied'] =
+    new PrimProc('check-satisfied',
+		 2,
+		 false, false,
+		 function(aState, actual, pred) {
+			check(aState, pred, procArityContains(1), 'check-satisfied', 'procedure (arity 1)', 2,
+			      [actual, pred]);
+			var locations = getTestLocations(aState);
+			var predName = (pred.name ? pred.name + '' : 'the predicate');
+			var report = function(passed, message, error) {
+				reportTestResult(aState,
+						 { name: 'check-satisfied',
+						   passed: passed,
+						   actual: actual,
+						   expected: pred,
+						   predicateName: predName,
+						   error: error,
+						   message: message,
+						   locations: locations });
+			};
+			return PAUSE(function(restarter, caller) {
+				caller(pred, [actual],
+				       function(v) {
+					   if (v !== false) {
+					       report(true, '');
+					   } else {
+					       report(false,
+						      helpers.format('check-satisfied: actual value ~s does not satisfy ~a.',
+								     [actual, predName]));
+					   }
+					   restarter(types.VOID);
+				       },
+				       function(e) {
+					   if (types.isSchemeError(e) && types.isExnBreak(e.val)) {
+					       restarter(e);
+					       return;
+					   }
+					   report(false,
+						  helpers.format('check-satisfied: ~a raised an error on ~s: ~a',
+								 [predName, actual, getExnMessage(e)]),
+						  getExnMessage(e));
+					   restarter(types.VOID);
+				       });
+			});
+		});
+
+
 //////////////////////////////////////////////////////////////////////
 
 var defaultPrint = 
@@ -13907,6 +15503,9 @@ PRIMITIVES['make-struct-field-accessor'] =
 	    	var fixnumPos = jsnums.toFixnum(fieldPos);
 	    	var procName = accessor.typeName + '-'
 			+ (fieldName ? fieldName.toString() : 'field' + fixnumPos);
+		if (fieldName && accessor.structType) {
+			accessor.structType.fieldNames[fixnumPos] = fieldName.toString();
+		}
 
 		return new StructAccessorProc(accessor.typeName, procName, 1, false, false,
 					      function(aState, x) {
@@ -18183,6 +19782,72 @@ new PrimProc('text/font',
 											  "normal", "Arial","","",false);
                              }
 			 });
+// soundPath: state string -> string
+// Sounds from other sites come through the image proxy, like images.
+var soundPath = function(aState, url) {
+    if (aState.getImageProxyHook()) {
+	return aState.getImageProxyHook() + "?url=" + encodeURIComponent(url);
+    }
+    return url;
+};
+
+// loadSound: state string string (string -> any) -> PAUSE
+// Loads the sound at the url, and gives makeResult's result once it's ready.
+var loadSound = function(aState, url, who, makeResult) {
+    var path = soundPath(aState, url);
+    return PAUSE(function(restarter, caller) {
+	world.Kernel.loadSound(
+	    path,
+	    function() { restarter(makeResult(path)); },
+	    function(msg) {
+		restarter(types.schemeError(types.incompleteExn(
+		    types.exnFail,
+		    helpers.format("~a: unable to load the sound ~s", [who, url]),
+		    [])));
+	    });
+    });
+};
+
+PRIMITIVES['play-sound'] =
+    new PrimProc('play-sound',
+		 1,
+		 false, false,
+		 function(aState, url) {
+		     check(aState, url, isString, 'play-sound', 'string', 1);
+		     return loadSound(aState, url.toString(), 'play-sound',
+				      function(path) {
+					  world.Kernel.playSound(path);
+					  return true;
+				      });
+		 });
+
+PRIMITIVES['stop-sound'] =
+    new CasePrimitive('stop-sound',
+	[new PrimProc('stop-sound', 0, false, false,
+		      function(aState) {
+			  world.Kernel.stopAllSounds();
+			  return true;
+		      }),
+	 new PrimProc('stop-sound', 1, false, false,
+		      function(aState, url) {
+			  check(aState, url, isString, 'stop-sound', 'string', 1);
+			  world.Kernel.stopSound(soundPath(aState, url.toString()));
+			  return true;
+		      })]);
+
+PRIMITIVES['sound-effect'] =
+    new PrimProc('sound-effect',
+		 1,
+		 false, false,
+		 function(aState, url) {
+		     check(aState, url, isString, 'sound-effect', 'string', 1);
+		     return loadSound(aState, url.toString(), 'sound-effect', types.soundEffect);
+		 });
+
+PRIMITIVES['sound-effect?'] = new PrimProc('sound-effect?', 1, false, false,
+					   function(aState, v) { return types.isSoundEffect(v); });
+
+
 PRIMITIVES['bitmap/url'] = 
 PRIMITIVES['image-url'] =
     new PrimProc('image-url',
@@ -18303,6 +19968,58 @@ PRIMITIVES['image->color-list'] =
 
 
 
+// imageToDataUrl: state image string -> string
+// Renders the image to a canvas and reads it back out as a PNG data: url.
+var imageToDataUrl = function(aState, img, who) {
+    try {
+	return world.Kernel.imageToDataUrl(img, 1);
+    } catch (e) {
+	// The canvas won't give up its pixels if it has drawn an
+	// image from another site.
+	raise(types.incompleteExn(
+	    types.exnFail,
+	    helpers.format("~a: unable to read the pixels of this image", [who]),
+	    []));
+    }
+};
+
+
+PRIMITIVES['image->data-url'] =
+    new PrimProc('image->data-url',
+		 1,
+		 false, false,
+		 function(aState, img) {
+		     check(aState, img, isImage, 'image->data-url', 'image', 1);
+		     return imageToDataUrl(aState, img, 'image->data-url');
+		 });
+
+
+// save-image offers the image to the user as a download; the browser
+// decides where the file actually goes.
+PRIMITIVES['save-image'] =
+    new PrimProc('save-image',
+		 2,
+		 false, false,
+		 function(aState, img, fileName) {
+		     check(aState, img, isImage, 'save-image', 'image', 1, arguments);
+		     check(aState, fileName, isString, 'save-image', 'string', 2, arguments);
+		     var url = imageToDataUrl(aState, img, 'save-image');
+		     var link = document.createElement("a");
+		     if (link.download === undefined) {
+			 window.open(url);
+			 return true;
+		     }
+		     link.href = url;
+		     link.download = fileName.toString();
+		     link.style.display = 'none';
+		     document.body.appendChild(link);
+		     link.click();
+		     document.body.removeChild(link);
+		     return true;
+		 });
+
+
+
 // Note: this has to be done asynchonously.
 var colorListToImage = function(aState, listOfColors, width, height, pinholeX, pinholeY) {
     checkListOf(aState, listOfColors, isColor, 'color-list->image', 'image', 1);
@@ -18480,26 +20197,69 @@ PRIMITIVES['on-key!'] = new PrimProc('on-key!', 2, false, false, onEventBang('on
 // PRIMITIVES['on-announce!'] = new PrimProc('on-announce!', 2, false, false,
 // 					  onEventBang('on-announce!', 'onAnnounce'));
 
-// PRIMITIVES['on-location-change'] = new PrimProc('on-location-change', 1, false, false,
-// 						onEvent('on-location-change', 'onLocationChange', 3));
-// PRIMITIVES['on-location-change!'] = new PrimProc('on-location-change!', 2, false, false,
-// 						 onEventBang('on-location-change!', 'onLocationChange'));
+// The location, acceleration and shake handlers are fed through
+// world.stimuli, by a phone or by the editor's event simulator.
+PRIMITIVES['on-location-change'] = new PrimProc('on-location-change', 1, false, false,
+						onEvent('on-location-change', 'onLocationChange', 3));
+PRIMITIVES['on-location-change!'] = new PrimProc('on-location-change!', 2, false, false,
+						 onEventBang('on-location-change!', 'onLocationChange'));
 
 
-// PRIMITIVES['on-tilt!'] = new PrimProc('on-tilt!', 2, false, false, onEventBang('on-tilt!', 'onTilt'));
+PRIMITIVES['on-tilt!'] = new PrimProc('on-tilt!', 2, false, false, onEventBang('on-tilt!', 'onTilt'));
 
-// PRIMITIVES['on-acceleration'] = new PrimProc('on-acceleration', 1, false, false,
-// 					     onEvent('on-acceleration', 'onAcceleration', 4));
-// PRIMITIVES['on-acceleration!'] = new PrimProc('on-acceleration!', 2, false, false,
-// 					      onEventBang('on-acceleration!', 'onAcceleration'));
+PRIMITIVES['on-acceleration'] = new PrimProc('on-acceleration', 1, false, false,
+					     onEvent('on-acceleration', 'onAcceleration', 4));
+PRIMITIVES['on-acceleration!'] = new PrimProc('on-acceleration!', 2, false, false,
+					      onEventBang('on-acceleration!', 'onAcceleration'));
 
 // PRIMITIVES['on-sms-receive'] = new PrimProc('on-sms-receive', 1, false, false,
 // 					    onEvent('on-sms-receive', 'onSmsReceive', 3));
 // PRIMITIVES['on-sms-receive!'] = new PrimProc('on-sms-receive!', 2, false, false,
 // 					     onEventBang('on-sms-receive!', 'onSmsReceive'));
 
-// PRIMITIVES['on-shake'] = new PrimProc('on-shake', 1, false, false, onEvent('on-shake', 'onShake', 1));
-// PRIMITIVES['on-shake!'] = new PrimProc('on-shake!', 2, false, false, onEventBang('on-shake!', 'onShake'));
+PRIMITIVES['on-shake'] = new PrimProc('on-shake', 1, false, false, onEvent('on-shake', 'onShake', 1));
+PRIMITIVES['on-shake!'] = new PrimProc('on-shake!', 2, false, false, onEventBang('on-shake!', 'onShake'));
+
+
+// Universes: worlds that register with the same universe, in this
+// page or in another tab, send each other S-expressions by returning
+// packages from their handlers, and get them through on-receive.
+PRIMITIVES['register'] =
+    new PrimProc('register',
+		 1,
+		 false, false,
+		 function(aState, name) {
+		     check(aState, name, isString, 'register', 'string', 1);
+		     return new (WorldConfigOption.extend({
+				 init: function() {
+				     this._super('register');
+				 },
+
+				 configure: function(config) {
+				     return config.updateAll({'register': name.toString()});
+				 }}))();
+		 });
+
+PRIMITIVES['on-receive'] = new PrimProc('on-receive', 1, false, false, onEvent('on-receive', 'onReceive', 2));
+
+PRIMITIVES['make-package'] =
+    new PrimProc('make-package',
+		 2,
+		 false, false,
+		 function(aState, w, message) {
+		     check(aState, message, world.universe.isSexp, 'make-package', 'S-expression', 2, arguments);
+		     return jsworld.Jsworld.with_effect(w, types.messageEffect(message));
+		 });
+
+PRIMITIVES['package?'] =
+    new PrimProc('package?',
+		 1,
+		 false, false,
+		 function(aState, x) {
+		     return (jsworld.Jsworld.has_effects(x) &&
+			     x.getEffects().length === 1 &&
+			     types.isMessageEffect(x.getEffects()[0]));
+		 });
 
 
 PRIMITIVES['stop-when'] = new PrimProc('stop-when', 1, false, false,
@@ -18767,6 +20527,12 @@ PRIMITIVES['js-big-bang'] =
 					}
 			 	     },
 				     handlers);
+		     var worldDriver = aState.getWorldDriverHook();
+		     if (worldDriver) {
+			 return PAUSE(function(restarter, caller) {
+			     worldDriver(initW, unwrappedConfigs, caller, restarter);
+			 });
+		     }
 		     return PAUSE(function(restarter, caller) {
 			 var bigBangController;
 			 var onBreak = function() {
@@ -19341,6 +21107,8 @@ var control = {};
 
 (function() {
 
+var STACK_KEY = state.STACK_KEY;
+
 
 //////////////////////////////////////////////////////////////////////
 
@@ -19470,6 +21238,22 @@ var processPrefix = function(aState, prefix) {
 
 
 
+// lookupPrimitive: state string (string | undefined) -> scheme-value
+// Like primitive.getPrimitive, but raises an error for a primitive
+// that the state's primitive filter hook refuses.
+var lookupPrimitive = function(aState, name, resolvedModuleName) {
+    var aPrim = primitive.getPrimitive(name, resolvedModuleName);
+    var filter = aState.getPrimitiveFilterHook();
+    if (typeof(aPrim) !== 'undefined' && filter && ! filter(name)) {
+	throw types.schemeError(
+	    types.exnFail(name + ": this function isn't allowed here",
+			  state.captureCurrentContinuationMarks(aState)));
+    }
+    return aPrim;
+};
+
+
+
 // Module variables are looked up and installed into the prefix.
 // To support interactive repls, these variables are also saved into
 // the globals array so that subsequent compilations can refer to 
@@ -19478,7 +21262,7 @@ var installModuleVariable = function(aState, newPrefix, top) {
     var resolvedModuleName = resolveModuleName(top['modidx']);
     var primName = top.sym + '';
 
-    var aPrim = primitive.getPrimitive(primName, resolvedModuleName);
+    var aPrim = lookupPrimitive(aState, primName, resolvedModuleName);
     if (typeof(aPrim) !== 'undefined') {
 	aState.globals[primName] = 
 	    new types.GlobalBucket(primName, aPrim);
@@ -19726,6 +21510,10 @@ var ToplevelControl = function(depth, pos, loc) {
 };
 
 ToplevelControl.prototype.invoke = function(state) {
+    var coverageHook = state.getCoverageHook();
+    if (coverageHook && this.loc) {
+	coverageHook(this.loc);
+    }
     state.v = state.refPrefix(this.depth, this.pos, this.loc);
 };
 
@@ -19757,7 +21545,7 @@ var PrimvalControl = function(name) {
 };
 
 PrimvalControl.prototype.invoke = function(aState) {
-    var prim = primitive.getPrimitive(this.name, undefined);
+    var prim = lookupPrimitive(aState, this.name, undefined);
     if (! prim) {
 	throw types.internalError("Primitive " + this.name + " not implemented!",
 				  state.captureCurrentContinuationMarks(aState));
@@ -19934,6 +21722,11 @@ ApplicationControl.prototype.invoke = function(state) {
     var rator = this.rator;
     var rands = this.rands;
 
+    // check-error's tested expression gets evaluated under a handler.
+    if (rands.length !== 0 && isCheckErrorRator(state, rator, rands.length)) {
+	rands = [new CatchErrorControl(rands[0])].concat(rands.slice(1));
+    }
+
     var cmds = [];    
     // We allocate as many values as there are operands.
     if (rands.length !== 0) {
@@ -19961,6 +21754,77 @@ ApplicationControl.prototype.invoke = function(state) {
 };
 
 
+// isCheckErrorRator: state control number -> boolean
+// True if the rator of an application with n operands is a reference
+// to the check-error primitive.  The compiler hands it to us either
+// as a primval or as a toplevel whose bucket holds the primitive; the
+// toplevel's depth counts the n slots the application is about to
+// push, so we look that much shallower.
+var isCheckErrorRator = function(aState, rator, n) {
+    var prefix, slot;
+    if (rator instanceof PrimvalControl) {
+	return rator.name === 'check-error';
+    }
+    if (rator instanceof ToplevelControl) {
+	prefix = aState.vstack[aState.vstack.length - 1 - rator.depth + n];
+	slot = (prefix instanceof types.PrefixValue ? prefix.slots[rator.pos] : undefined);
+	return (slot instanceof types.GlobalBucket &&
+		slot.value === primitive.getPrimitive('check-error'));
+    }
+    return false;
+};
+
+
+
+//////////////////////////////////////////////////////////////////////
+// Catching errors for check-error
+
+// CatchErrorControl evaluates its body with a CatchErrorFrameControl
+// underneath it.  If the body raises an error, the machine unwinds
+// to the frame (see unwindToCatchFrame) and the error, wrapped as a
+// CaughtError, becomes the body's value.
+var CatchErrorControl = function(body) {
+    this.body = body;
+};
+
+CatchErrorControl.prototype.invoke = function(aState) {
+    aState.pushManyControls([this.body,
+			     new CatchErrorFrameControl(aState.vstack.length)]);
+};
+
+
+// The frame remembers how deep the value stack was, so we can put it
+// back.  If the body finishes normally, the frame does nothing.
+var CatchErrorFrameControl = function(vstackLength) {
+    this.vstackLength = vstackLength;
+};
+
+CatchErrorFrameControl.prototype.invoke = function(aState) {
+};
+
+
+// unwindToCatchFrame: state scheme-error -> boolean
+// Unwinds the machine to the innermost CatchErrorFrameControl, with
+// the error as the value, and returns true.  Returns false, leaving
+// the machine alone, if there's no frame, or if the error is a user
+// break, which nothing should catch.
+var unwindToCatchFrame = function(aState, e) {
+    var i;
+    if (types.isExnBreak(e.val)) {
+	return false;
+    }
+    for (i = aState.cstack.length - 1; i >= 0; i--) {
+	if (aState.cstack[i] instanceof CatchErrorFrameControl) {
+	    aState.vstack.length = aState.cstack[i].vstackLength;
+	    aState.cstack.length = i;
+	    aState.v = types.caughtError(e);
+	    return true;
+	}
+    }
+    return false;
+};
+
+
 
 
 var CallControl = function(n) {
@@ -20428,6 +22292,17 @@ WithContMarkVal.prototype.invoke = function(state) {
 	state.pushControl(types.contMarkRecordControl(aHash));
     }
     state.pushControl(this.body);
+
+    // The compiler wraps source-located expressions with a stack
+    // record; entering one is where a debugger gets to stop.
+    var coverageHook = state.getCoverageHook();
+    if (coverageHook && this.key === STACK_KEY) {
+	coverageHook(evaluatedVal);
+    }
+    var debugHook = state.getDebugHook();
+    if (debugHook && this.key === STACK_KEY) {
+	debugHook(state, evaluatedVal);
+    }
 };
 
 
@@ -20763,6 +22638,8 @@ control.DefValuesControl = DefValuesControl;
 control.LamControl = LamControl;
 control.PrimvalControl = PrimvalControl;
 control.ApplicationControl = ApplicationControl;
+control.CatchErrorControl = CatchErrorControl;
+control.unwindToCatchFrame = unwindToCatchFrame;
 control.LocalrefControl = LocalrefControl;
 control.ApplyValuesControl = ApplyValuesControl;
 control.LetOneControl = LetOneControl;
@@ -21269,6 +23146,11 @@ var run = function(aState, onSuccessK, onFailK) {
 		e = types.schemeError(
 			e.val.constructor.apply(null, [e.val.msg, contMarks].concat(e.val.otherArgs) ));
 	    }
+	    // check-error may be waiting for it.
+	    if (control.unwindToCatchFrame(aState, e)) {
+		run(aState, onSuccessK, onFailK);
+		return;
+	    }
 	    onFailK(e);
 	    return;
 	} else {
@@ -21341,7 +23223,10 @@ var makeOnRestart = function(aState, onSuccessK, onFailK) {
 		v = types.schemeError(
 			v.val.constructor.apply(null, [v.val.msg, contMarks].concat(v.val.otherArgs) ));
 	    }
-
+	    if (control.unwindToCatchFrame(aState, v)) {
+		run(aState, onSuccessK, onFailK);
+		return;
+	    }
 	    onFailK(v);
 	} else if ( types.isInternalError(v) ) {
 	    onFailK(v);
@@ -331,9 +331,21 @@
 	  <ul>
 	    <li><a id="run"><span>Run</span></a></li>
 	    <li><a id="stop"><span>Stop</span></a></li>
+	    <li><a id="pause"><span>Pause</span></a></li>
+	    <li><a id="step"><span>Step</span></a></li>
+	    <li><a id="speed"><span>Speed 1x</span></a></li>
+	    <li><a id="debug"><span>Debug</span></a></li>
+	    <li><a id="history"><span>History</span></a></li>
+	    <li><a id="inspect"><span>Inspect</span></a></li>
+	    <li><a id="simulate"><span>Simulate</span></a></li>
+	    <li><a id="coverage"><span>Coverage</span></a></li>
+	    <li><a id="record"><span>Record</span></a></li>
 	    <% if (userSession != null) { %>
 	    <li><a id="save"><span>Save</span></a></li>
 	    <li><a id="share"><span>Share</span></a></li>
+	    <li><a id="revisions"><span>Revisions</span></a></li>
+	    <li><a id="pair"><span>Pair</span></a></li>
+	    <li id="handInItem" style="display:none;"><a id="handIn"><span>Hand in</span></a></li>
 	    <% } %>
         <li><a id="recipe"><span>Recipe</span></a></li>
 	  </ul>